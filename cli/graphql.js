@@ -0,0 +1,1065 @@
+/**
+ * Pulse GraphQL Codegen
+ *
+ * `pulse graphql codegen` reads a schema (SDL or introspection JSON) and the
+ * operations found in .graphql/.gql documents and .pulse files, then emits
+ * typed useQuery/useMutation/useSubscription wrappers: a JavaScript module
+ * and its .d.ts file.
+ *
+ * @module pulse-js-framework/cli/graphql
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, resolve, relative } from 'path';
+import { log } from './logger.js';
+import { findPulseFiles } from './utils/file-utils.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DEFAULT_CODEGEN_OPTIONS = {
+  schema: 'schema.graphql',
+  documents: ['src'],
+  output: 'src/graphql/generated.js',
+  scalars: {}
+};
+
+const DOCUMENT_EXTENSIONS = ['.graphql', '.gql', '.pulse'];
+
+const BUILTIN_SCALARS = {
+  ID: 'string',
+  String: 'string',
+  Int: 'number',
+  Float: 'number',
+  Boolean: 'boolean'
+};
+
+const OPERATION_HOOKS = {
+  query: 'useQuery',
+  mutation: 'useMutation',
+  subscription: 'useSubscription'
+};
+
+// ============================================================================
+// Lexer
+// ============================================================================
+
+/**
+ * Format a parse error with its line and column
+ * @param {string} message - Error message
+ * @param {string} source - Source text
+ * @param {number} position - Offset in source
+ * @param {string} [file] - File name
+ * @returns {Error}
+ */
+function syntaxError(message, source, position, file) {
+  const before = source.slice(0, position).split('\n');
+  const where = `${before.length}:${before[before.length - 1].length + 1}`;
+  return new Error(`${file ? `${file}:` : ''}${where} ${message}`);
+}
+
+/**
+ * Split GraphQL source into tokens (commas and comments are ignored)
+ * @param {string} source - GraphQL source
+ * @param {string} [file] - File name for errors
+ * @returns {Array<{kind: string, value: string, start: number, end: number}>}
+ */
+function tokenize(source, file) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+    if (/[\s,﻿]/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (source.startsWith('...', i)) {
+      tokens.push({ kind: 'punct', value: '...', start, end: i + 3 });
+      i += 3;
+    } else if ('!$&()=:@[]{}|'.includes(ch)) {
+      tokens.push({ kind: 'punct', value: ch, start, end: i + 1 });
+      i++;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_]\w*/.exec(source.slice(i));
+      tokens.push({ kind: 'name', value: match[0], start, end: i + match[0].length });
+      i += match[0].length;
+    } else if (/[-\d]/.test(ch)) {
+      const match = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      if (!match) throw syntaxError(`Unexpected character "${ch}"`, source, i, file);
+      tokens.push({ kind: 'number', value: match[0], start, end: i + match[0].length });
+      i += match[0].length;
+    } else if (ch === '"') {
+      const block = source.startsWith('"""', i);
+      let j = i + (block ? 3 : 1);
+      while (j < source.length) {
+        if (source[j] === '\\') {
+          j += 2;
+        } else if (block ? source.startsWith('"""', j) : source[j] === '"') {
+          break;
+        } else {
+          j++;
+        }
+      }
+      if (j >= source.length) throw syntaxError('Unterminated string', source, i, file);
+      const end = j + (block ? 3 : 1);
+      tokens.push({ kind: 'string', value: source.slice(i, end), start, end });
+      i = end;
+    } else {
+      throw syntaxError(`Unexpected character "${ch}"`, source, i, file);
+    }
+  }
+
+  tokens.push({ kind: 'eof', value: '', start: source.length, end: source.length });
+  return tokens;
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+/**
+ * Recursive-descent parser shared by schema SDL and executable documents
+ */
+class Parser {
+  constructor(source, file) {
+    this.source = source;
+    this.file = file;
+    this.tokens = tokenize(source, file);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  is(value) {
+    const token = this.peek();
+    return token.kind !== 'string' && token.value === value;
+  }
+
+  optional(value) {
+    if (!this.is(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  error(message, token = this.peek()) {
+    return syntaxError(message, this.source, token.start, this.file);
+  }
+
+  expect(value) {
+    if (!this.is(value)) {
+      throw this.error(`Expected "${value}", found "${this.peek().value || 'end of file'}"`);
+    }
+    return this.next();
+  }
+
+  name() {
+    const token = this.peek();
+    if (token.kind !== 'name') {
+      throw this.error(`Expected a name, found "${token.value || 'end of file'}"`);
+    }
+    this.pos++;
+    return token.value;
+  }
+
+  skipDescription() {
+    if (this.peek().kind === 'string') this.pos++;
+  }
+
+  /** Type reference: Name, [Type], Type! */
+  type() {
+    let type;
+    if (this.optional('[')) {
+      type = { kind: 'LIST', ofType: this.type() };
+      this.expect(']');
+    } else {
+      type = { kind: 'NAMED', name: this.name() };
+    }
+    return this.optional('!') ? { kind: 'NON_NULL', ofType: type } : type;
+  }
+
+  /** Skip a value literal (arguments, defaults) */
+  skipValue() {
+    const token = this.next();
+    if (token.value === '$') {
+      this.name();
+    } else if (token.kind === 'punct' && token.value === '[') {
+      while (!this.optional(']')) this.skipValue();
+    } else if (token.kind === 'punct' && token.value === '{') {
+      while (!this.optional('}')) {
+        this.name();
+        this.expect(':');
+        this.skipValue();
+      }
+    } else if (token.kind === 'eof') {
+      throw this.error('Unexpected end of file', token);
+    }
+  }
+
+  skipArguments() {
+    if (!this.optional('(')) return;
+    while (!this.optional(')')) {
+      this.name();
+      this.expect(':');
+      this.skipValue();
+    }
+  }
+
+  /** Directives, returned by name */
+  directives() {
+    const names = [];
+    while (this.optional('@')) {
+      names.push(this.name());
+      this.skipArguments();
+    }
+    return names;
+  }
+}
+
+// ============================================================================
+// Schema Loading
+// ============================================================================
+
+/**
+ * Parse field or input value definitions between braces/parentheses
+ * @param {Parser} p - Parser
+ * @param {string} close - Closing punctuator
+ * @returns {Map<string, {type: Object, hasDefault: boolean}>}
+ */
+function parseFieldDefinitions(p, close) {
+  const fields = new Map();
+  while (!p.optional(close)) {
+    p.skipDescription();
+    const name = p.name();
+    if (p.optional('(')) parseFieldDefinitions(p, ')');
+    p.expect(':');
+    const type = p.type();
+    let hasDefault = false;
+    if (p.optional('=')) {
+      p.skipValue();
+      hasDefault = true;
+    }
+    p.directives();
+    fields.set(name, { type, hasDefault });
+  }
+  return fields;
+}
+
+function getOrCreateType(schema, name, kind) {
+  if (!schema.types.has(name)) {
+    schema.types.set(name, {
+      kind,
+      name,
+      fields: new Map(),
+      interfaces: [],
+      possibleTypes: [],
+      values: []
+    });
+  }
+  return schema.types.get(name);
+}
+
+/**
+ * Parse a schema in SDL
+ * @param {string} source - Schema SDL
+ * @param {string} [file] - File name for errors
+ * @returns {Object} Schema model
+ */
+function parseSDL(source, file) {
+  const p = new Parser(source, file);
+  const schema = { types: new Map(), queryType: null, mutationType: null, subscriptionType: null };
+
+  while (p.peek().kind !== 'eof') {
+    p.skipDescription();
+    p.optional('extend');
+    const keyword = p.name();
+
+    switch (keyword) {
+      case 'schema': {
+        p.directives();
+        p.expect('{');
+        while (!p.optional('}')) {
+          const operation = p.name();
+          p.expect(':');
+          schema[`${operation}Type`] = p.name();
+        }
+        break;
+      }
+      case 'scalar': {
+        getOrCreateType(schema, p.name(), 'SCALAR');
+        p.directives();
+        break;
+      }
+      case 'type':
+      case 'interface': {
+        const type = getOrCreateType(schema, p.name(), keyword === 'type' ? 'OBJECT' : 'INTERFACE');
+        if (p.optional('implements')) {
+          p.optional('&');
+          do {
+            type.interfaces.push(p.name());
+          } while (p.optional('&'));
+        }
+        p.directives();
+        if (p.optional('{')) {
+          for (const [name, field] of parseFieldDefinitions(p, '}')) type.fields.set(name, field);
+        }
+        break;
+      }
+      case 'union': {
+        const type = getOrCreateType(schema, p.name(), 'UNION');
+        p.directives();
+        if (p.optional('=')) {
+          p.optional('|');
+          do {
+            type.possibleTypes.push(p.name());
+          } while (p.optional('|'));
+        }
+        break;
+      }
+      case 'enum': {
+        const type = getOrCreateType(schema, p.name(), 'ENUM');
+        p.directives();
+        if (p.optional('{')) {
+          while (!p.optional('}')) {
+            p.skipDescription();
+            type.values.push(p.name());
+            p.directives();
+          }
+        }
+        break;
+      }
+      case 'input': {
+        const type = getOrCreateType(schema, p.name(), 'INPUT_OBJECT');
+        p.directives();
+        if (p.optional('{')) {
+          for (const [name, field] of parseFieldDefinitions(p, '}')) type.fields.set(name, field);
+        }
+        break;
+      }
+      case 'directive': {
+        p.expect('@');
+        p.name();
+        if (p.optional('(')) parseFieldDefinitions(p, ')');
+        p.optional('repeatable');
+        p.expect('on');
+        p.optional('|');
+        do {
+          p.name();
+        } while (p.optional('|'));
+        break;
+      }
+      default:
+        throw p.error(`Unexpected "${keyword}" in schema`);
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Convert an introspection type reference
+ * @param {Object} ref - Introspection type reference
+ * @returns {Object} Type reference
+ */
+function fromIntrospectionRef(ref) {
+  if (ref.kind === 'NON_NULL' || ref.kind === 'LIST') {
+    return { kind: ref.kind, ofType: fromIntrospectionRef(ref.ofType) };
+  }
+  return { kind: 'NAMED', name: ref.name };
+}
+
+/**
+ * Build the schema model from an introspection query result
+ * @param {Object} json - `{ data: { __schema } }` or `{ __schema }`
+ * @returns {Object} Schema model
+ */
+function fromIntrospection(json) {
+  const introspection = json?.data?.__schema ?? json?.__schema;
+  if (!introspection) {
+    throw new Error('Introspection JSON must contain "__schema" (or "data.__schema")');
+  }
+
+  const schema = {
+    types: new Map(),
+    queryType: introspection.queryType?.name ?? null,
+    mutationType: introspection.mutationType?.name ?? null,
+    subscriptionType: introspection.subscriptionType?.name ?? null
+  };
+
+  for (const raw of introspection.types) {
+    if (raw.name.startsWith('__')) continue;
+    const type = getOrCreateType(schema, raw.name, raw.kind);
+    for (const field of raw.fields || raw.inputFields || []) {
+      type.fields.set(field.name, {
+        type: fromIntrospectionRef(field.type),
+        hasDefault: field.defaultValue !== undefined && field.defaultValue !== null
+      });
+    }
+    type.interfaces = (raw.interfaces || []).map(i => i.name);
+    type.possibleTypes = raw.kind === 'UNION' ? (raw.possibleTypes || []).map(t => t.name) : [];
+    type.values = (raw.enumValues || []).map(v => v.name);
+  }
+
+  return schema;
+}
+
+/**
+ * Parse a schema from SDL or introspection JSON
+ * @param {string} source - Schema text
+ * @param {string} [file] - File name (".json" selects introspection)
+ * @returns {Object} Schema model
+ */
+export function parseSchema(source, file = '') {
+  const isJson = file.endsWith('.json') || /^\s*\{\s*"/.test(source);
+  const schema = isJson ? fromIntrospection(JSON.parse(source)) : parseSDL(source, file);
+
+  // Default root types and interface implementations
+  for (const operation of ['query', 'mutation', 'subscription']) {
+    const key = `${operation}Type`;
+    const name = operation[0].toUpperCase() + operation.slice(1);
+    if (!schema[key] && schema.types.has(name)) schema[key] = name;
+  }
+  for (const type of schema.types.values()) {
+    for (const name of type.interfaces) {
+      const iface = schema.types.get(name);
+      if (iface && !iface.possibleTypes.includes(type.name)) iface.possibleTypes.push(type.name);
+    }
+  }
+
+  return schema;
+}
+
+// ============================================================================
+// Document Parsing
+// ============================================================================
+
+function parseSelectionSet(p) {
+  const selections = [];
+  p.expect('{');
+  while (!p.optional('}')) {
+    if (p.optional('...')) {
+      if (p.is('on') || p.is('@') || p.is('{')) {
+        const typeCondition = p.optional('on') ? p.name() : null;
+        const directives = p.directives();
+        selections.push({
+          kind: 'InlineFragment',
+          typeCondition,
+          conditional: directives.includes('include') || directives.includes('skip'),
+          selectionSet: parseSelectionSet(p)
+        });
+      } else {
+        const name = p.name();
+        const directives = p.directives();
+        selections.push({
+          kind: 'FragmentSpread',
+          name,
+          conditional: directives.includes('include') || directives.includes('skip')
+        });
+      }
+      continue;
+    }
+
+    let alias = p.name();
+    let name = alias;
+    if (p.optional(':')) name = p.name();
+    p.skipArguments();
+    const directives = p.directives();
+    selections.push({
+      kind: 'Field',
+      alias,
+      name,
+      conditional: directives.includes('include') || directives.includes('skip'),
+      selectionSet: p.is('{') ? parseSelectionSet(p) : null
+    });
+  }
+  return selections;
+}
+
+/**
+ * Parse the operations and fragments of a GraphQL document
+ * @param {string} source - GraphQL document
+ * @param {string} [file] - File name for errors
+ * @returns {{operations: Array<Object>, fragments: Array<Object>}}
+ */
+export function parseDocument(source, file) {
+  const p = new Parser(source, file);
+  const operations = [];
+  const fragments = [];
+
+  while (p.peek().kind !== 'eof') {
+    const start = p.peek();
+
+    if (p.is('{')) {
+      throw p.error('Anonymous operations cannot be typed: give the operation a name');
+    }
+
+    const keyword = p.name();
+    if (keyword === 'fragment') {
+      const name = p.name();
+      p.expect('on');
+      const typeCondition = p.name();
+      p.directives();
+      const selectionSet = parseSelectionSet(p);
+      fragments.push({
+        name,
+        typeCondition,
+        selectionSet,
+        file,
+        source: source.slice(start.start, p.peek(-1).end)
+      });
+      continue;
+    }
+
+    if (!OPERATION_HOOKS[keyword]) {
+      throw p.error(`Unexpected "${keyword}": expected query, mutation, subscription or fragment`, start);
+    }
+    if (p.peek().kind !== 'name') {
+      throw p.error('Anonymous operations cannot be typed: give the operation a name');
+    }
+
+    const name = p.name();
+    const variables = [];
+    if (p.optional('(')) {
+      while (!p.optional(')')) {
+        p.expect('$');
+        const variable = p.name();
+        p.expect(':');
+        const type = p.type();
+        let hasDefault = false;
+        if (p.optional('=')) {
+          p.skipValue();
+          hasDefault = true;
+        }
+        p.directives();
+        variables.push({ name: variable, type, hasDefault });
+      }
+    }
+    p.directives();
+    const selectionSet = parseSelectionSet(p);
+
+    operations.push({
+      kind: keyword,
+      name,
+      variables,
+      selectionSet,
+      file,
+      source: source.slice(start.start, p.peek(-1).end)
+    });
+  }
+
+  return { operations, fragments };
+}
+
+/**
+ * Extract GraphQL documents from template literals in a .pulse file
+ * (literals starting with query/mutation/subscription/fragment, without interpolations)
+ * @param {string} source - .pulse source
+ * @returns {string[]} GraphQL documents
+ */
+export function extractPulseDocuments(source) {
+  const documents = [];
+  const pattern = /`([^`]*)`/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const text = match[1];
+    if (/^\s*(query|mutation|subscription|fragment)\b/.test(text) && !text.includes('${')) {
+      documents.push(text.trim());
+    }
+  }
+  return documents;
+}
+
+// ============================================================================
+// Type Generation
+// ============================================================================
+
+function pascalCase(name) {
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+function operationTypeName(operation) {
+  const suffix = pascalCase(operation.kind);
+  const name = pascalCase(operation.name);
+  return name.endsWith(suffix) ? name : `${name}${suffix}`;
+}
+
+/**
+ * Generates TypeScript types for operations against a schema
+ */
+class TypeGenerator {
+  constructor(schema, fragments, scalars) {
+    this.schema = schema;
+    this.fragments = fragments;
+    this.scalars = scalars;
+    this.usedEnums = new Set();
+    this.usedInputs = new Set();
+    this.errors = [];
+    this.context = '';
+  }
+
+  fail(message) {
+    this.errors.push(`${this.context}: ${message}`);
+    return 'unknown';
+  }
+
+  scalar(name) {
+    if (BUILTIN_SCALARS[name]) return BUILTIN_SCALARS[name];
+    if (this.scalars[name]) return this.scalars[name];
+    const type = this.schema.types.get(name);
+    if (type?.kind === 'ENUM') {
+      this.usedEnums.add(name);
+      return name;
+    }
+    return 'unknown';
+  }
+
+  isLeaf(name) {
+    if (BUILTIN_SCALARS[name]) return true;
+    const kind = this.schema.types.get(name)?.kind;
+    return kind === 'SCALAR' || kind === 'ENUM';
+  }
+
+  possibleTypes(name) {
+    const type = this.schema.types.get(name);
+    if (!type) return [];
+    if (type.kind === 'OBJECT') return [name];
+    return type.possibleTypes;
+  }
+
+  applies(typeCondition, concrete) {
+    return typeCondition === null || typeCondition === concrete ||
+      this.possibleTypes(typeCondition).includes(concrete);
+  }
+
+  /**
+   * Fields selected on a concrete type, by response key (fragments inlined)
+   */
+  collectFields(selectionSet, concrete, fields = new Map(), conditional = false, seen = new Set()) {
+    for (const selection of selectionSet) {
+      if (selection.kind === 'Field') {
+        const existing = fields.get(selection.alias);
+        if (existing) {
+          if (selection.selectionSet) existing.selectionSet.push(...selection.selectionSet);
+          existing.conditional = existing.conditional && (conditional || selection.conditional);
+        } else {
+          fields.set(selection.alias, {
+            name: selection.name,
+            selectionSet: selection.selectionSet ? [...selection.selectionSet] : null,
+            conditional: conditional || selection.conditional
+          });
+        }
+      } else if (selection.kind === 'InlineFragment') {
+        if (this.applies(selection.typeCondition, concrete)) {
+          this.collectFields(selection.selectionSet, concrete, fields, conditional || selection.conditional, seen);
+        }
+      } else {
+        const fragment = this.fragments.get(selection.name);
+        if (!fragment) {
+          this.fail(`Unknown fragment "${selection.name}"`);
+        } else if (!seen.has(fragment.name) && this.applies(fragment.typeCondition, concrete)) {
+          this.collectFields(fragment.selectionSet, concrete, fields, conditional || selection.conditional,
+            new Set([...seen, fragment.name]));
+        }
+      }
+    }
+    return fields;
+  }
+
+  objectShape(typeName, fields, indent) {
+    const type = this.schema.types.get(typeName);
+    const lines = [];
+    for (const [key, field] of fields) {
+      let ts;
+      if (field.name === '__typename') {
+        ts = type.kind === 'OBJECT' ? `'${typeName}'` : 'string';
+      } else {
+        const definition = type.fields.get(field.name);
+        ts = definition
+          ? this.outputType(definition.type, field.selectionSet, `${typeName}.${field.name}`, indent + '  ')
+          : this.fail(`Unknown field "${field.name}" on type "${typeName}"`);
+      }
+      lines.push(`${indent}  ${key}${field.conditional ? '?' : ''}: ${ts};`);
+    }
+    return lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : '{}';
+  }
+
+  /**
+   * Result type of a selection set on a named composite type
+   */
+  selectionType(typeName, selectionSet, indent) {
+    const type = this.schema.types.get(typeName);
+    if (!type) return this.fail(`Unknown type "${typeName}"`);
+
+    const concrete = this.possibleTypes(typeName);
+    if (type.kind === 'OBJECT' || concrete.length === 0) {
+      return this.objectShape(typeName, this.collectFields(selectionSet, typeName), indent);
+    }
+    return concrete
+      .map(name => this.objectShape(name, this.collectFields(selectionSet, name), indent))
+      .join(' | ');
+  }
+
+  outputType(ref, selectionSet, path, indent, nullable = true) {
+    if (ref.kind === 'NON_NULL') {
+      return this.outputType(ref.ofType, selectionSet, path, indent, false);
+    }
+
+    let ts;
+    if (ref.kind === 'LIST') {
+      ts = `Array<${this.outputType(ref.ofType, selectionSet, path, indent)}>`;
+    } else if (this.isLeaf(ref.name)) {
+      if (selectionSet) this.fail(`Field "${path}" of type "${ref.name}" cannot have a selection set`);
+      ts = this.scalar(ref.name);
+    } else if (!selectionSet) {
+      ts = this.fail(`Field "${path}" of type "${ref.name}" must have a selection set`);
+    } else {
+      ts = this.selectionType(ref.name, selectionSet, indent);
+      const isUnion = this.schema.types.get(ref.name)?.kind !== 'OBJECT' && this.possibleTypes(ref.name).length > 1;
+      if (isUnion && nullable) ts = `(${ts})`;
+    }
+    return nullable ? `${ts} | null` : ts;
+  }
+
+  inputType(ref, nullable = true) {
+    if (ref.kind === 'NON_NULL') return this.inputType(ref.ofType, false);
+
+    let ts;
+    if (ref.kind === 'LIST') {
+      ts = `Array<${this.inputType(ref.ofType)}>`;
+    } else {
+      const type = this.schema.types.get(ref.name);
+      if (type?.kind === 'INPUT_OBJECT') {
+        this.usedInputs.add(ref.name);
+        ts = ref.name;
+      } else if (!type && !BUILTIN_SCALARS[ref.name]) {
+        ts = this.fail(`Unknown type "${ref.name}"`);
+      } else {
+        ts = this.scalar(ref.name);
+      }
+    }
+    return nullable ? `${ts} | null` : ts;
+  }
+
+  /** `{ name: T; optional?: T | null }` for variables and input objects */
+  inputShape(entries) {
+    if (entries.length === 0) return 'Record<string, never>';
+    const lines = entries.map(({ name, type, hasDefault }) => {
+      const optional = type.kind !== 'NON_NULL' || hasDefault;
+      return `  ${name}${optional ? '?' : ''}: ${this.inputType(type)};`;
+    });
+    return `{\n${lines.join('\n')}\n}`;
+  }
+}
+
+/**
+ * Fragments used by an operation, transitively, in first-use order
+ * @param {Array} selectionSet - Selection set
+ * @param {Map<string, Object>} fragments - Fragments by name
+ * @param {Set<string>} [found] - Accumulator
+ * @returns {Set<string>} Fragment names
+ */
+function usedFragments(selectionSet, fragments, found = new Set()) {
+  for (const selection of selectionSet) {
+    if (selection.kind === 'FragmentSpread') {
+      const fragment = fragments.get(selection.name);
+      if (fragment && !found.has(fragment.name)) {
+        found.add(fragment.name);
+        usedFragments(fragment.selectionSet, fragments, found);
+      }
+    } else if (selection.selectionSet) {
+      usedFragments(selection.selectionSet, fragments, found);
+    }
+  }
+  return found;
+}
+
+function templateLiteral(text) {
+  return '`' + text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${') + '`';
+}
+
+/**
+ * Generate the wrappers module and its declarations
+ * @param {Object} schema - Schema model from parseSchema()
+ * @param {{operations: Array, fragments: Array}} documents - Parsed documents
+ * @param {Object} [options={}] - Generation options
+ * @param {Object<string, string>} [options.scalars] - TypeScript type per custom scalar (default: unknown)
+ * @param {string} [options.header] - Comment line naming the sources
+ * @returns {{js: string, dts: string}} Module and declaration source
+ * @throws {Error} Listing every invalid selection
+ */
+export function generateCode(schema, documents, options = {}) {
+  const { scalars = {}, header = '' } = options;
+  const fragments = new Map();
+  const names = new Set();
+  const errors = [];
+
+  for (const fragment of documents.fragments) {
+    if (fragments.has(fragment.name)) errors.push(`${fragment.file}: Duplicate fragment "${fragment.name}"`);
+    fragments.set(fragment.name, fragment);
+  }
+
+  const gen = new TypeGenerator(schema, fragments, scalars);
+  const declarations = [];
+  const wrappers = [];
+  const hooks = new Set();
+
+  for (const fragment of documents.fragments) {
+    gen.context = `${fragment.file}: fragment ${fragment.name}`;
+    if (!schema.types.has(fragment.typeCondition)) {
+      gen.fail(`Unknown type "${fragment.typeCondition}"`);
+      continue;
+    }
+    const shape = gen.selectionType(fragment.typeCondition, fragment.selectionSet, '');
+    declarations.push(`export type ${pascalCase(fragment.name)}Fragment = ${shape};`);
+  }
+
+  for (const operation of documents.operations) {
+    gen.context = `${operation.file}: ${operation.kind} ${operation.name}`;
+    if (names.has(operation.name)) {
+      gen.fail('Duplicate operation name');
+      continue;
+    }
+    names.add(operation.name);
+
+    const root = schema[`${operation.kind}Type`];
+    if (!root || !schema.types.has(root)) {
+      gen.fail(`The schema has no ${operation.kind} type`);
+      continue;
+    }
+
+    const typeName = operationTypeName(operation);
+    const variablesName = `${typeName}Variables`;
+    const documentName = `${pascalCase(operation.name)}Document`;
+    const hookName = `use${typeName}`;
+    const hook = OPERATION_HOOKS[operation.kind];
+    const requiresVariables = operation.variables.some(v => v.type.kind === 'NON_NULL' && !v.hasDefault);
+    hooks.add(hook);
+
+    declarations.push(`export type ${typeName} = ${gen.selectionType(root, operation.selectionSet, '')};`);
+    declarations.push(`export type ${variablesName} = ${gen.inputShape(operation.variables)};`);
+    declarations.push(`export declare const ${documentName}: string;`);
+
+    const variablesParam = `variables${requiresVariables ? '' : '?'}: ${variablesName} | (() => ${variablesName})`;
+    if (operation.kind === 'query') {
+      declarations.push([
+        `export declare function ${hookName}<TSelect = ${typeName}>(`,
+        `  ${variablesParam},`,
+        `  options?: UseQueryOptions<${typeName}, TSelect>`,
+        '): UseQueryReturn<TSelect>;'
+      ].join('\n'));
+    } else if (operation.kind === 'mutation') {
+      declarations.push([
+        `export declare function ${hookName}(`,
+        `  options?: UseMutationOptions<${typeName}, ${variablesName}>`,
+        `): UseMutationReturn<${typeName}, ${variablesName}>;`
+      ].join('\n'));
+    } else {
+      declarations.push([
+        `export declare function ${hookName}(`,
+        `  ${variablesParam},`,
+        `  options?: UseSubscriptionOptions<${typeName}>`,
+        `): UseSubscriptionReturn<${typeName}>;`
+      ].join('\n'));
+    }
+
+    const text = [operation.source, ...[...usedFragments(operation.selectionSet, fragments)]
+      .map(name => fragments.get(name).source)].join('\n\n');
+    wrappers.push(`export const ${documentName} = ${templateLiteral(text)};`);
+    wrappers.push(operation.kind === 'mutation'
+      ? `export function ${hookName}(options) {\n  return ${hook}(${documentName}, options);\n}`
+      : `export function ${hookName}(variables, options) {\n  return ${hook}(${documentName}, variables, options);\n}`);
+  }
+
+  errors.push(...gen.errors);
+  if (errors.length > 0) {
+    throw new Error(`GraphQL codegen failed:\n  ${errors.join('\n  ')}`);
+  }
+
+  // Enums and input objects referenced by the generated types (inputs may reference more)
+  const typeDeclarations = [];
+  const emitted = new Set();
+  let pending = [...gen.usedInputs];
+  while (pending.length > 0) {
+    const name = pending.shift();
+    if (emitted.has(name)) continue;
+    emitted.add(name);
+    const entries = [...schema.types.get(name).fields].map(([field, def]) => ({ name: field, ...def }));
+    typeDeclarations.push(`export interface ${name} ${gen.inputShape(entries)}`);
+    pending = pending.concat([...gen.usedInputs].filter(input => !emitted.has(input)));
+  }
+  for (const name of [...gen.usedEnums].sort()) {
+    const values = schema.types.get(name).values.map(value => `'${value}'`).join(' | ');
+    typeDeclarations.unshift(`export type ${name} = ${values || 'never'};`);
+  }
+
+  const banner = [
+    '// Generated by `pulse graphql codegen`. Do not edit: rerun the command instead.',
+    ...(header ? [`// ${header}`] : [])
+  ].join('\n');
+
+  const typeImports = [];
+  if (hooks.has('useQuery')) typeImports.push('UseQueryOptions', 'UseQueryReturn');
+  if (hooks.has('useMutation')) typeImports.push('UseMutationOptions', 'UseMutationReturn');
+  if (hooks.has('useSubscription')) typeImports.push('UseSubscriptionOptions', 'UseSubscriptionReturn');
+
+  const js = [
+    banner,
+    ...(hooks.size > 0 ? [`import { ${Object.values(OPERATION_HOOKS).filter(h => hooks.has(h)).join(', ')} } from 'pulse-js-framework/runtime/graphql';`] : []),
+    ...wrappers
+  ].join('\n\n') + '\n';
+
+  const dts = [
+    banner,
+    ...(typeImports.length > 0
+      ? [`import type {\n  ${typeImports.join(',\n  ')}\n} from 'pulse-js-framework/runtime/graphql';`]
+      : []),
+    ...typeDeclarations,
+    ...declarations
+  ].join('\n\n') + '\n';
+
+  return { js, dts };
+}
+
+// ============================================================================
+// Codegen Command
+// ============================================================================
+
+/**
+ * Load documents from files (.graphql/.gql as-is, .pulse template literals)
+ * @param {string[]} files - Absolute file paths
+ * @returns {{operations: Array, fragments: Array}}
+ */
+function loadDocuments(files) {
+  const documents = { operations: [], fragments: [] };
+  for (const file of files) {
+    const source = readFileSync(file, 'utf-8');
+    const name = relative(process.cwd(), file);
+    const texts = file.endsWith('.pulse') ? extractPulseDocuments(source) : [source];
+    for (const text of texts) {
+      const { operations, fragments } = parseDocument(text, name);
+      documents.operations.push(...operations);
+      documents.fragments.push(...fragments);
+    }
+  }
+  return documents;
+}
+
+/**
+ * Generate typed wrappers from a schema and documents on disk
+ * @param {Object} [options={}] - Codegen options
+ * @param {string} [options.schema='schema.graphql'] - Schema SDL or introspection JSON file
+ * @param {string[]} [options.documents=['src']] - Files, directories or globs to scan
+ * @param {string} [options.output='src/graphql/generated.js'] - Output module (the .d.ts is written next to it)
+ * @param {Object<string, string>} [options.scalars] - TypeScript type per custom scalar
+ * @returns {{operations: number, fragments: number, files: string[]}}
+ */
+export function runCodegen(options = {}) {
+  const config = { ...DEFAULT_CODEGEN_OPTIONS, ...options };
+  const schemaPath = resolve(config.schema);
+  if (!existsSync(schemaPath)) {
+    throw new Error(`Schema not found: ${config.schema}`);
+  }
+
+  const schema = parseSchema(readFileSync(schemaPath, 'utf-8'), config.schema);
+  const files = findPulseFiles(config.documents, { extensions: DOCUMENT_EXTENSIONS });
+  const documents = loadDocuments(files);
+
+  const { js, dts } = generateCode(schema, documents, {
+    scalars: config.scalars,
+    header: `Schema: ${relative(process.cwd(), schemaPath)}`
+  });
+
+  const jsPath = resolve(config.output);
+  const dtsPath = jsPath.replace(/\.m?js$/, '') + '.d.ts';
+  mkdirSync(dirname(jsPath), { recursive: true });
+  writeFileSync(jsPath, js);
+  writeFileSync(dtsPath, dts);
+
+  return {
+    operations: documents.operations.length,
+    fragments: documents.fragments.length,
+    files: [jsPath, dtsPath]
+  };
+}
+
+/**
+ * Parse codegen CLI arguments
+ * @param {string[]} args - CLI arguments (after "codegen")
+ * @returns {Object} Codegen options
+ */
+function parseCodegenArgs(args) {
+  const options = {};
+  const documents = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if ((arg === '--schema' || arg === '-s') && args[i + 1]) {
+      options.schema = args[++i];
+    } else if ((arg === '--output' || arg === '-o') && args[i + 1]) {
+      options.output = args[++i];
+    } else if (arg === '--scalar' && args[i + 1]) {
+      // --scalar DateTime=string
+      const [name, type] = args[++i].split('=');
+      options.scalars = { ...options.scalars, [name]: type || 'unknown' };
+    } else if (!arg.startsWith('-')) {
+      documents.push(arg);
+    }
+  }
+
+  if (documents.length > 0) options.documents = documents;
+  return options;
+}
+
+/**
+ * Run `pulse graphql <subcommand>`
+ * @param {string[]} args - CLI arguments
+ * @returns {Promise<void>}
+ */
+export async function runGraphQL(args) {
+  const [subcommand, ...rest] = args;
+
+  if (subcommand !== 'codegen') {
+    log.error(subcommand ? `Unknown graphql command: ${subcommand}` : 'Missing graphql command');
+    log.info('Usage: pulse graphql codegen [documents...] --schema <file> --output <file>');
+    process.exit(1);
+  }
+
+  try {
+    const result = runCodegen(parseCodegenArgs(rest));
+    log.success(`Generated ${result.operations} operation(s) and ${result.fragments} fragment(s):`);
+    for (const file of result.files) {
+      log.info(`  ${relative(process.cwd(), file)}`);
+    }
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export default {
+  parseSchema,
+  parseDocument,
+  extractPulseDocuments,
+  generateCode,
+  runCodegen,
+  runGraphQL
+};
@@ -372,6 +372,36 @@ Generates API documentation from JSDoc comments:
     ]
   },
 
+  graphql: {
+    name: 'graphql',
+    summary: 'Generate typed GraphQL hooks from a schema',
+    usage: 'pulse graphql codegen [documents...] [options]',
+    description: `
+Reads a schema (SDL or introspection JSON) and the named operations and
+fragments found in .graphql/.gql files and .pulse template literals, then
+writes:
+- A module with each document and a typed wrapper around useQuery,
+  useMutation or useSubscription (useGetUserQuery, useAddTodoMutation, ...)
+- A .d.ts file next to it with result, variables and fragment types
+
+Every selection is checked against the schema; unknown fields and types
+fail the command.`,
+    arguments: [
+      { name: 'codegen', description: 'Subcommand (currently the only one)' },
+      { name: '[documents...]', description: 'Files, directories or globs to scan (default: src)' }
+    ],
+    options: [
+      { flag: '--schema, -s <file>', description: 'Schema SDL or introspection JSON (default: schema.graphql)' },
+      { flag: '--output, -o <file>', description: 'Output module (default: src/graphql/generated.js)' },
+      { flag: '--scalar <Name=type>', description: 'TypeScript type for a custom scalar (repeatable)' }
+    ],
+    examples: [
+      { cmd: 'pulse graphql codegen', desc: 'Scan src/ against schema.graphql' },
+      { cmd: 'pulse graphql codegen src/queries -s schema.json', desc: 'Use an introspection result' },
+      { cmd: 'pulse graphql codegen --scalar DateTime=string', desc: 'Map a custom scalar' }
+    ]
+  },
+
   release: {
     name: 'release',
     summary: 'Create a new release',
@@ -550,7 +580,7 @@ function showGeneralHelp() {
     'Development': ['dev', 'build', 'preview'],
     'Code Quality': ['compile', 'lint', 'format', 'analyze'],
     'Testing': ['test', 'doctor'],
-    'Scaffolding': ['new', 'scaffold', 'docs'],
+    'Scaffolding': ['new', 'scaffold', 'docs', 'graphql'],
     'Release': ['release'],
     'Mobile': ['mobile'],
     'Information': ['version', 'help']
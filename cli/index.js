@@ -54,7 +54,8 @@ const commands = {
   docs: runDocsCmd,
   release: runReleaseCmd,
   'docs-test': runDocsTestCmd,
-  ssg: runSSGCmd
+  ssg: runSSGCmd,
+  graphql: runGraphQLCmd
 };
 
 // Command aliases for common typos
@@ -1060,6 +1061,14 @@ async function runSSGCmd(args) {
   await runSSG(args);
 }
 
+/**
+ * Run GraphQL tooling (codegen)
+ */
+async function runGraphQLCmd(args) {
+  const { runGraphQL } = await import('./graphql.js');
+  await runGraphQL(args);
+}
+
 /**
  * Preview production build
  */
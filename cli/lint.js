@@ -37,6 +37,10 @@ export const LintRules = {
   'unused-state': { severity: 'warning', fixable: false },
   'unused-action': { severity: 'warning', fixable: false },
 
+  // Control flow rules (warnings)
+  'duplicate-case': { severity: 'warning', fixable: false },
+  'unreachable-case': { severity: 'warning', fixable: false },
+
   // Style rules (info)
   'naming-page': { severity: 'info', fixable: false },
   'naming-state': { severity: 'info', fixable: false },
@@ -303,6 +307,23 @@ export class SemanticAnalyzer {
         this.checkViewReferences(node.body);
         break;
 
+      case 'AwaitDirective':
+        this.checkExpression(node.promise, node.line, node.column);
+        // The @then/@catch parameters are local, like @each item variables
+        this.checkViewReferences({ children: node.pending });
+        this.checkViewReferences(node.then);
+        this.checkViewReferences(node.catch);
+        break;
+
+      case 'SwitchDirective':
+        this.checkExpression(node.discriminant, node.line, node.column);
+        for (const branch of node.cases) {
+          this.checkExpression(branch.test, branch.line, branch.column);
+          this.checkViewReferences(branch);
+        }
+        this.checkSwitchCases(node);
+        break;
+
       case 'SlotElement':
         // Slots are fine, check fallback content if any
         if (node.fallback) {
@@ -320,6 +341,50 @@ export class SemanticAnalyzer {
     }
   }
 
+  /**
+   * Check @switch branches: only the first matching branch renders, so a
+   * repeated value or a second @default can never be reached
+   */
+  checkSwitchCases(node) {
+    const seen = new Map();  // case key -> first branch
+    const hasDefault = node.cases.some(branch => !branch.test);
+    let defaultBranch = null;
+
+    for (const branch of node.cases) {
+      if (!branch.test) {
+        if (defaultBranch) {
+          this.addDiagnostic('warning', 'unreachable-case',
+            `Unreachable @default: @switch already has a @default at line ${defaultBranch.line}`,
+            branch.line || 1, branch.column || 1);
+        } else {
+          defaultBranch = branch;
+        }
+        continue;
+      }
+
+      // Case values become object keys, so 1 and '1' select the same branch
+      const key = String(branch.test.value);
+      const first = seen.get(key);
+
+      if (!first) {
+        seen.set(key, branch);
+        if (key === 'default' && hasDefault) {
+          this.addDiagnostic('warning', 'unreachable-case',
+            "Unreachable @case ('default'): the @default branch uses the same key",
+            branch.line || 1, branch.column || 1);
+        }
+      } else if (typeof first.test.value === typeof branch.test.value) {
+        this.addDiagnostic('warning', 'duplicate-case',
+          `Duplicate @case: the same value is handled at line ${first.line}`,
+          branch.line || 1, branch.column || 1);
+      } else {
+        this.addDiagnostic('warning', 'unreachable-case',
+          `Unreachable @case (${JSON.stringify(branch.test.value)}): it matches the same key as the @case at line ${first.line}`,
+          branch.line || 1, branch.column || 1);
+      }
+    }
+  }
+
   /**
    * Check an expression for undefined references
    */
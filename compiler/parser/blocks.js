@@ -329,18 +329,23 @@ Parser.prototype.parseLinkDirective = function() {
 };
 
 /**
- * Parse @outlet directive
+ * Parse @outlet directive: @outlet, @outlet("#app") or @outlet("#sidebar", "sidebar")
  */
 Parser.prototype.parseOutletDirective = function() {
   let container = null;
+  let name = null;
   if (this.is(TokenType.LPAREN)) {
     this.advance();
     if (this.is(TokenType.STRING)) {
       container = this.expect(TokenType.STRING).value;
     }
+    if (this.is(TokenType.COMMA)) {
+      this.advance();
+      name = this.expect(TokenType.STRING).value;
+    }
     this.expect(TokenType.RPAREN);
   }
-  return new ASTNode(NodeType.OutletDirective, { container });
+  return new ASTNode(NodeType.OutletDirective, { container, name });
 };
 
 /**
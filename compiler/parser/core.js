@@ -45,6 +45,13 @@ export const NodeType = {
   ClientDirective: 'ClientDirective',
   ServerDirective: 'ServerDirective',
 
+  // Async boundaries
+  SuspenseDirective: 'SuspenseDirective',
+  AwaitDirective: 'AwaitDirective',
+
+  // Multi-branch control flow
+  SwitchDirective: 'SwitchDirective',
+
   Property: 'Property',
   ObjectLiteral: 'ObjectLiteral',
   ArrayLiteral: 'ArrayLiteral',
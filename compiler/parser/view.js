@@ -10,6 +10,9 @@ import { TokenType } from '../lexer.js';
 import { NodeType, ASTNode, Parser } from './core.js';
 import { SUGGESTIONS } from '../../runtime/errors.js';
 
+/** Block directives named by identifiers (@if, @for and @each are keyword tokens) */
+const BLOCK_DIRECTIVES = new Set(['suspense', 'await', 'switch']);
+
 // ============================================================
 // View Block Parsing
 // ============================================================
@@ -115,11 +118,12 @@ Parser.prototype.parseElement = function() {
   while (!this.is(TokenType.LBRACE) && !this.is(TokenType.RBRACE) &&
          !this.is(TokenType.SELECTOR) && !this.is(TokenType.EOF)) {
     if (this.is(TokenType.AT)) {
-      // Check if this is a block directive (@if, @for, @each) - if so, break
+      // Check if this is a block directive (@if, @for, @each, ...) - if so, break
       const nextToken = this.peek();
       if (nextToken && (nextToken.type === TokenType.IF ||
           nextToken.type === TokenType.FOR ||
-          nextToken.type === TokenType.EACH)) {
+          nextToken.type === TokenType.EACH ||
+          (nextToken.type === TokenType.IDENT && BLOCK_DIRECTIVES.has(nextToken.value)))) {
         break;
       }
       directives.push(this.parseInlineDirective());
@@ -245,8 +249,8 @@ Parser.prototype.parseDirective = function() {
     return this.parseIfDirective();
   }
 
-  // Handle @for - FOR is a keyword token, not IDENT
-  if (this.is(TokenType.FOR)) {
+  // Handle @for/@each - FOR and EACH are keyword tokens, not IDENT
+  if (this.is(TokenType.FOR) || this.is(TokenType.EACH)) {
     this.advance();
     return this.parseEachDirective();
   }
@@ -306,6 +310,19 @@ Parser.prototype.parseDirective = function() {
     return new ASTNode(NodeType.ServerDirective, {});
   }
 
+  // Async boundary
+  if (name === 'suspense') {
+    return this.parseSuspenseDirective();
+  }
+  if (name === 'await') {
+    return this.parseAwaitDirective();
+  }
+
+  // Multi-branch control flow
+  if (name === 'switch') {
+    return this.parseSwitchDirective();
+  }
+
   // @model directive for two-way binding
   if (name === 'model') {
     return this.parseModelDirective(modifiers);
@@ -446,6 +463,144 @@ Parser.prototype.parseIfDirective = function() {
   return new ASTNode(NodeType.IfDirective, { condition, consequent, elseIfBranches, alternate });
 }
 
+/**
+ * Parse @suspense directive with an optional @fallback block
+ * Syntax: @suspense { ... } @fallback { ... }
+ *         @suspense(timeout=5000) { ... } @fallback { ... }
+ */
+Parser.prototype.parseSuspenseDirective = function() {
+  const options = {};
+
+  if (this.is(TokenType.LPAREN)) {
+    this.advance();
+    while (!this.is(TokenType.RPAREN) && !this.is(TokenType.EOF)) {
+      const key = this.expect(TokenType.IDENT).value;
+      this.expect(TokenType.EQ);
+      options[key] = this.parseExpression();
+      if (this.is(TokenType.COMMA)) {
+        this.advance();
+      }
+    }
+    this.expect(TokenType.RPAREN);
+  }
+
+  this.expect(TokenType.LBRACE);
+  const children = [];
+  while (!this.is(TokenType.RBRACE) && !this.is(TokenType.EOF)) {
+    children.push(this.parseViewChild());
+  }
+  this.expect(TokenType.RBRACE);
+
+  let fallback = null;
+  if (this.is(TokenType.AT) && this.peek()?.value === 'fallback') {
+    this.advance(); // @
+    this.advance(); // fallback
+    this.expect(TokenType.LBRACE);
+    fallback = [];
+    while (!this.is(TokenType.RBRACE) && !this.is(TokenType.EOF)) {
+      fallback.push(this.parseViewChild());
+    }
+    this.expect(TokenType.RBRACE);
+  }
+
+  return new ASTNode(NodeType.SuspenseDirective, { children, fallback, options });
+}
+
+/**
+ * Parse @await directive with optional @then and @catch branches
+ * Syntax: @await (promise) { pending } @then (value) { ... } @catch (err) { ... }
+ */
+Parser.prototype.parseAwaitDirective = function() {
+  this.expect(TokenType.LPAREN);
+  const promise = this.parseExpression();
+  this.expect(TokenType.RPAREN);
+
+  const parseBlock = () => {
+    this.expect(TokenType.LBRACE);
+    const children = [];
+    while (!this.is(TokenType.RBRACE) && !this.is(TokenType.EOF)) {
+      children.push(this.parseViewChild());
+    }
+    this.expect(TokenType.RBRACE);
+    return children;
+  };
+
+  // @then (value) { ... } / @catch (err) { ... } - the parameter is optional
+  const parseBranch = (name) => {
+    if (!this.is(TokenType.AT) || this.peek()?.value !== name) return null;
+    this.advance(); // @
+    this.advance(); // then/catch
+    let param = null;
+    if (this.is(TokenType.LPAREN)) {
+      this.advance();
+      param = this.expect(TokenType.IDENT, `Expected a parameter name after @${name}`).value;
+      this.expect(TokenType.RPAREN);
+    }
+    return { param, children: parseBlock() };
+  };
+
+  const pending = parseBlock();
+  const then = parseBranch('then');
+  const onError = parseBranch('catch');
+
+  return new ASTNode(NodeType.AwaitDirective, { promise, pending, then, catch: onError });
+}
+
+/**
+ * Parse @switch directive with @case and @default branches
+ * Syntax: @switch (expr) { @case (value) { ... } @default { ... } }
+ * Case values are literals (string, number, boolean or null): they become the
+ * keys of a match() cases object. Every branch is kept in source order
+ * (including repeated @default) so the linter can report duplicate and
+ * unreachable cases.
+ */
+Parser.prototype.parseSwitchDirective = function() {
+  this.expect(TokenType.LPAREN);
+  const discriminant = this.parseExpression();
+  this.expect(TokenType.RPAREN);
+
+  this.expect(TokenType.LBRACE);
+  const cases = [];
+  while (!this.is(TokenType.RBRACE) && !this.is(TokenType.EOF)) {
+    const startToken = this.expect(TokenType.AT);
+    // Keyword tokens (@if, @for) are reported by name too
+    const branch = this.advance();
+
+    let test = null;
+    if (branch.type === TokenType.IDENT && branch.value === 'case') {
+      this.expect(TokenType.LPAREN);
+      const valueToken = this.current();
+      test = this.parseExpression();
+      this.expect(TokenType.RPAREN);
+
+      if (test.type === NodeType.UnaryExpression && test.operator === '-' &&
+          test.argument.type === NodeType.Literal && typeof test.argument.value === 'number') {
+        test = new ASTNode(NodeType.Literal, { value: -test.argument.value });
+      }
+      if (test.type !== NodeType.Literal) {
+        throw this.createError(
+          '@case value must be a literal (string, number, boolean or null); use @if for computed conditions',
+          valueToken
+        );
+      }
+    } else if (branch.type !== TokenType.IDENT || branch.value !== 'default') {
+      throw this.createError(`Expected @case or @default inside @switch, got @${branch.value}`, branch);
+    }
+
+    this.expect(TokenType.LBRACE);
+    const children = [];
+    while (!this.is(TokenType.RBRACE) && !this.is(TokenType.EOF)) {
+      children.push(this.parseViewChild());
+    }
+    this.expect(TokenType.RBRACE);
+
+    cases.push({ test, children, line: startToken.line, column: startToken.column });
+  }
+  this.expect(TokenType.RBRACE);
+
+  return new ASTNode(NodeType.SwitchDirective, { discriminant, cases });
+}
+
 /**
  * Parse @each/@for directive with optional key function
  * Syntax: @for (item of items) key(item.id) { ... }
@@ -473,6 +628,26 @@ Parser.prototype.parseEachDirective = function() {
     this.expect(TokenType.RPAREN);
   }
 
+  // Parse optional list animations: animate or animate(duration=200, move=false)
+  // (a bare 'animate' before the block lexes as a selector)
+  let animate = null;
+  if ((this.is(TokenType.IDENT) || this.is(TokenType.SELECTOR)) && this.current().value === 'animate') {
+    this.advance(); // consume 'animate'
+    animate = {};
+    if (this.is(TokenType.LPAREN)) {
+      this.advance();
+      while (!this.is(TokenType.RPAREN) && !this.is(TokenType.EOF)) {
+        const key = this.expect(TokenType.IDENT).value;
+        this.expect(TokenType.EQ);
+        animate[key] = this.parseExpression();
+        if (this.is(TokenType.COMMA)) {
+          this.advance();
+        }
+      }
+      this.expect(TokenType.RPAREN);
+    }
+  }
+
   this.expect(TokenType.LBRACE);
   const template = [];
   while (!this.is(TokenType.RBRACE) && !this.is(TokenType.EOF)) {
@@ -480,7 +655,7 @@ Parser.prototype.parseEachDirective = function() {
   }
   this.expect(TokenType.RBRACE);
 
-  return new ASTNode(NodeType.EachDirective, { itemName, iterable, template, keyExpr });
+  return new ASTNode(NodeType.EachDirective, { itemName, iterable, template, keyExpr, animate });
 }
 
 /**
@@ -51,6 +51,21 @@ export function generateImports(transformer) {
     runtimeImports.push('useProp');
   }
 
+  // Add suspense if the view has @suspense boundaries
+  if (transformer.usesSuspense) {
+    runtimeImports.push('suspense');
+  }
+
+  // Add awaitBlock if the view has @await blocks
+  if (transformer.usesAwait) {
+    runtimeImports.push('awaitBlock');
+  }
+
+  // Add match if the view has @switch blocks
+  if (transformer.usesMatch) {
+    runtimeImports.push('match');
+  }
+
   lines.push(`import { ${runtimeImports.join(', ')} } from '${options.runtime}';`);
 
   // A11y imports (if a11y features are used)
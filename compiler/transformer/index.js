@@ -63,6 +63,11 @@ export class Transformer {
       announce: false
     };
 
+    // Track @suspense, @await and @switch usage for conditional runtime imports
+    this.usesSuspense = false;
+    this.usesAwait = false;
+    this.usesMatch = false;
+
     // Source map tracking
     this.sourceMap = null;
     this._currentLine = 0;
@@ -136,11 +141,45 @@ export class Transformer {
   }
 
   /**
-   * Pre-scan AST for a11y directive usage
+   * Pre-scan AST for a11y directive usage (and @suspense/@await/@switch blocks)
    */
   _scanA11yUsage(node) {
     if (!node) return;
 
+    if (node.type === 'SuspenseDirective') {
+      this.usesSuspense = true;
+      for (const child of node.fallback || []) {
+        this._scanA11yUsage(child);
+      }
+    }
+
+    if (node.type === 'AwaitDirective') {
+      this.usesAwait = true;
+      const branches = [node.pending, node.then?.children, node.catch?.children];
+      for (const child of branches.flat().filter(Boolean)) {
+        this._scanA11yUsage(child);
+      }
+    }
+
+    if (node.type === 'SwitchDirective') {
+      this.usesMatch = true;
+      for (const branch of node.cases) {
+        for (const child of branch.children) {
+          this._scanA11yUsage(child);
+        }
+      }
+    }
+
+    // Control flow bodies
+    for (const child of [...(node.consequent || []), ...(node.alternate || []), ...(node.template || [])]) {
+      this._scanA11yUsage(child);
+    }
+    for (const branch of node.elseIfBranches || []) {
+      for (const child of branch.consequent || []) {
+        this._scanA11yUsage(child);
+      }
+    }
+
     // Check directives for a11y usage
     if (node.directives) {
       for (const directive of node.directives) {
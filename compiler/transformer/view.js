@@ -66,7 +66,12 @@ export const VIEW_NODE_HANDLERS = {
   [NodeType.SrOnlyDirective]: 'transformSrOnlyDirective',
   // SSR directives
   [NodeType.ClientDirective]: 'transformClientDirective',
-  [NodeType.ServerDirective]: 'transformServerDirective'
+  [NodeType.ServerDirective]: 'transformServerDirective',
+  // Async boundaries
+  [NodeType.SuspenseDirective]: 'transformSuspenseDirective',
+  [NodeType.AwaitDirective]: 'transformAwaitDirective',
+  // Multi-branch control flow
+  [NodeType.SwitchDirective]: 'transformSwitchDirective'
 };
 
 /**
@@ -166,6 +171,12 @@ export function transformViewNode(transformer, node, indent = 0) {
         return transformClientDirective(transformer, node, indent);
       case NodeType.ServerDirective:
         return transformServerDirective(transformer, node, indent);
+      case NodeType.SuspenseDirective:
+        return transformSuspenseDirective(transformer, node, indent);
+      case NodeType.AwaitDirective:
+        return transformAwaitDirective(transformer, node, indent);
+      case NodeType.SwitchDirective:
+        return transformSwitchDirective(transformer, node, indent);
       default:
         return `${' '.repeat(indent)}/* unknown node: ${node.type} */`;
     }
@@ -235,6 +246,9 @@ export function transformLinkDirective(transformer, node, indent) {
 export function transformOutletDirective(transformer, node, indent) {
   const pad = ' '.repeat(indent);
   const container = node.container ? `'${node.container}'` : "'#app'";
+  if (node.name) {
+    return `${pad}router.outlet(${container}, { name: ${JSON.stringify(node.name)} })`;
+  }
   return `${pad}router.outlet(${container})`;
 }
 
@@ -820,6 +834,84 @@ export function transformServerDirective(transformer, node, indent) {
   return `${pad}ServerOnly(() => ${content})`;
 }
 
+/**
+ * Transform @suspense directive - wraps content in suspense()
+ * The content shows the @fallback block until the async resources it creates
+ * have loaded.
+ * @param {Object} transformer - Transformer instance
+ * @param {Object} node - Suspense directive node
+ * @param {number} indent - Indentation level
+ * @returns {string} JavaScript code
+ */
+export function transformSuspenseDirective(transformer, node, indent) {
+  const pad = ' '.repeat(indent);
+  transformer.usesSuspense = true;
+
+  const wrap = (nodes) => {
+    const items = nodes.map(child => transformViewNode(transformer, child, indent + 4));
+    return items.length === 1
+      ? items[0].trim()
+      : `[\n${items.join(',\n')}\n${pad}  ]`;
+  };
+
+  const fallbackCode = node.fallback && node.fallback.length > 0
+    ? `() => ${wrap(node.fallback)}`
+    : 'null';
+
+  let code = `${pad}suspense(\n`;
+  code += `${pad}  ${fallbackCode},\n`;
+  code += `${pad}  () => ${wrap(node.children || [])}`;
+
+  const options = Object.entries(node.options || {});
+  if (options.length > 0) {
+    const optionsCode = options
+      .map(([key, value]) => `${key}: ${transformExpression(transformer, value)}`)
+      .join(', ');
+    code += `,\n${pad}  { ${optionsCode} }`;
+  }
+
+  return `${code}\n${pad})`;
+}
+
+/**
+ * Transform @await directive - compiles onto awaitBlock()
+ * Re-evaluating the promise expression replaces the previous promise; its
+ * result is then ignored.
+ * @param {Object} transformer - Transformer instance
+ * @param {Object} node - Await directive node
+ * @param {number} indent - Indentation level
+ * @returns {string} JavaScript code
+ */
+export function transformAwaitDirective(transformer, node, indent) {
+  const pad = ' '.repeat(indent);
+  transformer.usesAwait = true;
+  const promise = transformExpression(transformer, node.promise);
+
+  const wrap = (nodes) => {
+    const items = nodes.map(child => transformViewNode(transformer, child, indent + 6));
+    return items.length === 1
+      ? items[0].trim()
+      : `[\n${items.join(',\n')}\n${pad}    ]`;
+  };
+
+  const branches = [];
+  if (node.pending.length > 0) {
+    branches.push(`${pad}    pending: () => ${wrap(node.pending)}`);
+  }
+  for (const name of ['then', 'catch']) {
+    const branch = node[name];
+    if (branch && branch.children.length > 0) {
+      const param = branch.param ? validateIdentifier(branch.param) : '';
+      branches.push(`${pad}    ${name}: (${param}) => ${wrap(branch.children)}`);
+    }
+  }
+
+  let code = `${pad}awaitBlock(\n`;
+  code += `${pad}  () => ${promise},\n`;
+  code += branches.length > 0 ? `${pad}  {\n${branches.join(',\n')}\n${pad}  }` : `${pad}  {}`;
+  return `${code}\n${pad})`;
+}
+
 /**
  * Check if an expression references any state variables
  * @param {Object} transformer - Transformer instance
@@ -1049,6 +1141,53 @@ export function transformIfDirective(transformer, node, indent) {
   );
 }
 
+/**
+ * Transform @switch directive - compiles onto match()
+ * Case literals become keys of the cases object. Like a JS switch, the first
+ * branch wins: repeated values and extra @default branches are dropped (the
+ * linter reports them).
+ * @param {Object} transformer - Transformer instance
+ * @param {Object} node - Switch directive node
+ * @param {number} indent - Indentation level
+ * @returns {string} JavaScript code
+ */
+export function transformSwitchDirective(transformer, node, indent) {
+  const pad = ' '.repeat(indent);
+  const discriminant = transformExpression(transformer, node.discriminant);
+
+  const branchCode = (children) => {
+    const items = children.map(c => transformViewNode(transformer, c, indent + 6));
+    return items.length === 1
+      ? items[0].trim()
+      : `[\n${items.join(',\n')}\n${pad}    ]`;
+  };
+
+  const entries = [];
+  const seen = new Set();
+  let defaultCode = null;
+
+  for (const branch of node.cases) {
+    if (!branch.test) {
+      if (defaultCode === null) defaultCode = branchCode(branch.children);
+      continue;
+    }
+    // Object keys are strings: 1 and '1' select the same branch
+    const key = String(branch.test.value);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    entries.push(`${pad}    [${transformExpression(transformer, branch.test)}]: () => ${branchCode(branch.children)}`);
+  }
+
+  if (defaultCode !== null) {
+    entries.push(`${pad}    default: () => ${defaultCode}`);
+  }
+
+  let code = `${pad}match(\n`;
+  code += `${pad}  () => ${discriminant},\n`;
+  code += entries.length > 0 ? `${pad}  {\n${entries.join(',\n')}\n${pad}  }` : `${pad}  {}`;
+  return `${code}\n${pad})`;
+}
+
 /**
  * Transform @each directive
  * @param {Object} transformer - Transformer instance
@@ -1073,6 +1212,17 @@ export function transformEachDirective(transformer, node, indent) {
   if (node.keyExpr) {
     const keyExprCode = transformExpression(transformer, node.keyExpr);
     code += `,\n${pad}  (${node.itemName}) => ${keyExprCode}`;
+  } else if (node.animate) {
+    code += `,\n${pad}  undefined`;
+  }
+
+  // Add list animations if requested
+  if (node.animate) {
+    const options = Object.entries(node.animate);
+    const animateCode = options.length === 0
+      ? 'true'
+      : `{ ${options.map(([key, value]) => `${key}: ${transformExpression(transformer, value)}`).join(', ')} }`;
+    code += `,\n${pad}  { animate: ${animateCode} }`;
   }
 
   code += `\n${pad})`;
@@ -47,7 +47,9 @@ const { data, loading, error } = useQuery(\`
   timeout: 30000,                          // Request timeout (ms)
   cache: true,                             // Enable query caching (default: true)
   staleTime: 5000,                         // Data fresh for 5s
-  dedupe: true                             // Deduplicate in-flight queries
+  dedupe: true,                            // Deduplicate in-flight queries
+  persistedQueries: true,                  // Send query hashes (APQ), full query only once
+  batch: { interval: 10, maxSize: 10 }     // Combine operations into one request
 });</code></pre>
       </div>
     </section>
@@ -242,7 +244,18 @@ client.invalidate('gql:GetUsers');
 client.invalidateAll();
 
 // Get cache statistics
-const stats = client.getCacheStats();  // { size, keys }</code></pre>
+const stats = client.getCacheStats();  // { size, keys }
+
+// Normalized cache: entities are stored once by __typename + id,
+// so a mutation returning User:42 updates every query showing that user
+const client = createGraphQLClient({
+  url: '/graphql',
+  normalize: { keyFields: { Product: ['sku'] } }
+});
+
+client.readFragment('User:42');                       // { __typename, id, name, 'posts({"first":5})', ... }
+client.writeFragment('User:42', { name: 'Ada' });     // useQuery results update
+client.evict('User:42');                              // queries selecting it refetch</code></pre>
       </div>
     </section>
 
@@ -62,7 +62,7 @@ const user = await api.post('/users', { name: 'John' });</code></pre>
 
   // Retry configuration
   retries: 3,           // Number of retry attempts
-  retryDelay: 1000,     // Delay between retries (ms)
+  retryDelay: 1000,     // Base delay between retries (ms)
   retryCondition: (error) => {
     // Custom retry logic
     return error.code === 'NETWORK' || error.status >= 500;
@@ -523,7 +523,18 @@ function UserList() {
         <pre><code>const api = createHttp({
   baseURL: 'https://api.example.com',
   retries: 3,        // Retry up to 3 times
-  retryDelay: 1000,  // Wait 1 second between retries
+  retryDelay: 1000,  // Fixed 1s by default; backoff: 'exponential' gives 1s, 2s, 4s...
+  backoff: 'exponential',
+  jitter: true,      // Randomize half of each delay (default: false)
+  maxRetryDelay: 30000,
+  respectRetryAfter: true, // Honor Retry-After on 429/503 (default: false)
+
+  // Every method is retried by default; with a list, other methods are only
+  // retried with { idempotent: true } or an Idempotency-Key header
+  retryMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+
+  // Fail fast with error.code === 'CIRCUIT_OPEN' after 5 failures per host
+  circuitBreaker: { failureThreshold: 5, resetTimeout: 30000 },
 
   // Custom retry condition (default: network errors + 5xx)
   retryCondition: (error) => {
@@ -597,7 +608,7 @@ button.addEventListener('click', () => execute());</code></pre>
 // Cached resource with SWR pattern
 const users = useHttpResource(
   'users',                        // Cache key
-  () => api.get('/users'),
+  (request) => api.get('/users', request),  // request.skipCache is set by refresh()
   {
     refreshInterval: 30000,       // Auto-refresh every 30s
     refreshOnFocus: true,         // Refresh when window gains focus
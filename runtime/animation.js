@@ -55,6 +55,17 @@ function _shouldAnimate() {
   return true;
 }
 
+/**
+ * Whether animations currently run: false during SSR, when disabled with
+ * configureAnimations(), or when the user prefers reduced motion.
+ * Lets callers skip layout work for animations that would be no-ops.
+ *
+ * @returns {boolean}
+ */
+export function animationsEnabled() {
+  return _shouldAnimate();
+}
+
 function _getEffectiveDuration(duration) {
   if (!_shouldAnimate()) return 0;
   return duration ?? _config.defaultDuration;
@@ -532,4 +543,5 @@ export default {
   useSpring,
   stagger,
   configureAnimations,
+  animationsEnabled,
 };
@@ -6,9 +6,10 @@
  * data fetching, polling, and async state management.
  */
 
-import { pulse, effect, batch, onCleanup } from './pulse.js';
+import { pulse, effect, computed, batch, onCleanup } from './pulse.js';
 import { getSSRAsyncContext, registerAsync, getCachedAsync, hasCachedAsync } from './ssr-async.js';
 import { onWindowFocus, onWindowOnline, onNetworkChange } from './utils.js';
+import { trackSuspense } from './suspense.js';
 
 // ============================================================================
 // Versioned Async - Centralized Race Condition Handling
@@ -471,6 +472,7 @@ export function useAsync(asyncFn, options = {}) {
   if (immediate) {
     execute();
   }
+  trackSuspense(loading);
 
   return {
     data,
@@ -498,6 +500,16 @@ export function useAsync(asyncFn, options = {}) {
 // Global resource cache
 const resourceCache = new Map();
 
+// Live useResource/useInfiniteResource instances, for invalidateResources() and setResourceData()
+const resourceSubscribers = new Set();
+
+// Optimistic writes of pending useResourceMutation calls, by resource key:
+// { base, value, writes: [{ mutation, updater, settled }] }
+const optimisticWrites = new Map();
+
+// Token of the useResourceMutation call whose optimistic update is running
+let activeMutation = null;
+
 /**
  * Create a reactive resource with caching, auto-refresh, and stale-while-revalidate.
  * Similar to React Query or SWR patterns.
@@ -718,9 +730,29 @@ export function useResource(key, fetcher, options = {}) {
   // Track current key for change detection
   let lastKey = null;
 
+  const subscriber = {
+    key: () => lastKey,
+    current: () => data.peek(),
+    refresh,
+    receive(newData) {
+      // Newer than any fetch in flight
+      versionController.begin();
+      batch(() => {
+        data.set(newData);
+        error.set(null);
+        loading.set(false);
+        isStale.set(false);
+        isValidating.set(false);
+        lastFetchTime.set(resourceCache.get(lastKey)?.timestamp || Date.now());
+      });
+    }
+  };
+  resourceSubscribers.add(subscriber);
+
   // Watch for key changes if key is a function
+  let stopKeyEffect = null;
   if (typeof key === 'function') {
-    effect(() => {
+    stopKeyEffect = effect(() => {
       const newKey = key();
       if (newKey !== lastKey) {
         lastKey = newKey;
@@ -732,13 +764,17 @@ export function useResource(key, fetcher, options = {}) {
     lastKey = key;
     fetch();
   }
+  trackSuspense(loading);
 
   const dispose = () => {
+    if (stopKeyEffect) stopKeyEffect();
     if (intervalId) {
       clearInterval(intervalId);
       intervalId = null;
     }
+    resourceSubscribers.delete(subscriber);
   };
+  onCleanup(dispose);
 
   return {
     data,
@@ -755,6 +791,623 @@ export function useResource(key, fetcher, options = {}) {
   };
 }
 
+/**
+ * @typedef {Object} InfiniteResourceOptions
+ * @property {*} [initialPageParam=1] - Param of the first page (a page number, or e.g. null for cursors)
+ * @property {function(*, Array, *): *} [getNextPageParam] - (lastPage, pages, lastPageParam) => param of
+ *   the next page, or undefined/null when there is none. Default: next page number while pages have items
+ * @property {function(*, Array, *): *} [getPreviousPageParam] - (firstPage, pages, firstPageParam) => param
+ *   of the previous page. Default: previous page number down to initialPageParam
+ * @property {number} [pageSize] - Default page-number mode: a page with fewer items is the last one
+ * @property {function(*): Array} [getItems] - Items of a page (default: the page if it is an array,
+ *   else page.items or page.data)
+ * @property {function(Array): *} [merge] - Build `data` from the loaded pages (default: concatenated items)
+ * @property {number} [maxPages] - Keep at most this many pages, dropping from the opposite end
+ * @property {function(Error): void} [onError] - Error callback
+ * @property {number} [staleTime=0] - Time in ms before cached pages are considered stale
+ * @property {number} [cacheTime=300000] - Time in ms to keep pages in cache
+ */
+
+const defaultGetItems = (page) => {
+  if (Array.isArray(page)) return page;
+  return page?.items ?? page?.data ?? [];
+};
+
+/**
+ * Create a reactive paginated resource: pages are fetched one at a time with
+ * fetchNextPage()/fetchPreviousPage() and merged into `data`.
+ *
+ * Loaded pages are cached under `key` in the same cache as useResource
+ * (cleared by clearResourceCache()); another infinite resource using the key
+ * starts from the cached pages. Use keys distinct from plain useResource keys.
+ *
+ * @template P, I
+ * @param {string|function(): string} key - Cache key or function returning key (a key change reloads from the first page)
+ * @param {function(*, {direction: 'next'|'previous'|'initial'}): Promise<P>} fetchPage - Fetch one page by param
+ * @param {InfiniteResourceOptions} [options={}] - Configuration options
+ * @returns {Object} Reactive pages, merged data and pagination controls
+ *
+ * @example
+ * // Cursor-based feed
+ * const feed = useInfiniteResource(
+ *   'feed',
+ *   (cursor) => api.get('/feed', { params: { cursor } }).then(r => r.data),
+ *   { initialPageParam: null, getNextPageParam: (last) => last.nextCursor }
+ * );
+ * el('button', 'Load more', {
+ *   onclick: () => feed.fetchNextPage(),
+ *   disabled: () => !feed.hasNextPage.get()
+ * });
+ *
+ * // Page numbers: ?page=1, 2, ... until a page has fewer than 20 rows
+ * const rows = useInfiniteResource('rows', (page) => fetchRows(page), { pageSize: 20 });
+ */
+export function useInfiniteResource(key, fetchPage, options = {}) {
+  const {
+    initialPageParam = 1,
+    pageSize,
+    getItems = defaultGetItems,
+    merge,
+    maxPages,
+    onError,
+    staleTime = 0,
+    cacheTime = 300000
+  } = options;
+
+  const getNextPageParam = options.getNextPageParam || ((lastPage, pages, lastPageParam) => {
+    const items = getItems(lastPage);
+    if (items.length === 0 || (pageSize && items.length < pageSize)) return undefined;
+    return lastPageParam + 1;
+  });
+  const getPreviousPageParam = options.getPreviousPageParam || (options.getNextPageParam
+    ? () => undefined
+    : (firstPage, pages, firstPageParam) => (firstPageParam > initialPageParam ? firstPageParam - 1 : undefined));
+
+  const pages = pulse([]);
+  const pageParams = pulse([]);
+  const error = pulse(null);
+  const loading = pulse(false);
+  const isStale = pulse(false);
+  const isFetchingNextPage = pulse(false);
+  const isFetchingPreviousPage = pulse(false);
+
+  const data = computed(() => {
+    const loaded = pages.get();
+    return merge ? merge(loaded) : loaded.flatMap(page => getItems(page));
+  });
+
+  const nextPageParam = computed(() => {
+    const loaded = pages.get();
+    if (loaded.length === 0) return undefined;
+    const params = pageParams.get();
+    return getNextPageParam(loaded[loaded.length - 1], loaded, params[params.length - 1]);
+  });
+  const previousPageParam = computed(() => {
+    const loaded = pages.get();
+    if (loaded.length === 0) return undefined;
+    return getPreviousPageParam(loaded[0], loaded, pageParams.get()[0]);
+  });
+  const hasNextPage = computed(() => nextPageParam.get() != null);
+  const hasPreviousPage = computed(() => previousPageParam.get() != null);
+
+  // Aborted when the key changes or the resource reloads
+  const versionController = createVersionedAsync();
+  let currentCtx = versionController.begin();
+  let inflight = null;
+
+  function getCacheKey() {
+    return typeof key === 'function' ? key() : key;
+  }
+
+  function setState(nextPages, nextParams) {
+    batch(() => {
+      pages.set(nextPages);
+      pageParams.set(nextParams);
+    });
+    resourceCache.set(getCacheKey(), {
+      data: { pages: nextPages, pageParams: nextParams },
+      timestamp: Date.now()
+    });
+  }
+
+  function fail(err) {
+    error.set(err);
+    if (onError) onError(err);
+    return null;
+  }
+
+  /**
+   * Fetch pages from the first one: as many as were loaded, or one
+   * @param {number} count - Number of pages to load
+   * @param {boolean} background - Keep the current pages visible while loading
+   */
+  async function load(count, background) {
+    const ctx = currentCtx = versionController.begin();
+    inflight = null;
+    batch(() => {
+      error.set(null);
+      isFetchingNextPage.set(false);
+      isFetchingPreviousPage.set(false);
+      if (background) {
+        isStale.set(true);
+      } else {
+        pages.set([]);
+        pageParams.set([]);
+        loading.set(true);
+      }
+    });
+
+    const nextPages = [];
+    const nextParams = [];
+    let param = background ? pageParams.peek()[0] ?? initialPageParam : initialPageParam;
+
+    try {
+      while (nextPages.length < Math.max(count, 1)) {
+        const page = await fetchPage(param, { direction: 'initial' });
+        if (ctx.isStale()) return null;
+        nextPages.push(page);
+        nextParams.push(param);
+        param = getNextPageParam(page, nextPages, param);
+        if (param == null) break;
+      }
+    } catch (err) {
+      if (ctx.isStale()) return null;
+      loading.set(false);
+      isStale.set(false);
+      return fail(err);
+    }
+
+    batch(() => {
+      setState(nextPages, nextParams);
+      loading.set(false);
+      isStale.set(false);
+    });
+    return data.peek();
+  }
+
+  /**
+   * Load one more page at either end
+   * @param {'next'|'previous'} direction
+   */
+  function fetchAdjacent(direction) {
+    if (inflight) return inflight;
+    if (pages.peek().length === 0) {
+      return loading.peek() ? Promise.resolve(null) : load(1, false);
+    }
+
+    const param = (direction === 'next' ? nextPageParam : previousPageParam).peek();
+    if (param == null) return Promise.resolve(data.peek());
+
+    const flag = direction === 'next' ? isFetchingNextPage : isFetchingPreviousPage;
+    const ctx = currentCtx;
+    batch(() => {
+      flag.set(true);
+      error.set(null);
+    });
+
+    inflight = (async () => {
+      try {
+        const page = await fetchPage(param, { direction });
+        if (ctx.isStale()) return null;
+
+        let nextPages = direction === 'next' ? [...pages.peek(), page] : [page, ...pages.peek()];
+        let nextParams = direction === 'next' ? [...pageParams.peek(), param] : [param, ...pageParams.peek()];
+        if (maxPages && nextPages.length > maxPages) {
+          const drop = nextPages.length - maxPages;
+          nextPages = direction === 'next' ? nextPages.slice(drop) : nextPages.slice(0, maxPages);
+          nextParams = direction === 'next' ? nextParams.slice(drop) : nextParams.slice(0, maxPages);
+        }
+
+        batch(() => {
+          setState(nextPages, nextParams);
+          flag.set(false);
+        });
+        return data.peek();
+      } catch (err) {
+        if (ctx.isStale()) return null;
+        flag.set(false);
+        return fail(err);
+      } finally {
+        if (currentCtx === ctx) inflight = null;
+      }
+    })();
+    return inflight;
+  }
+
+  /**
+   * Load from cache when fresh, else (re)fetch the first page
+   */
+  function fetch() {
+    const cached = resourceCache.get(getCacheKey());
+    if (cached && Array.isArray(cached.data?.pages)) {
+      const age = Date.now() - cached.timestamp;
+      if (age < cacheTime) {
+        currentCtx = versionController.begin();
+        inflight = null;
+        batch(() => {
+          pages.set(cached.data.pages);
+          pageParams.set(cached.data.pageParams);
+          error.set(null);
+          loading.set(false);
+        });
+        // Stale: show the cached pages while they are refetched
+        return age > staleTime ? load(cached.data.pages.length, true) : Promise.resolve(data.peek());
+      }
+      resourceCache.delete(getCacheKey());
+    }
+    return load(1, false);
+  }
+
+  /**
+   * Refetch the loaded pages, keeping them visible meanwhile
+   */
+  function refresh() {
+    return load(pages.peek().length, pages.peek().length > 0);
+  }
+
+  /**
+   * Drop the loaded pages and fetch the first page again
+   */
+  function reset() {
+    resourceCache.delete(getCacheKey());
+    return load(1, false);
+  }
+
+  /**
+   * Clear the cache entry; the pages are refetched on next fetch()
+   */
+  function invalidate() {
+    resourceCache.delete(getCacheKey());
+    isStale.set(true);
+  }
+
+  let lastKey = null;
+
+  const subscriber = {
+    key: () => lastKey,
+    current: () => ({ pages: pages.peek(), pageParams: pageParams.peek() }),
+    refresh,
+    receive(cached) {
+      if (!Array.isArray(cached?.pages)) return;
+      currentCtx = versionController.begin();
+      inflight = null;
+      batch(() => {
+        pages.set(cached.pages);
+        pageParams.set(cached.pageParams);
+        error.set(null);
+        loading.set(false);
+        isStale.set(false);
+        isFetchingNextPage.set(false);
+        isFetchingPreviousPage.set(false);
+      });
+    }
+  };
+  resourceSubscribers.add(subscriber);
+
+  // Reload from the first page when the key changes
+  let stopKeyEffect = null;
+  if (typeof key === 'function') {
+    stopKeyEffect = effect(() => {
+      const newKey = key();
+      if (newKey !== lastKey) {
+        lastKey = newKey;
+        fetch();
+      }
+    });
+  } else {
+    lastKey = key;
+    fetch();
+  }
+  trackSuspense(loading);
+
+  const dispose = () => {
+    if (stopKeyEffect) stopKeyEffect();
+    versionController.abort();
+    resourceSubscribers.delete(subscriber);
+  };
+  onCleanup(dispose);
+
+  return {
+    data,
+    pages,
+    pageParams,
+    error,
+    loading,
+    isStale,
+    isFetchingNextPage,
+    isFetchingPreviousPage,
+    hasNextPage,
+    hasPreviousPage,
+    fetch,
+    fetchNextPage: () => fetchAdjacent('next'),
+    fetchPreviousPage: () => fetchAdjacent('previous'),
+    refresh,
+    reset,
+    invalidate,
+    dispose
+  };
+}
+
+// ============================================================================
+// Resource Cache Invalidation and Mutations
+// ============================================================================
+
+/**
+ * Build a key matcher from a key prefix, a predicate, or an array of them
+ * @param {string|function(string): boolean|Array} target
+ * @returns {function(string): boolean}
+ */
+function matchResourceKey(target) {
+  if (typeof target === 'function') return target;
+  if (Array.isArray(target)) {
+    const matchers = target.map(matchResourceKey);
+    return (key) => matchers.some(match => match(key));
+  }
+  return (key) => typeof key === 'string' && key.startsWith(target);
+}
+
+/**
+ * Invalidate cached resources and refetch their live subscribers.
+ *
+ * Matching cache entries are dropped; each matching key in use is refetched
+ * once and the result is shared by every resource using that key.
+ *
+ * @param {string|function(string): boolean|Array<string|function(string): boolean>} target -
+ *   Key prefix, predicate on the key, or an array of them
+ * @returns {Promise<void>} Resolves when the refetches have settled
+ *
+ * @example
+ * invalidateResources('todos');                      // 'todos', 'todos:done', ...
+ * invalidateResources(key => key.endsWith(':42'));
+ */
+export function invalidateResources(target) {
+  const matches = matchResourceKey(target);
+
+  for (const key of [...resourceCache.keys()]) {
+    if (matches(key)) resourceCache.delete(key);
+  }
+
+  const byKey = new Map();
+  for (const subscriber of resourceSubscribers) {
+    const key = subscriber.key();
+    if (key == null || !matches(key)) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(subscriber);
+  }
+
+  return Promise.all([...byKey].map(async ([key, [first, ...others]]) => {
+    await first.refresh();
+    const cached = resourceCache.get(key);
+    if (!cached) return;
+    for (const subscriber of others) {
+      if (subscriber.key() === key) subscriber.receive(cached.data);
+    }
+  })).then(() => undefined);
+}
+
+/**
+ * Set the cached data of a resource and push it to every live resource using the key.
+ * Used for optimistic updates shared across components.
+ *
+ * @param {string} key - Resource key
+ * @param {*|function(*): *} updater - New data, or function of the current data
+ *   (for useInfiniteResource keys the data is `{ pages, pageParams }`)
+ * @returns {*} The previous data
+ *
+ * @example
+ * setResourceData('todos', list => [...list, todo]);
+ */
+export function setResourceData(key, updater) {
+  const previous = readResourceData(key);
+  const next = applyUpdater(updater, previous);
+
+  if (activeMutation) {
+    let entry = optimisticWrites.get(key);
+    if (!entry || entry.value !== previous) {
+      // First optimistic write, or the data was replaced since: undo back to it
+      entry = { base: previous, value: previous, writes: [] };
+      optimisticWrites.set(key, entry);
+    }
+    entry.writes.push({ mutation: activeMutation, updater, settled: false });
+    entry.value = next;
+  }
+
+  writeResourceData(key, next);
+  return previous;
+}
+
+/**
+ * Current data of a resource: cached, else held by a live resource
+ * @param {string} key - Resource key
+ * @returns {*} Data, or undefined
+ */
+function readResourceData(key) {
+  const cached = resourceCache.get(key);
+  if (cached !== undefined) return cached.data;
+  for (const subscriber of resourceSubscribers) {
+    if (subscriber.key() === key) return subscriber.current();
+  }
+  return undefined;
+}
+
+function writeResourceData(key, data) {
+  resourceCache.set(key, { data, timestamp: Date.now() });
+  for (const subscriber of resourceSubscribers) {
+    if (subscriber.key() === key) subscriber.receive(data);
+  }
+}
+
+function applyUpdater(updater, data) {
+  return typeof updater === 'function' ? updater(data) : updater;
+}
+
+/**
+ * Settle the optimistic writes of a mutation. When it failed, its writes are
+ * undone by replaying the writes of the other mutations on the data they
+ * started from, so overlapping mutations keep each other's updates.
+ * @param {Object} mutation - Mutation token
+ * @param {boolean} failed - Whether the mutation failed
+ */
+function settleOptimisticWrites(mutation, failed) {
+  for (const [key, entry] of optimisticWrites) {
+    if (!entry.writes.some(write => write.mutation === mutation)) continue;
+
+    if (!failed) {
+      for (const write of entry.writes) {
+        if (write.mutation === mutation) write.settled = true;
+      }
+    } else if (readResourceData(key) !== entry.value) {
+      // Replaced (e.g. refetched) since the optimistic writes: nothing to undo
+      optimisticWrites.delete(key);
+      continue;
+    } else {
+      entry.writes = entry.writes.filter(write => write.mutation !== mutation);
+      entry.value = entry.writes.reduce((data, write) => applyUpdater(write.updater, data), entry.base);
+      writeResourceData(key, entry.value);
+    }
+
+    if (entry.writes.every(write => write.settled)) optimisticWrites.delete(key);
+  }
+}
+
+/**
+ * @typedef {Object} ResourceMutationOptions
+ * @property {string|Array<string>|function(string, *, *): boolean} [invalidates] - Resources to invalidate
+ *   on success: key prefix(es), or a predicate called with (key, result, variables)
+ * @property {function(*): (function(Error): void|void)} [optimistic] - Apply an optimistic update before
+ *   the request; may return a rollback function
+ * @property {function(Error, *): void} [rollback] - Undo the optimistic update (instead of optimistic()'s return)
+ * @property {function(*, *): void} [onSuccess] - Called with (result, variables)
+ * @property {function(Error, *): void} [onError] - Called with (error, variables) after the rollback
+ * @property {function(*, Error|null, *): void} [onSettled] - Called after success or error
+ */
+
+/**
+ * Run mutations (e.g. REST calls) against the resource cache.
+ *
+ * Cache writes made with setResourceData() inside `optimistic` are recorded
+ * and undone automatically if the mutation fails; the updaters of other
+ * pending mutations are replayed, so pass pure updater functions. On
+ * success, the `invalidates` resources are refetched in the background.
+ *
+ * @template V, R
+ * @param {function(V): Promise<R>} mutationFn - Performs the mutation
+ * @param {ResourceMutationOptions} [options={}] - Mutation options
+ * @returns {Object} Reactive mutation state and mutate function
+ *
+ * @example
+ * const addTodo = useResourceMutation(
+ *   (todo) => api.post('/todos', todo).then(r => r.data),
+ *   {
+ *     optimistic: (todo) => setResourceData('todos', list => [...(list || []), todo]),
+ *     invalidates: 'todos'
+ *   }
+ * );
+ * await addTodo.mutate({ title: 'Milk' });
+ */
+export function useResourceMutation(mutationFn, options = {}) {
+  const { invalidates, optimistic, rollback, onSuccess, onError, onSettled } = options;
+
+  const data = pulse(null);
+  const error = pulse(null);
+  const loading = pulse(false);
+  const status = pulse('idle');
+
+  const versionController = createVersionedAsync();
+
+  /**
+   * Run the mutation
+   * @param {V} [variables] - Mutation variables
+   * @returns {Promise<R>} Mutation result (rejects with the mutation error)
+   */
+  async function mutate(variables) {
+    const ctx = versionController.begin();
+    const token = {};
+    let undo = null;
+
+    batch(() => {
+      loading.set(true);
+      error.set(null);
+      status.set('loading');
+
+      if (optimistic) {
+        activeMutation = token;
+        try {
+          undo = optimistic(variables);
+        } finally {
+          activeMutation = null;
+        }
+      }
+    });
+
+    try {
+      const result = await mutationFn(variables);
+      settleOptimisticWrites(token, false);
+
+      ctx.ifCurrent(() => {
+        batch(() => {
+          data.set(result);
+          loading.set(false);
+          status.set('success');
+        });
+      });
+
+      if (invalidates) {
+        invalidateResources(typeof invalidates === 'function'
+          ? (key) => invalidates(key, result, variables)
+          : invalidates);
+      }
+
+      if (onSuccess) onSuccess(result, variables);
+      if (onSettled) onSettled(result, null, variables);
+      return result;
+    } catch (err) {
+      batch(() => {
+        settleOptimisticWrites(token, true);
+        if (rollback) {
+          rollback(err, variables);
+        } else if (typeof undo === 'function') {
+          undo(err);
+        }
+      });
+
+      ctx.ifCurrent(() => {
+        batch(() => {
+          error.set(err);
+          loading.set(false);
+          status.set('error');
+        });
+      });
+
+      if (onError) onError(err, variables);
+      if (onSettled) onSettled(null, err, variables);
+      throw err;
+    }
+  }
+
+  /**
+   * Reset mutation state
+   */
+  function reset() {
+    versionController.abort();
+    batch(() => {
+      data.set(null);
+      error.set(null);
+      loading.set(false);
+      status.set('idle');
+    });
+  }
+
+  return {
+    data,
+    error,
+    loading,
+    status,
+    mutate,
+    reset
+  };
+}
+
 /**
  * @typedef {Object} PollingOptions
  * @property {number} interval - Polling interval in ms
@@ -909,6 +1562,7 @@ export function usePolling(asyncFn, options) {
  */
 export function clearResourceCache() {
   resourceCache.clear();
+  optimisticWrites.clear();
 }
 
 /**
@@ -926,6 +1580,10 @@ export default {
   createVersionedAsync,
   useAsync,
   useResource,
+  useInfiniteResource,
+  invalidateResources,
+  setResourceData,
+  useResourceMutation,
   usePolling,
   clearResourceCache,
   getResourceCacheStats
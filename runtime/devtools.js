@@ -38,6 +38,7 @@ import {
 import {
   timeTravelConfig,
   getIsTimeTraveling,
+  connectHistory,
   takeSnapshot,
   getHistory,
   getHistoryIndex,
@@ -156,6 +157,7 @@ export function enableDevTools(options = {}) {
       mark,
 
       // Time-travel
+      connectHistory,
       takeSnapshot,
       getHistory,
       travelTo,
@@ -246,6 +248,7 @@ export {
   mark,
 
   // Time-travel
+  connectHistory,
   takeSnapshot,
   getHistory,
   getHistoryIndex,
@@ -285,6 +288,7 @@ export default {
   mark,
 
   // Time-travel
+  connectHistory,
   takeSnapshot,
   getHistory,
   getHistoryIndex,
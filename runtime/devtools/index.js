@@ -29,6 +29,7 @@ export {
 export {
   timeTravelConfig,
   getIsTimeTraveling,
+  connectHistory,
   takeSnapshot,
   getHistory,
   getHistoryIndex,
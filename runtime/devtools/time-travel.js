@@ -38,6 +38,13 @@ let historyIndex = -1;
  */
 let isTimeTraveling = false;
 
+/**
+ * Store history stream (store.$history from historyPlugin) used instead of
+ * the snapshot list while connected
+ * @type {Object|null}
+ */
+let connectedHistory = null;
+
 // =============================================================================
 // TIME-TRAVEL API
 // =============================================================================
@@ -50,6 +57,34 @@ let isTimeTraveling = false;
  * @property {number} index - Position in history
  */
 
+/**
+ * Use a store's undo/redo history as the time-travel stream.
+ * While connected, history navigation moves the store through its own undo history
+ * (so undo/redo and devtools stay in sync) and takeSnapshot() records nothing.
+ *
+ * @param {Object} history - `store.$history` from historyPlugin
+ * @returns {function(): void} Disconnect function
+ *
+ * @example
+ * const store = createStore({ count: 0 });
+ * usePlugin(store, historyPlugin);
+ * const disconnect = connectHistory(store.$history);
+ * back(); // same as store.$undo()
+ */
+export function connectHistory(history) {
+  connectedHistory = history;
+
+  if (config.enabled) {
+    log.info('Connected to store history');
+  }
+
+  return () => {
+    if (connectedHistory === history) {
+      connectedHistory = null;
+    }
+  };
+}
+
 /**
  * Check if currently time-traveling
  * @returns {boolean}
@@ -64,7 +99,7 @@ export function getIsTimeTraveling() {
  * @returns {StateSnapshot|null}
  */
 export function takeSnapshot(action = 'manual') {
-  if (isTimeTraveling) return null;
+  if (isTimeTraveling || connectedHistory) return null;
 
   const state = {};
   for (const [id, entry] of pulseRegistry) {
@@ -100,6 +135,7 @@ export function takeSnapshot(action = 'manual') {
  * @returns {StateSnapshot[]}
  */
 export function getHistory() {
+  if (connectedHistory) return connectedHistory.entries();
   return [...stateHistory];
 }
 
@@ -108,6 +144,7 @@ export function getHistory() {
  * @returns {number}
  */
 export function getHistoryIndex() {
+  if (connectedHistory) return connectedHistory.getIndex();
   return historyIndex;
 }
 
@@ -116,6 +153,7 @@ export function getHistoryIndex() {
  * @returns {number}
  */
 export function getSnapshotCount() {
+  if (connectedHistory) return connectedHistory.entries().length;
   return stateHistory.length;
 }
 
@@ -125,6 +163,15 @@ export function getSnapshotCount() {
  * @returns {boolean} Success
  */
 export function travelTo(index) {
+  if (connectedHistory) {
+    isTimeTraveling = true;
+    try {
+      return connectedHistory.goTo(index);
+    } finally {
+      isTimeTraveling = false;
+    }
+  }
+
   if (index < 0 || index >= stateHistory.length) {
     return false;
   }
@@ -156,7 +203,7 @@ export function travelTo(index) {
  * @returns {boolean} Success
  */
 export function back() {
-  return travelTo(historyIndex - 1);
+  return travelTo(getHistoryIndex() - 1);
 }
 
 /**
@@ -164,13 +211,14 @@ export function back() {
  * @returns {boolean} Success
  */
 export function forward() {
-  return travelTo(historyIndex + 1);
+  return travelTo(getHistoryIndex() + 1);
 }
 
 /**
  * Clear all history
  */
 export function clearHistory() {
+  if (connectedHistory) connectedHistory.clear();
   stateHistory.length = 0;
   historyIndex = -1;
 }
@@ -178,6 +226,7 @@ export function clearHistory() {
 export default {
   timeTravelConfig,
   getIsTimeTraveling,
+  connectHistory,
   takeSnapshot,
   getHistory,
   getHistoryIndex,
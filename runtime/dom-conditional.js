@@ -1,12 +1,14 @@
 /**
  * Pulse DOM Conditional Module
- * Conditional rendering primitives (when, match, show)
+ * Conditional rendering primitives (when, match, show, awaitBlock)
  *
  * @module dom-conditional
  */
 
-import { effect } from './pulse.js';
+import { pulse, effect, untrack, onCleanup, fromPromise } from './pulse.js';
 import { getAdapter } from './dom-adapter.js';
+import { getSSRAsyncContext } from './ssr-async.js';
+import { trackSuspense } from './suspense.js';
 
 // =============================================================================
 // CONDITIONAL RENDERING
@@ -69,11 +71,13 @@ export function when(condition, thenTemplate, elseTemplate = null) {
  *
  * @param {Function|Pulse} getValue - Value source (reactive)
  * @param {Object} cases - Map of value -> template, with optional 'default' key
- * @returns {Comment} Marker node for position tracking
+ * @returns {DocumentFragment} Container fragment with the matching content
  */
 export function match(getValue, cases) {
   const dom = getAdapter();
+  const container = dom.createDocumentFragment();
   const marker = dom.createComment('match');
+  dom.appendChild(container, marker);
   let currentNodes = [];
 
   effect(() => {
@@ -85,8 +89,8 @@ export function match(getValue, cases) {
     }
     currentNodes = [];
 
-    // Find matching case
-    const template = cases[value] ?? cases.default;
+    // Find matching case (own keys only: 'toString' is not a case)
+    const template = Object.prototype.hasOwnProperty.call(cases, value) ? cases[value] : cases.default;
     if (template) {
       const result = typeof template === 'function' ? template() : template;
       if (result) {
@@ -106,7 +110,164 @@ export function match(getValue, cases) {
     }
   });
 
-  return marker;
+  return container;
+}
+
+/**
+ * Render a template result after the marker
+ * @param {Object} dom - DOM adapter
+ * @param {Comment} marker - Position marker
+ * @param {Function|Node|null} template - Template (called with `arg`) or node
+ * @param {*} arg - Argument passed to a template function
+ * @returns {Node[]} Inserted nodes
+ */
+function renderAfter(dom, marker, template, arg) {
+  const nodes = [];
+  if (!template) return nodes;
+
+  const result = typeof template === 'function' ? template(arg) : template;
+  if (!result) return nodes;
+
+  const fragment = dom.createDocumentFragment();
+  for (const node of Array.isArray(result) ? result : [result]) {
+    if (dom.isNode(node)) {
+      dom.appendChild(fragment, node);
+      nodes.push(node);
+    }
+  }
+  const markerParent = dom.getParentNode(marker);
+  if (markerParent) {
+    dom.insertBefore(markerParent, fragment, dom.getNextSibling(marker));
+  }
+  return nodes;
+}
+
+/**
+ * Server rendering of an await block. The first pass registers the promise
+ * with the SSR async collector and renders the pending branch; once the data
+ * is collected, later passes render the then or catch branch.
+ * @returns {{template: Function|Node|null, arg: *}}
+ */
+function selectOnServer(ssrCtx, getPromise, templates) {
+  const key = ssrCtx.nextKey(`await:${String(getPromise)}`);
+
+  if (ssrCtx.has(key)) {
+    return { template: templates.then, arg: ssrCtx.get(key) };
+  }
+  const error = ssrCtx.getError(key);
+  if (error !== undefined) {
+    return { template: templates.catch, arg: error };
+  }
+
+  // Re-renders while still collecting must not register the same block twice
+  if (ssrCtx.collecting && !ssrCtx.pending.some(entry => entry.key === key)) {
+    let value;
+    try {
+      value = typeof getPromise === 'function' ? getPromise() : getPromise.get();
+    } catch (err) {
+      return { template: templates.catch, arg: err };
+    }
+    if (!value || typeof value.then !== 'function') {
+      return { template: templates.then, arg: value };
+    }
+    ssrCtx.register(key, Promise.resolve(value));
+    // Rejections are rendered by the catch branch, not reported as unhandled
+    ssrCtx.pending[ssrCtx.pending.length - 1].promise.catch(() => {});
+  }
+
+  return { template: templates.pending, arg: undefined };
+}
+
+/**
+ * Promise rendering - renders a pending, then or catch branch for a promise
+ *
+ * The promise source is reactive: when it produces a new promise, the pending
+ * branch is shown again and results of the previous promise are ignored. The
+ * source receives an AbortSignal that is aborted when it is replaced or the
+ * block is cleaned up, so fetches can be cancelled. Values that are not
+ * promises render the then branch once resolved. Inside a suspense() boundary
+ * the first load suspends the boundary. During SSR the promise is collected by
+ * the async context, so renderToString() and renderToStream() output the result.
+ *
+ * @param {Function|Pulse} getPromise - Promise source (reactive), called with an AbortSignal
+ * @param {Object} templates - Branch templates
+ * @param {Function|Node} [templates.pending] - Rendered while the promise is pending
+ * @param {Function|Node} [templates.then] - Rendered with the resolved value
+ * @param {Function|Node} [templates.catch] - Rendered with the rejection reason
+ * @returns {DocumentFragment} Container fragment with the current branch
+ *
+ * @example
+ * awaitBlock(
+ *   (signal) => fetch(`/api/users/${userId.get()}`, { signal }).then(r => r.json()),
+ *   {
+ *     pending: () => el('p', 'Loading...'),
+ *     then: (user) => el('h1', user.name),
+ *     catch: (err) => el('p.error', err.message)
+ *   }
+ * );
+ */
+export function awaitBlock(getPromise, templates = {}) {
+  const dom = getAdapter();
+  const container = dom.createDocumentFragment();
+  const marker = dom.createComment('await');
+  dom.appendChild(container, marker);
+
+  const ssrCtx = getSSRAsyncContext();
+  if (ssrCtx) {
+    const { template, arg } = selectOnServer(ssrCtx, getPromise, templates);
+    renderAfter(dom, marker, template, arg);
+    return container;
+  }
+
+  const current = pulse(null);
+  let controller = null;
+
+  const abort = () => {
+    if (controller) controller.abort();
+    controller = null;
+  };
+
+  effect(() => {
+    abort();
+    controller = typeof AbortController === 'function' ? new AbortController() : null;
+
+    let promise;
+    try {
+      const value = typeof getPromise === 'function'
+        ? getPromise(controller?.signal)
+        : getPromise.get();
+      promise = Promise.resolve(value);
+    } catch (err) {
+      promise = Promise.reject(err);
+    }
+    // Each promise gets its own pulses: a stale one is no longer read
+    current.set(fromPromise(promise));
+  });
+
+  onCleanup(abort);
+  trackSuspense(() => current.get().loading.get());
+
+  let currentNodes = [];
+
+  effect(() => {
+    const { value, loading, error } = current.get();
+    const isLoading = loading.get();
+    const reason = error.get();
+    const result = value.get();
+
+    for (const node of currentNodes) {
+      dom.removeNode(node);
+    }
+
+    // Branches read their own state without re-running this effect
+    currentNodes = untrack(() => {
+      if (isLoading) return renderAfter(dom, marker, templates.pending);
+      if (reason !== null) return renderAfter(dom, marker, templates.catch, reason);
+      return renderAfter(dom, marker, templates.then, result);
+    });
+  });
+
+  return container;
 }
 
 /**
@@ -129,5 +290,6 @@ export function show(condition, element) {
 export default {
   when,
   match,
-  show
+  show,
+  awaitBlock
 };
@@ -8,6 +8,7 @@
 import { effect } from './pulse.js';
 import { getAdapter } from './dom-adapter.js';
 import { getPool } from './dom-recycle.js';
+import { animate, animationsEnabled } from './animation.js';
 
 // =============================================================================
 // LIS ALGORITHM
@@ -65,6 +66,52 @@ export function computeLIS(arr) {
   return lis.reverse();
 }
 
+// =============================================================================
+// LIST ANIMATIONS (FLIP)
+// =============================================================================
+
+const DEFAULT_LIST_ANIMATION = {
+  enter: { opacity: [0, 1] },
+  leave: { opacity: [1, 0] },
+  move: true
+};
+
+/**
+ * Normalize the `animate` option of list()
+ * @private
+ * @param {boolean|Object} option - true or { duration, easing, enter, leave, move }
+ * @returns {Object|null} Animation settings, or null when disabled
+ */
+function resolveListAnimation(option) {
+  if (!option) return null;
+  return { ...DEFAULT_LIST_ANIMATION, ...(typeof option === 'object' ? option : {}) };
+}
+
+/**
+ * First node of an item that can be measured and animated
+ * @private
+ */
+function animatedNode(nodes) {
+  return nodes.find(node => node && typeof node.getBoundingClientRect === 'function') || null;
+}
+
+/**
+ * FLIP "first" step: record where every item is before the DOM changes
+ * @private
+ * @param {Map} itemNodes - key -> entry
+ * @returns {Map} key -> { rect, top, left }
+ */
+function measureItems(itemNodes) {
+  const positions = new Map();
+  for (const [key, entry] of itemNodes) {
+    const node = animatedNode(entry.nodes);
+    if (node) {
+      positions.set(key, { rect: node.getBoundingClientRect(), top: node.offsetTop, left: node.offsetLeft });
+    }
+  }
+  return positions;
+}
+
 // =============================================================================
 // LIST RENDERING
 // =============================================================================
@@ -103,7 +150,20 @@ export function computeLIS(arr) {
  * @param {Function} keyFn - (item, index) => key (default: index)
  * @param {Object} [options] - Optional configuration
  * @param {boolean} [options.recycle=false] - Enable element recycling via pool
+ * @param {boolean|Object} [options.animate=false] - Animate reorders (FLIP), insertions and
+ *   removals with animate(). Skipped for the first render and when animations are off
+ *   (SSR, configureAnimations({ disabled }), prefers-reduced-motion)
+ * @param {number} [options.animate.duration] - Duration in ms (default: configureAnimations default)
+ * @param {string} [options.animate.easing] - Easing function
+ * @param {Array|Object|false} [options.animate.enter] - Keyframes for inserted items (default: fade in)
+ * @param {Array|Object|false} [options.animate.leave] - Keyframes for removed items (default: fade out)
+ * @param {boolean} [options.animate.move=true] - Animate items moving to a new position
  * @returns {DocumentFragment} Container fragment with reactive list
+ *
+ * @example
+ * list(() => todos.get(), (todo) => el('li', todo.text), (todo) => todo.id, {
+ *   animate: { duration: 200 }
+ * });
  */
 export function list(getItems, template, keyFn = (item, i) => i, options = {}) {
   const dom = getAdapter();
@@ -119,6 +179,43 @@ export function list(getItems, template, keyFn = (item, i) => i, options = {}) {
   let itemNodes = new Map();
   let keyOrder = []; // Track order of keys for diffing
 
+  const animation = resolveListAnimation(options.animate);
+  const moves = new WeakMap(); // node -> running move animation
+  let rendered = false;
+
+  const removeNodes = (nodes) => {
+    for (const node of nodes) {
+      // Release to recycling pool before removing (if enabled)
+      if (pool && dom.isElement(node)) {
+        pool.release(node);
+      }
+      dom.removeNode(node);
+    }
+  };
+
+  // Keep a removed item in place while it plays its leave animation, out of
+  // the flow so the remaining items can move into the space it frees
+  const leave = (entry, position) => {
+    const node = animatedNode(entry.nodes);
+    if (!node || !position || !animation.leave) {
+      removeNodes(entry.nodes);
+      return;
+    }
+    removeNodes(entry.nodes.filter(n => n !== node));
+    moves.get(node)?.cancel();
+    const { rect, top, left } = position;
+    if (typeof top === 'number' && typeof left === 'number') {
+      dom.setStyle(node, 'position', 'absolute');
+      dom.setStyle(node, 'top', `${top}px`);
+      dom.setStyle(node, 'left', `${left}px`);
+      dom.setStyle(node, 'width', `${rect.width}px`);
+      dom.setStyle(node, 'height', `${rect.height}px`);
+      dom.setStyle(node, 'margin', '0');
+    }
+    animate(node, animation.leave, { duration: animation.duration, easing: animation.easing })
+      .finished.then(() => removeNodes([node]));
+  };
+
   effect(() => {
     const items = typeof getItems === 'function' ? getItems() : getItems.get();
     const itemsArray = Array.isArray(items) ? items : Array.from(items);
@@ -141,6 +238,10 @@ export function list(getItems, template, keyFn = (item, i) => i, options = {}) {
       }
     });
 
+    // FLIP "first": positions before any DOM change
+    const animating = animation !== null && rendered && animationsEnabled();
+    const positions = animating ? measureItems(itemNodes) : null;
+
     // Phase 2: Batch create new nodes using DocumentFragment
     // When recycling is enabled, try to acquire root elements from the pool
     // before falling back to createElement
@@ -203,12 +304,10 @@ export function list(getItems, template, keyFn = (item, i) => i, options = {}) {
     // Phase 3: Remove items that are no longer present
     for (const [key, entry] of itemNodes) {
       if (!newItemNodes.has(key)) {
-        for (const node of entry.nodes) {
-          // Release to recycling pool before removing (if enabled)
-          if (pool && dom.isElement(node)) {
-            pool.release(node);
-          }
-          dom.removeNode(node);
+        if (animating) {
+          leave(entry, positions.get(key));
+        } else {
+          removeNodes(entry.nodes);
         }
         if (entry.cleanup) entry.cleanup();
       }
@@ -312,8 +411,38 @@ export function list(getItems, template, keyFn = (item, i) => i, options = {}) {
       }
     }
 
+    // FLIP "last, invert, play": animate from the old position to the new one
+    if (animating) {
+      for (const key of newKeys) {
+        const node = animatedNode(newItemNodes.get(key).nodes);
+        if (!node) continue;
+
+        if (!oldKeyIndex.has(key)) {
+          if (animation.enter) {
+            animate(node, animation.enter, { duration: animation.duration, easing: animation.easing });
+          }
+          continue;
+        }
+
+        const first = positions.get(key);
+        if (!animation.move || !first) continue;
+        // A move still running is replaced: "first" already includes its offset
+        moves.get(node)?.cancel();
+        const last = node.getBoundingClientRect();
+        const dx = first.rect.left - last.left;
+        const dy = first.rect.top - last.top;
+        if (dx === 0 && dy === 0) continue;
+
+        moves.set(node, animate(node, [
+          { transform: `translate(${dx}px, ${dy}px)` },
+          { transform: 'none' }
+        ], { duration: animation.duration, easing: animation.easing }));
+      }
+    }
+
     itemNodes = newItemNodes;
     keyOrder = newKeys;
+    rendered = true;
   });
 
   return container;
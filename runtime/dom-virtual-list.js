@@ -9,7 +9,7 @@
  * @module runtime/dom-virtual-list
  */
 
-import { pulse, effect, computed, batch } from './pulse.js';
+import { pulse, effect, untrack } from './pulse.js';
 import { getAdapter } from './dom-adapter.js';
 import { list } from './dom-list.js';
 import { delegate } from './dom-event-delegate.js';
@@ -23,9 +23,40 @@ const DEFAULT_OPTIONS = {
   overscan: 5,
   containerHeight: 400,
   recycle: false,
-  on: null
+  on: null,
+  horizontal: false,
+  columns: 1,
+  anchor: true,
+  stickyHeaders: true
 };
 
+/** Scroll-axis properties for vertical and horizontal lists */
+const AXES = {
+  vertical: {
+    scroll: 'scrollTop',
+    client: 'clientHeight',
+    size: 'height',
+    offset: 'top',
+    overflow: 'overflow-y',
+    blockSize: 'blockSize',
+    rect: 'height'
+  },
+  horizontal: {
+    scroll: 'scrollLeft',
+    client: 'clientWidth',
+    size: 'width',
+    offset: 'left',
+    overflow: 'overflow-x',
+    blockSize: 'inlineSize',
+    rect: 'width'
+  }
+};
+
+const KEY_ATTR = 'data-pulse-key';
+
+/** List key prefix for group header rows (kept apart from item keys) */
+const HEADER_PREFIX = '\u0000pulse-group:';
+
 // ============================================================================
 // Virtual List
 // ============================================================================
@@ -33,16 +64,34 @@ const DEFAULT_OPTIONS = {
 /**
  * Create a virtual scrolling list that renders only visible items.
  *
+ * Rows have a fixed size (`itemHeight`) or, with `estimatedItemSize`, are
+ * measured once rendered (ResizeObserver) and use the estimate until then.
+ * With `columns` > 1 items are laid out in a grid and virtualized by row.
+ * Sizes, offsets and `overscan` always refer to the scroll axis: heights for
+ * vertical lists, widths when `horizontal` is set.
+ *
  * @param {Function|Pulse} getItems - Reactive data source returning array
  * @param {Function} template - (item, index) => Node
  * @param {Function} keyFn - (item) => unique key
  * @param {Object} options - Configuration
- * @param {number} options.itemHeight - Fixed row height in pixels (required)
- * @param {number} [options.overscan=5] - Extra items above/below viewport
+ * @param {number} [options.itemHeight] - Fixed row size in pixels (alias: itemSize).
+ *   Required unless estimatedItemSize is given
+ * @param {number|Function} [options.estimatedItemSize] - Estimated row size, or
+ *   (item, index) => size, for rows measured after rendering
+ * @param {number} [options.overscan=5] - Extra rows before/after the viewport
  * @param {number|string} [options.containerHeight=400] - Viewport height in px or 'auto'
+ * @param {number|string} [options.containerWidth='auto'] - Viewport width in px (horizontal lists)
+ * @param {boolean} [options.horizontal=false] - Scroll horizontally
+ * @param {number} [options.columns=1] - Items per row (per column when horizontal)
+ * @param {Function} [options.groupBy] - (item) => group key; a header row starts each group
+ * @param {Function} [options.groupHeader] - (groupKey, firstItem) => Node for group headers
+ * @param {number} [options.headerSize] - Header row size (default: item size or estimate)
+ * @param {boolean} [options.stickyHeaders=true] - Keep the current group header pinned
+ * @param {boolean} [options.anchor=true] - Keep the first visible item in place when items
+ *   are inserted before it or rows above it change size
  * @param {boolean} [options.recycle=false] - Enable element recycling for removed items
  * @param {Object} [options.on] - Delegated event handlers: { eventType: (event, item, index) => void }
- * @returns {Element} Scroll container element with scrollToIndex(index) and _dispose() methods
+ * @returns {Element} Scroll container element with scrollToIndex(index, options) and _dispose() methods
  *
  * @example
  * const vlist = virtualList(
@@ -52,100 +101,417 @@ const DEFAULT_OPTIONS = {
  *   { itemHeight: 40, overscan: 5, containerHeight: 400 }
  * );
  * mount('#app', vlist);
+ *
+ * @example
+ * // Chat: measured rows, grouped by day with sticky headers
+ * virtualList(messages, Message, (m) => m.id, {
+ *   estimatedItemSize: 60,
+ *   groupBy: (m) => m.day,
+ *   groupHeader: (day) => el('h3.day', day)
+ * });
  */
 export function virtualList(getItems, template, keyFn, options = {}) {
   const config = { ...DEFAULT_OPTIONS, ...options };
-  const { itemHeight, overscan, containerHeight, recycle, on: eventHandlers } = config;
-
-  if (!itemHeight || itemHeight <= 0) {
-    throw new DOMError('virtualList requires a positive itemHeight', { code: 'INVALID_ITEM_HEIGHT', suggestion: 'Provide options.itemHeight as a positive number' });
+  const {
+    overscan, containerHeight, containerWidth, recycle, on: eventHandlers,
+    horizontal, groupBy, groupHeader, headerSize, estimatedItemSize
+  } = config;
+  const fixedSize = config.itemSize ?? config.itemHeight;
+  const columns = Math.max(1, Math.floor(config.columns) || 1);
+  const measuring = fixedSize === undefined && estimatedItemSize !== undefined;
+  const sticky = Boolean(groupBy && groupHeader && config.stickyHeaders);
+
+  if (measuring) {
+    if (typeof estimatedItemSize !== 'function' && !(estimatedItemSize > 0)) {
+      throw new DOMError('virtualList requires a positive estimatedItemSize', { code: 'INVALID_ITEM_HEIGHT', suggestion: 'Provide options.estimatedItemSize as a positive number or a function' });
+    }
+  } else if (!fixedSize || fixedSize <= 0) {
+    throw new DOMError('virtualList requires a positive itemHeight', { code: 'INVALID_ITEM_HEIGHT', suggestion: 'Provide options.itemHeight as a positive number, or options.estimatedItemSize for measured rows' });
   }
 
   const dom = getAdapter();
+  const axis = horizontal ? AXES.horizontal : AXES.vertical;
 
   // ---- Reactive state ----
   const scrollTop = pulse(0);
+  const measured = pulse(0);
 
   // ---- DOM structure ----
 
   // Outer container: fixed height, scrollable
   const container = dom.createElement('div');
-  container.scrollTop = 0; // Initialize for mock/SSR compatibility
+  container[axis.scroll] = 0; // Initialize for mock/SSR compatibility
   dom.setAttribute(container, 'role', 'list');
   dom.setAttribute(container, 'aria-label', 'Virtual scrolling list');
   setStyles(dom, container, {
-    'overflow-y': 'auto',
+    [axis.overflow]: 'auto',
     'position': 'relative'
   });
   if (typeof containerHeight === 'number') {
     dom.setStyle(container, 'height', `${containerHeight}px`);
   }
+  if (typeof containerWidth === 'number') {
+    dom.setStyle(container, 'width', `${containerWidth}px`);
+  }
+
+  // Sticky group header: zero-sized so it overlays the rows without shifting them
+  let stickyHeader = null;
+  if (sticky) {
+    stickyHeader = dom.createElement('div');
+    setStyles(dom, stickyHeader, {
+      'position': 'sticky',
+      [axis.offset]: '0',
+      [axis.size]: '0',
+      'overflow': 'visible',
+      'z-index': '1'
+    });
+    dom.appendChild(container, stickyHeader);
+  }
 
   // Inner spacer: full height of all items (creates scrollbar)
   const spacer = dom.createElement('div');
   dom.setStyle(spacer, 'position', 'relative');
+  if (horizontal) {
+    dom.setStyle(spacer, 'height', '100%');
+  }
   dom.appendChild(container, spacer);
 
   // Viewport: positioned absolutely, holds rendered items
   const viewport = dom.createElement('div');
-  setStyles(dom, viewport, {
-    'position': 'absolute',
-    'left': '0',
-    'right': '0',
-    'top': '0'
-  });
+  setStyles(dom, viewport, horizontal
+    ? { 'position': 'absolute', 'top': '0', 'bottom': '0', 'left': '0' }
+    : { 'position': 'absolute', 'left': '0', 'right': '0', 'top': '0' });
+  if (horizontal) {
+    setStyles(dom, viewport, {
+      'display': 'grid',
+      'grid-auto-flow': 'column',
+      'grid-template-rows': `repeat(${columns}, minmax(0, 1fr))`
+    });
+  } else if (columns > 1) {
+    setStyles(dom, viewport, {
+      'display': 'grid',
+      'grid-template-columns': `repeat(${columns}, minmax(0, 1fr))`
+    });
+  }
   dom.appendChild(spacer, viewport);
 
+  const viewportSize = () => {
+    const fixed = horizontal ? containerWidth : containerHeight;
+    return typeof fixed === 'number' ? fixed : (container[axis.client] || 400);
+  };
+
+  const readScroll = () => container[axis.scroll] !== undefined ? container[axis.scroll] : 0;
+
   // ---- Scroll handling (rAF-throttled) ----
   let rafId = null;
+  let pendingScroll = null;
+  let programmaticScroll = null;
 
   const onScroll = () => {
     if (rafId !== null) return;
     rafId = (typeof requestAnimationFrame === 'function' ? requestAnimationFrame : setTimeout)(() => {
       rafId = null;
-      const top = container.scrollTop !== undefined ? container.scrollTop : 0;
+      const top = readScroll();
+      // The user scrolled: stop correcting a scrollToIndex() target
+      if (top !== programmaticScroll) pendingScroll = null;
       scrollTop.set(top);
     });
   };
 
   dom.addEventListener(container, 'scroll', onScroll, { passive: true });
 
+  // ---- Layout: rows, sizes and offsets ----
+
+  // Measured sizes by item key (kept across reorders and prepends)
+  const sizes = new Map();
+
+  const sizeKey = (item, index) => {
+    const rawKey = keyFn(item, index);
+    // Security: ensure key is a primitive to prevent collisions
+    return (typeof rawKey === 'string' || typeof rawKey === 'number')
+      ? String(rawKey)
+      : String(index);
+  };
+
+  const estimate = (item, index) => {
+    if (!measuring) return fixedSize;
+    return typeof estimatedItemSize === 'function' ? estimatedItemSize(item, index) : estimatedItemSize;
+  };
+
+  const sizeOf = (key, fallback) => (measuring && sizes.has(key) ? sizes.get(key) : fallback);
+
+  /**
+   * Split items into rows (group headers get a row of their own) and compute
+   * the offset of each row along the scroll axis.
+   */
+  function buildLayout(items) {
+    const rows = [];
+    const indexRow = new Array(items.length);
+    const keyRow = new Map();
+    let group;
+    let headerRow = -1;
+    let row = null;
+
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+
+      if (groupBy) {
+        const groupKey = groupBy(item);
+        if (index === 0 || groupKey !== group) {
+          group = groupKey;
+          if (groupHeader) {
+            row = null;
+            const key = HEADER_PREFIX + String(groupKey);
+            headerRow = rows.length;
+            keyRow.set(key, headerRow);
+            rows.push({
+              entries: [{ header: groupKey, item, index, key }],
+              size: sizeOf(key, headerSize ?? estimate(item, index)),
+              group,
+              headerRow
+            });
+          }
+        }
+      }
+
+      if (!row || row.entries.length === columns) {
+        row = { entries: [], size: 0, group, headerRow };
+        rows.push(row);
+      }
+
+      const key = sizeKey(item, index);
+      row.entries.push({ item, index, key });
+      row.size = Math.max(row.size, sizeOf(key, estimate(item, index)));
+      indexRow[index] = rows.length - 1;
+      keyRow.set(key, rows.length - 1);
+    }
+
+    const offsets = new Array(rows.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < rows.length; i++) {
+      offsets[i + 1] = offsets[i] + rows[i].size;
+    }
+
+    return { rows, offsets, indexRow, keyRow };
+  }
+
+  let layout = buildLayout([]);
+
+  // Last row whose offset is <= position (binary search)
+  const rowAt = (position) => {
+    const { offsets, rows } = layout;
+    let lo = 0;
+    let hi = rows.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (offsets[mid] <= position) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  };
+
+  // First row whose offset is >= position
+  const rowFrom = (position) => {
+    const { offsets, rows } = layout;
+    let lo = 0;
+    let hi = rows.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (offsets[mid] < position) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  /**
+   * Scroll position that brings an item into view
+   * @param {number} index - Zero-based item index
+   * @param {'start'|'center'|'end'|'auto'} align - Alignment in the viewport
+   * @param {number} current - Current scroll position
+   */
+  const scrollTarget = (index, align, current) => {
+    const totalItems = allItems.length;
+    const clampedIndex = Math.max(0, Math.min(index, totalItems - 1));
+    if (totalItems === 0) return 0;
+
+    const row = layout.indexRow[clampedIndex];
+    const start = layout.offsets[row];
+    const size = layout.rows[row].size;
+    const height = viewportSize();
+    // A pinned header covers the top of the viewport
+    const { headerRow } = layout.rows[row];
+    const covered = sticky && headerRow >= 0 && headerRow !== row ? layout.rows[headerRow].size : 0;
+
+    let target;
+    if (align === 'center') {
+      target = start - (height / 2) + (size / 2);
+    } else if (align === 'end') {
+      target = start + size - height;
+    } else if (align === 'auto') {
+      if (start - covered < current) target = start - covered;
+      else if (start + size > current + height) target = start + size - height;
+      else target = current;
+    } else {
+      target = start - covered;
+    }
+
+    return Math.max(0, target);
+  };
+
+  const setScroll = (position) => {
+    programmaticScroll = position;
+    if (container[axis.scroll] !== undefined) {
+      container[axis.scroll] = position;
+    }
+  };
+
+  // ---- Measuring (ResizeObserver) ----
+  let observer = null;
+  const observed = new Set();
+  let observeQueued = false;
+
+  if (measuring && typeof ResizeObserver !== 'undefined') {
+    observer = new ResizeObserver((entries) => {
+      let changed = false;
+      for (const entry of entries) {
+        const key = dom.getAttribute(entry.target, KEY_ATTR);
+        const box = Array.isArray(entry.borderBoxSize) ? entry.borderBoxSize[0] : entry.borderBoxSize;
+        const size = box ? box[axis.blockSize] : entry.contentRect?.[axis.rect];
+        // Detached or hidden rows report 0: keep the previous size
+        if (key === null || !(size > 0) || sizes.get(key) === size) continue;
+        sizes.set(key, size);
+        changed = true;
+      }
+      if (changed) measured.set(measured.peek() + 1);
+    });
+  }
+
+  // Observe the rendered rows once list() has updated the viewport
+  function scheduleObserve() {
+    if (!observer || observeQueued) return;
+    observeQueued = true;
+    dom.queueMicrotask(() => {
+      observeQueued = false;
+      if (!observer) return;
+      const current = new Set();
+      for (let node = dom.getFirstChild(viewport); node; node = dom.getNextSibling(node)) {
+        if (dom.isElement(node) && dom.getAttribute(node, KEY_ATTR) !== null) {
+          current.add(node);
+          if (!observed.has(node)) observer.observe(node);
+        }
+      }
+      for (const node of observed) {
+        if (!current.has(node)) observer.unobserve(node);
+      }
+      observed.clear();
+      for (const node of current) observed.add(node);
+    });
+  }
+
   // ---- Compute visible items slice ----
   const visibleSlice = pulse([]);
-  const currentStartIndex = pulse(0);
   let allItems = [];
+  let lastItems = null;
+  let lastMeasured = 0;
+  let anchorState = null;
+  let anchorTop = 0;
+  let stickyGroup;
+  let stickyNode = null;
+
+  // First row in view and how far it is scrolled past
+  const anchorAt = (position) => {
+    if (layout.rows.length === 0) return null;
+    const row = rowAt(position);
+    return { key: layout.rows[row].entries[0].key, delta: position - layout.offsets[row] };
+  };
 
   effect(() => {
     const items = typeof getItems === 'function' ? getItems() : getItems.get();
-    allItems = Array.isArray(items) ? items : [];
+    const version = measured.get();
+    let top = scrollTop.get();
+
+    // Anchor on the row in view at the current position, before relayout
+    if (top !== anchorTop) {
+      anchorState = anchorAt(top);
+    }
+
+    if (items !== lastItems || version !== lastMeasured) {
+      lastItems = items;
+      lastMeasured = version;
+      allItems = Array.isArray(items) ? items : [];
+      layout = buildLayout(allItems);
+
+      // Keep the view steady: follow a pending scrollToIndex() target, or the
+      // item that was first in view before the change
+      let target = top;
+      if (pendingScroll) {
+        target = scrollTarget(pendingScroll.index, pendingScroll.align, top);
+      } else if (config.anchor && anchorState) {
+        const row = layout.keyRow.get(anchorState.key);
+        if (row !== undefined) {
+          target = Math.max(0, layout.offsets[row] + anchorState.delta);
+        }
+      }
+      if (target !== top) {
+        top = target;
+        setScroll(top);
+        scrollTop.set(top);
+      }
+    }
+
+    const { rows, offsets } = layout;
     const totalItems = allItems.length;
-    const top = scrollTop.get();
 
-    // Update spacer height
-    dom.setStyle(spacer, 'height', `${totalItems * itemHeight}px`);
+    // Update spacer size
+    dom.setStyle(spacer, axis.size, `${offsets[rows.length]}px`);
 
     // Calculate visible range
-    const height = typeof containerHeight === 'number'
-      ? containerHeight
-      : (container.clientHeight || 400);
+    const height = viewportSize();
 
-    let startIdx = Math.floor(top / itemHeight) - overscan;
-    let endIdx = Math.ceil((top + height) / itemHeight) + overscan;
-    startIdx = Math.max(0, startIdx);
-    endIdx = Math.min(totalItems, endIdx);
+    let startRow = rowAt(top) - overscan;
+    let endRow = rowFrom(top + height) + overscan;
+    startRow = Math.max(0, startRow);
+    endRow = Math.min(rows.length, endRow);
 
     // Position viewport at start offset
-    dom.setStyle(viewport, 'top', `${startIdx * itemHeight}px`);
+    dom.setStyle(viewport, axis.offset, `${offsets[startRow] || 0}px`);
 
     // ARIA: announce total count
     dom.setAttribute(container, 'aria-rowcount', String(totalItems));
 
-    batch(() => {
-      currentStartIndex.set(startIdx);
-      visibleSlice.set(allItems.slice(startIdx, endIdx));
-    });
+    // Remember the first row in view to anchor the next layout change
+    anchorState = anchorAt(top);
+    anchorTop = top;
+
+    if (sticky) {
+      updateStickyHeader(rows.length > 0 ? rows[rowAt(top)] : null);
+    }
+
+    const slice = [];
+    for (let r = startRow; r < endRow; r++) {
+      for (const entry of rows[r].entries) slice.push(entry);
+    }
+    visibleSlice.set(slice);
+
+    if (measuring) scheduleObserve();
   });
 
+  function updateStickyHeader(row) {
+    const group = row ? row.group : undefined;
+    if (row && group === stickyGroup && stickyNode) return;
+    stickyGroup = group;
+    if (stickyNode) {
+      for (const node of [stickyNode].flat()) dom.removeNode(node);
+      stickyNode = null;
+    }
+    if (!row || row.headerRow < 0) return;
+    const first = layout.rows[row.headerRow].entries[0];
+    stickyNode = untrack(() => groupHeader(group, first.item));
+    for (const node of [stickyNode].flat()) {
+      if (node) dom.appendChild(stickyHeader, node);
+    }
+  }
+
   // ---- Render visible items using list() ----
   const listOptions = {};
   if (recycle) {
@@ -154,32 +520,41 @@ export function virtualList(getItems, template, keyFn, options = {}) {
 
   // Item map for event delegation
   const itemMap = new Map();
-  const KEY_ATTR = 'data-pulse-key';
 
   const rendered = list(
     () => visibleSlice.get(),
-    (item, relativeIndex) => {
-      const absIndex = currentStartIndex.peek() + relativeIndex;
+    (entry) => {
+      if (entry.header !== undefined) {
+        const node = groupHeader(entry.header, entry.item);
+        const root = Array.isArray(node) ? node[0] : node;
+        if (root && dom.isElement(root)) {
+          // Headers span the full row of a grid
+          if (horizontal || columns > 1) {
+            dom.setStyle(root, horizontal ? 'grid-row' : 'grid-column', '1 / -1');
+          }
+          if (measuring) dom.setAttribute(root, KEY_ATTR, entry.key);
+        }
+        return node;
+      }
+
+      const { item, index: absIndex } = entry;
       const node = template(item, absIndex);
       const root = Array.isArray(node) ? node[0] : node;
       if (root && dom.isElement(root)) {
         dom.setAttribute(root, 'role', 'listitem');
         // ARIA: set 1-based row index for screen readers
         dom.setAttribute(root, 'aria-rowindex', String(absIndex + 1));
-        // Mark for event delegation
+        // Mark for event delegation and measuring
+        if (eventHandlers || measuring) {
+          dom.setAttribute(root, KEY_ATTR, entry.key);
+        }
         if (eventHandlers) {
-          const rawKey = keyFn(item, absIndex);
-          // Security: ensure key is a primitive to prevent collisions
-          const key = (typeof rawKey === 'string' || typeof rawKey === 'number')
-            ? String(rawKey)
-            : String(absIndex);
-          dom.setAttribute(root, KEY_ATTR, key);
-          itemMap.set(key, { item, index: absIndex });
+          itemMap.set(entry.key, { item, index: absIndex });
         }
       }
       return node;
     },
-    keyFn,
+    (entry) => (entry.header !== undefined ? entry.key : keyFn(entry.item, entry.index)),
     listOptions
   );
 
@@ -214,33 +589,19 @@ export function virtualList(getItems, template, keyFn, options = {}) {
 
   /**
    * Scroll to bring a specific item index into view.
+   * With measured rows the position is corrected as rows above the target
+   * are measured, until the user scrolls.
    * @param {number} index - Zero-based item index
    * @param {Object} [scrollOptions] - Options
-   * @param {'start'|'center'|'end'} [scrollOptions.align='start'] - Alignment in viewport
+   * @param {'start'|'center'|'end'|'auto'} [scrollOptions.align='start'] - Alignment in
+   *   viewport ('auto' scrolls only as far as needed to make the item visible)
    */
   container.scrollToIndex = (index, scrollOptions = {}) => {
     const { align = 'start' } = scrollOptions;
-    const totalItems = allItems.length;
-    const clampedIndex = Math.max(0, Math.min(index, totalItems - 1));
+    const targetTop = scrollTarget(index, align, scrollTop.peek());
+    pendingScroll = measuring ? { index, align } : null;
 
-    const height = typeof containerHeight === 'number'
-      ? containerHeight
-      : (container.clientHeight || 400);
-
-    let targetTop;
-    if (align === 'center') {
-      targetTop = clampedIndex * itemHeight - (height / 2) + (itemHeight / 2);
-    } else if (align === 'end') {
-      targetTop = (clampedIndex + 1) * itemHeight - height;
-    } else {
-      targetTop = clampedIndex * itemHeight;
-    }
-
-    targetTop = Math.max(0, targetTop);
-
-    if (container.scrollTop !== undefined) {
-      container.scrollTop = targetTop;
-    }
+    setScroll(targetTop);
     scrollTop.set(targetTop);
   };
 
@@ -251,6 +612,11 @@ export function virtualList(getItems, template, keyFn, options = {}) {
       (typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame : clearTimeout)(rafId);
       rafId = null;
     }
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+      observed.clear();
+    }
     for (const cleanup of delegateCleanups) cleanup();
     delegateCleanups.length = 0;
     itemMap.clear();
@@ -18,9 +18,10 @@
  * - dom-element.js: Core element creation (el, text)
  * - dom-binding.js: Reactive attribute, property, class, style, event bindings
  * - dom-list.js: Reactive list rendering with LIS-based diffing
- * - dom-conditional.js: Conditional rendering (when, match, show)
+ * - dom-conditional.js: Conditional rendering (when, match, show, awaitBlock)
  * - dom-lifecycle.js: Component lifecycle hooks and mounting
  * - dom-advanced.js: Portal, error boundary, transitions
+ * - suspense.js: Suspense boundaries for async resources
  */
 
 // =============================================================================
@@ -48,7 +49,7 @@ import { bind, prop, cls, style, on, model } from './dom-binding.js';
 import { list, computeLIS } from './dom-list.js';
 
 // Conditional rendering
-import { when, match, show } from './dom-conditional.js';
+import { when, match, show, awaitBlock } from './dom-conditional.js';
 
 // Lifecycle and mounting
 import {
@@ -64,6 +65,9 @@ import {
 // Advanced features
 import { portal, errorBoundary, transition, whenTransition } from './dom-advanced.js';
 
+// Suspense boundaries
+import { suspense } from './suspense.js';
+
 // Element recycling pool (#60)
 import { createElementPool, getPool, resetPool } from './dom-recycle.js';
 
@@ -127,6 +131,7 @@ export {
   when,
   match,
   show,
+  awaitBlock,
 
   // Lifecycle
   onMount,
@@ -139,6 +144,7 @@ export {
   // Advanced features
   portal,
   errorBoundary,
+  suspense,
   transition,
   whenTransition,
 
@@ -182,6 +188,7 @@ export default {
   when,
   match,
   show,
+  awaitBlock,
 
   // Lifecycle
   onMount,
@@ -195,6 +202,7 @@ export default {
   // Advanced features
   portal,
   errorBoundary,
+  suspense,
   transition,
   whenTransition,
 
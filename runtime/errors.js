@@ -422,10 +422,14 @@ export function getDocsUrl(code) {
     // Router
     'ROUTE_NOT_FOUND': 'router/routes#catch-all',
     'LAZY_TIMEOUT': 'router/lazy-loading#timeout',
+    'ROUTE_VALIDATION': 'router/routes#validation',
     'GUARD_ERROR': 'router/guards#error-handling',
     // Store
     'PERSIST_ERROR': 'store/persistence#troubleshooting',
+    'PERSISTENCE_MIGRATION': 'store/persistence#migrations',
     'STORE_TYPE_ERROR': 'store/state#valid-types',
+    // Forms
+    'FORM_WIZARD_STEP': 'forms/wizard#steps',
     // Compiler
     'PARSER_ERROR': 'compiler/syntax',
     'DUPLICATE_BLOCK': 'compiler/structure#blocks',
@@ -480,12 +484,18 @@ export const SUGGESTIONS = {
     `Add a route for "${path}" or use a catch-all route: '/*path': NotFoundPage`,
   'lazy-timeout': (ms) =>
     `The component took longer than ${ms}ms to load. Check your network or increase timeout.`,
+  'route-validation': () =>
+    `Fix the link that produced this URL, or add an onInvalid redirect to the route definition.`,
 
   // Store
   'persist-quota': () =>
     `localStorage is full. Consider clearing old data or reducing state size.`,
   'invalid-store-value': (type) =>
-    `Store values must be serializable. ${type} cannot be persisted.`
+    `Store values must be serializable. ${type} cannot be persisted.`,
+
+  // Forms
+  'wizard-step': (fieldNames) =>
+    `Step fields must be keys of the wizard's initial values: ${fieldNames.join(', ')}`
 };
 
 /**
@@ -649,6 +659,33 @@ export const Errors = {
     );
   },
 
+  /**
+   * Route params or query failed schema validation
+   * @param {string} path - Path being navigated to
+   * @param {{params: Object<string, string>, query: Object<string, string>}} errors - Messages per field
+   */
+  invalidRouteInput(path, errors) {
+    const details = {};
+    for (const [source, fields] of Object.entries(errors)) {
+      for (const [name, message] of Object.entries(fields)) {
+        details[`${source}.${name}`] = message;
+      }
+    }
+
+    const error = new RouterError(
+      createErrorMessage({
+        code: 'ROUTE_VALIDATION',
+        message: `Invalid route params or query for "${path}"`,
+        context: 'The URL does not match the params/query schema of the route.',
+        details,
+        suggestion: SUGGESTIONS['route-validation']()
+      }),
+      { code: 'ROUTE_VALIDATION' }
+    );
+    error.errors = errors;
+    return error;
+  },
+
   /**
    * Lazy load timeout
    */
@@ -694,6 +731,21 @@ export const Errors = {
     );
   },
 
+  /**
+   * Form wizard step references a field that is not in the form
+   */
+  invalidWizardStep(stepId, field, fieldNames) {
+    return new RuntimeError(
+      createErrorMessage({
+        code: 'FORM_WIZARD_STEP',
+        message: `Wizard step "${stepId}" references unknown field "${field}".`,
+        context: 'Each step validates a subset of the form fields.',
+        suggestion: SUGGESTIONS['wizard-step'](fieldNames)
+      }),
+      { code: 'FORM_WIZARD_STEP' }
+    );
+  },
+
   /**
    * Native API not available
    */
@@ -0,0 +1,488 @@
+/**
+ * Pulse Form Schema Adapters
+ * @module pulse-js-framework/runtime/form-schema
+ *
+ * Lets useForm validate against a JSON Schema document or any
+ * Standard Schema validator (Zod, Valibot, ArkType, ...) instead of
+ * a map of built-in validators. Errors are reported by path
+ * ('email', 'address.city', 'items[0].name') and mapped onto fields.
+ */
+
+const EMAIL_REGEX = /^[^\s@]{1,64}@[^\s@]{1,253}\.[^\s@]{1,63}$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/i;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const JSON_SCHEMA_KEYWORDS = ['$schema', 'properties', 'allOf', 'anyOf', 'oneOf', 'if', '$ref'];
+
+/**
+ * String format checks (unknown formats always pass)
+ */
+const FORMATS = {
+  email: [(v) => EMAIL_REGEX.test(v), 'Invalid email address'],
+  uri: [isUrl, 'Invalid URL'],
+  url: [isUrl, 'Invalid URL'],
+  date: [(v) => DATE_REGEX.test(v) && !Number.isNaN(Date.parse(v)), 'Invalid date'],
+  'date-time': [(v) => v.includes('T') && !Number.isNaN(Date.parse(v)), 'Invalid date and time'],
+  time: [(v) => TIME_REGEX.test(v), 'Invalid time'],
+  uuid: [(v) => UUID_REGEX.test(v), 'Invalid UUID']
+};
+
+function isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check if a value is a Standard Schema validator (has a `~standard` property)
+ * @param {*} schema - Candidate schema
+ * @returns {boolean}
+ */
+export function isStandardSchema(schema) {
+  return schema !== null &&
+    (typeof schema === 'object' || typeof schema === 'function') &&
+    typeof schema['~standard']?.validate === 'function';
+}
+
+/**
+ * Check if a value looks like a JSON Schema document rather than a validators map
+ * @param {*} schema - Candidate schema
+ * @returns {boolean}
+ */
+export function isJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return false;
+  if (schema.type === 'object') return true;
+  // A validators map holds arrays of rules; JSON Schema keywords never do (except combinators)
+  return JSON_SCHEMA_KEYWORDS.some(key =>
+    key in schema && (key === 'allOf' || key === 'anyOf' || key === 'oneOf'
+      ? Array.isArray(schema[key]) && schema[key].every(s => s && typeof s === 'object' && !('validate' in s))
+      : !Array.isArray(schema[key]))
+  );
+}
+
+/**
+ * Append a property or index to an error path
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : String(key);
+}
+
+/**
+ * Custom message from an `errorMessage` keyword (string, or object keyed by keyword)
+ */
+function messageFor(schema, keyword, fallback) {
+  const custom = schema && typeof schema === 'object' ? schema.errorMessage : undefined;
+  if (typeof custom === 'string') return custom;
+  if (custom && typeof custom[keyword] === 'string') return custom[keyword];
+  return fallback;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Resolve a local `$ref` ('#/$defs/Address') against the root schema
+ */
+function resolveRef(root, ref) {
+  if (ref === '#') return root;
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref "${ref}": only local references (#/...) are supported`);
+  }
+  let target = root;
+  for (const part of ref.slice(2).split('/')) {
+    const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    target = target?.[key];
+  }
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref "${ref}"`);
+  }
+  return target;
+}
+
+/**
+ * Coerce form input strings ('42', 'true') to the schema type when possible
+ */
+function coerceForType(value, type) {
+  if (typeof value !== 'string' || value.trim() === '') return value;
+  if (type === 'number' || type === 'integer') {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : value;
+  }
+  if (type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  return value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+function typeMessage(types) {
+  if (types.length === 1) {
+    if (types[0] === 'integer') return 'Must be an integer';
+    if (types[0] === 'array' || types[0] === 'object') return `Must be an ${types[0]}`;
+    return `Must be a ${types[0]}`;
+  }
+  return `Must be one of types: ${types.join(', ')}`;
+}
+
+/**
+ * Validate a value against a (sub)schema, collecting the first error per path
+ * @returns {boolean} true if valid
+ */
+function validateNode(schema, value, path, ctx) {
+  if (schema === true || schema === undefined) return true;
+  if (schema === false) {
+    return ctx.report(path, 'Invalid value');
+  }
+
+  if (schema.$ref) {
+    if (!validateNode(resolveRef(ctx.root, schema.$ref), value, path, ctx)) {
+      return false;
+    }
+  }
+
+  const errorCount = ctx.count;
+  const fail = (keyword, fallback, at = path) => ctx.report(at, messageFor(schema, keyword, fallback));
+
+  // Type (with optional coercion of form input strings)
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (ctx.coerce) {
+      for (const type of types) {
+        const coerced = coerceForType(value, type);
+        if (coerced !== value && matchesType(coerced, type)) {
+          value = coerced;
+          break;
+        }
+      }
+    }
+    if (!types.some(type => matchesType(value, type))) {
+      return fail('type', typeMessage(types));
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    fail('enum', `Must be one of: ${schema.enum.join(', ')}`);
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    fail('const', `Must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `Must be at least ${schema.minLength} characters`);
+    } else if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `Must be at most ${schema.maxLength} characters`);
+    } else if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', 'Invalid format');
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format][0](value)) {
+      fail('format', FORMATS[schema.format][1]);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `Must be at least ${schema.minimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `Must be at most ${schema.maximum}`);
+    } else if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `Must be greater than ${schema.exclusiveMinimum}`);
+    } else if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `Must be less than ${schema.exclusiveMaximum}`);
+    } else if (schema.multipleOf !== undefined &&
+        Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      fail('multipleOf', `Must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `Must have at least ${schema.minItems} items`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `Must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => deepEqual(other, item)) !== i)) {
+      fail('uniqueItems', 'Items must be unique');
+    }
+    if (schema.contains !== undefined && !value.some(item => isValid(schema.contains, item, ctx))) {
+      fail('contains', 'Must contain a matching item');
+    }
+
+    const tuple = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : []);
+    const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+    value.forEach((item, i) => {
+      const itemSchema = i < tuple.length ? tuple[i] : rest;
+      if (itemSchema !== undefined) {
+        validateNode(itemSchema, item, joinPath(path, i), ctx);
+      }
+    });
+  }
+
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    const present = (key) => Object.prototype.hasOwnProperty.call(value, key) &&
+      value[key] !== undefined && !(ctx.emptyAsMissing && (value[key] === '' || value[key] === null));
+
+    for (const key of schema.required || []) {
+      if (!present(key)) {
+        fail('required', messageFor(properties[key], 'required', 'This field is required'), joinPath(path, key));
+      }
+    }
+
+    for (const [key, dependents] of Object.entries(schema.dependentRequired || {})) {
+      if (!present(key)) continue;
+      for (const dependent of dependents) {
+        if (!present(dependent)) {
+          fail('dependentRequired', messageFor(properties[dependent], 'required', 'This field is required'),
+            joinPath(path, dependent));
+        }
+      }
+    }
+
+    for (const key of Object.keys(value)) {
+      if (!present(key)) continue;
+      const childPath = joinPath(path, key);
+      if (key in properties) {
+        validateNode(properties[key], value[key], childPath, ctx);
+        continue;
+      }
+      const patterns = Object.entries(schema.patternProperties || {})
+        .filter(([pattern]) => new RegExp(pattern, 'u').test(key));
+      for (const [, patternSchema] of patterns) {
+        validateNode(patternSchema, value[key], childPath, ctx);
+      }
+      if (patterns.length === 0 && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail('additionalProperties', 'Unknown field', childPath);
+        } else {
+          validateNode(schema.additionalProperties, value[key], childPath, ctx);
+        }
+      }
+    }
+  }
+
+  // Combinators
+  for (const sub of schema.allOf || []) {
+    validateNode(sub, value, path, ctx);
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => isValid(sub, value, ctx))) {
+    fail('anyOf', 'Does not match any allowed schema');
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => isValid(sub, value, ctx)).length !== 1) {
+    fail('oneOf', 'Must match exactly one allowed schema');
+  }
+  if (schema.not !== undefined && isValid(schema.not, value, ctx)) {
+    fail('not', 'Invalid value');
+  }
+
+  // Conditionals: `if` only selects the branch, its own errors are never reported
+  if (schema.if !== undefined) {
+    const branch = isValid(schema.if, value, ctx) ? schema.then : schema.else;
+    if (branch !== undefined) {
+      validateNode(branch, value, path, ctx);
+    }
+  }
+
+  return ctx.count === errorCount;
+}
+
+/**
+ * Check a subschema without reporting its errors
+ */
+function isValid(schema, value, ctx) {
+  const probe = { ...ctx, count: 0 };
+  probe.report = () => {
+    probe.count++;
+    return false;
+  };
+  validateNode(schema, value, '', probe);
+  return probe.count === 0;
+}
+
+/**
+ * Validate a value against a JSON Schema document.
+ *
+ * Supports the keywords commonly published for APIs: type, enum, const, string/number/array
+ * constraints, format (email, uri, date, date-time, time, uuid), properties, required,
+ * additionalProperties, patternProperties, dependentRequired, allOf/anyOf/oneOf/not,
+ * if/then/else and local $ref (#/$defs/...). Custom messages come from an `errorMessage`
+ * keyword (a string, or an object keyed by keyword).
+ *
+ * @param {Object|boolean} schema - JSON Schema document
+ * @param {*} value - Value to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.emptyAsMissing=false] - Treat '' and null properties as missing (form inputs)
+ * @param {boolean} [options.coerce=false] - Accept numeric/boolean strings for number/integer/boolean types
+ * @returns {{valid: boolean, errors: Object<string, string>}} First error message per path
+ *
+ * @example
+ * validateJsonSchema(
+ *   {
+ *     type: 'object',
+ *     properties: { country: { type: 'string' }, zip: { type: 'string' } },
+ *     if: { properties: { country: { const: 'US' } } },
+ *     then: { required: ['zip'] }
+ *   },
+ *   { country: 'US' }
+ * );
+ * // { valid: false, errors: { zip: 'This field is required' } }
+ */
+export function validateJsonSchema(schema, value, options = {}) {
+  const ctx = {
+    root: schema,
+    emptyAsMissing: options.emptyAsMissing === true,
+    coerce: options.coerce === true,
+    errors: {},
+    count: 0,
+    report: null
+  };
+  ctx.report = (path, message) => {
+    ctx.count++;
+    if (!(path in ctx.errors)) {
+      ctx.errors[path] = message;
+    }
+    return false;
+  };
+
+  validateNode(schema, value, '', ctx);
+  return { valid: ctx.count === 0, errors: ctx.errors };
+}
+
+/**
+ * Convert Standard Schema issues to an error map keyed by path
+ * @param {{issues?: Array<{message: string, path?: Array}>}} result - Standard Schema result
+ * @returns {Object<string, string>}
+ */
+function issuesToErrors(result) {
+  const errors = {};
+  for (const issue of result?.issues || []) {
+    let path = '';
+    for (const segment of issue.path || []) {
+      const key = typeof segment === 'object' && segment !== null ? segment.key : segment;
+      path = joinPath(path, typeof key === 'number' ? key : String(key));
+    }
+    if (!(path in errors)) {
+      errors[path] = issue.message;
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check whether an error path belongs to a field ('items', 'items[0]', 'items.name')
+ */
+function belongsTo(path, name) {
+  return path === name || path.startsWith(`${name}.`) || path.startsWith(`${name}[`);
+}
+
+function shallowEqual(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Build per-field rules and a form-level validate function from a schema.
+ * Returns null when the schema is a plain validators map.
+ *
+ * The whole form is validated once per set of values (results are cached, so
+ * validateAll() does not re-run the schema for every field); each field rule
+ * picks the first error under its path, and errors that match no field are
+ * reported by the form-level validate function as `_form`.
+ *
+ * @param {*} schema - JSON Schema document or Standard Schema validator
+ * @param {Object} initialValues - Initial form values (used to detect async Standard Schemas)
+ * @returns {{rules: Object<string, Array>, validate: function(Object, function=): Promise<Object>}|null}
+ */
+export function createSchemaAdapter(schema, initialValues) {
+  let run;
+
+  if (isStandardSchema(schema)) {
+    run = (values) => {
+      const result = schema['~standard'].validate(values);
+      return result && typeof result.then === 'function'
+        ? result.then(issuesToErrors)
+        : issuesToErrors(result);
+    };
+  } else if (isJsonSchema(schema)) {
+    run = (values) => validateJsonSchema(schema, values, { emptyAsMissing: true, coerce: true }).errors;
+  } else {
+    return null;
+  }
+
+  let lastValues = null;
+  let lastResult = null;
+
+  const errorsFor = (values) => {
+    if (lastValues && shallowEqual(lastValues, values)) {
+      return lastResult;
+    }
+    lastValues = { ...values };
+    lastResult = run(values);
+    if (lastResult && typeof lastResult.then === 'function') {
+      lastResult.catch(() => {}); // Surfaced by the field rules that await it
+    }
+    return lastResult;
+  };
+
+  const probe = errorsFor(initialValues);
+  const isAsync = !!probe && typeof probe.then === 'function';
+
+  const pick = (errors, name) => {
+    for (const [path, message] of Object.entries(errors || {})) {
+      if (belongsTo(path, name)) return message;
+    }
+    return true;
+  };
+
+  const rules = {};
+  for (const name of Object.keys(initialValues)) {
+    rules[name] = [isAsync
+      ? { async: true, validate: async (value, allValues) => pick(await errorsFor(allValues), name) }
+      : { validate: (value, allValues) => pick(errorsFor(allValues), name) }];
+  }
+
+  const fieldNames = Object.keys(initialValues);
+
+  /**
+   * Form-level validation: schema errors outside any field, merged with a custom validate
+   */
+  const validate = async (values, customValidate) => {
+    const errors = await errorsFor(values);
+    const result = {};
+    for (const [path, message] of Object.entries(errors || {})) {
+      if (!fieldNames.some(name => belongsTo(path, name))) {
+        result._form = message;
+        break;
+      }
+    }
+    const custom = customValidate ? await customValidate(values) : null;
+    return custom && typeof custom === 'object' ? { ...result, ...custom } : result;
+  };
+
+  return { rules, validate };
+}
@@ -7,6 +7,10 @@
  */
 
 import { pulse, effect, computed, batch, onCleanup } from './pulse.js';
+import { createSchemaAdapter, validateJsonSchema } from './form-schema.js';
+import { Errors } from './errors.js';
+
+export { validateJsonSchema };
 
 /**
  * @typedef {Object} FieldState
@@ -32,6 +36,37 @@ function isAsyncValidator(rule) {
   return rule.async === true;
 }
 
+/**
+ * Check if a value is a map of field errors ({ path: message }).
+ * Only plain objects qualify: AggregateError#errors is an array of errors.
+ * @param {*} value - Candidate `errors` value
+ * @returns {boolean}
+ */
+function isFieldErrorMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Resolve a wizard draft adapter. Adapter types are created by runtime/persistence.js,
+ * which is only loaded when a wizard persists without its own adapter object.
+ * @param {Object|string} [adapter] - PersistenceAdapter or adapter type
+ * @returns {Promise<Object|null>} The adapter, or null if it could not be created
+ */
+async function loadDraftAdapter(adapter) {
+  if (adapter && typeof adapter === 'object') return adapter;
+  try {
+    const { createLocalStorageAdapter, createPersistenceAdapter } = await import('./persistence.js');
+    return typeof adapter === 'string'
+      ? createPersistenceAdapter(adapter)
+      : createLocalStorageAdapter();
+  } catch {
+    // Unknown adapter type or unavailable storage: run without drafts
+    return null;
+  }
+}
+
 /**
  * Check if localStorage is available (SSR-safe)
  * @returns {boolean}
@@ -370,11 +405,14 @@ export const validators = {
  * @property {function(Object): void} [onSubmit] - Submit handler
  * @property {function(Object): void} [onError] - Error handler
  * @property {'onChange'|'onBlur'|'onSubmit'} [mode='onChange'] - Validation mode
- * @property {function(Object): Object} [validate] - Form-level validation function
+ * @property {function(Object): Object} [validate] - Form-level validation function (merged with
+ *   schema errors that match no field when a JSON Schema or Standard Schema is used)
  * @property {boolean} [persist=false] - Enable draft persistence to localStorage
  * @property {string} [persistKey='pulse-form-draft'] - localStorage key for drafts
  * @property {number} [persistDebounce=300] - Debounce delay for saving drafts (ms)
  * @property {string[]} [persistExclude=[]] - Field names to exclude from persistence
+ * @property {Object<string, Object>} [fieldArrays] - useFieldArray instances by name, so
+ *   setErrors() can target rows (`items[2]`, `items.2.name`)
  */
 
 /**
@@ -382,7 +420,8 @@ export const validators = {
  *
  * @template T
  * @param {T} initialValues - Initial form values
- * @param {Object<string, ValidationRule[]>} [validationSchema={}] - Validation rules per field
+ * @param {Object<string, ValidationRule[]>|Object} [validationSchema={}] - Validation rules per
+ *   field, a JSON Schema document, or a Standard Schema validator (Zod, Valibot, ArkType, ...)
  * @param {FormOptions} [options={}] - Form configuration
  * @returns {Object} Form state and controls
  *
@@ -401,6 +440,19 @@ export const validators = {
  * // In view
  * el('input', { value: fields.email.value.get(), onInput: fields.email.onChange });
  * el('span.error', fields.email.error.get());
+ *
+ * @example
+ * // JSON Schema published by the backend, including conditional rules
+ * const form = useForm({ country: '', zip: '' }, {
+ *   type: 'object',
+ *   required: ['country'],
+ *   properties: { country: { type: 'string' }, zip: { type: 'string', pattern: '^\\d{5}$' } },
+ *   if: { properties: { country: { const: 'US' } } },
+ *   then: { required: ['zip'] }
+ * });
+ *
+ * // Any Standard Schema validator
+ * const form = useForm({ email: '' }, z.object({ email: z.string().email() }));
  */
 export function useForm(initialValues, validationSchema = {}, options = {}) {
   const {
@@ -410,11 +462,12 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
     onSubmit,
     onError,
     mode = 'onChange',
-    validate: formValidate,
+    validate: customValidate,
     persist = false,
     persistKey = 'pulse-form-draft',
     persistDebounce = 300,
-    persistExclude = []
+    persistExclude = [],
+    fieldArrays = {}
   } = options;
 
   // ========================================================================
@@ -442,6 +495,13 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
     }
   }
 
+  // JSON Schema / Standard Schema: per-field rules plus form-level errors
+  const schemaAdapter = createSchemaAdapter(validationSchema, initialValues);
+  const fieldRules = schemaAdapter ? schemaAdapter.rules : validationSchema;
+  const formValidate = schemaAdapter
+    ? (values) => schemaAdapter.validate(values, customValidate)
+    : customValidate;
+
   // Create field states
   const fields = {};
   const fieldNames = Object.keys(initialValues);
@@ -453,7 +513,7 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
   for (const name of fieldNames) {
     const initialValue = initialValues[name];
     const startValue = restoredValues[name];
-    const rules = validationSchema[name] || [];
+    const rules = fieldRules[name] || [];
 
     // Separate sync and async rules
     const syncRules = rules.filter(r => !isAsyncValidator(r));
@@ -915,9 +975,12 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
   }
 
   /**
-   * Handle form submission
+   * Run the submit flow (touch, validate, submit) with a submit function
+   * @param {Event} [event] - Submit event
+   * @param {function(Object): Promise<*>} [submitFn] - Called with the form values
+   * @returns {Promise<boolean>} true if submitted without errors
    */
-  async function handleSubmit(event) {
+  async function runSubmit(event, submitFn) {
     if (event?.preventDefault) {
       event.preventDefault();
     }
@@ -946,8 +1009,8 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
     isSubmitting.set(true);
 
     try {
-      if (onSubmit) {
-        await onSubmit(getValues());
+      if (submitFn) {
+        await submitFn(getValues());
       }
 
       // Clear draft on successful submit
@@ -957,6 +1020,15 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
 
       return true;
     } catch (err) {
+      // Validation errors from the server (e.g. HTTP 422 { errors }) go onto the fields
+      if (isFieldErrorMap(err?.errors)) {
+        await applyServerErrors(err.errors);
+        if (onError) {
+          onError(errors.get());
+        }
+        return false;
+      }
+
       const errorMessage = err.message || 'Submit failed';
       submitError.set(errorMessage);  // #29: Set reactive submit error
       if (onError) {
@@ -969,18 +1041,132 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
   }
 
   /**
-   * Set form-level or field errors
+   * Handle form submission
+   */
+  function handleSubmit(event) {
+    return runSubmit(event, onSubmit);
+  }
+
+  /**
+   * Create a submit handler that sends the form values to a server action.
+   *
+   * Field errors come back either as a thrown error with an `errors` map (HTTP 422
+   * `{ errors }` response) or as an `{ errors }` result; they are sanitized with
+   * sanitizeValidationErrors and mapped onto fields (`_form` and unknown paths go
+   * to formError). Other failures set submitError.
+   *
+   * @param {string|function} action - Server action ID (invoked via createActionInvoker, loaded on
+   *   first submit) or invoker
+   * @param {Object} [submitOptions] - Submit options
+   * @param {function(Object): *} [submitOptions.transform] - Build the action argument from the values
+   * @param {function(*, Object): void} [submitOptions.onSuccess] - Called with the result and values
+   * @param {Object} [submitOptions.invokerOptions] - Options for createActionInvoker
+   * @returns {function(Event=): Promise<boolean>} Submit handler
+   *
+   * @example
+   * const form = useForm({ email: '', items: [] }, schema, { fieldArrays: { items } });
+   * el('form', { onSubmit: form.submitWith('SignupForm$register', {
+   *   onSuccess: (user) => router.navigate(`/users/${user.id}`)
+   * }) });
+   * // Server responds 422 { errors: { email: 'Already registered', 'items[1]': 'Out of stock' } }
+   */
+  function submitWith(action, submitOptions = {}) {
+    const { transform, onSuccess, invokerOptions } = submitOptions;
+    let invoke = typeof action === 'string' ? null : action;
+
+    return (event) => runSubmit(event, async (values) => {
+      if (!invoke) {
+        const { createActionInvoker } = await import('./server-components/actions.js');
+        invoke = createActionInvoker(action, invokerOptions);
+      }
+      const result = await invoke(transform ? transform(values) : values);
+
+      if (result && typeof result === 'object' && isFieldErrorMap(result.errors) &&
+          Object.keys(result.errors).length > 0) {
+        const error = new Error('Validation failed');
+        error.errors = result.errors;
+        throw error;
+      }
+
+      if (onSuccess) {
+        await onSuccess(result, values);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Split an error path into segments: 'items[2].name' -> ['items', '2', 'name']
+   */
+  function parseErrorPath(path) {
+    return path.replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+  }
+
+  /**
+   * Set form-level or field errors.
+   * Keys are field names, dotted/indexed paths or `_form`. Paths into a field's value
+   * (`address.city`) set that field's error; paths into a registered field array
+   * (`items[2]`, `items.2.name`) set the row's error. The first message per target wins.
+   *
+   * @param {Object<string, string>} errorMap - Error messages by path
+   * @returns {Object<string, string>} Entries that matched no field
    */
   function setErrors(errorMap) {
+    const unmatched = {};
+    const assigned = new Set();
+
+    const assign = (target, message) => {
+      if (assigned.has(target)) return;
+      assigned.add(target);
+      target.setError(message);
+    };
+
     batch(() => {
-      for (const [name, message] of Object.entries(errorMap)) {
-        if (name === '_form') {
+      for (const [path, message] of Object.entries(errorMap)) {
+        if (path === '_form' || path === '') {
           formError.set(message);
+          continue;
+        }
+        if (fields[path]) {
+          assign(fields[path], message);
+          continue;
+        }
+
+        const [name, index] = parseErrorPath(path);
+        const row = fieldArrays[name] && /^\d+$/.test(index)
+          ? fieldArrays[name].fields.peek()[Number(index)]
+          : null;
+
+        if (row) {
+          assign(row, message);
         } else if (fields[name]) {
-          fields[name].error.set(message);
+          assign(fields[name], message);
+        } else {
+          unmatched[path] = message;
         }
       }
     });
+
+    return unmatched;
+  }
+
+  /**
+   * Map server validation errors onto the form (sanitized for display)
+   * @param {Object} serverErrors - Errors by path; values may be message arrays
+   * @returns {Promise<void>}
+   */
+  async function applyServerErrors(serverErrors) {
+    const normalized = {};
+    for (const [path, message] of Object.entries(serverErrors)) {
+      normalized[path] = Array.isArray(message) ? message[0] : message;
+    }
+
+    const { sanitizeValidationErrors } = await import('./server-components/error-sanitizer.js');
+    const unmatched = setErrors(sanitizeValidationErrors(normalized));
+    const leftover = Object.values(unmatched);
+    if (leftover.length > 0 && formError.peek() === null) {
+      formError.set(leftover[0]);
+    }
   }
 
   /**
@@ -991,6 +1177,11 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
       for (const name of fieldNames) {
         fields[name].error.set(null);
       }
+      for (const fieldArray of Object.values(fieldArrays)) {
+        for (const row of fieldArray.fields.peek()) {
+          row.clearError();
+        }
+      }
       formError.set(null);
       submitError.set(null);
     });
@@ -1040,6 +1231,7 @@ export function useForm(initialValues, validationSchema = {}, options = {}) {
     validateAllSync,
     reset,
     handleSubmit,
+    submitWith,
     setErrors,
     clearErrors,
     clearFormError,      // #32: Clear form-level error
@@ -1393,6 +1585,374 @@ export function useFieldArray(initialValues = [], itemRules = []) {
   };
 }
 
+// ============================================================================
+// Multi-Step Wizard
+// ============================================================================
+
+/**
+ * @typedef {Object} WizardStep
+ * @property {string} [id] - Step identifier (defaults to the step index)
+ * @property {string[]} fields - Form fields edited (and validated) in this step
+ * @property {function(Object): (Object|null|Promise<Object|null>)} [validate] - Step-level
+ *   cross-field validation, returns an error map like the form `validate` option
+ */
+
+/**
+ * @typedef {Object} WizardPersistOptions
+ * @property {Object|string} [adapter] - PersistenceAdapter or adapter type (default: localStorage)
+ * @property {string} [key='pulse-form-wizard'] - Storage key for the draft
+ * @property {number} [debounce=300] - Debounce delay for saving drafts (ms)
+ * @property {string[]} [exclude=[]] - Field names never written to the draft
+ */
+
+/**
+ * Create a multi-step form on top of useForm.
+ *
+ * Each step owns a subset of the fields: next() validates only the current
+ * step, back() never validates, and submit() validates every step before
+ * calling onSubmit (jumping back to the first invalid step). With `persist`,
+ * values and the current step are saved through a persistence adapter so a
+ * half-filled flow can be resumed.
+ *
+ * @param {Object} initialValues - Initial values for all steps
+ * @param {WizardStep[]} steps - Step definitions, in order
+ * @param {Object} [options={}] - useForm options (validationSchema, onSubmit, ...) plus:
+ * @param {Object} [options.validationSchema] - Validation rules, JSON Schema or Standard Schema
+ * @param {boolean|WizardPersistOptions} [options.persist=false] - Draft persistence
+ * @param {function(Object, number): void} [options.onStepChange] - Called with (step, index)
+ * @returns {Object} Wizard state and controls
+ *
+ * @example
+ * const wizard = useFormWizard(
+ *   { name: '', email: '', plan: 'free', card: '' },
+ *   [
+ *     { id: 'account', fields: ['name', 'email'] },
+ *     { id: 'plan', fields: ['plan'] },
+ *     { id: 'billing', fields: ['card'] }
+ *   ],
+ *   {
+ *     validationSchema: { email: [validators.required(), validators.email()] },
+ *     persist: { key: 'onboarding' },
+ *     onSubmit: (values) => api.completeOnboarding(values)
+ *   }
+ * );
+ *
+ * el('button', { onClick: wizard.next, disabled: wizard.isLast.get() }, 'Next');
+ * el('progress', { value: wizard.progress.get() });
+ */
+export function useFormWizard(initialValues, steps, options = {}) {
+  const {
+    validationSchema = {},
+    persist = false,
+    onStepChange,
+    ...formOptions
+  } = options;
+
+  const fieldNames = Object.keys(initialValues);
+  const stepDefs = steps.map((step, index) => {
+    for (const field of step.fields || []) {
+      if (!fieldNames.includes(field)) {
+        throw Errors.invalidWizardStep(step.id ?? index, field, fieldNames);
+      }
+    }
+    return { ...step, id: step.id ?? String(index), fields: step.fields || [] };
+  });
+
+  // Validation happens per step, so the underlying form never validates everything on submit
+  const form = useForm(initialValues, validationSchema, { ...formOptions, validateOnSubmit: false });
+
+  const currentStep = pulse(0);
+  const step = computed(() => stepDefs[currentStep.get()]);
+  const isFirst = computed(() => currentStep.get() === 0);
+  const isLast = computed(() => currentStep.get() === stepDefs.length - 1);
+  const progress = computed(() => (currentStep.get() + 1) / stepDefs.length);
+  const completedSteps = pulse([]);
+
+  /**
+   * Resolve a step index from an index or step id
+   */
+  function indexOf(target) {
+    if (typeof target === 'number') return target;
+    return stepDefs.findIndex(s => s.id === target);
+  }
+
+  function setStep(index) {
+    if (index === currentStep.peek()) return;
+    currentStep.set(index);
+    if (onStepChange) {
+      onStepChange(stepDefs[index], index);
+    }
+  }
+
+  /**
+   * Validate the fields (and step-level validate) of one step
+   * @param {number} index - Step index
+   * @returns {Promise<boolean>}
+   */
+  async function validateStep(index) {
+    const def = stepDefs[index];
+
+    batch(() => {
+      for (const name of def.fields) {
+        form.fields[name].touched.set(true);
+      }
+    });
+
+    const results = await Promise.all(def.fields.map(name => form.fields[name].validate()));
+    // null means a newer validation superseded this one, treated as valid like validateAll()
+    let valid = results.every(result => result !== false);
+
+    if (valid && def.validate) {
+      let stepErrors;
+      try {
+        stepErrors = await def.validate(form.getValues());
+      } catch (err) {
+        form.formError.set(err.message || 'Step validation failed');
+        return false;
+      }
+      if (stepErrors && typeof stepErrors === 'object' && Object.keys(stepErrors).length > 0) {
+        form.setErrors(stepErrors);
+        valid = false;
+      }
+    }
+
+    completedSteps.update(done => valid
+      ? (done.includes(def.id) ? done : [...done, def.id])
+      : done.filter(id => id !== def.id));
+
+    return valid;
+  }
+
+  /**
+   * Validate the current step and move to the next one
+   * @returns {Promise<boolean>} true if the current step is valid
+   */
+  async function next() {
+    const index = currentStep.peek();
+    if (!(await validateStep(index))) return false;
+    if (index < stepDefs.length - 1) {
+      setStep(index + 1);
+    }
+    return true;
+  }
+
+  /**
+   * Move to the previous step (no validation)
+   * @returns {boolean} false when already on the first step
+   */
+  function back() {
+    const index = currentStep.peek();
+    if (index === 0) return false;
+    setStep(index - 1);
+    return true;
+  }
+
+  /**
+   * Jump to a step. Going back is always allowed; going forward validates
+   * every step in between and stops at the first invalid one.
+   * @param {number|string} target - Step index or id
+   * @returns {Promise<boolean>} true if the target step was reached
+   */
+  async function goTo(target) {
+    const index = indexOf(target);
+    if (index < 0 || index >= stepDefs.length) return false;
+
+    for (let i = currentStep.peek(); i < index; i++) {
+      if (!(await validateStep(i))) {
+        setStep(i);
+        return false;
+      }
+    }
+    setStep(index);
+    return true;
+  }
+
+  /**
+   * Validate all steps and submit. On the first invalid step, shows that step.
+   * @param {Event} [event] - Submit event
+   * @returns {Promise<boolean>}
+   */
+  async function submit(event) {
+    if (event?.preventDefault) {
+      event.preventDefault();
+    }
+
+    for (let i = 0; i < stepDefs.length; i++) {
+      if (!(await validateStep(i))) {
+        setStep(i);
+        if (formOptions.onError) {
+          formOptions.onError(form.errors.get());
+        }
+        return false;
+      }
+    }
+
+    const submitted = await form.handleSubmit();
+    if (submitted) {
+      await clearDraft();
+    }
+    return submitted;
+  }
+
+  // ========================================================================
+  // Draft persistence (via runtime/persistence.js adapters)
+  // ========================================================================
+
+  const persistConfig = persist === true ? {} : persist || null;
+  const adapterReady = persistConfig ? loadDraftAdapter(persistConfig.adapter) : null;
+  let adapter = null;
+  const draftKey = persistConfig?.key || 'pulse-form-wizard';
+  const draftDebounce = persistConfig?.debounce ?? 300;
+  const draftExclude = persistConfig?.exclude || [];
+
+  const hasDraft = pulse(false);
+  let saveTimer = null;
+  let disposeDraftEffect = null;
+  let disposed = false;
+
+  async function saveDraft() {
+    saveTimer = null;
+    const values = form.getValues();
+    const draftValues = {};
+    for (const name of fieldNames) {
+      if (!draftExclude.includes(name) && typeof values[name] !== 'function') {
+        draftValues[name] = values[name];
+      }
+    }
+    try {
+      await adapter.setItem(draftKey, { values: draftValues, step: currentStep.peek() });
+      hasDraft.set(true);
+    } catch {
+      // Storage errors (quota, private mode) must not break the form
+    }
+  }
+
+  /**
+   * Remove the saved draft
+   * @returns {Promise<void>}
+   */
+  async function clearDraft() {
+    if (!adapterReady) return;
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    const store = await adapterReady;
+    if (!store) return;
+    try {
+      await store.removeItem(draftKey);
+    } catch {
+      // Ignore storage errors
+    }
+    hasDraft.set(false);
+  }
+
+  /**
+   * Restore values and step from the saved draft (only known, non-excluded fields)
+   * @returns {Promise<boolean>} true if a draft was restored
+   */
+  async function restoreDraft() {
+    adapter = await adapterReady;
+    if (!adapter) return false;
+
+    let draft = null;
+    try {
+      draft = await adapter.getItem(draftKey);
+    } catch {
+      return false;
+    }
+    if (disposed || !draft || typeof draft !== 'object' || !draft.values || typeof draft.values !== 'object') {
+      return false;
+    }
+
+    const values = {};
+    for (const name of fieldNames) {
+      if (name in draft.values && !draftExclude.includes(name)) {
+        values[name] = draft.values[name];
+      }
+    }
+    const stepIndex = Number.isInteger(draft.step)
+      ? Math.min(Math.max(draft.step, 0), stepDefs.length - 1)
+      : 0;
+
+    batch(() => {
+      form.setValues(values);
+      currentStep.set(stepIndex);
+    });
+    hasDraft.set(true);
+    return true;
+  }
+
+  const restored = adapterReady
+    ? restoreDraft().then((result) => {
+      if (disposed) return result;
+      // Start saving only after the draft was applied, so it is not overwritten by initial values
+      let firstRun = true;
+      disposeDraftEffect = effect(() => {
+        form.getValues();
+        currentStep.get();
+        if (firstRun) {
+          firstRun = false;
+          return;
+        }
+        if (saveTimer) clearTimeout(saveTimer);
+        saveTimer = setTimeout(saveDraft, draftDebounce);
+      });
+      return result;
+    })
+    : Promise.resolve(false);
+
+  /**
+   * Reset values, errors and go back to the first step (discards the draft)
+   * @param {Object} [newValues] - New initial values
+   */
+  function reset(newValues) {
+    batch(() => {
+      form.reset(newValues);
+      currentStep.set(0);
+      completedSteps.set([]);
+    });
+    clearDraft();
+  }
+
+  function dispose() {
+    disposed = true;
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    if (disposeDraftEffect) {
+      disposeDraftEffect();
+      disposeDraftEffect = null;
+    }
+    form.dispose();
+  }
+
+  return {
+    form,
+    fields: form.fields,
+    errors: form.errors,
+    isSubmitting: form.isSubmitting,
+    steps: stepDefs,
+    currentStep,
+    step,
+    isFirst,
+    isLast,
+    progress,
+    completedSteps,
+    next,
+    back,
+    goTo,
+    validateStep,
+    submit,
+    reset,
+    hasDraft,
+    restored,
+    clearDraft,
+    dispose
+  };
+}
+
 // ============================================================================
 // File Upload Field (#34)
 // ============================================================================
@@ -1407,7 +1967,8 @@ export function useFieldArray(initialValues = [], itemRules = []) {
  * @param {number} [options.maxFiles=Infinity] - Maximum number of files (when multiple=true)
  * @param {boolean} [options.preview=false] - Generate preview URLs for image files
  * @param {function(File[]): boolean|string} [options.validate] - Custom validation function
- * @returns {Object} File field state and controls
+ * @returns {Object} File field state and controls, including `upload(url, options)` with
+ *   reactive `uploadProgress`/`uploadStatus` and pause/resume/cancel
  *
  * @example
  * const avatar = useFileField({
@@ -1427,6 +1988,10 @@ export function useFieldArray(initialValues = [], itemRules = []) {
  *   ondrop: avatar.onDrop,
  *   class: () => avatar.isDragging.get() ? 'drag-over' : ''
  * });
+ *
+ * // Resumable upload with progress bar
+ * await avatar.upload('/api/avatar', { chunkSize: 1024 * 1024 });
+ * el('progress', { value: () => avatar.uploadProgress.get() });
  */
 export function useFileField(options = {}) {
   const {
@@ -1445,6 +2010,12 @@ export function useFileField(options = {}) {
   const touched = pulse(false);
   const isDragging = pulse(false);
   const valid = computed(() => error.get() === null);
+  const uploadProgress = pulse(0);
+  const uploadStatus = pulse('idle');
+  const uploadError = pulse(null);
+
+  // Current upload run: files are sent one at a time, each as an UploadTask
+  let uploadQueue = null;
 
   // Track object URLs for cleanup
   let previewUrls = [];
@@ -1645,18 +2216,139 @@ export function useFileField(options = {}) {
     }
   };
 
+  /**
+   * Send the queued files from the current one on
+   * @returns {Promise<Object[]|null>} Responses, or null if paused/cancelled
+   */
+  async function runUploads() {
+    const queue = uploadQueue;
+    batch(() => {
+      uploadStatus.set('uploading');
+      uploadError.set(null);
+    });
+
+    try {
+      if (!queue.client) {
+        queue.client = (await import('./http.js')).http;
+        if (uploadQueue !== queue || uploadStatus.peek() !== 'uploading') {
+          return null;
+        }
+      }
+
+      while (queue.index < queue.files.length) {
+        const file = queue.files[queue.index];
+        if (queue.task) {
+          queue.task.resume();
+        } else {
+          const url = typeof queue.url === 'function' ? queue.url(file, queue.index) : queue.url;
+          queue.task = queue.client.upload(url, file, {
+            ...queue.options,
+            onProgress: (event) => {
+              uploadProgress.set(queue.totalSize ? (queue.sent + event.loaded) / queue.totalSize : 0);
+            }
+          });
+        }
+
+        const response = await queue.task.promise;
+        if (response === null || uploadQueue !== queue) {
+          return null;
+        }
+        queue.responses.push(response);
+        queue.sent += file.size;
+        queue.index++;
+        queue.task = null;
+      }
+
+      batch(() => {
+        uploadProgress.set(1);
+        uploadStatus.set('done');
+      });
+      return queue.responses;
+    } catch (err) {
+      if (uploadQueue !== queue || uploadStatus.peek() === 'cancelled') {
+        return null;
+      }
+      batch(() => {
+        uploadStatus.set('error');
+        uploadError.set(err);
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Upload the selected files, one request (or chunk sequence) per file
+   * @param {string|function(File, number): string} url - Upload URL, or URL per file
+   * @param {Object} [uploadOptions] - client.upload() options (chunkSize, method, headers...)
+   * @param {HttpClient} [uploadOptions.client] - HTTP client to send with (default: the shared
+   *   `http` client, loaded on first upload)
+   * @returns {Promise<Object[]|null>} Responses, or null if paused/cancelled
+   */
+  const upload = (url, uploadOptions = {}) => {
+    const { client = null, ...taskOptions } = uploadOptions;
+    cancelUpload();
+
+    const fileList = files.peek();
+    uploadQueue = {
+      url,
+      client,
+      options: taskOptions,
+      files: fileList,
+      totalSize: fileList.reduce((sum, file) => sum + file.size, 0),
+      sent: 0,
+      index: 0,
+      task: null,
+      responses: []
+    };
+    uploadProgress.set(0);
+    return runUploads();
+  };
+
+  const pauseUpload = () => {
+    if (uploadStatus.peek() !== 'uploading') return;
+    uploadStatus.set('paused');
+    uploadQueue.task?.pause();
+  };
+
+  /**
+   * Resume a paused or failed upload where it stopped
+   * @returns {Promise<Object[]|null>} Responses, or null if paused/cancelled
+   */
+  const resumeUpload = () => {
+    const status = uploadStatus.peek();
+    if (!uploadQueue || (status !== 'paused' && status !== 'error')) {
+      return Promise.resolve(null);
+    }
+    return runUploads();
+  };
+
+  const cancelUpload = () => {
+    if (!uploadQueue) return;
+    const queue = uploadQueue;
+    uploadQueue = null;
+    queue.task?.cancel();
+    if (uploadStatus.peek() !== 'done') {
+      uploadStatus.set('cancelled');
+    }
+  };
+
   const reset = () => {
     revokePreviewUrls();
+    cancelUpload();
     batch(() => {
       files.set([]);
       error.set(null);
       touched.set(false);
       isDragging.set(false);
+      uploadProgress.set(0);
+      uploadStatus.set('idle');
+      uploadError.set(null);
     });
   };
 
   const dispose = () => {
     revokePreviewUrls();
+    cancelUpload();
   };
   onCleanup(dispose);
 
@@ -1675,7 +2367,14 @@ export function useFileField(options = {}) {
     clear,
     removeFile,
     reset,
-    dispose
+    dispose,
+    uploadProgress,
+    uploadStatus,
+    uploadError,
+    upload,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload
   };
 }
 
@@ -1684,5 +2383,7 @@ export default {
   useField,
   useFieldArray,
   useFileField,
-  validators
+  useFormWizard,
+  validators,
+  validateJsonSchema
 };
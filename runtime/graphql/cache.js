@@ -8,6 +8,366 @@
 
 import { LRUCache } from '../lru-cache.js';
 
+// ============================================================================
+// Document Parsing
+// ============================================================================
+
+const OPERATION_TYPES = new Set(['query', 'mutation', 'subscription']);
+const PUNCTUATORS = '!$&()...:=@[]{}|';
+
+/**
+ * Split a GraphQL document into tokens. Comments, commas and whitespace are
+ * dropped; strings keep their source text.
+ * @param {string} source - GraphQL document
+ * @returns {Array<{type: 'name'|'punct'|'string'|'number', value: string}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '#') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (ch === '"') {
+      const block = source.startsWith('\"\"\"', i);
+      let end = i + (block ? 3 : 1);
+      while (end < source.length) {
+        if (block ? source.startsWith('\"\"\"', end) : source[end] === '"') break;
+        end += !block && source[end] === '\\' ? 2 : 1;
+      }
+      end = Math.min(end + (block ? 3 : 1), source.length);
+      tokens.push({ type: 'string', value: source.slice(i, end) });
+      i = end;
+    } else if (/[_A-Za-z]/.test(ch)) {
+      const [name] = source.slice(i).match(/^[_A-Za-z][_0-9A-Za-z]*/);
+      tokens.push({ type: 'name', value: name });
+      i += name.length;
+    } else if (/[-\d]/.test(ch)) {
+      const [number] = source.slice(i).match(/^-?\d*(?:\.\d+)?(?:[eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: number || ch });
+      i += number.length || 1;
+    } else if (source.startsWith('...', i)) {
+      tokens.push({ type: 'punct', value: '...' });
+      i += 3;
+    } else {
+      if (PUNCTUATORS.includes(ch)) tokens.push({ type: 'punct', value: ch });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+// Operations of parsed documents, by source query
+const documentOperations = new LRUCache(200);
+
+/**
+ * List the operation definitions of a document (fragments are skipped)
+ * @param {string} query - GraphQL document
+ * @returns {Array<{type: string, name: string|null}>} Operations in document order
+ */
+function parseOperations(query) {
+  const cached = documentOperations.get(query);
+  if (cached !== undefined) return cached;
+
+  const tokens = tokenize(query);
+  const operations = [];
+  let depth = 0;
+  let parens = 0;
+  let inDefinition = false; // Between a definition keyword and its selection set
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { type, value } = tokens[i];
+
+    if (type === 'punct') {
+      if (value === '(') parens++;
+      else if (value === ')') parens--;
+      else if (value === '{') {
+        if (depth === 0 && parens === 0) {
+          // A bare selection set is a query shorthand
+          if (!inDefinition) operations.push({ type: 'query', name: null });
+          inDefinition = false;
+        }
+        depth++;
+      } else if (value === '}') {
+        depth--;
+      }
+      continue;
+    }
+
+    if (type !== 'name' || depth > 0 || parens > 0 || inDefinition) continue;
+
+    if (value === 'fragment') {
+      inDefinition = true;
+    } else if (OPERATION_TYPES.has(value)) {
+      const next = tokens[i + 1];
+      operations.push({ type: value, name: next?.type === 'name' ? next.value : null });
+      inDefinition = true;
+    }
+  }
+
+  documentOperations.set(query, operations);
+  return operations;
+}
+
+/**
+ * Find the type of the operation a request executes
+ * @param {string} query - GraphQL document
+ * @param {string|null} [operationName] - Operation to execute (required by GraphQL
+ *   when the document defines several)
+ * @returns {'query'|'mutation'|'subscription'|null} Operation type, or null if unknown
+ */
+export function getOperationType(query, operationName = null) {
+  const operations = parseOperations(query);
+  const operation = operationName
+    ? operations.find(op => op.name === operationName)
+    : operations.length === 1 ? operations[0] : null;
+  return operation ? operation.type : null;
+}
+
+/**
+ * @typedef {Object} FieldSelection
+ * @property {string} key - Response key (alias or field name)
+ * @property {string} name - Field name
+ * @property {Object|null} args - Argument value nodes by name
+ * @property {Array<FieldSelection>|null} selection - Sub-selection (null for leaf fields)
+ * @property {boolean} optional - Under a fragment or @include/@skip, so it may be absent
+ */
+
+// Selections of parsed documents (null if unparsable), by source query
+const documentSelections = new LRUCache(200);
+
+/**
+ * Parse the selection of a document's first operation, with fragment
+ * spreads expanded
+ * @param {string} query - GraphQL document
+ * @returns {{selection: Array<FieldSelection>, defaults: Object}|null} Selection and
+ *   variable default value nodes, or null if the document cannot be parsed
+ */
+function parseSelection(query) {
+  const cached = documentSelections.get(query);
+  if (cached !== undefined) return cached;
+
+  let parsed;
+  try {
+    parsed = parseDocument(tokenize(query));
+  } catch {
+    parsed = null;
+  }
+  documentSelections.set(query, parsed);
+  return parsed;
+}
+
+function parseDocument(tokens) {
+  let pos = 0;
+  const operations = [];
+  const fragments = new Map();
+
+  const isPunct = (value) => tokens[pos]?.type === 'punct' && tokens[pos].value === value;
+  const isName = (value) => tokens[pos]?.type === 'name' && tokens[pos].value === value;
+
+  function expect(value) {
+    if (!isPunct(value)) throw new SyntaxError(`Expected "${value}"`);
+    pos++;
+  }
+
+  function name() {
+    const token = tokens[pos++];
+    if (token?.type !== 'name') throw new SyntaxError('Expected a name');
+    return token.value;
+  }
+
+  function value() {
+    const token = tokens[pos++];
+    if (!token) throw new SyntaxError('Unexpected end of document');
+    if (token.type === 'number') return { literal: Number(token.value) };
+    if (token.type === 'string') return { literal: parseString(token.value) };
+    if (token.type === 'name') {
+      const literals = { true: true, false: false, null: null };
+      return { literal: token.value in literals ? literals[token.value] : token.value };
+    }
+    if (token.value === '$') return { variable: name() };
+    if (token.value === '[') {
+      const list = [];
+      while (!isPunct(']')) list.push(value());
+      pos++;
+      return { list };
+    }
+    if (token.value === '{') {
+      const object = {};
+      while (!isPunct('}')) {
+        const key = name();
+        expect(':');
+        object[key] = value();
+      }
+      pos++;
+      return { object };
+    }
+    throw new SyntaxError(`Unexpected "${token.value}"`);
+  }
+
+  function args() {
+    expect('(');
+    const nodes = {};
+    while (!isPunct(')')) {
+      const key = name();
+      expect(':');
+      nodes[key] = value();
+    }
+    pos++;
+    return nodes;
+  }
+
+  // Skip directives; true if one of them makes the selection conditional
+  function directives() {
+    let conditional = false;
+    while (isPunct('@')) {
+      pos++;
+      const directive = name();
+      if (directive === 'include' || directive === 'skip') conditional = true;
+      if (isPunct('(')) args();
+    }
+    return conditional;
+  }
+
+  function typeRef() {
+    if (isPunct('[')) {
+      pos++;
+      typeRef();
+      expect(']');
+    } else {
+      name();
+    }
+    if (isPunct('!')) pos++;
+  }
+
+  function selectionSet(optional) {
+    expect('{');
+    const fields = [];
+    while (!isPunct('}')) {
+      if (isPunct('...')) {
+        pos++;
+        if (tokens[pos]?.type === 'name' && !isName('on')) {
+          const fragment = name();
+          directives();
+          fields.push({ spread: fragment });
+          continue;
+        }
+        let typed = false;
+        if (isName('on')) {
+          pos++;
+          name();
+          typed = true;
+        }
+        const conditional = directives();
+        fields.push(...selectionSet(optional || typed || conditional));
+        continue;
+      }
+
+      let key = name();
+      let fieldName = key;
+      if (isPunct(':')) {
+        pos++;
+        fieldName = name();
+      }
+      const fieldArgs = isPunct('(') ? args() : null;
+      const conditional = directives();
+      const selection = isPunct('{') ? selectionSet(false) : null;
+      fields.push({ key, name: fieldName, args: fieldArgs, selection, optional: optional || conditional });
+    }
+    pos++;
+    return fields;
+  }
+
+  while (pos < tokens.length) {
+    if (isPunct('{')) {
+      operations.push({ defaults: {}, selection: selectionSet(false) });
+      continue;
+    }
+
+    const keyword = name();
+    if (keyword === 'fragment') {
+      const fragment = name();
+      if (name() !== 'on') throw new SyntaxError('Expected "on"');
+      name();
+      directives();
+      fragments.set(fragment, selectionSet(false));
+      continue;
+    }
+    if (!OPERATION_TYPES.has(keyword)) throw new SyntaxError(`Unexpected "${keyword}"`);
+
+    if (tokens[pos]?.type === 'name') pos++;
+    const defaults = {};
+    if (isPunct('(')) {
+      pos++;
+      while (!isPunct(')')) {
+        expect('$');
+        const variable = name();
+        expect(':');
+        typeRef();
+        if (isPunct('=')) {
+          pos++;
+          defaults[variable] = value();
+        }
+        directives();
+      }
+      pos++;
+    }
+    directives();
+    operations.push({ defaults, selection: selectionSet(false) });
+  }
+
+  if (operations.length === 0) return null;
+
+  // Replace fragment spreads with the fragment's fields (optional: the type may not match)
+  function expand(fields, seen) {
+    return fields.flatMap((field) => {
+      if (field.spread === undefined) {
+        return [{ ...field, selection: field.selection && expand(field.selection, seen) }];
+      }
+      const fragment = fragments.get(field.spread);
+      if (!fragment) throw new SyntaxError(`Unknown fragment "${field.spread}"`);
+      if (seen.has(field.spread)) return [];
+      return expand(fragment, new Set(seen).add(field.spread)).map(f => ({ ...f, optional: true }));
+    });
+  }
+
+  const [operation] = operations;
+  return { defaults: operation.defaults, selection: expand(operation.selection, new Set()) };
+}
+
+function parseString(source) {
+  if (source.startsWith('\"\"\"')) return source.slice(3, -3);
+  try {
+    return JSON.parse(source);
+  } catch {
+    return source.slice(1, -1);
+  }
+}
+
+/**
+ * Resolve an argument value node against operation variables
+ * @param {Object} node - Value node
+ * @param {Object} variables - Variable values
+ * @returns {*} Value (undefined for an unset variable)
+ */
+function resolveValue(node, variables) {
+  if ('variable' in node) return variables[node.variable];
+  if ('list' in node) return node.list.map(item => resolveValue(item, variables) ?? null);
+  if ('object' in node) {
+    const object = {};
+    for (const [key, child] of Object.entries(node.object)) {
+      const resolved = resolveValue(child, variables);
+      if (resolved !== undefined) object[key] = resolved;
+    }
+    return object;
+  }
+  return node.literal;
+}
+
 // ============================================================================
 // Cache Key Utilities
 // ============================================================================
@@ -15,11 +375,11 @@ import { LRUCache } from '../lru-cache.js';
 /**
  * Extract operation name from GraphQL query string
  * @param {string} query - GraphQL query string
- * @returns {string|null} Operation name or null
+ * @returns {string|null} Name of the first operation, or null
  */
 export function extractOperationName(query) {
-  const match = query.match(/(?:query|mutation|subscription)\s+(\w+)/);
-  return match ? match[1] : null;
+  const [operation] = parseOperations(query);
+  return operation?.name ?? null;
 }
 
 /**
@@ -66,4 +426,527 @@ export function generateCacheKey(query, variables) {
   return `gql:${queryHash}${variablesHash ? ':' + variablesHash : ''}`;
 }
 
+// ============================================================================
+// __typename Injection
+// ============================================================================
+
+// Transformed documents, by source query
+const typenameDocuments = new LRUCache(200);
+
+/**
+ * Add `__typename` to every selection set below the operation root, so
+ * results can be normalized. Braces in arguments, strings and comments are
+ * left alone. Selecting `__typename` twice is valid GraphQL.
+ * @param {string} query - GraphQL document
+ * @returns {string} Document selecting `__typename` on every object
+ */
+export function addTypename(query) {
+  const cached = typenameDocuments.get(query);
+  if (cached !== undefined) return cached;
+
+  let out = '';
+  let depth = 0;
+  let parens = 0;
+  let string = null; // '"' or '"""' while inside a string
+
+  for (let i = 0; i < query.length; i++) {
+    const ch = query[i];
+
+    if (string) {
+      if (string === '"""' && query.startsWith('"""', i)) {
+        out += '"""';
+        i += 2;
+        string = null;
+      } else if (string === '"' && ch === '\\') {
+        out += ch + (query[i + 1] ?? '');
+        i++;
+      } else {
+        out += ch;
+        if (string === '"' && ch === '"') string = null;
+      }
+      continue;
+    }
+
+    if (ch === '#') {
+      const end = query.indexOf('\n', i);
+      const stop = end === -1 ? query.length : end;
+      out += query.slice(i, stop);
+      i = stop - 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      string = query.startsWith('"""', i) ? '"""' : '"';
+      out += string;
+      i += string.length - 1;
+      continue;
+    }
+
+    out += ch;
+    if (ch === '(') {
+      parens++;
+    } else if (ch === ')') {
+      parens--;
+    } else if (ch === '{' && parens === 0) {
+      // Operation roots are skipped; fragment definitions are on an object type
+      if (depth > 0 || /\bfragment\s+\w+\s+on\s+\w+[^{]*\{$/.test(out)) {
+        out += ' __typename';
+      }
+      depth++;
+    } else if (ch === '}' && parens === 0) {
+      depth--;
+    }
+  }
+
+  typenameDocuments.set(query, out);
+  return out;
+}
+
+// ============================================================================
+// Normalized Cache
+// ============================================================================
 
+const REF = '__ref';
+
+// Marks a read that reached an entity or field missing from the cache
+const MISSING = Symbol('missing');
+
+// Selection of a value whose fields are unknown (e.g. a list that was empty when cached)
+const LEAVES = 'leaves';
+
+/**
+ * Selection shape of a result: field name → child shape, `true` for leaves.
+ * Array items are merged into one shape.
+ * @param {*} value - Result value
+ * @returns {Object|true|null} Shape (null for an empty array)
+ */
+function shapeOf(value) {
+  if (Array.isArray(value)) {
+    return value.reduce((shape, item) => mergeShapes(shape, shapeOf(item)), null);
+  }
+  if (value && typeof value === 'object') {
+    const shape = {};
+    for (const [key, child] of Object.entries(value)) {
+      shape[key] = shapeOf(child);
+    }
+    return shape;
+  }
+  return true;
+}
+
+function mergeShapes(a, b) {
+  if (a === null || a === true) return b ?? a;
+  if (b === null || b === true) return a;
+  const merged = { ...a };
+  for (const [key, child] of Object.entries(b)) {
+    merged[key] = key in merged ? mergeShapes(merged[key], child) : child;
+  }
+  return merged;
+}
+
+/**
+ * Selection of a result written without its document: every response key is a field
+ * @param {Object|true|null} shape - Shape from shapeOf()
+ * @returns {Array<FieldSelection>|string|null} Selection
+ */
+function selectionOfShape(shape) {
+  if (shape === true) return null;
+  if (shape === null) return LEAVES;
+  return Object.entries(shape).map(([key, child]) => ({
+    key,
+    name: key,
+    args: null,
+    selection: selectionOfShape(child),
+    optional: false
+  }));
+}
+
+/**
+ * Storage key of a field: its name, plus its arguments when it has any,
+ * e.g. `posts({"first":5})`
+ * @param {FieldSelection} field - Selected field
+ * @param {Object} variables - Operation variables
+ * @returns {string} Storage key
+ */
+function fieldKey(field, variables) {
+  if (!field.args) return field.name;
+  const args = resolveValue({ object: field.args }, variables);
+  return Object.keys(args).length > 0 ? `${field.name}(${sortedJson(args)})` : field.name;
+}
+
+function sortedJson(value) {
+  return JSON.stringify(value, (key, child) => {
+    if (!child || typeof child !== 'object' || Array.isArray(child)) return child;
+    return Object.fromEntries(Object.keys(child).sort().map(k => [k, child[k]]));
+  });
+}
+
+// Combine the reads of fields selected twice under one response key
+function mergeReads(a, b) {
+  if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+    return a.map((item, i) => mergeReads(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+    const merged = { ...a };
+    for (const [key, child] of Object.entries(b)) {
+      merged[key] = key in merged ? mergeReads(merged[key], child) : child;
+    }
+    return merged;
+  }
+  return b;
+}
+
+/**
+ * Normalized entity cache for GraphQLClient (`normalize` option).
+ *
+ * Objects with a `__typename` and key fields (`id` or `_id` by default) are
+ * stored once as entities, e.g. `User:42`; query results keep references to
+ * them. Writing an entity, from any query or mutation result, updates every
+ * cached query that selects it and notifies its watchers.
+ *
+ * Given the operation document, fields are stored by field name plus
+ * arguments (`posts({"first":5})`), so aliases and different arguments get
+ * their own slots; results written without a document are stored by response
+ * key. Once there are more than `maxEntities` entities, those no cached query
+ * references are removed.
+ */
+export class NormalizedCache {
+  #entities = new Map();
+  #queries;
+  #watchers = new Set();
+  #keyFields;
+  #dataIdFromObject;
+  #maxEntities;
+
+  /**
+   * @param {Object} [options={}] - Cache options
+   * @param {Object<string, string[]|function(Object): *|false>} [options.keyFields] - Key fields per
+   *   __typename (or a function returning the key, or false to never normalize the type)
+   * @param {function(Object): (string|null|undefined)} [options.dataIdFromObject] - Custom entity id;
+   *   undefined falls back to keyFields
+   * @param {number} [options.maxSize=500] - Maximum cached query results (LRU eviction)
+   * @param {number} [options.maxEntities=5000] - Entity count above which unreferenced entities are removed
+   */
+  constructor(options = {}) {
+    this.#keyFields = options.keyFields || {};
+    this.#dataIdFromObject = options.dataIdFromObject || null;
+    this.#queries = new LRUCache(options.maxSize ?? 500);
+    this.#maxEntities = options.maxEntities ?? 5000;
+  }
+
+  /**
+   * Get the entity id of a result object
+   * @param {Object} object - Result object
+   * @returns {string|null} Id such as "User:42", or null if it is not an entity
+   */
+  identify(object) {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) return null;
+    if (this.#dataIdFromObject) {
+      const id = this.#dataIdFromObject(object);
+      if (id !== undefined) return id;
+    }
+
+    const typename = object.__typename;
+    if (!typename) return null;
+
+    const fields = this.#keyFields[typename];
+    if (fields === false) return null;
+    if (typeof fields === 'function') {
+      const key = fields(object);
+      return key === undefined || key === null ? null : `${typename}:${key}`;
+    }
+    if (Array.isArray(fields)) {
+      if (fields.some(field => object[field] === undefined)) return null;
+      if (fields.length === 1) return `${typename}:${object[fields[0]]}`;
+      const key = {};
+      for (const field of fields) key[field] = object[field];
+      return `${typename}:${stableStringify(key)}`;
+    }
+
+    const id = object.id ?? object._id;
+    return id === undefined || id === null ? null : `${typename}:${id}`;
+  }
+
+  #normalize(value, selection, variables, changed) {
+    if (Array.isArray(value)) return value.map(item => this.#normalize(item, selection, variables, changed));
+    if (!value || typeof value !== 'object') return value;
+
+    const fields = {};
+    for (const [key, child] of Object.entries(value)) {
+      const selected = Array.isArray(selection) ? selection.filter(field => field.key === key) : [];
+      if (selected.length === 0) {
+        fields[key] = this.#normalize(child, LEAVES, variables, changed);
+      } else if (selected.every(field => !field.selection)) {
+        fields[fieldKey(selected[0], variables)] = child;
+      } else {
+        const childSelection = selected.flatMap(field => field.selection ?? []);
+        fields[fieldKey(selected[0], variables)] = this.#normalize(child, childSelection, variables, changed);
+      }
+    }
+
+    const id = this.identify(value);
+    if (!id) return fields;
+    this.#merge(id, fields, changed);
+    return { [REF]: id };
+  }
+
+  #merge(id, fields, changed) {
+    const existing = this.#entities.get(id);
+    const merged = existing ? { ...existing, ...fields } : fields;
+    if (!existing || stableStringify(existing) !== stableStringify(merged)) {
+      this.#entities.set(id, merged);
+      changed.add(id);
+    }
+  }
+
+  #read(value, selection, variables, deps) {
+    if (Array.isArray(value)) {
+      const items = [];
+      for (const item of value) {
+        const read = this.#read(item, selection, variables, deps);
+        if (read === MISSING) return MISSING;
+        items.push(read);
+      }
+      return items;
+    }
+    if (!value || typeof value !== 'object') return value;
+
+    let source = value;
+    if (value[REF] !== undefined) {
+      deps.add(value[REF]);
+      source = this.#entities.get(value[REF]);
+      if (!source) return MISSING;
+    }
+
+    if (!selection) return value;
+
+    if (selection === LEAVES) {
+      // Selection unknown (e.g. the list was empty when cached): leaf fields only
+      const leaves = {};
+      for (const [key, child] of Object.entries(source)) {
+        if (!child || typeof child !== 'object' ||
+            (Array.isArray(child) && child.every(item => !item || typeof item !== 'object'))) {
+          leaves[key] = child;
+        }
+      }
+      return leaves;
+    }
+
+    const result = {};
+    for (const field of selection) {
+      const key = fieldKey(field, variables);
+      if (!(key in source)) {
+        if (field.optional) continue;
+        return MISSING;
+      }
+      const read = this.#read(source[key], field.selection, variables, deps);
+      if (read === MISSING) return MISSING;
+      result[field.key] = field.key in result ? mergeReads(result[field.key], read) : read;
+    }
+    return result;
+  }
+
+  /**
+   * Selection and variables to normalize a result with
+   * @param {*} data - Result
+   * @param {string|null} query - Operation document
+   * @param {Object|null} variables - Operation variables
+   */
+  #selectionFor(data, query, variables) {
+    const parsed = query ? parseSelection(query) : null;
+    if (!parsed) return { selection: selectionOfShape(shapeOf(data)), variables: {} };
+
+    const resolved = {};
+    for (const [name, node] of Object.entries(parsed.defaults)) {
+      resolved[name] = resolveValue(node, {});
+    }
+    return { selection: parsed.selection, variables: { ...resolved, ...variables } };
+  }
+
+  // Above maxEntities, drop the entities no cached query references
+  #collect() {
+    if (this.#entities.size > this.#maxEntities) this.gc();
+  }
+
+  #notify(changed, writtenKey = null) {
+    for (const watcher of [...this.#watchers]) {
+      if (watcher.key === writtenKey || [...watcher.deps].some(id => changed.has(id))) {
+        this.#emit(watcher);
+      }
+    }
+  }
+
+  #readWatched(watcher) {
+    const entry = this.#queries.get(watcher.key);
+    const deps = new Set();
+    const data = entry ? this.#read(entry.root, entry.selection, entry.variables, deps) : MISSING;
+    if (data !== MISSING) watcher.deps = deps;
+    return data === MISSING ? null : data;
+  }
+
+  #emit(watcher) {
+    const data = this.#readWatched(watcher);
+    const serialized = stableStringify(data);
+    if (serialized === watcher.last) return;
+    watcher.last = serialized;
+    watcher.callback(data);
+  }
+
+  /**
+   * Read a cached query result
+   * @param {string} key - Query cache key
+   * @returns {{data: *, timestamp: number}|null} Result built from current entities, or null if incomplete
+   */
+  read(key) {
+    const entry = this.#queries.get(key);
+    if (!entry) return null;
+    const data = this.#read(entry.root, entry.selection, entry.variables, new Set());
+    return data === MISSING ? null : { data, timestamp: entry.timestamp };
+  }
+
+  /**
+   * Cache a query result and normalize its entities
+   * @param {string} key - Query cache key
+   * @param {*} data - Query result
+   * @param {string|null} [query=null] - Query document (without it, fields are stored by response key)
+   * @param {Object|null} [variables=null] - Query variables
+   */
+  write(key, data, query = null, variables = null) {
+    const changed = new Set();
+    const { selection, variables: resolved } = this.#selectionFor(data, query, variables);
+    const root = this.#normalize(data, selection, resolved, changed);
+    this.#queries.set(key, { root, selection, variables: resolved, timestamp: Date.now() });
+    this.#collect();
+    this.#notify(changed, key);
+  }
+
+  /**
+   * Normalize the entities of a result without caching it as a query (e.g. mutation results)
+   * @param {*} data - Operation result
+   * @param {string|null} [query=null] - Operation document
+   * @param {Object|null} [variables=null] - Operation variables
+   */
+  writeResult(data, query = null, variables = null) {
+    const changed = new Set();
+    const { selection, variables: resolved } = this.#selectionFor(data, query, variables);
+    this.#normalize(data, selection, resolved, changed);
+    this.#collect();
+    this.#notify(changed);
+  }
+
+  /**
+   * Read a stored entity. Nested entities are references `{ __ref: id }`.
+   * @param {string} id - Entity id
+   * @returns {Object|null} Copy of the entity fields
+   */
+  readEntity(id) {
+    const entity = this.#entities.get(id);
+    return entity ? { ...entity } : null;
+  }
+
+  /**
+   * Merge fields into an entity (created if missing)
+   * @param {string} id - Entity id
+   * @param {Object} fields - Fields to write by storage key; nested entities are normalized
+   */
+  writeEntity(id, fields) {
+    const changed = new Set();
+    const normalized = {};
+    for (const [key, child] of Object.entries(fields)) {
+      normalized[key] = this.#normalize(child, LEAVES, {}, changed);
+    }
+    this.#merge(id, normalized, changed);
+    this.#collect();
+    this.#notify(changed);
+  }
+
+  /**
+   * Remove an entity. Queries selecting it become incomplete and their watchers receive null.
+   * @param {string} id - Entity id
+   * @returns {boolean} Whether the entity existed
+   */
+  evict(id) {
+    if (!this.#entities.delete(id)) return false;
+    this.#notify(new Set([id]));
+    return true;
+  }
+
+  /**
+   * Remove the entities that no cached query references
+   * @returns {number} Number of removed entities
+   */
+  gc() {
+    const reachable = new Set();
+    const pending = [...this.#queries.values()].map(entry => entry.root);
+
+    while (pending.length > 0) {
+      const value = pending.pop();
+      if (!value || typeof value !== 'object') continue;
+      if (Array.isArray(value)) {
+        pending.push(...value);
+        continue;
+      }
+      const id = value[REF];
+      if (id === undefined) {
+        pending.push(...Object.values(value));
+      } else if (!reachable.has(id)) {
+        reachable.add(id);
+        pending.push(this.#entities.get(id));
+      }
+    }
+
+    let removed = 0;
+    for (const id of [...this.#entities.keys()]) {
+      if (!reachable.has(id)) {
+        this.#entities.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove a cached query result (its entities are kept until gc())
+   * @param {string} key - Query cache key
+   */
+  deleteQuery(key) {
+    this.#queries.delete(key);
+  }
+
+  /**
+   * Watch a cached query: the callback receives its new result whenever a
+   * write changes it, or null once it is incomplete (e.g. an entity was evicted)
+   * @param {string} key - Query cache key
+   * @param {function(*): void} callback - Change callback
+   * @returns {function(): void} Unwatch function
+   */
+  watch(key, callback) {
+    const watcher = { key, callback, deps: new Set(), last: undefined };
+    watcher.last = stableStringify(this.#readWatched(watcher));
+    this.#watchers.add(watcher);
+    return () => this.#watchers.delete(watcher);
+  }
+
+  /**
+   * Drop all entities and query results
+   */
+  clear() {
+    this.#entities.clear();
+    this.#queries.clear();
+  }
+
+  /** Number of cached query results */
+  get size() {
+    return this.#queries.size;
+  }
+
+  /** Cached query keys */
+  keys() {
+    return Array.from(this.#queries.keys());
+  }
+
+  /** Number of stored entities */
+  get entityCount() {
+    return this.#entities.size;
+  }
+}
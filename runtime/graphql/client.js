@@ -14,7 +14,7 @@ import { ClientError } from '../errors.js';
 import { LRUCache } from '../lru-cache.js';
 import { InterceptorManager } from '../interceptor-manager.js';
 import { onWindowFocus, onWindowOnline } from '../utils.js';
-import { generateCacheKey, extractOperationName } from './cache.js';
+import { generateCacheKey, extractOperationName, getOperationType, addTypename, NormalizedCache } from './cache.js';
 
 // ============================================================================
 // GraphQL Error Class
@@ -135,6 +135,41 @@ export class GraphQLError extends ClientError {
   }
 }
 
+// ============================================================================
+// Persisted Queries
+// ============================================================================
+
+/**
+ * Hex SHA-256 digest with the Web Crypto API
+ * @param {string} text - Text to hash
+ * @returns {Promise<string|null>} Digest, or null when Web Crypto is unavailable
+ */
+async function sha256Hex(text) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) return null;
+  const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Detect an Automatic Persisted Queries error in a GraphQL response
+ * @param {Object} body - GraphQL response
+ * @returns {'PERSISTED_QUERY_NOT_FOUND'|'PERSISTED_QUERY_NOT_SUPPORTED'|null}
+ */
+function persistedQueryError(body) {
+  const errors = Array.isArray(body?.errors) ? body.errors : [];
+  for (const error of errors) {
+    const code = error?.extensions?.code;
+    if (error?.message === 'PersistedQueryNotSupported' || code === 'PERSISTED_QUERY_NOT_SUPPORTED') {
+      return 'PERSISTED_QUERY_NOT_SUPPORTED';
+    }
+    if (error?.message === 'PersistedQueryNotFound' || code === 'PERSISTED_QUERY_NOT_FOUND') {
+      return 'PERSISTED_QUERY_NOT_FOUND';
+    }
+  }
+  return null;
+}
+
 // ============================================================================
 // GraphQL Client
 // ============================================================================
@@ -150,6 +185,14 @@ export class GraphQLClient {
   #inflightQueries = new Map();
   // LRU cache to prevent unbounded memory growth (default 500 entries)
   #cache;
+  // Normalized entity cache, replaces #cache when the normalize option is set
+  #normalized = null;
+  // Query hashes for persisted queries; false once the server reports no support
+  #hashes = new LRUCache(200);
+  #persistedQueriesSupported = true;
+  // Operations waiting for the next batch request
+  #batchQueue = [];
+  #batchTimer = null;
 
   /**
    * Request interceptors
@@ -186,12 +229,23 @@ export class GraphQLClient {
       staleTime: options.staleTime ?? 0,
       dedupe: options.dedupe ?? true,
       throwOnError: options.throwOnError ?? true,
-      onError: options.onError
+      onError: options.onError,
+      normalize: options.normalize ?? false,
+      addTypename: options.addTypename ?? true,
+      persistedQueries: options.persistedQueries ?? false,
+      batch: options.batch ?? false
     };
 
     // Initialize LRU cache to prevent unbounded memory growth
     this.#cache = new LRUCache(this.#options.cacheMaxSize);
 
+    if (this.#options.normalize) {
+      this.#normalized = new NormalizedCache({
+        ...(typeof this.#options.normalize === 'object' ? this.#options.normalize : {}),
+        maxSize: this.#options.cacheMaxSize
+      });
+    }
+
     // Create HTTP client for queries/mutations
     this.#http = createHttp({
       baseURL: '',
@@ -242,6 +296,15 @@ export class GraphQLClient {
     );
   }
 
+  /**
+   * Document sent for a query (with `__typename` added for the normalized cache)
+   * @param {string} query - GraphQL document
+   * @returns {string} Document
+   */
+  #document(query) {
+    return this.#normalized && this.#options.addTypename ? addTypename(query) : query;
+  }
+
   /**
    * Execute a GraphQL operation
    * @param {string} query - GraphQL query/mutation
@@ -253,7 +316,7 @@ export class GraphQLClient {
     const operationName = extractOperationName(query);
 
     let config = {
-      query,
+      query: this.#document(query),
       variables,
       operationName,
       ...options
@@ -275,13 +338,12 @@ export class GraphQLClient {
     }
 
     try {
-      const response = await this.#http.post(this.#options.url, {
+      // Queries are safe to retry over POST; mutations (and unknown operations) are not
+      let result = await this.#sendPersisted({
         query: config.query,
         variables: config.variables,
         operationName: config.operationName
-      });
-
-      let result = response.data;
+      }, getOperationType(config.query, config.operationName) === 'query');
 
       // Run response interceptors
       for (const interceptor of this.interceptors.response) {
@@ -313,6 +375,110 @@ export class GraphQLClient {
     }
   }
 
+  /**
+   * Send an operation by hash first when persisted queries are enabled.
+   * Unknown hashes are registered by sending the full query once.
+   * @param {Object} payload - Operation payload with the full query
+   * @param {boolean} idempotent - Whether the request may be retried
+   * @returns {Promise<Object>} GraphQL response
+   */
+  async #sendPersisted(payload, idempotent) {
+    const { persistedQueries } = this.#options;
+    if (!persistedQueries || !this.#persistedQueriesSupported) {
+      return this.#send(payload, idempotent);
+    }
+
+    let sha256Hash = this.#hashes.get(payload.query);
+    if (!sha256Hash) {
+      const hash = typeof persistedQueries === 'object' && persistedQueries.sha256
+        ? persistedQueries.sha256
+        : sha256Hex;
+      sha256Hash = await hash(payload.query);
+      if (!sha256Hash) return this.#send(payload, idempotent);
+      this.#hashes.set(payload.query, sha256Hash);
+    }
+
+    const extensions = { persistedQuery: { version: 1, sha256Hash } };
+    let result;
+    try {
+      result = await this.#send({
+        variables: payload.variables,
+        operationName: payload.operationName,
+        extensions
+      }, idempotent);
+    } catch (error) {
+      // Some servers answer unknown hashes with HTTP 400
+      const body = error?.response?.data;
+      if (!persistedQueryError(body)) throw error;
+      result = body;
+    }
+
+    const apqError = persistedQueryError(result);
+    if (!apqError) return result;
+    if (apqError === 'PERSISTED_QUERY_NOT_SUPPORTED') {
+      this.#persistedQueriesSupported = false;
+      return this.#send(payload, idempotent);
+    }
+    return this.#send({ ...payload, extensions }, idempotent);
+  }
+
+  /**
+   * POST an operation, or queue it for the next batch when batching is enabled
+   * @param {Object} payload - Operation payload
+   * @param {boolean} idempotent - Whether the request may be retried
+   * @returns {Promise<Object>} GraphQL response
+   */
+  #send(payload, idempotent) {
+    if (!this.#options.batch) {
+      return this.#http.post(this.#options.url, payload, { idempotent }).then(response => response.data);
+    }
+
+    const { interval = 0, maxSize = 10 } = typeof this.#options.batch === 'object' ? this.#options.batch : {};
+    return new Promise((resolve, reject) => {
+      this.#batchQueue.push({ payload, idempotent, resolve, reject });
+      if (this.#batchQueue.length >= maxSize) {
+        this.#flushBatch();
+      } else if (!this.#batchTimer) {
+        this.#batchTimer = setTimeout(() => this.#flushBatch(), interval);
+      }
+    });
+  }
+
+  /**
+   * Send queued operations as one request whose body and response are arrays
+   */
+  #flushBatch() {
+    clearTimeout(this.#batchTimer);
+    this.#batchTimer = null;
+    const entries = this.#batchQueue.splice(0);
+    if (entries.length === 0) return;
+
+    if (entries.length === 1) {
+      const [{ payload, idempotent, resolve, reject }] = entries;
+      this.#http.post(this.#options.url, payload, { idempotent })
+        .then(response => resolve(response.data), reject);
+      return;
+    }
+
+    this.#http.post(
+      this.#options.url,
+      entries.map(entry => entry.payload),
+      { idempotent: entries.every(entry => entry.idempotent) }
+    ).then((response) => {
+      const results = response.data;
+      if (!Array.isArray(results) || results.length !== entries.length) {
+        const error = new GraphQLError('Batched response does not match the batched operations', {
+          code: 'PARSE_ERROR'
+        });
+        entries.forEach(entry => entry.reject(error));
+        return;
+      }
+      entries.forEach((entry, i) => entry.resolve(results[i]));
+    }, (error) => {
+      entries.forEach(entry => entry.reject(error));
+    });
+  }
+
   /**
    * Process GraphQL response
    * @param {Object} response - GraphQL response
@@ -374,14 +540,14 @@ export class GraphQLClient {
 
     // Check LRU cache first (if caching is enabled and not explicitly skipped)
     if (this.#options.cache && !options.skipCache) {
-      const cached = this.#cache.get(cacheKey);
+      const cached = this.#normalized ? this.#normalized.read(cacheKey) : this.#cache.get(cacheKey);
       if (cached) {
         const age = Date.now() - cached.timestamp;
         if (age < this.#options.cacheTime) {
           return cached.data;
         }
         // Stale entry — remove it
-        this.#cache.delete(cacheKey);
+        this.invalidate(cacheKey);
       }
     }
 
@@ -393,7 +559,9 @@ export class GraphQLClient {
     const promise = this.#execute(query, variables, options)
       .then((data) => {
         // Populate cache on successful query
-        if (this.#options.cache) {
+        if (this.#normalized) {
+          this.#normalized.write(cacheKey, data, this.#document(query), variables);
+        } else if (this.#options.cache) {
           this.#cache.set(cacheKey, { data, timestamp: Date.now() });
         }
         return data;
@@ -417,7 +585,10 @@ export class GraphQLClient {
    * @returns {Promise<*>} Mutation result
    */
   async mutate(mutation, variables, options = {}) {
-    return this.#execute(mutation, variables, options);
+    const data = await this.#execute(mutation, variables, options);
+    // Updated entities refresh every cached query that selects them
+    this.#normalized?.writeResult(data, this.#document(mutation), variables);
+    return data;
   }
 
   /**
@@ -438,13 +609,15 @@ export class GraphQLClient {
    */
   invalidate(cacheKey) {
     this.#cache.delete(cacheKey);
+    this.#normalized?.deleteQuery(cacheKey);
   }
 
   /**
-   * Invalidate all cache entries
+   * Invalidate all cache entries (and normalized entities)
    */
   invalidateAll() {
     this.#cache.clear();
+    this.#normalized?.clear();
   }
 
   /**
@@ -452,12 +625,105 @@ export class GraphQLClient {
    * @returns {Object} Cache stats
    */
   getCacheStats() {
+    if (this.#normalized) {
+      return {
+        size: this.#normalized.size,
+        keys: this.#normalized.keys(),
+        entities: this.#normalized.entityCount
+      };
+    }
     return {
       size: this.#cache.size,
       keys: Array.from(this.#cache.keys())
     };
   }
 
+  /**
+   * Read a cached query result
+   * @param {string} query - GraphQL query
+   * @param {Object} [variables] - Query variables
+   * @returns {*|null} Cached data, or null if not cached
+   */
+  readQuery(query, variables) {
+    const cacheKey = generateCacheKey(query, variables);
+    const cached = this.#normalized ? this.#normalized.read(cacheKey) : this.#cache.get(cacheKey);
+    return cached ? cached.data : null;
+  }
+
+  /**
+   * Write a query result to the cache (e.g. after adding an item to a list)
+   * @param {string} query - GraphQL query
+   * @param {Object|null} variables - Query variables
+   * @param {*} data - Query result
+   */
+  writeQuery(query, variables, data) {
+    const cacheKey = generateCacheKey(query, variables);
+    if (this.#normalized) {
+      this.#normalized.write(cacheKey, data, this.#document(query), variables);
+    } else {
+      this.#cache.set(cacheKey, { data, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Get the normalized cache id of a result object
+   * @param {Object} object - Object with __typename and key fields
+   * @returns {string|null} Id such as "User:42" (null when the normalized cache is disabled)
+   */
+  identify(object) {
+    return this.#normalized?.identify(object) ?? null;
+  }
+
+  /**
+   * Read an entity from the normalized cache
+   * @param {string|Object} idOrObject - Entity id or object with __typename and key fields
+   * @returns {Object|null} Entity fields (nested entities as `{ __ref: id }`)
+   */
+  readFragment(idOrObject) {
+    const id = typeof idOrObject === 'string' ? idOrObject : this.identify(idOrObject);
+    return id ? this.#normalized?.readEntity(id) ?? null : null;
+  }
+
+  /**
+   * Merge fields into an entity of the normalized cache; queries selecting it update
+   * @param {string|Object} idOrObject - Entity id or object with __typename and key fields
+   * @param {Object} fields - Fields to write
+   */
+  writeFragment(idOrObject, fields) {
+    if (!this.#normalized) {
+      throw new GraphQLError('writeFragment() requires the normalized cache (normalize option)', {
+        code: 'GRAPHQL_ERROR'
+      });
+    }
+    const id = typeof idOrObject === 'string' ? idOrObject : this.identify(idOrObject);
+    if (!id) {
+      throw new GraphQLError('writeFragment() could not identify the entity (missing __typename or key fields)', {
+        code: 'GRAPHQL_ERROR'
+      });
+    }
+    this.#normalized.writeEntity(id, fields);
+  }
+
+  /**
+   * Remove an entity from the normalized cache; queries selecting it refetch
+   * @param {string|Object} idOrObject - Entity id or object with __typename and key fields
+   * @returns {boolean} Whether the entity was cached
+   */
+  evict(idOrObject) {
+    const id = typeof idOrObject === 'string' ? idOrObject : this.identify(idOrObject);
+    return id ? this.#normalized?.evict(id) ?? false : false;
+  }
+
+  /**
+   * Watch a cached query for entity changes (normalized cache only)
+   * @param {string} cacheKey - Query cache key
+   * @param {function(*): void} callback - Receives the new result, or null once it is incomplete
+   * @returns {Function} Unwatch function
+   */
+  watchQuery(cacheKey, callback) {
+    return this.#normalized ? this.#normalized.watch(cacheKey, callback) : () => {};
+  }
+
   /**
    * Get active subscriptions count
    * @returns {number}
@@ -508,9 +774,11 @@ export class GraphQLClient {
    * Dispose the client
    */
   dispose() {
+    this.#flushBatch();
     this.#subscriptionManager?.dispose();
     this.#inflightQueries.clear();
     this.#cache.clear();
+    this.#normalized?.clear();
   }
 }
 
@@ -538,6 +806,14 @@ export class GraphQLClient {
  * @param {boolean} [options.dedupe=true] - Deduplicate identical in-flight queries
  * @param {boolean} [options.throwOnError=true] - Throw on GraphQL errors
  * @param {Function} [options.onError] - Global error handler
+ * @param {boolean|Object} [options.normalize=false] - Normalized entity cache: true, or
+ *   `{ keyFields, dataIdFromObject }` (see NormalizedCache)
+ * @param {boolean} [options.addTypename=true] - Add `__typename` to queries when normalizing
+ * @param {boolean|Object} [options.persistedQueries=false] - Automatic Persisted Queries: send the
+ *   query's SHA-256 hash and the full query only when the server does not know it yet.
+ *   `{ sha256 }` supplies a hash function where Web Crypto is unavailable
+ * @param {boolean|Object} [options.batch=false] - Batch operations started together into one
+ *   request: true, or `{ interval = 0, maxSize = 10 }` (the server must accept JSON arrays)
  * @returns {GraphQLClient} GraphQL client instance
  */
 export function createGraphQLClient(options = {}) {
@@ -8,6 +8,7 @@
 
 import { pulse, computed, batch, effect, onCleanup } from '../pulse.js';
 import { createVersionedAsync } from '../async.js';
+import { trackSuspense } from '../suspense.js';
 import { onWindowFocus, onWindowOnline } from '../utils.js';
 import { getDefaultClient, GraphQLError } from './client.js';
 import { generateCacheKey } from './cache.js';
@@ -101,11 +102,28 @@ export function useQuery(query, variables, options = {}) {
 
   const versionController = createVersionedAsync();
 
+  // With a normalized cache, entity writes from other operations update data
+  let unwatch = null;
+  function watchCache(cacheKey) {
+    unwatch?.();
+    unwatch = client.watchQuery(cacheKey, (result) => {
+      if (result === null) {
+        // An entity was evicted: the cached result is incomplete
+        isStale.set(true);
+        if (isEnabled()) executeQuery({ skipCache: true });
+        return;
+      }
+      data.set(options.select ? options.select(result) : result);
+    });
+  }
+  onCleanup(() => unwatch?.());
+
   // Execute query
   async function executeQuery(queryOptions = {}) {
     if (!isEnabled()) return null;
 
     const ctx = versionController.begin();
+    const cacheKey = getCacheKey();
 
     batch(() => {
       fetching.set(true);
@@ -117,7 +135,7 @@ export function useQuery(query, variables, options = {}) {
 
     try {
       const result = await client.query(query, resolveVariables(), {
-        cacheKey: getCacheKey(),
+        cacheKey,
         ...queryOptions
       });
 
@@ -130,6 +148,7 @@ export function useQuery(query, variables, options = {}) {
           fetching.set(false);
           isStale.set(false);
         });
+        watchCache(cacheKey);
         options.onSuccess?.(selectedData);
       });
 
@@ -156,6 +175,7 @@ export function useQuery(query, variables, options = {}) {
   if (shouldExecuteImmediately) {
     executeQuery();
   }
+  trackSuspense(loading);
 
   // Setup auto-refresh interval
   if (options.refetchInterval && options.refetchInterval > 0) {
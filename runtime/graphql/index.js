@@ -26,7 +26,10 @@ export {
 
 export {
   generateCacheKey,
-  extractOperationName
+  extractOperationName,
+  getOperationType,
+  addTypename,
+  NormalizedCache
 } from './cache.js';
 
 export {
@@ -42,7 +45,7 @@ export {
 
 // Default export for backward compatibility
 import { GraphQLError as _GQLError, GraphQLClient as _GQLClient, createGraphQLClient as _createGQL, setDefaultClient as _setDefault, getDefaultClient as _getDefault } from './client.js';
-import { generateCacheKey as _genKey, extractOperationName as _extractOp } from './cache.js';
+import { generateCacheKey as _genKey, extractOperationName as _extractOp, getOperationType as _getOpType, addTypename as _addTypename, NormalizedCache as _NormCache } from './cache.js';
 import { MessageType as _MsgType, SubscriptionManager as _SubMgr } from './subscriptions.js';
 import { useQuery as _useQ, useMutation as _useM, useSubscription as _useS } from './hooks.js';
 
@@ -54,6 +57,9 @@ export default {
   getDefaultClient: _getDefault,
   generateCacheKey: _genKey,
   extractOperationName: _extractOp,
+  getOperationType: _getOpType,
+  addTypename: _addTypename,
+  NormalizedCache: _NormCache,
   MessageType: _MsgType,
   SubscriptionManager: _SubMgr,
   useQuery: _useQ,
@@ -7,6 +7,7 @@ import { pulse, computed, batch } from './pulse.js';
 import { useAsync, useResource } from './async.js';
 import { ClientError } from './errors.js';
 import { InterceptorManager } from './interceptor-manager.js';
+import { LRUCache } from './lru-cache.js';
 
 // ============================================================================
 // HTTP Error Class
@@ -22,7 +23,8 @@ export class HttpError extends ClientError {
     NETWORK: 'Check internet connectivity and ensure the server is reachable.',
     ABORT: 'Request was cancelled. This is usually intentional.',
     HTTP_ERROR: 'Check the response status and server logs for details.',
-    PARSE_ERROR: 'The response could not be parsed. Check the Content-Type header.'
+    PARSE_ERROR: 'The response could not be parsed. Check the Content-Type header.',
+    CIRCUIT_OPEN: 'The host failed repeatedly; requests are paused until the circuit breaker resetTimeout elapses.'
   };
 
   static errorName = 'HttpError';
@@ -61,6 +63,14 @@ export class HttpError extends ClientError {
   isAborted() {
     return this.code === 'ABORT';
   }
+
+  /**
+   * Check if the request was rejected by an open circuit breaker
+   * @returns {boolean}
+   */
+  isCircuitOpen() {
+    return this.code === 'CIRCUIT_OPEN';
+  }
 }
 
 // ============================================================================
@@ -79,9 +89,630 @@ const DEFAULT_CONFIG = {
   validateStatus: (status) => status >= 200 && status < 300,
   retries: 0,
   retryDelay: 1000,
-  retryCondition: null
+  retryCondition: null,
+  backoff: 'fixed',
+  jitter: false,
+  maxRetryDelay: 30000,
+  respectRetryAfter: false,
+  retryMethods: null,
+  circuitBreaker: false
+};
+
+/**
+ * Default circuit breaker configuration (see createHttp `circuitBreaker` option)
+ */
+const DEFAULT_CIRCUIT_CONFIG = {
+  failureThreshold: 5,
+  resetTimeout: 30000
+};
+
+// ============================================================================
+// Retry Policy
+// ============================================================================
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date)
+ * @param {Headers|null} headers - Response headers
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+function parseRetryAfter(headers) {
+  const value = headers?.get?.('retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the delay before a retry attempt
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @param {HttpError} error - Error of the failed attempt
+ * @param {Object} config - Request configuration
+ * @returns {number} Delay in ms
+ */
+function computeRetryDelay(attempt, error, config) {
+  const { retryDelay, backoff, jitter, maxRetryDelay } = config;
+
+  if (typeof retryDelay === 'function') {
+    return retryDelay(attempt, error);
+  }
+
+  if (backoff !== 'exponential' && backoff !== 'linear' && !jitter) {
+    return retryDelay;
+  }
+
+  let delay = backoff === 'exponential'
+    ? retryDelay * 2 ** (attempt - 1)
+    : backoff === 'linear' ? retryDelay * attempt : retryDelay;
+  delay = Math.min(delay, maxRetryDelay);
+
+  // Equal jitter: keep half the delay, randomize the rest to spread retries from many clients
+  if (jitter) {
+    delay = delay / 2 + Math.random() * (delay / 2);
+  }
+  return delay;
+}
+
+// ============================================================================
+// Circuit Breaker
+// ============================================================================
+
+/**
+ * Per-host circuit breaker.
+ * After `failureThreshold` consecutive failures (network errors, timeouts, 5xx)
+ * the circuit opens and requests fail fast with CIRCUIT_OPEN. After
+ * `resetTimeout` one trial request is let through (half-open): success closes
+ * the circuit, failure opens it again, and an aborted trial lets the next
+ * request try.
+ */
+class CircuitBreaker {
+  #options;
+  #hosts = new Map();
+
+  /**
+   * @param {Object} options - Circuit breaker options
+   */
+  constructor(options) {
+    this.#options = options;
+  }
+
+  #host(host) {
+    let state = this.#hosts.get(host);
+    if (!state) {
+      state = { state: 'closed', failures: 0, openedAt: 0, trial: false };
+      this.#hosts.set(host, state);
+    }
+    return state;
+  }
+
+  /**
+   * Reserve an attempt for a host
+   * @param {string} host - Request host
+   * @returns {number} 0 if the request may proceed, else the ms until the next trial
+   */
+  acquire(host) {
+    const state = this.#host(host);
+    if (state.state === 'closed') return 0;
+
+    const remaining = state.openedAt + this.#options.resetTimeout - Date.now();
+    if (state.state === 'open' && remaining <= 0) {
+      state.state = 'half-open';
+    }
+    if (state.state === 'half-open' && !state.trial) {
+      state.trial = true;
+      return 0;
+    }
+    return Math.max(remaining, 1);
+  }
+
+  /**
+   * Record a successful attempt
+   * @param {string} host - Request host
+   */
+  success(host) {
+    const state = this.#host(host);
+    state.state = 'closed';
+    state.failures = 0;
+    state.trial = false;
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} host - Request host
+   */
+  failure(host) {
+    const state = this.#host(host);
+    state.failures++;
+    if (state.state === 'half-open' || state.failures >= this.#options.failureThreshold) {
+      state.state = 'open';
+      state.openedAt = Date.now();
+      state.trial = false;
+    }
+  }
+
+  /**
+   * Record an attempt that says nothing about host health (e.g. a 4xx)
+   * @param {string} host - Request host
+   */
+  release(host) {
+    const state = this.#host(host);
+    if (state.state === 'half-open') {
+      this.success(host);
+    }
+  }
+
+  /**
+   * Record an attempt that was aborted before the host answered
+   * @param {string} host - Request host
+   */
+  cancel(host) {
+    this.#host(host).trial = false;
+  }
+
+  /**
+   * Get the circuit state of a host
+   * @param {string} host - Request host
+   * @returns {'closed'|'open'|'half-open'}
+   */
+  getState(host) {
+    const state = this.#hosts.get(host);
+    if (!state) return 'closed';
+    if (state.state === 'open' && Date.now() - state.openedAt >= this.#options.resetTimeout) {
+      return 'half-open';
+    }
+    return state.state;
+  }
+
+  /**
+   * Close the circuit of one host, or of all hosts
+   * @param {string} [host] - Request host
+   */
+  reset(host) {
+    if (host === undefined) {
+      this.#hosts.clear();
+    } else {
+      this.#hosts.delete(host);
+    }
+  }
+}
+
+// ============================================================================
+// Response Cache
+// ============================================================================
+
+/**
+ * Default cache configuration (see createHttp `cache` option)
+ */
+const DEFAULT_CACHE_CONFIG = {
+  staleTime: 0,
+  cacheTime: 300000,
+  maxSize: 100,
+  staleWhileRevalidate: true,
+  dedupe: true
 };
 
+
+// ============================================================================
+// Progress
+// ============================================================================
+
+/**
+ * Create a progress event
+ * @param {number} loaded - Bytes transferred
+ * @param {number|null} total - Total bytes (null if unknown)
+ * @returns {{loaded: number, total: number|null, progress: number|null}}
+ */
+function progressEvent(loaded, total) {
+  return { loaded, total, progress: total ? Math.min(loaded / total, 1) : null };
+}
+
+/**
+ * Size in bytes of a request body
+ * @param {*} body - Request body
+ * @returns {number|null} Size, or null if unknown before sending (FormData, streams)
+ */
+function bodySize(body) {
+  if (body == null) return 0;
+  if (typeof body === 'string') return new TextEncoder().encode(body).length;
+  if (body instanceof URLSearchParams) return new TextEncoder().encode(body.toString()).length;
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+  return null;
+}
+
+/**
+ * fetch() replacement built on XMLHttpRequest, the only browser API reporting upload progress
+ * @param {string} url - Full URL
+ * @param {Object} options - Fetch options (method, headers, body, credentials, signal)
+ * @param {function(Object): void} onUploadProgress - Upload progress callback
+ * @returns {Promise<Response>}
+ */
+function xhrFetch(url, options, onUploadProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(options.method, url, true);
+    xhr.responseType = 'blob';
+    xhr.withCredentials = options.credentials === 'include';
+    options.headers.forEach((value, name) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => {
+      onUploadProgress(progressEvent(event.loaded, event.lengthComputable ? event.total : null));
+    };
+    xhr.onload = () => {
+      const headers = new Headers();
+      for (const line of xhr.getAllResponseHeaders().split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim());
+      }
+      const nullBody = [101, 204, 205, 304].includes(xhr.status);
+      resolve(new Response(nullBody ? null : xhr.response, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers
+      }));
+    };
+    xhr.onerror = () => reject(new TypeError('Network error'));
+    xhr.onabort = () => {
+      const error = new Error('Aborted');
+      error.name = 'AbortError';
+      reject(error);
+    };
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        xhr.onabort();
+        return;
+      }
+      options.signal.addEventListener('abort', () => xhr.abort());
+    }
+    xhr.send(options.body ?? null);
+  });
+}
+
+/**
+ * Wrap a response so reading its body reports download progress.
+ * The body is counted as it streams: nothing is buffered here.
+ * @param {Response} response - Fetch response
+ * @param {function(Object): void} onDownloadProgress - Download progress callback
+ * @returns {Response}
+ */
+function trackDownload(response, onDownloadProgress) {
+  if (!response.body || typeof TransformStream === 'undefined') {
+    return response;
+  }
+
+  // Content-Length is the compressed size for encoded responses, so it is only a hint
+  const length = Number(response.headers.get('content-length'));
+  const total = length > 0 && !response.headers.has('content-encoding') ? length : null;
+  let loaded = 0;
+  onDownloadProgress(progressEvent(0, total));
+
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      loaded += chunk.byteLength;
+      onDownloadProgress(progressEvent(loaded, total));
+      controller.enqueue(chunk);
+    },
+    flush() {
+      if (loaded !== total) {
+        onDownloadProgress(progressEvent(loaded, loaded));
+      }
+    }
+  });
+
+  return new Response(response.body.pipeThrough(counter), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/**
+ * Cache of GET/HEAD responses with in-flight deduplication,
+ * stale-while-revalidate and tag-based invalidation.
+ * Exposed as `client.cache`.
+ */
+class HttpCache {
+  #entries;
+  #inflight = new Map();
+
+  /**
+   * @param {number} maxSize - Maximum number of cached responses
+   */
+  constructor(maxSize) {
+    this.#entries = new LRUCache(maxSize);
+  }
+
+  /**
+   * Return a cached, in-flight or new response for a key
+   * @param {string} key - Cache key (method + URL with sorted params)
+   * @param {Object} policy - Resolved cache policy for the request
+   * @param {function(): Promise<Object>} send - Performs the request
+   * @returns {Promise<Object>} HTTP response (`cached`/`stale` set when served from cache)
+   */
+  async fetch(key, policy, send) {
+    if (!policy.skipCache) {
+      const entry = this.#entries.get(key);
+      if (entry) {
+        const age = Date.now() - entry.timestamp;
+        if (age < policy.staleTime) {
+          return { ...entry.response, cached: true, stale: false };
+        }
+        if (age < policy.cacheTime && policy.staleWhileRevalidate) {
+          // Serve stale data now, refresh in the background (errors keep the stale entry)
+          this.#load(key, policy, send).catch(() => {});
+          return { ...entry.response, cached: true, stale: true };
+        }
+        this.#entries.delete(key);
+      }
+    }
+
+    return this.#load(key, policy, send);
+  }
+
+  /**
+   * Send the request, sharing it with identical in-flight requests
+   */
+  #load(key, policy, send) {
+    const current = this.#inflight.get(key);
+    if (policy.dedupe && current) {
+      return current.promise;
+    }
+
+    const flight = { tags: policy.tags, invalidated: false, promise: null };
+    flight.promise = send()
+      .then((response) => {
+        // A response requested before an invalidation must not repopulate the cache
+        if (!flight.invalidated) {
+          this.#entries.set(key, { response, tags: policy.tags, timestamp: Date.now() });
+        }
+        return response;
+      })
+      .finally(() => {
+        if (this.#inflight.get(key) === flight) {
+          this.#inflight.delete(key);
+        }
+      });
+
+    if (policy.dedupe) {
+      this.#inflight.set(key, flight);
+    }
+    return flight.promise;
+  }
+
+  /**
+   * Remove cached responses by tag(s) or predicate.
+   * Matching in-flight requests are detached so the next call fetches again.
+   * @param {string|string[]|function(string, Object): boolean} target - Tags or (key, entry) => boolean
+   * @returns {number} Number of cached responses removed
+   */
+  invalidate(target) {
+    const matches = typeof target === 'function'
+      ? target
+      : (key, entry) => {
+        const tags = Array.isArray(target) ? target : [target];
+        return entry.tags.some(tag => tags.includes(tag));
+      };
+
+    let removed = 0;
+    for (const [key, entry] of [...this.#entries.entries()]) {
+      if (matches(key, entry)) {
+        this.#entries.delete(key);
+        removed++;
+      }
+    }
+    for (const [key, flight] of this.#inflight) {
+      if (matches(key, flight)) {
+        flight.invalidated = true;
+        this.#inflight.delete(key);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Get a cached entry without affecting freshness
+   * @param {string} key - Cache key
+   * @returns {{response: Object, tags: string[], timestamp: number}|undefined}
+   */
+  get(key) {
+    return this.#entries.get(key);
+  }
+
+  /**
+   * Remove one cached response
+   * @param {string} key - Cache key
+   * @returns {boolean} true if an entry was removed
+   */
+  delete(key) {
+    return this.#entries.delete(key);
+  }
+
+  /**
+   * Remove all cached responses and forget in-flight requests
+   */
+  clear() {
+    this.#entries.clear();
+    for (const flight of this.#inflight.values()) {
+      flight.invalidated = true;
+    }
+    this.#inflight.clear();
+  }
+
+  /**
+   * Cached keys, least recently used first
+   * @returns {string[]}
+   */
+  keys() {
+    return [...this.#entries.keys()];
+  }
+
+  /** @type {number} Number of cached responses */
+  get size() {
+    return this.#entries.size;
+  }
+}
+
+// ============================================================================
+// Upload Task
+// ============================================================================
+
+/**
+ * Upload with reactive progress, pause/resume and cancellation. Created by `client.upload()`.
+ *
+ * Without `chunkSize` the body is sent in one request (resuming restarts it).
+ * With `chunkSize` the file is sent as sequential slices carrying a
+ * `Content-Range: bytes start-end/total` header; resuming continues after
+ * the last acknowledged chunk, and `offset` can be persisted to resume in a
+ * later session.
+ */
+class UploadTask {
+  #client;
+  #url;
+  #data;
+  #options;
+  #offset;
+  #controller = null;
+
+  /**
+   * @param {HttpClient} client - Client sending the requests
+   * @param {string} url - Upload URL
+   * @param {Blob|FormData|*} data - Body (chunked uploads need a Blob/File)
+   * @param {Object} options - Upload options (see HttpClient#upload)
+   */
+  constructor(client, url, data, options) {
+    this.#client = client;
+    this.#url = url;
+    this.#data = data;
+    this.#options = options;
+    this.#offset = options.chunkSize ? (options.offset || 0) : 0;
+
+    this.total = bodySize(data);
+    this.loaded = pulse(this.#offset);
+    this.progress = pulse(this.total ? this.#offset / this.total : 0);
+    this.status = pulse('idle');
+    this.error = pulse(null);
+    /** @type {Promise<Object|null>|null} Promise of the current run */
+    this.promise = null;
+  }
+
+  /**
+   * Bytes acknowledged by the server (chunked uploads)
+   * @returns {number}
+   */
+  get offset() {
+    return this.#offset;
+  }
+
+  /**
+   * Start or resume the upload
+   * @returns {Promise<Object|null>} Last response, or null if paused
+   */
+  start() {
+    const status = this.status.peek();
+    if (status === 'uploading') return this.promise;
+    if (status === 'done' || status === 'cancelled') {
+      return Promise.reject(new Error(`Cannot resume a ${status} upload`));
+    }
+    this.promise = this.#run();
+    return this.promise;
+  }
+
+  /**
+   * Resume a paused or failed upload
+   * @returns {Promise<Object|null>} Last response, or null if paused again
+   */
+  resume() {
+    return this.start();
+  }
+
+  /**
+   * Pause the upload (the current chunk is aborted and resent on resume)
+   */
+  pause() {
+    if (this.status.peek() !== 'uploading') return;
+    this.status.set('paused');
+    this.#controller.abort();
+  }
+
+  /**
+   * Cancel the upload; the pending promise rejects with an ABORT HttpError
+   */
+  cancel() {
+    const status = this.status.peek();
+    if (status === 'done' || status === 'cancelled') return;
+    this.status.set('cancelled');
+    this.#controller?.abort();
+  }
+
+  #report(loaded) {
+    batch(() => {
+      this.loaded.set(loaded);
+      this.progress.set(this.total ? Math.min(loaded / this.total, 1) : 0);
+    });
+    this.#options.onProgress?.(progressEvent(loaded, this.total));
+  }
+
+  async #run() {
+    const { chunkSize, onProgress, offset, ...config } = this.#options;
+    const controller = this.#controller = new AbortController();
+    const request = (data, headers, base) => this.#client.request({
+      method: 'PUT',
+      ...config,
+      url: this.#url,
+      data,
+      headers: { ...config.headers, ...headers },
+      signal: controller.signal,
+      onUploadProgress: (event) => this.#report(base + (event.loaded ?? 0))
+    });
+
+    batch(() => {
+      this.status.set('uploading');
+      this.error.set(null);
+    });
+
+    try {
+      let response;
+      if (!chunkSize) {
+        response = await request(this.#data, {}, 0);
+      } else if (typeof Blob === 'undefined' || !(this.#data instanceof Blob)) {
+        throw new TypeError('Chunked uploads need a Blob or File body (FormData cannot be sliced); omit chunkSize to send it in one request');
+      } else {
+        while (this.#offset < this.total || response === undefined) {
+          const end = Math.min(this.#offset + chunkSize, this.total);
+          response = await request(this.#data.slice(this.#offset, end), {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${this.#offset}-${Math.max(end - 1, 0)}/${this.total}`
+          }, this.#offset);
+          this.#offset = end;
+        }
+      }
+
+      this.#report(this.total ?? 0);
+      this.status.set('done');
+      return response;
+    } catch (error) {
+      const status = this.status.peek();
+      if (status === 'paused') {
+        this.#report(this.#offset);
+        return null;
+      }
+      if (status !== 'cancelled') {
+        batch(() => {
+          this.status.set('error');
+          this.error.set(error);
+        });
+      }
+      throw error;
+    }
+  }
+}
+
 /**
  * HTTP Client class
  */
@@ -89,6 +720,8 @@ class HttpClient {
   #config;
   #requestInterceptors;
   #responseInterceptors;
+  #cacheConfig;
+  #circuit = null;
 
   /**
    * @param {Object} [config={}] - Default configuration
@@ -98,6 +731,22 @@ class HttpClient {
     this.#requestInterceptors = new InterceptorManager();
     this.#responseInterceptors = new InterceptorManager();
 
+    // Response cache: opt-in per client (`cache` config) or per request (`cache` option)
+    this.#cacheConfig = {
+      ...DEFAULT_CACHE_CONFIG,
+      ...(typeof config.cache === 'object' && config.cache !== null ? config.cache : {})
+    };
+    this.cache = new HttpCache(this.#cacheConfig.maxSize);
+
+    // Circuit breaker: opt-in, per host
+    if (this.#config.circuitBreaker) {
+      this.#circuit = new CircuitBreaker({
+        ...DEFAULT_CIRCUIT_CONFIG,
+        ...(typeof this.#config.circuitBreaker === 'object' ? this.#config.circuitBreaker : {})
+      });
+    }
+    this.circuitBreaker = this.#circuit;
+
     // Public interceptors access
     this.interceptors = {
       request: this.#requestInterceptors,
@@ -267,6 +916,10 @@ class HttpClient {
         case 'formData':
           return await response.formData();
 
+        case 'stream':
+          // Unbuffered: the caller reads the ReadableStream
+          return response.body;
+
         default:
           return await response.text();
       }
@@ -304,7 +957,22 @@ class HttpClient {
     let timeoutId;
 
     try {
-      const fetchPromise = fetch(url, { ...fetchOptions, signal });
+      const send = config.adapter || fetch;
+      let fetchPromise;
+      if (config.onUploadProgress && fetchOptions.body != null) {
+        if (!config.adapter && typeof XMLHttpRequest !== 'undefined') {
+          fetchPromise = xhrFetch(url, { ...fetchOptions, signal }, config.onUploadProgress);
+        } else {
+          // fetch has no upload progress: report completion once the server answered
+          const size = bodySize(fetchOptions.body);
+          fetchPromise = send(url, { ...fetchOptions, signal }).then(response => {
+            config.onUploadProgress({ loaded: size, total: size, progress: 1 });
+            return response;
+          });
+        }
+      } else {
+        fetchPromise = send(url, { ...fetchOptions, signal });
+      }
 
       // Add timeout if configured
       if (config.timeout > 0) {
@@ -379,6 +1047,44 @@ class HttpClient {
     return false;
   }
 
+  /**
+   * Whether a request may be sent again: idempotent methods, requests with an
+   * Idempotency-Key header, or requests explicitly marked `idempotent`
+   * @param {string} method - Uppercase HTTP method
+   * @param {Headers} headers - Request headers
+   * @param {Object} config - Request configuration
+   * @returns {boolean}
+   */
+  #isRetryable(method, headers, config) {
+    if (config.idempotent !== undefined) {
+      return config.idempotent;
+    }
+    if (!config.retryMethods) return true;
+    return config.retryMethods.includes(method) || headers.has('Idempotency-Key');
+  }
+
+  /**
+   * Whether an error counts as a host failure for the circuit breaker
+   * @param {HttpError} error - The error
+   * @returns {boolean}
+   */
+  #isHostFailure(error) {
+    return error.code === 'NETWORK' || error.code === 'TIMEOUT' || error.status >= 500;
+  }
+
+  /**
+   * Get the host of a request URL (circuit breaker key)
+   * @param {string} url - Full URL
+   * @returns {string}
+   */
+  #hostOf(url) {
+    try {
+      return new URL(url, globalThis.location?.href).host;
+    } catch {
+      return '';
+    }
+  }
+
   /**
    * Execute request with retry logic
    * @param {string} url - Full URL
@@ -387,11 +1093,26 @@ class HttpClient {
    * @returns {Promise<Object>} HTTP response
    */
   async #executeWithRetry(url, fetchOptions, config) {
-    const { retries = 0, retryDelay = 1000, retryCondition } = config;
+    const { retries = 0, retryCondition, respectRetryAfter, maxRetryDelay } = config;
+    const retryable = retries > 0 && this.#isRetryable(fetchOptions.method, fetchOptions.headers, config);
+    const host = this.#circuit ? this.#hostOf(url) : null;
     let lastError;
     let attempt = 0;
 
     while (attempt <= retries) {
+      if (this.#circuit) {
+        const waitMs = this.#circuit.acquire(host);
+        if (waitMs > 0) {
+          const circuitError = new HttpError(`Circuit open for ${host || url}`, {
+            code: 'CIRCUIT_OPEN',
+            config,
+            context: `Retry in ${Math.ceil(waitMs / 1000)}s`
+          });
+          circuitError.retryAfter = waitMs;
+          throw circuitError;
+        }
+      }
+
       try {
         const response = await this.#executeWithTimeout(url, fetchOptions, config);
 
@@ -411,7 +1132,11 @@ class HttpClient {
         }
 
         // Parse and return response
-        const data = await this.#parseResponse(response, config);
+        const data = await this.#parseResponse(
+          config.onDownloadProgress ? trackDownload(response, config.onDownloadProgress) : response,
+          config
+        );
+        this.#circuit?.success(host);
 
         return {
           data,
@@ -425,27 +1150,82 @@ class HttpClient {
           ? error
           : new HttpError(error.message, { code: 'NETWORK', config });
 
+        if (this.#circuit) {
+          if (lastError.isAborted()) {
+            this.#circuit.cancel(host);
+          } else if (this.#isHostFailure(lastError)) {
+            this.#circuit.failure(host);
+          } else {
+            this.#circuit.release(host);
+          }
+        }
+
         attempt++;
 
         // Check if should retry
-        const shouldRetry = attempt <= retries && (
+        const shouldRetry = retryable && attempt <= retries && !lastError.isAborted() && (
           retryCondition
             ? retryCondition(lastError)
             : this.#defaultRetryCondition(lastError)
         );
 
-        if (shouldRetry) {
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
-          continue;
+        if (!shouldRetry) {
+          throw lastError;
         }
 
-        throw lastError;
+        // Server-provided delay (429/503) wins over backoff; too long a wait is not worth retrying
+        const retryAfter = respectRetryAfter ? parseRetryAfter(lastError.response?.headers) : null;
+        if (retryAfter !== null && retryAfter > maxRetryDelay) {
+          throw lastError;
+        }
+
+        const delay = retryAfter ?? computeRetryDelay(attempt, lastError, config);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
 
     throw lastError;
   }
 
+  /**
+   * Resolve the cache policy of a request, or null if it is not cached.
+   * Only GET/HEAD requests are cached; `cache: false` opts a request out.
+   * @param {string} method - Uppercase HTTP method
+   * @param {Object} config - Merged request configuration
+   * @param {boolean} skipCache - Ignore cached responses (still dedupes and stores)
+   * @returns {Object|null} Cache policy
+   */
+  #cachePolicy(method, config, skipCache) {
+    if ((method !== 'GET' && method !== 'HEAD') || !config.cache || config.responseType === 'stream') {
+      return null;
+    }
+
+    const options = typeof config.cache === 'object' ? config.cache : {};
+    const policy = { ...this.#cacheConfig, ...options };
+    return {
+      staleTime: policy.staleTime,
+      cacheTime: Math.max(policy.cacheTime, policy.staleTime),
+      staleWhileRevalidate: policy.staleWhileRevalidate,
+      // A caller-provided signal would abort the request for everyone sharing it
+      dedupe: policy.dedupe && !config.signal,
+      tags: options.tags || [],
+      skipCache
+    };
+  }
+
+  /**
+   * Build the cache key of a request: method + URL with sorted params
+   * @param {string} method - Uppercase HTTP method
+   * @param {Object} config - Merged request configuration
+   * @returns {string} Cache key
+   */
+  #cacheKey(method, config) {
+    const params = config.params
+      ? Object.fromEntries(Object.entries(config.params).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : undefined;
+    return `${method} ${this.#buildURL(config.url, { ...config, params })}`;
+  }
+
   /**
    * Make an HTTP request
    * @param {Object} config - Request configuration
@@ -454,9 +1234,16 @@ class HttpClient {
    * @param {Object} [config.headers] - Request headers
    * @param {any} [config.data] - Request body
    * @param {Object} [config.params] - URL query parameters
+   * @param {boolean|Object} [config.cache] - Cache this GET/HEAD request (staleTime, cacheTime,
+   *   staleWhileRevalidate, dedupe, tags); overrides the client `cache` config, `false` disables
+   * @param {boolean} [config.skipCache=false] - Ignore cached responses and fetch again
+   * @param {string[]|function(Object): string[]} [config.invalidates] - Cache tags to invalidate
+   *   after a successful request (e.g. a POST that changes users invalidates ['users'])
    * @returns {Promise<Object>} HTTP response
    */
   async request(config) {
+    const skipCache = config.skipCache === true;
+
     // Merge with defaults
     let mergedConfig = this.#mergeConfig(config);
 
@@ -477,7 +1264,9 @@ class HttpClient {
     if (mergedConfig.data !== undefined && !['GET', 'HEAD'].includes(fetchOptions.method)) {
       if (mergedConfig.data instanceof FormData ||
           mergedConfig.data instanceof URLSearchParams ||
-          mergedConfig.data instanceof Blob) {
+          mergedConfig.data instanceof Blob ||
+          mergedConfig.data instanceof ArrayBuffer ||
+          ArrayBuffer.isView(mergedConfig.data)) {
         fetchOptions.body = mergedConfig.data;
       } else if (typeof mergedConfig.data === 'object') {
         fetchOptions.body = JSON.stringify(mergedConfig.data);
@@ -490,16 +1279,36 @@ class HttpClient {
       }
     }
 
-    try {
-      // Execute with retry
-      const response = await this.#executeWithRetry(url, fetchOptions, mergedConfig);
+    const send = async () => {
+      try {
+        // Execute with retry
+        const response = await this.#executeWithRetry(url, fetchOptions, mergedConfig);
 
-      // Run response interceptors
-      return await this.#runResponseInterceptors(response);
-    } catch (error) {
-      // Run error through interceptors
-      return await this.#runErrorInterceptors(error);
+        // Run response interceptors
+        return await this.#runResponseInterceptors(response);
+      } catch (error) {
+        // Run error through interceptors
+        return await this.#runErrorInterceptors(error);
+      }
+    };
+
+    const policy = this.#cachePolicy(fetchOptions.method, mergedConfig, skipCache);
+    if (policy) {
+      return this.cache.fetch(this.#cacheKey(fetchOptions.method, mergedConfig), policy, send);
+    }
+
+    const response = await send();
+
+    if (mergedConfig.invalidates) {
+      const tags = typeof mergedConfig.invalidates === 'function'
+        ? mergedConfig.invalidates(response)
+        : mergedConfig.invalidates;
+      if (tags && tags.length > 0) {
+        this.cache.invalidate(tags);
+      }
     }
+
+    return response;
   }
 
   /**
@@ -575,6 +1384,31 @@ class HttpClient {
     return this.request({ ...options, url, method: 'PATCH', data });
   }
 
+  /**
+   * Upload a body with reactive progress, pause/resume and cancellation.
+   * The upload starts immediately; await `task.promise` for the response.
+   * @param {string} url - Upload URL
+   * @param {Blob|File|FormData|*} data - Body to send
+   * @param {Object} [options] - Request options, plus:
+   * @param {number} [options.chunkSize] - Send a Blob/File in chunks of this many bytes
+   *   (each with a Content-Range header) so a paused or failed upload resumes where it stopped
+   * @param {number} [options.offset=0] - Bytes already stored by the server (chunked uploads)
+   * @param {function(Object): void} [options.onProgress] - Progress callback ({loaded, total, progress})
+   * @returns {UploadTask} Task with `progress`, `loaded`, `status` and `error` pulses
+   *
+   * @example
+   * const task = api.upload('/files/42', file, { chunkSize: 5 * 1024 * 1024 });
+   * effect(() => console.log(`${Math.round(task.progress.get() * 100)}%`));
+   * pauseButton.onclick = () => task.pause();
+   * resumeButton.onclick = () => task.resume();
+   * await task.promise;
+   */
+  upload(url, data, options = {}) {
+    const task = new UploadTask(this, url, data, options);
+    task.start().catch(() => {}); // Surfaced through task.promise and task.error
+    return task;
+  }
+
   /**
    * Create a new HttpClient instance with merged config
    * @param {Object} [config={}] - Configuration to merge
@@ -615,11 +1449,37 @@ class HttpClient {
  * @param {number} [config.timeout=10000] - Request timeout in ms
  * @param {Object} [config.headers] - Default headers
  * @param {boolean} [config.withCredentials=false] - Include credentials
- * @param {string} [config.responseType='json'] - Response type (json, text, blob, arrayBuffer)
+ * @param {function(string, Object): Promise<Response>} [config.adapter] - fetch-compatible function
+ *   sending the requests instead of globalThis.fetch (e.g. mockHttp().adapter in tests)
+ * @param {string} [config.responseType='json'] - Response type (json, text, blob, arrayBuffer,
+ *   formData, or stream for the unbuffered ReadableStream body)
+ * @param {function(Object): void} [config.onUploadProgress] - Upload progress ({loaded, total, progress});
+ *   uses XMLHttpRequest when available since fetch cannot report it
+ * @param {function(Object): void} [config.onDownloadProgress] - Download progress, counted while
+ *   the body streams
  * @param {Function} [config.validateStatus] - Function to validate response status
  * @param {number} [config.retries=0] - Number of retry attempts
  * @param {number} [config.retryDelay=1000] - Delay between retries in ms
  * @param {Function} [config.retryCondition] - Custom retry condition function
+ * @param {'exponential'|'linear'|'fixed'} [config.backoff='fixed'] - Growth of retryDelay
+ *   between attempts (retryDelay may also be a function (attempt, error) => ms)
+ * @param {boolean} [config.jitter=false] - Randomize half of each backoff delay
+ * @param {number} [config.maxRetryDelay=30000] - Upper bound for growing or jittered delays; a
+ *   longer Retry-After stops retrying
+ * @param {boolean} [config.respectRetryAfter=false] - Wait for the Retry-After header of 429/503 responses
+ * @param {string[]|null} [config.retryMethods=null] - Methods that may be retried (null: all); with a
+ *   list such as ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'], set `idempotent: true` on a request
+ *   or send an Idempotency-Key header to retry a POST/PATCH
+ * @param {boolean|Object} [config.circuitBreaker=false] - Per-host circuit breaker
+ * @param {number} [config.circuitBreaker.failureThreshold=5] - Consecutive failures before opening
+ * @param {number} [config.circuitBreaker.resetTimeout=30000] - Time in ms before a trial request
+ * @param {boolean|Object} [config.cache=false] - Cache GET/HEAD responses
+ * @param {number} [config.cache.staleTime=0] - Time in ms a cached response is served without refetching
+ * @param {number} [config.cache.cacheTime=300000] - Time in ms a response is kept (stale responses
+ *   are served while revalidating in the background)
+ * @param {number} [config.cache.maxSize=100] - Maximum number of cached responses (LRU)
+ * @param {boolean} [config.cache.staleWhileRevalidate=true] - Serve stale responses while refetching
+ * @param {boolean} [config.cache.dedupe=true] - Share identical in-flight requests
  * @returns {HttpClient} HTTP client instance
  *
  * @example
@@ -631,6 +1491,13 @@ class HttpClient {
  *
  * const users = await api.get('/users');
  * const user = await api.post('/users', { name: 'John' });
+ *
+ * @example
+ * // Cached, deduplicated reads invalidated by writes
+ * const api = createHttp({ baseURL: '/api', cache: { staleTime: 10000 } });
+ *
+ * await api.get('/users', { cache: { tags: ['users'] } });
+ * await api.post('/users', { name: 'Ada' }, { invalidates: ['users'] });
  */
 export function createHttp(config = {}) {
   return new HttpClient(config);
@@ -650,7 +1517,11 @@ export function createHttp(config = {}) {
  * @param {number} [options.retryDelay=1000] - Delay between retries
  * @param {Function} [options.onSuccess] - Success callback
  * @param {Function} [options.onError] - Error callback
- * @returns {Object} Reactive state and controls
+ * @param {boolean} [options.progress=false] - Track progress: requestFn is then called with
+ *   request options (`onUploadProgress`/`onDownloadProgress`) before the execute() arguments.
+ *   Requests with a body given these options are sent with XMLHttpRequest in browsers
+ * @returns {Object} Reactive state and controls; `uploadProgress`/`downloadProgress`
+ *   (0 to 1, null when unknown) follow the requests given the progress options
  *
  * @example
  * const { data, loading, error, execute } = useHttp(
@@ -661,6 +1532,15 @@ export function createHttp(config = {}) {
  * effect(() => {
  *   if (data.get()) console.log('Users:', data.get());
  * });
+ *
+ * @example
+ * // Upload progress
+ * const upload = useHttp(
+ *   (request, file) => api.post('/files', file, request),
+ *   { immediate: false, progress: true }
+ * );
+ * upload.execute(file);
+ * effect(() => console.log(upload.uploadProgress.get()));
  */
 export function useHttp(requestFn, options = {}) {
   const {
@@ -669,13 +1549,28 @@ export function useHttp(requestFn, options = {}) {
     retries = 0,
     retryDelay = 1000,
     onSuccess,
-    onError
+    onError,
+    progress = false
   } = options;
 
+  const uploadProgress = pulse(null);
+  const downloadProgress = pulse(null);
+
+  // Only requests given these options report progress (and switch to XMLHttpRequest)
+  const progressOptions = {
+    onUploadProgress: (event) => uploadProgress.set(event.progress),
+    onDownloadProgress: (event) => downloadProgress.set(event.progress)
+  };
+
   const asyncState = useAsync(
     async (...args) => {
-      const response = await requestFn(...args);
-      return response;
+      if (!progress) return requestFn(...args);
+
+      batch(() => {
+        uploadProgress.set(null);
+        downloadProgress.set(null);
+      });
+      return requestFn(progressOptions, ...args);
     },
     {
       immediate,
@@ -703,36 +1598,79 @@ export function useHttp(requestFn, options = {}) {
     loading: asyncState.loading,
     error: asyncState.error,
     status: asyncState.status,
+    uploadProgress,
+    downloadProgress,
     execute: asyncState.execute,
     reset: asyncState.reset,
     abort: asyncState.abort
   };
 }
 
+// In-flight useHttpResource fetches by resource key
+const inflightResources = new Map();
+
 /**
  * HTTP resource with caching (SWR pattern)
- * Integrates with useResource from async.js
+ * Integrates with useResource from async.js.
+ *
+ * Resources with the same key share one in-flight request. requestFn receives
+ * request options to pass to the client: refresh()/invalidate() set `skipCache`
+ * so the data is really fetched again instead of read from the response cache.
+ *
  * @param {string|Function} key - Cache key or function returning key
- * @param {Function} requestFn - Function that returns a promise
+ * @param {function({skipCache: boolean}): Promise<Object>} requestFn - Function that returns
+ *   a response promise, called with request options
  * @param {Object} [options={}] - Resource options
  * @returns {Object} Resource state and controls
  *
  * @example
  * const users = useHttpResource(
  *   'users',
- *   () => api.get('/users'),
+ *   (request) => api.get('/users', request),
  *   { refreshInterval: 30000 }
  * );
  */
 export function useHttpResource(key, requestFn, options = {}) {
-  return useResource(
+  let forceNext = false;
+
+  const resource = useResource(
     key,
-    async () => {
-      const response = await requestFn();
-      return response.data;
+    () => {
+      const resourceKey = typeof key === 'function' ? key() : key;
+      const force = forceNext;
+      forceNext = false;
+
+      if (!force && inflightResources.has(resourceKey)) {
+        return inflightResources.get(resourceKey);
+      }
+
+      const promise = Promise.resolve(requestFn({ skipCache: force }))
+        .then(response => response.data);
+
+      inflightResources.set(resourceKey, promise);
+      promise
+        .finally(() => {
+          if (inflightResources.get(resourceKey) === promise) {
+            inflightResources.delete(resourceKey);
+          }
+        })
+        .catch(() => {}); // Errors are handled by useResource
+      return promise;
     },
     options
   );
+
+  return {
+    ...resource,
+    refresh() {
+      forceNext = true;
+      return resource.refresh();
+    },
+    invalidate() {
+      forceNext = true;
+      resource.invalidate();
+    }
+  };
 }
 
 // ============================================================================
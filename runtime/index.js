@@ -66,6 +66,9 @@ export * from './sse.js';
 // Persistence adapters (IndexedDB, SessionStorage, Memory)
 export * from './persistence.js';
 
+// Offline mutation queue
+export * from './offline.js';
+
 // Animation system (Web Animations API)
 export * from './animation.js';
 
@@ -92,6 +95,7 @@ export { default as PulseNative } from './native.js';
 export { default as PulseLogger } from './logger.js';
 export { default as PulseSSE } from './sse.js';
 export { default as PulsePersistence } from './persistence.js';
+export { default as PulseOffline } from './offline.js';
 export { default as PulseAnimation } from './animation.js';
 export { default as PulseI18n } from './i18n.js';
 export { default as PulseSW } from './sw.js';
@@ -0,0 +1,397 @@
+/**
+ * Pulse Offline Mutation Queue
+ * Captures mutations that fail for lack of connectivity (HTTP client requests and
+ * Server Action invocations), persists them, and replays them in order once the
+ * network is back. Optimistic updates are rolled back when a replay is rejected.
+ *
+ * @module pulse-js-framework/runtime/offline
+ */
+
+import { pulse, computed, batch } from './pulse.js';
+import { loggers } from './logger.js';
+import { createIndexedDBAdapter } from './persistence.js';
+import { createActionInvoker } from './server-components/actions.js';
+
+const log = loggers.store;
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DEFAULT_OPTIONS = {
+  adapter: null,
+  key: 'pulse-offline-queue',
+  autoReplay: true,
+  shouldQueue: null,
+  onReplay: null,
+  onReplayError: null,
+};
+
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Credentials are never persisted: replays go through the client's request
+// interceptors again, which attach fresh ones
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'x-csrf-token'];
+
+// Marks requests sent by replay() so a failed replay is not queued a second time
+const REPLAY = Symbol('offlineReplay');
+
+// fetch() network failure messages: Chromium, Node (undici), Firefox, Safari
+const FETCH_FAILURE_MESSAGE = /^(Failed to fetch|fetch failed|NetworkError when attempting to fetch resource|Load failed)/i;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function _isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Default capture rule: the mutation never reached the server
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+function _isConnectivityError(error) {
+  if (error?.code === 'NETWORK' || error?.code === 'CIRCUIT_OPEN') return true;
+  // Server Actions call fetch directly: network failures are TypeErrors with a
+  // fetch-specific message. Other TypeErrors are bugs and must not be retried.
+  if (!(error instanceof TypeError)) return false;
+  return !_isOnline() || FETCH_FAILURE_MESSAGE.test(error.message);
+}
+
+/**
+ * Whether a request body can be persisted and sent again
+ * @param {*} data - Request body
+ * @returns {boolean}
+ */
+function _isSerializable(data) {
+  if (data === undefined || data === null) return true;
+  if (typeof data !== 'object') return true;
+  return Array.isArray(data) || Object.getPrototypeOf(data) === Object.prototype;
+}
+
+function _persistableHeaders(headers = {}, defaults = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (SENSITIVE_HEADERS.includes(name.toLowerCase())) continue;
+    if (defaults[name] === value) continue;
+    result[name] = value;
+  }
+  return result;
+}
+
+let _nextId = 0;
+
+function _createId() {
+  return `${Date.now().toString(36)}-${(_nextId++).toString(36)}`;
+}
+
+// =============================================================================
+// createOfflineQueue()
+// =============================================================================
+
+/**
+ * Create an offline mutation queue.
+ *
+ * Failed `post/put/patch/delete` requests of attached HTTP clients and failed
+ * invocations of wrapped Server Actions are persisted (IndexedDB by default)
+ * and resolve with a queued marker `{ queued: true, id }` instead of rejecting.
+ * Entries are replayed one at a time, in order, when the browser goes back
+ * online, on `replay()`, and on startup. A replay that fails for connectivity
+ * stops and keeps the rest of the queue; one rejected by the server is
+ * dropped, rolled back (see `mutate()`) and reported to `onReplayError`.
+ *
+ * @param {Object} [options] - Queue options
+ * @param {Object} [options.adapter] - PersistenceAdapter (default: IndexedDB "pulse-offline")
+ * @param {string} [options.key='pulse-offline-queue'] - Storage key
+ * @param {boolean} [options.autoReplay=true] - Replay on startup and on the window `online` event
+ * @param {function(Error): boolean} [options.shouldQueue] - Which failures to queue
+ *   (default: network errors and open circuits; timeouts are not queued since the
+ *   server may have applied the mutation)
+ * @param {function(Object, *): void} [options.onReplay] - Called with the entry and result of each replay
+ * @param {function(Object, Error): void} [options.onReplayError] - Called when the server rejects a replay
+ * @returns {Object} Queue controls and reactive state
+ *
+ * @example
+ * const queue = createOfflineQueue();
+ * const api = queue.attach(createHttp({ baseURL: '/api' }));
+ * const saveNote = queue.wrapAction('Notes$save');
+ *
+ * // Optimistic update, rolled back if the server finally rejects the mutation
+ * await queue.mutate(() => api.post('/todos', todo), {
+ *   optimistic: () => {
+ *     todos.update(list => [...list, todo]);
+ *     return () => todos.update(list => list.filter(t => t !== todo));
+ *   }
+ * });
+ *
+ * el('.badge', () => `${queue.pending.get()} changes waiting`);
+ */
+export function createOfflineQueue(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const adapter = config.adapter ||
+    createIndexedDBAdapter({ dbName: 'pulse-offline', storeName: 'mutations' });
+  const shouldQueue = config.shouldQueue || _isConnectivityError;
+
+  const entries = pulse([]);
+  const pending = computed(() => entries.get().length);
+  const replaying = pulse(false);
+  const lastError = pulse(null);
+
+  const clients = new Map();
+  const invokers = new Map();
+  const rollbacks = new Map();
+  const detachers = [];
+  let replayPromise = null;
+  let writeChain = Promise.resolve();
+
+  function _save() {
+    const snapshot = entries.peek();
+    writeChain = writeChain
+      .then(() => adapter.setItem(config.key, snapshot))
+      .catch(err => log.warn('Offline queue: failed to persist mutations:', err.message));
+    return writeChain;
+  }
+
+  // Restore entries queued before a reload; they go before anything queued meanwhile
+  const ready = Promise.resolve()
+    .then(() => adapter.getItem(config.key))
+    .then(stored => {
+      if (Array.isArray(stored) && stored.length > 0) {
+        entries.set([...stored, ...entries.peek()]);
+      }
+    })
+    .catch(err => log.warn('Offline queue: failed to restore mutations:', err.message));
+
+  async function _enqueue(entry) {
+    await ready;
+    const queued = { id: _createId(), createdAt: Date.now(), ...entry };
+    entries.update(list => [...list, queued]);
+    await _save();
+    log.debug(`Offline queue: queued ${queued.method || queued.actionId} (${pending.peek()} pending)`);
+    return { queued: true, id: queued.id };
+  }
+
+  /**
+   * Queue failed mutations of an HTTP client
+   * @param {HttpClient} client - Client created by createHttp()
+   * @param {Object} [attachOptions]
+   * @param {string} [attachOptions.name='default'] - Client name stored with its entries;
+   *   attach the client under the same name after a reload to replay them
+   * @returns {HttpClient} The client
+   */
+  function attach(client, attachOptions = {}) {
+    const { name = 'default' } = attachOptions;
+    clients.set(name, client);
+
+    const id = client.interceptors.response.use(null, async (error) => {
+      const request = error?.config;
+      const method = (request?.method || 'GET').toUpperCase();
+      if (!request || request[REPLAY] || !MUTATION_METHODS.includes(method) ||
+          !_isSerializable(request.data) || !shouldQueue(error)) {
+        throw error;
+      }
+
+      return _enqueue({
+        type: 'http',
+        client: name,
+        method,
+        url: request.url,
+        params: request.params,
+        data: request.data,
+        headers: _persistableHeaders(request.headers, client.defaults?.headers)
+      });
+    });
+
+    detachers.push(() => {
+      client.interceptors.response.eject(id);
+      if (clients.get(name) === client) clients.delete(name);
+    });
+
+    if (config.autoReplay) {
+      ready.then(() => replay());
+    }
+    return client;
+  }
+
+  /**
+   * Create a Server Action invoker whose connectivity failures are queued
+   * @param {string} actionId - Action identifier
+   * @param {Object} [invokerOptions] - createActionInvoker() options
+   * @returns {function(...*): Promise<*>} Invoker resolving with the result, or `{ queued: true, id }`
+   */
+  function wrapAction(actionId, invokerOptions = {}) {
+    const invoke = createActionInvoker(actionId, invokerOptions);
+    invokers.set(actionId, invoke);
+
+    return async (...args) => {
+      try {
+        return await invoke(...args);
+      } catch (error) {
+        if (!args.every(_isSerializable) || !shouldQueue(error)) {
+          throw error;
+        }
+        return _enqueue({ type: 'action', actionId, args });
+      }
+    };
+  }
+
+  async function _send(entry) {
+    if (entry.type === 'action') {
+      const invoke = invokers.get(entry.actionId) || createActionInvoker(entry.actionId);
+      return invoke(...entry.args);
+    }
+
+    const client = clients.get(entry.client);
+    if (!client) {
+      const error = new Error(`Offline queue: no HTTP client attached as "${entry.client}"`);
+      error.missingClient = true;
+      throw error;
+    }
+    return client.request({
+      url: entry.url,
+      method: entry.method,
+      params: entry.params,
+      data: entry.data,
+      headers: entry.headers,
+      [REPLAY]: true
+    });
+  }
+
+  function _remove(id) {
+    entries.update(list => list.filter(entry => entry.id !== id));
+    rollbacks.delete(id);
+  }
+
+  async function _replayAll() {
+    await ready;
+    replaying.set(true);
+    let replayed = 0;
+
+    try {
+      while (entries.peek().length > 0) {
+        if (!_isOnline()) break;
+        const entry = entries.peek()[0];
+
+        let result;
+        try {
+          result = await _send(entry);
+        } catch (error) {
+          if (error.missingClient || shouldQueue(error)) {
+            // Still offline (or its client is not attached yet): keep the rest for later
+            lastError.set(error);
+            break;
+          }
+
+          const rollback = rollbacks.get(entry.id);
+          _remove(entry.id);
+          await _save();
+          lastError.set(error);
+          if (rollback) rollback(error);
+          if (config.onReplayError) config.onReplayError(entry, error);
+          continue;
+        }
+
+        _remove(entry.id);
+        await _save();
+        replayed++;
+        if (config.onReplay) config.onReplay(entry, result);
+      }
+    } finally {
+      replaying.set(false);
+    }
+
+    if (replayed > 0 && entries.peek().length === 0) {
+      lastError.set(null);
+    }
+    return replayed;
+  }
+
+  /**
+   * Replay queued mutations in order
+   * @returns {Promise<number>} Number of mutations replayed successfully
+   */
+  function replay() {
+    if (!replayPromise) {
+      replayPromise = _replayAll().finally(() => {
+        replayPromise = null;
+      });
+    }
+    return replayPromise;
+  }
+
+  /**
+   * Run a mutation with an optimistic update.
+   * `optimistic()` applies the update right away and may return a rollback
+   * function, called with the error if the mutation is rejected, now or when
+   * its queued replay is. Rollbacks are kept in memory: after a reload,
+   * rejected replays are only reported to `onReplayError`.
+   *
+   * @param {function(): Promise<*>} mutationFn - Request through an attached client or wrapped action
+   * @param {Object} [mutateOptions]
+   * @param {function(): (function(Error): void|void)} [mutateOptions.optimistic] - Apply the update
+   * @param {function(Error): void} [mutateOptions.rollback] - Undo the update (instead of optimistic()'s return)
+   * @returns {Promise<*>} Result, or the queued marker `{ queued: true, id }`
+   */
+  async function mutate(mutationFn, mutateOptions = {}) {
+    const { optimistic, rollback: rollbackOption } = mutateOptions;
+    let undo = null;
+    batch(() => {
+      undo = optimistic ? optimistic() : null;
+    });
+    const rollback = rollbackOption || (typeof undo === 'function' ? undo : null);
+
+    try {
+      const result = await mutationFn();
+      if (result?.queued && rollback) {
+        rollbacks.set(result.id, rollback);
+      }
+      return result;
+    } catch (error) {
+      if (rollback) rollback(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop all queued mutations
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    await ready;
+    entries.set([]);
+    rollbacks.clear();
+    await _save();
+  }
+
+  const onOnline = () => replay();
+  if (config.autoReplay && typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+    window.addEventListener('online', onOnline);
+  }
+
+  function dispose() {
+    if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+      window.removeEventListener('online', onOnline);
+    }
+    for (const detach of detachers.splice(0)) detach();
+  }
+
+  return {
+    entries,
+    pending,
+    replaying,
+    lastError,
+    ready,
+    attach,
+    wrapAction,
+    mutate,
+    replay,
+    clear,
+    dispose
+  };
+}
+
+export default {
+  createOfflineQueue,
+};
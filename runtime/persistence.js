@@ -9,6 +9,7 @@ import { pulse, effect } from './pulse.js';
 import { loggers } from './logger.js';
 import { RuntimeError } from './errors.js';
 import { DANGEROUS_KEYS } from './security.js';
+import { syncPlugin } from './store.js';
 
 const log = loggers.store;
 
@@ -27,6 +28,10 @@ const DEFAULT_PERSISTENCE_OPTIONS = {
   deserialize: JSON.parse,
   maxDepth: MAX_NESTING_DEPTH,
   onError: null,
+  sync: false,
+  version: null,
+  migrations: {},
+  onMigrationError: null,
 };
 
 // =============================================================================
@@ -73,6 +78,63 @@ function _sanitizeValue(value, depth = 0, maxDepth = MAX_NESTING_DEPTH) {
   return sanitized;
 }
 
+// =============================================================================
+// INTERNAL: VERSIONED STATE
+// =============================================================================
+
+/**
+ * Check whether stored data is a versioned envelope ({ __version, state })
+ */
+function _isVersioned(data) {
+  return data !== null && typeof data === 'object' && !Array.isArray(data) &&
+    typeof data.__version === 'number' && 'state' in data;
+}
+
+/**
+ * Upgrade stored state one version at a time.
+ * Unversioned data counts as version 0; versions without a migration are kept as-is.
+ *
+ * @param {Object} state - Stored state
+ * @param {number} fromVersion - Version the state was saved with
+ * @param {number} toVersion - Current version
+ * @param {Object} migrations - Map of version to (state) => state (may be async)
+ * @returns {Promise<Object>} Migrated state
+ */
+async function _migrate(state, fromVersion, toVersion, migrations) {
+  if (fromVersion > toVersion) {
+    throw new PersistenceError(
+      `Persisted state version ${fromVersion} is newer than the store version ${toVersion}`,
+      {
+        code: 'PERSISTENCE_MIGRATION',
+        suggestion: 'Another client with a newer schema wrote this data. Clear it or add an onMigrationError handler.',
+      }
+    );
+  }
+
+  let migrated = state;
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const migrate = migrations[version];
+    if (typeof migrate !== 'function') continue;
+
+    try {
+      migrated = await migrate(migrated);
+    } catch (e) {
+      throw new PersistenceError(`Migration to version ${version} failed: ${e.message}`, {
+        code: 'PERSISTENCE_MIGRATION',
+        suggestion: 'Check the migration function for this version against the stored data.',
+      });
+    }
+
+    if (migrated === null || typeof migrated !== 'object' || Array.isArray(migrated)) {
+      throw new PersistenceError(`Migration to version ${version} did not return a state object`, {
+        code: 'PERSISTENCE_MIGRATION',
+        suggestion: 'Migrations must return the upgraded state object.',
+      });
+    }
+  }
+  return migrated;
+}
+
 function _filterKeys(data, include, exclude) {
   if (!include && !exclude) return data;
 
@@ -337,7 +399,35 @@ export function createPersistenceAdapter(type, options = {}) {
  * @param {Object} store - A Pulse store created by createStore()
  * @param {Object} adapter - A PersistenceAdapter instance
  * @param {Object} [options] - Persistence options
+ * @param {boolean|Object} [options.sync=false] - Sync changes across tabs (see syncPlugin);
+ *   an object sets { channel, strategy }. Synced keys follow include/exclude.
+ * @param {number} [options.version] - Schema version saved with the state (enables migrations)
+ * @param {Object<number, function(Object): Object>} [options.migrations] - Upgrade functions
+ *   keyed by the version they migrate to; run in order on restore
+ * @param {function(PersistenceError, Object): (Object|void)} [options.onMigrationError] - Called with
+ *   the error and { fromVersion, toVersion, state } when migrating fails; return a state to restore
+ *   it anyway, or nothing to keep the initial state
  * @returns {Object} { restore, clear, flush, dispose }
+ *
+ * @example
+ * const persistence = withPersistence(store, createLocalStorageAdapter(), {
+ *   key: 'cart',
+ *   include: ['items'],
+ *   sync: { strategy: 'last-write-wins' }
+ * });
+ *
+ * @example
+ * // v1 stored { name }, v2 splits it into { firstName, lastName }
+ * withPersistence(store, createIndexedDBAdapter(), {
+ *   version: 2,
+ *   migrations: {
+ *     2: ({ name = '', ...rest }) => {
+ *       const [firstName, lastName = ''] = name.split(' ');
+ *       return { ...rest, firstName, lastName };
+ *     }
+ *   },
+ *   onMigrationError: (error) => reportError(error)
+ * });
  */
 export function withPersistence(store, adapter, options = {}) {
   const config = { ...DEFAULT_PERSISTENCE_OPTIONS, ...options };
@@ -381,7 +471,10 @@ export function withPersistence(store, adapter, options = {}) {
 
     try {
       const snapshot = _getStoreSnapshot();
-      const serialized = config.serialize(snapshot);
+      const data = config.version !== null
+        ? { __version: config.version, state: snapshot }
+        : snapshot;
+      const serialized = config.serialize(data);
       pendingWrite = adapter.setItem(config.key, config.deserialize(serialized));
       await pendingWrite;
       pendingWrite = null;
@@ -391,6 +484,16 @@ export function withPersistence(store, adapter, options = {}) {
     }
   }
 
+  // Cross-tab sync over the same keys that are persisted
+  if (config.sync && store.$pulses) {
+    const syncOptions = config.sync === true ? {} : config.sync;
+    const keys = Object.keys(store.$pulses)
+      .filter(key => !key.includes('.'))
+      .filter(key => !config.include || config.include.includes(key))
+      .filter(key => !config.exclude || !config.exclude.includes(key));
+    syncPlugin(store, { channel: config.key, ...syncOptions, keys });
+  }
+
   // Set up auto-save effect
   const disposeEffect = effect(() => {
     // Read all store values to track dependencies
@@ -409,7 +512,31 @@ export function withPersistence(store, adapter, options = {}) {
       if (raw === null) return false;
 
       const data = typeof raw === 'string' ? config.deserialize(raw) : raw;
-      const sanitized = _sanitizeValue(data, 0, config.maxDepth);
+      let sanitized = _sanitizeValue(data, 0, config.maxDepth);
+
+      if (config.version !== null) {
+        const fromVersion = _isVersioned(sanitized) ? sanitized.__version : 0;
+        const stored = _isVersioned(sanitized) ? sanitized.state : sanitized;
+        try {
+          sanitized = await _migrate(stored, fromVersion, config.version, config.migrations);
+          if (fromVersion !== config.version) {
+            log.info(`Persisted state migrated from version ${fromVersion} to ${config.version}`);
+          }
+        } catch (e) {
+          log.warn('Persistence migration failed:', e.message);
+          if (!config.onMigrationError) {
+            config.onError?.(e);
+            return false;
+          }
+          // The hook may return a state to restore instead (e.g. a partial recovery)
+          const fallback = config.onMigrationError(e, { fromVersion, toVersion: config.version, state: stored });
+          if (!fallback) return false;
+          sanitized = _sanitizeValue(fallback, 0, config.maxDepth);
+        }
+      } else if (_isVersioned(sanitized)) {
+        // Versioned data read by a store without a version: use the state as-is
+        sanitized = sanitized.state;
+      }
 
       if (sanitized && typeof sanitized === 'object' && !Array.isArray(sanitized)) {
         const filtered = _filterKeys(sanitized, config.include, config.exclude);
@@ -472,6 +599,9 @@ export function withPersistence(store, adapter, options = {}) {
       debounceTimer = null;
     }
     disposeEffect();
+    if (config.sync && store.$sync) {
+      store.$sync.close();
+    }
   }
 
   return { restore, clear, flush, dispose };
@@ -13,6 +13,8 @@ import { Errors } from '../errors.js';
 import { parsePattern, normalizeRoute, matchRoute, parseQuery, buildQueryString } from './utils.js';
 import { createMiddlewareRunner } from './guards.js';
 import { createScrollManager, handleScroll, back, forward, go } from './history.js';
+import { getSSRAsyncContext } from '../ssr-async.js';
+import { validateRouteInput } from './schema.js';
 
 const log = loggers.router;
 
@@ -112,9 +114,64 @@ class RouteTrie {
   }
 }
 
+/**
+ * Check if a handler result is a DOM node
+ * Duck-typed so it also works with MockDOMAdapter nodes during SSR, where there is no global Node.
+ */
+function isNode(value) {
+  return value !== null && typeof value === 'object' && typeof value.nodeType === 'number';
+}
+
+/**
+ * Get a route and its ancestors, outermost first
+ */
+function getRouteChain(route) {
+  const chain = [];
+  for (let current = route; current; current = current.parent) {
+    chain.unshift(current);
+  }
+  return chain;
+}
+
+/**
+ * Find loader data for a route, falling back to the nearest ancestor with a loader
+ */
+function findLoaderData(data, route) {
+  for (let current = route; current; current = current.parent) {
+    if (current.pattern in data) return data[current.pattern];
+  }
+  return undefined;
+}
+
+/**
+ * Merge a parent route's params/query schema with a child's own fields
+ * @returns {Object|null} Merged schema, or null when neither declares one
+ */
+function mergeSchemas(parentSchema, schema) {
+  if (!parentSchema && !schema) return null;
+  return { ...parentSchema, ...schema };
+}
+
+/**
+ * Normalize a route's `modal` option
+ * `true` renders the route handler into the "modal" outlet; an object may
+ * override the outlet name and the component used for the intercepted view.
+ */
+function normalizeModal(modal) {
+  if (!modal) return null;
+  if (modal === true) return { outlet: 'modal', handler: null };
+  return {
+    outlet: modal.outlet || 'modal',
+    handler: modal.handler || null
+  };
+}
+
 // Issue #66: Active router instance for standalone lifecycle exports
 let _activeRouter = null;
 
+// Router and route whose handler is currently rendering (read by useLoaderData)
+let _renderingRoute = null;
+
 /**
  * Create a router instance
  */
@@ -128,29 +185,51 @@ export function createRouter(options = {}) {
     persistScroll = false, // Persist scroll positions to sessionStorage
     persistScrollKey = 'pulse-router-scroll', // Storage key for scroll persistence
     parseQueryTypes = false, // Parse typed query params (numbers, booleans)
-    transition = null // CSS transition config { enterClass, enterActiveClass, leaveClass, leaveActiveClass, duration }
+    transition = null, // CSS transition config { enterClass, enterActiveClass, leaveClass, leaveActiveClass, duration, viewTransition }
+    url = null // Initial URL instead of window.location (server rendering)
   } = options;
 
+  // Initial location when rendering outside the browser
+  let initialLocation = null;
+  if (url) {
+    const [urlPath, urlSearch = ''] = url.split('#')[0].split('?');
+    initialLocation = { path: urlPath || '/', query: parseQuery(urlSearch, { typed: parseQueryTypes }) };
+  }
+
   // Validate transition duration to prevent DoS (max 10s)
   const transitionConfig = transition ? {
     enterClass: transition.enterClass || 'route-enter',
     enterActiveClass: transition.enterActiveClass || 'route-enter-active',
     leaveClass: transition.leaveClass || 'route-leave',
     leaveActiveClass: transition.leaveActiveClass || 'route-leave-active',
-    duration: Math.min(Math.max(transition.duration || 300, 0), 10000)
+    duration: Math.min(Math.max(transition.duration || 300, 0), 10000),
+    // Opt-in: swap views inside document.startViewTransition when supported
+    viewTransition: transition.viewTransition === true
   } : null;
 
+  // True while outlets update inside a view transition (class-based transitions are skipped)
+  let viewTransitionActive = false;
+
   // Middleware array (mutable for dynamic registration)
   const middleware = [...initialMiddleware];
 
   // Reactive state
-  const currentPath = pulse(getPath());
+  const currentPath = pulse(initialLocation ? initialLocation.path : getPath());
   const currentRoute = pulse(null);
   const currentParams = pulse({});
   const currentQuery = pulse({});
   const currentMeta = pulse({});
   const isLoading = pulse(false);
   const routeError = pulse(null);
+  // Route rendered behind an intercepted modal route ({ path, route, params, query } or null)
+  const backgroundRoute = pulse(null);
+  // Results of route loaders for the current match, keyed by route pattern
+  const loaderData = pulse({});
+  const loaderError = pulse(null);
+  // Aborts loaders of a navigation superseded by a newer one
+  let loaderController = null;
+  // Incremented by every navigation: results of older ones are stale
+  let navigationId = 0;
 
   // Route error handler (configurable)
   let onRouteError = options.onRouteError || null;
@@ -164,15 +243,95 @@ export function createRouter(options = {}) {
   // Compile routes (supports nested routes)
   const compiledRoutes = [];
 
-  function compileRoutes(routeConfig, parentPath = '', parentLayout = null) {
+  /**
+   * Compile a parallel route slot: a self-contained route map rendered into a
+   * named outlet, with its own sub-navigation state that survives navigation
+   * of the main route.
+   */
+  function compileSlot(name, slotRoutes) {
+    const trie = new RouteTrie();
+    for (const [pattern, config] of Object.entries(slotRoutes)) {
+      const normalized = normalizeRoute(pattern, config);
+      trie.insert(pattern, { ...normalized, ...parsePattern(pattern) });
+    }
+
+    const initial = trie.find('/');
+    const slot = {
+      name,
+      path: pulse('/'),
+      route: pulse(initial ? initial.route : null),
+      params: pulse(initial ? initial.params : {}),
+
+      /**
+       * Navigate inside the slot without touching the URL or other outlets
+       * @param {string} subPath - Path relative to the slot's route map
+       * @returns {boolean} False if no slot route matches
+       */
+      navigate(subPath) {
+        const match = trie.find(subPath);
+        if (!match) {
+          log.warn(`Slot "${name}": no route matches "${subPath}"`);
+          return false;
+        }
+        batch(() => {
+          slot.path.set(subPath);
+          slot.route.set(match.route);
+          slot.params.set(match.params);
+        });
+        return true;
+      }
+    };
+    return slot;
+  }
+
+  /**
+   * Compile a route config level
+   * @param {Object} routeConfig - Route definitions keyed by pattern
+   * @param {string} [parentPath=''] - URL prefix from the parent route
+   * @param {Object} [inherited={}] - Values inherited from parent routes and groups
+   *   ({ layout, outlets, slots, parent, inputs }); `inputs` holds the params/query
+   *   schemas and onInvalid fallback, which groups add to without becoming a parent
+   */
+  function compileRoutes(routeConfig, parentPath = '', inherited = {}) {
+    const {
+      layout: parentLayout = null,
+      outlets: parentOutlets = null,
+      slots: parentSlots = null,
+      parent = null,
+      inputs = parent
+    } = inherited;
+
     for (const [pattern, config] of Object.entries(routeConfig)) {
       const normalized = normalizeRoute(pattern, config);
 
+      // Named outlets and parallel slots are inherited by children (and group members)
+      // so a sidebar declared once stays mounted across sibling routes
+      const routeOutlets = normalized.outlets
+        ? { ...parentOutlets, ...normalized.outlets }
+        : parentOutlets;
+      let routeSlots = parentSlots;
+      if (normalized.slots) {
+        routeSlots = { ...parentSlots };
+        for (const [name, slotRoutes] of Object.entries(normalized.slots)) {
+          routeSlots[name] = compileSlot(name, slotRoutes);
+        }
+      }
+
       // Issue #71: Route groups — key starting with _ and group: true
       // Group children get NO URL prefix from the group key
       if (normalized.group && normalized.children) {
         const groupLayout = normalized.layout || parentLayout;
-        compileRoutes(normalized.children, parentPath, groupLayout);
+        compileRoutes(normalized.children, parentPath, {
+          layout: groupLayout,
+          outlets: routeOutlets,
+          slots: routeSlots,
+          parent,
+          inputs: {
+            params: mergeSchemas(inputs?.params, normalized.params),
+            query: mergeSchemas(inputs?.query, normalized.query),
+            onInvalid: normalized.onInvalid || inputs?.onInvalid || null
+          }
+        });
         continue;
       }
 
@@ -185,6 +344,14 @@ export function createRouter(options = {}) {
         ...normalized,
         pattern: fullPattern,
         layout: routeLayout,
+        outlets: routeOutlets,
+        slots: routeSlots,
+        modal: normalizeModal(normalized.modal),
+        // Params/query schemas and the invalid-input fallback apply to nested and grouped routes too
+        params: mergeSchemas(inputs?.params, normalized.params),
+        query: mergeSchemas(inputs?.query, normalized.query),
+        onInvalid: normalized.onInvalid || inputs?.onInvalid || null,
+        parent,
         ...parsePattern(fullPattern)
       };
 
@@ -199,7 +366,12 @@ export function createRouter(options = {}) {
 
       // Compile children (nested routes)
       if (normalized.children) {
-        compileRoutes(normalized.children, fullPattern, routeLayout);
+        compileRoutes(normalized.children, fullPattern, {
+          layout: routeLayout,
+          outlets: routeOutlets,
+          slots: routeSlots,
+          parent: route
+        });
       }
     }
   }
@@ -252,11 +424,240 @@ export function createRouter(options = {}) {
     return null;
   }
 
+  /**
+   * Check if a route or any of its ancestors defines a loader
+   */
+  function hasLoaders(route) {
+    return getRouteChain(route).some(r => typeof r.loader === 'function');
+  }
+
+  /**
+   * Run the loaders of a matched route and its ancestors in parallel
+   * @param {Object} match - Result of findRoute()
+   * @param {Object} to - Navigation target ({ path, params, query, meta })
+   * @param {AbortSignal} [signal] - Aborted when the navigation is superseded
+   * @returns {Promise<Object>} Loader results keyed by route pattern
+   */
+  async function runLoaders(match, to, signal) {
+    const loaderRoutes = getRouteChain(match.route).filter(r => typeof r.loader === 'function');
+    const loaderCtx = { params: to.params, query: to.query, path: to.path, meta: to.meta, signal, router };
+
+    const results = await Promise.all(loaderRoutes.map(r => r.loader(loaderCtx)));
+
+    const data = {};
+    loaderRoutes.forEach((r, i) => {
+      data[r.pattern] = results[i];
+    });
+    return data;
+  }
+
+  /**
+   * Start a navigation: any navigation still loading data is superseded,
+   * whether or not the new route has loaders
+   * @returns {number} Id of the new navigation
+   */
+  function beginNavigation() {
+    if (loaderController) loaderController.abort();
+    loaderController = null;
+    return ++navigationId;
+  }
+
+  /**
+   * Load route data before committing a navigation
+   * Loader errors don't cancel the navigation: they are rendered by the
+   * outlet through onRouteError, like component errors.
+   * @param {Object} match - Route match
+   * @param {Object} to - Navigation target
+   * @param {number} id - Navigation id from beginNavigation()
+   * @returns {Promise<{data: Object, error: Error|null, stale: boolean}>}
+   */
+  async function loadRouteData(match, to, id) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    loaderController = controller;
+
+    let data = {};
+    let error = null;
+    try {
+      data = await runLoaders(match, to, controller?.signal);
+    } catch (err) {
+      log.error('Route loader error:', err);
+      error = err;
+    }
+
+    const stale = id !== navigationId;
+    if (!stale) loaderController = null;
+    return { data, error, stale };
+  }
+
+  /**
+   * Resolve loader data synchronously during SSR.
+   * The first render pass registers the loaders with the SSR async context so
+   * renderToString() waits for them; the second pass reads the cached results.
+   */
+  function collectSSRLoaderData(match, to) {
+    const ssrCtx = getSSRAsyncContext();
+    const key = `route-loader:${to.path}?${buildQueryString(to.query)}`;
+
+    if (ssrCtx.has(key)) {
+      return { data: ssrCtx.get(key), error: null };
+    }
+    const error = ssrCtx.getError(key);
+    if (error) {
+      return { data: {}, error };
+    }
+
+    ssrCtx.register(key, runLoaders(match, to));
+    return { data: {}, error: null };
+  }
+
+  /**
+   * Check whether a route declares params or query schemas
+   */
+  function hasSchemas(route) {
+    return Boolean(route.params || route.query);
+  }
+
+  /**
+   * Resolve the redirect for invalid params/query from the route's onInvalid option
+   * @returns {string|null} Path to redirect to, or null to raise the error
+   */
+  function resolveInvalidRedirect(route, error, to) {
+    const { onInvalid } = route;
+    if (typeof onInvalid === 'string') return onInvalid;
+    if (typeof onInvalid === 'function') {
+      const result = onInvalid(error, to);
+      if (typeof result === 'string') return result;
+    }
+    return null;
+  }
+
+  /**
+   * Commit a location that is already in the address bar (initial load, back/forward),
+   * running route loaders first
+   */
+  function commitLocation(path, query, background = null, animate = false) {
+    const id = beginNavigation();
+    let match = findRoute(path);
+
+    // Back/forward swaps go through the view transition like in-app navigations
+    const commit = (loaded) => {
+      const update = () => updateRoute(path, query, match, { background, loaded });
+      return animate ? commitWithTransition(match, update) : update();
+    };
+
+    if (match && hasSchemas(match.route)) {
+      const to = { path, params: match.params, query };
+      const result = validateRouteInput(match.route, to);
+      if (result.error) {
+        const redirectPath = resolveInvalidRedirect(match.route, result.error, to);
+        if (redirectPath) {
+          return navigate(redirectPath, { replace: true });
+        }
+        // Render the route's error view instead of running its loaders
+        return commit({ data: {}, error: result.error });
+      }
+      match = { ...match, params: result.params };
+      query = result.query;
+    }
+
+    if (!match || !hasLoaders(match.route)) {
+      return commit(null);
+    }
+
+    const to = { path, params: match.params, query, meta: match.route.meta || {} };
+
+    if (getSSRAsyncContext()) {
+      return commit(collectSSRLoaderData(match, to));
+    }
+
+    isLoading.set(true);
+    return loadRouteData(match, to, id).then(loaded => {
+      if (loaded.stale) return;
+      isLoading.set(false);
+      return commit(loaded);
+    });
+  }
+
+  /**
+   * Run a route update inside document.startViewTransition (transition.viewTransition).
+   *
+   * The route's `viewTransition` name is set as `data-view-transition` on <html> for
+   * the duration of the transition, so CSS can pick per-route animations:
+   *   html[data-view-transition="post"]::view-transition-new(root) { ... }
+   * Shared elements animate when both pages give them the same `view-transition-name`.
+   * Without API support (or with `viewTransition: false` on the route) the update
+   * runs directly and the class-based transition applies.
+   *
+   * @param {Object|null} match - Route match being committed
+   * @param {function} update - Commits the route state (and swaps outlet views)
+   * @returns {Promise} Resolves once the update has been applied
+   */
+  async function commitWithTransition(match, update) {
+    const name = match?.route?.viewTransition;
+    if (!transitionConfig?.viewTransition || name === false ||
+        typeof document === 'undefined' || typeof document.startViewTransition !== 'function') {
+      return update();
+    }
+
+    const root = document.documentElement;
+    if (name) root.setAttribute('data-view-transition', name);
+
+    let result;
+    const viewTransition = document.startViewTransition(() => {
+      viewTransitionActive = true;
+      try {
+        // Outlet effects swap their views synchronously inside updateRoute's batch
+        result = update();
+      } finally {
+        viewTransitionActive = false;
+      }
+      return result;
+    });
+
+    if (name) {
+      const clearName = () => {
+        if (root.getAttribute('data-view-transition') === name) {
+          root.removeAttribute('data-view-transition');
+        }
+      };
+      viewTransition.finished.then(clearName, clearName);
+    }
+
+    await viewTransition.updateCallbackDone;
+    return result;
+  }
+
+  /**
+   * Push (or replace) a history entry for a navigation
+   * @param {string} fullPath - Path with query string
+   * @param {boolean} replace - Replace the current entry
+   * @param {Object|null} state - Extra history state
+   * @param {Object|null} background - Page a modal route renders over
+   */
+  function writeHistory(fullPath, replace, state, background) {
+    const url = mode === 'hash' ? `#${fullPath}` : `${base}${fullPath}`;
+    const historyState = { path: fullPath, ...(state || {}) };
+    if (background) {
+      // Remember the background so back/forward can restore the modal view
+      const backgroundQuery = buildQueryString(background.query);
+      historyState.background = backgroundQuery
+        ? `${background.path}?${backgroundQuery}`
+        : background.path;
+    }
+
+    if (replace) {
+      window.history.replaceState(historyState, '', url);
+    } else {
+      window.history.pushState(historyState, '', url);
+    }
+  }
+
   /**
    * Navigate to a path
    */
   async function navigate(path, options = {}) {
     const { replace = false, query = {}, state = null } = options;
+    const id = beginNavigation();
 
     // Issue #72: Set loading state at start of navigation
     const hasAsyncWork = middleware.length > 0 || beforeHooks.length > 0 || resolveHooks.length > 0;
@@ -314,6 +715,28 @@ export function createRouter(options = {}) {
         meta: match?.route?.meta || {}
       };
 
+      // Validate and coerce params/query so guards, loaders and handlers get typed values
+      if (match && hasSchemas(match.route)) {
+        const result = validateRouteInput(match.route, to);
+        if (result.error) {
+          const redirectPath = resolveInvalidRedirect(match.route, result.error, to);
+          if (redirectPath) {
+            return navigate(redirectPath, { replace: true });
+          }
+          // Render the route's error view (as on a direct load) without running guards or loaders
+          scrollManager.saveScrollPosition(currentPath.peek());
+          writeHistory(fullPath, replace, state, null);
+          await commitWithTransition(match, () => updateRoute(path, to.query, match, {
+            loaded: { data: {}, error: result.error }
+          }));
+          routeError.set(result.error);
+          return false;
+        }
+        match = { ...match, params: result.params };
+        to.params = result.params;
+        to.query = result.query;
+      }
+
       // Issue #66: Run beforeLeave hooks for the current route
       const leavePath = currentPath.peek();
       const leaveCallbacks = beforeLeaveHooks.get(leavePath);
@@ -365,21 +788,25 @@ export function createRouter(options = {}) {
         }
       }
 
+      // Run route loaders (in parallel for nested matches) before committing
+      let loaded = null;
+      if (match && hasLoaders(match.route)) {
+        isLoading.set(true);
+        loaded = await loadRouteData(match, to, id);
+      }
+      if (id !== navigationId) return false;
+
+      // Modal routes render over the current page on in-app navigation
+      const background = options.modal === false ? null : resolveBackground(match);
+
       // Save scroll position before leaving
       scrollManager.saveScrollPosition(currentPath.peek());
 
       // Update URL
-      const url = mode === 'hash' ? `#${fullPath}` : `${base}${fullPath}`;
-      const historyState = { path: fullPath, ...(state || {}) };
-
-      if (replace) {
-        window.history.replaceState(historyState, '', url);
-      } else {
-        window.history.pushState(historyState, '', url);
-      }
+      writeHistory(fullPath, replace, state, background);
 
       // Update reactive state
-      await updateRoute(path, parsedQuery, match);
+      await commitWithTransition(match, () => updateRoute(path, to.query, match, { background, loaded }));
 
       // Handle scroll behavior
       handleScroll(to, from, scrollManager.getScrollPosition(path), scrollBehavior);
@@ -394,22 +821,70 @@ export function createRouter(options = {}) {
 
       return true;
     } finally {
-      // Issue #72: Always reset loading state
-      isLoading.set(false);
+      // Issue #72: Always reset loading state (a newer navigation resets its own)
+      if (id === navigationId) isLoading.set(false);
     }
   }
 
+  /**
+   * Resolve the page a modal route should render over.
+   * Returns null for non-modal routes and for direct loads (nothing rendered yet),
+   * in which case the modal route renders as a full page.
+   */
+  function resolveBackground(match) {
+    if (!match?.route?.modal) return null;
+
+    // Modal to modal navigation keeps the original background
+    const active = backgroundRoute.peek();
+    if (active) return active;
+
+    const route = currentRoute.peek();
+    if (!route) return null;
+
+    return {
+      path: currentPath.peek(),
+      route,
+      params: currentParams.peek(),
+      query: currentQuery.peek()
+    };
+  }
+
+  /**
+   * Rebuild a modal background from a history state entry (back/forward)
+   */
+  function restoreBackground(historyState) {
+    const fullPath = historyState?.background;
+    if (typeof fullPath !== 'string') return null;
+
+    const [path, search = ''] = fullPath.split('?');
+    const match = findRoute(path);
+    if (!match) return null;
+
+    return { path, route: match.route, params: match.params, query: parseQuery(search) };
+  }
+
   /**
    * Update the current route state
+   * @param {string} path - New path
+   * @param {Object} [query={}] - Parsed query
+   * @param {Object|null} [match=null] - Route match (resolved from path if omitted)
+   * @param {Object} [extra={}] - { background, loaded } modal background and loader results
    */
-  async function updateRoute(path, query = {}, match = null) {
+  async function updateRoute(path, query = {}, match = null, extra = {}) {
+    const { background = null, loaded = null } = extra;
     if (!match) {
       match = findRoute(path);
     }
 
+    const isModal = Boolean(match?.route?.modal && background);
+
     batch(() => {
       currentPath.set(path);
       currentQuery.set(query);
+      backgroundRoute.set(isModal ? background : null);
+      // Keep the background's data while a modal route is shown over it
+      loaderData.set(isModal ? { ...loaderData.peek(), ...loaded?.data } : (loaded?.data || {}));
+      loaderError.set(loaded?.error || null);
 
       if (match) {
         currentRoute.set(match.route);
@@ -441,7 +916,7 @@ export function createRouter(options = {}) {
   function handlePopState() {
     const path = getPath();
     const query = parseQuery(window.location.search);
-    updateRoute(path, query);
+    commitLocation(path, query, restoreBackground(window.history.state), true);
   }
 
   /**
@@ -452,7 +927,7 @@ export function createRouter(options = {}) {
 
     // Initial route
     const query = parseQuery(window.location.search);
-    updateRoute(getPath(), query);
+    commitLocation(getPath(), query);
 
     return () => {
       window.removeEventListener('popstate', handlePopState);
@@ -495,6 +970,100 @@ export function createRouter(options = {}) {
     return a;
   }
 
+  /**
+   * Resolve what an outlet should display for the current navigation state.
+   * Reads reactive state, so calling it inside an effect subscribes the outlet.
+   *
+   * Targets flagged `stable` are kept mounted while handler and key are unchanged,
+   * which lets named outlets, slots and modal backgrounds survive navigation.
+   *
+   * @param {string} name - Outlet name ('default' for the main page)
+   * @returns {Object|null} { route, handler, params, query, path, key, stable, navigate, error } or null
+   */
+  function resolveOutletTarget(name) {
+    const route = currentRoute.get();
+    const background = backgroundRoute.get();
+
+    if (name === 'default') {
+      // Intercepted modal: keep rendering the page the user navigated from
+      if (background) {
+        return {
+          route: background.route,
+          handler: background.route.handler,
+          params: background.params,
+          query: background.query,
+          path: background.path,
+          key: background.path + '?' + buildQueryString(background.query),
+          stable: true
+        };
+      }
+      if (!route) return null;
+
+      const params = currentParams.get();
+      const query = currentQuery.get();
+      const path = currentPath.peek();
+      return {
+        route,
+        handler: route.handler,
+        params,
+        query,
+        path,
+        key: path + '?' + buildQueryString(query),
+        stable: false,
+        error: loaderError.get()
+      };
+    }
+
+    // Modal route rendered over its background
+    if (background && route?.modal?.outlet === name) {
+      const path = currentPath.get();
+      return {
+        route,
+        handler: route.modal.handler || route.handler,
+        params: currentParams.get(),
+        query: currentQuery.get(),
+        path,
+        key: path,
+        stable: true,
+        error: loaderError.get()
+      };
+    }
+
+    // Named outlets and slots follow the page shown in the default outlet
+    const baseRoute = background ? background.route : route;
+    if (!baseRoute) return null;
+
+    const slot = baseRoute.slots?.[name];
+    if (slot) {
+      const slotRoute = slot.route.get();
+      if (!slotRoute) return null;
+      const path = slot.path.get();
+      return {
+        route: slotRoute,
+        handler: slotRoute.handler,
+        params: slot.params.get(),
+        query: currentQuery.peek(),
+        path,
+        key: path,
+        stable: true,
+        navigate: slot.navigate
+      };
+    }
+
+    const handler = baseRoute.outlets?.[name];
+    if (!handler) return null;
+
+    return {
+      route: baseRoute,
+      handler,
+      params: background ? background.params : currentParams.peek(),
+      query: background ? background.query : currentQuery.peek(),
+      path: background ? background.path : currentPath.peek(),
+      key: '',
+      stable: true
+    };
+  }
+
   /**
    * Router outlet - renders the current route's component
    *
@@ -503,9 +1072,22 @@ export function createRouter(options = {}) {
    *
    * Supports:
    * - Route groups with shared layouts (#71)
-   * - CSS route transitions (#66)
+   * - CSS route transitions (#66) and the View Transitions API
+   * - Named outlets (`outlets`), parallel slots (`slots`) and modal routes (`modal`)
+   *
+   * @param {string|HTMLElement} container - Container element or selector
+   * @param {Object} [options] - Outlet options
+   * @param {string} [options.name='default'] - Outlet name to render
+   * @returns {HTMLElement} The container
+   *
+   * @example
+   * router.outlet('#main');
+   * router.outlet('#sidebar', { name: 'sidebar' });
+   * router.outlet('#modal', { name: 'modal' });
    */
-  function outlet(container) {
+  function outlet(container, options = {}) {
+    const { name = 'default' } = options;
+
     if (typeof container === 'string') {
       const el = document.querySelector(container);
       if (!el) {
@@ -516,6 +1098,7 @@ export function createRouter(options = {}) {
 
     let currentView = null;
     let cleanup = null;
+    let renderedTarget = null;
 
     /**
      * Remove old view, optionally with CSS transition
@@ -532,7 +1115,7 @@ export function createRouter(options = {}) {
       }
 
       // Issue #66: CSS transition on leave
-      if (transitionConfig && oldView.classList) {
+      if (transitionConfig && !viewTransitionActive && oldView.classList) {
         oldView.classList.add(transitionConfig.leaveClass);
         requestAnimationFrame(() => {
           oldView.classList.add(transitionConfig.leaveActiveClass);
@@ -556,7 +1139,7 @@ export function createRouter(options = {}) {
       currentView = view;
 
       // Issue #66: CSS transition on enter
-      if (transitionConfig && view.classList) {
+      if (transitionConfig && !viewTransitionActive && view.classList) {
         view.classList.add(transitionConfig.enterClass);
         requestAnimationFrame(() => {
           view.classList.add(transitionConfig.enterActiveClass);
@@ -567,10 +1150,37 @@ export function createRouter(options = {}) {
       }
     }
 
+    /**
+     * Wrap a rendered view with the route layout (default outlet only)
+     */
+    function applyLayout(route, view, ctx) {
+      if (name !== 'default' || !route.layout || typeof route.layout !== 'function') {
+        return view;
+      }
+      try {
+        // Issue #71: Wrap with layout if route has one
+        const layoutResult = route.layout(() => view, ctx);
+        if (isNode(layoutResult)) {
+          return layoutResult;
+        }
+      } catch (error) {
+        log.error('Layout error:', error);
+      }
+      return view;
+    }
+
     effect(() => {
-      const route = currentRoute.get();
-      const params = currentParams.get();
-      const query = currentQuery.get();
+      const target = resolveOutletTarget(name);
+
+      // Keep stable views (named outlets, slots, modal backgrounds) mounted
+      if ((target?.stable || renderedTarget?.stable) &&
+          target && renderedTarget &&
+          target.handler === renderedTarget.handler &&
+          target.key === renderedTarget.key) {
+        renderedTarget = target;
+        return;
+      }
+      renderedTarget = target;
 
       // Cleanup previous view
       if (cleanup) cleanup();
@@ -579,14 +1189,29 @@ export function createRouter(options = {}) {
       currentView = null;
 
       function renderRoute() {
-        if (route && route.handler) {
+        if (target && target.handler) {
+          const { route } = target;
+
           // Create context for the route handler
           const ctx = {
-            params,
-            query,
-            path: currentPath.peek(),
-            navigate,
-            router
+            params: target.params,
+            query: target.query,
+            path: target.path,
+            data: findLoaderData(loaderData.peek(), route),
+            navigate: target.navigate || navigate,
+            router,
+            outlet: name
+          };
+
+          // Expose the rendering route to useLoaderData()
+          const renderWithContext = (fn) => {
+            const prev = _renderingRoute;
+            _renderingRoute = { router, route };
+            try {
+              return fn();
+            } finally {
+              _renderingRoute = prev;
+            }
           };
 
           // Helper to handle errors
@@ -597,7 +1222,7 @@ export function createRouter(options = {}) {
             if (onRouteError) {
               try {
                 const errorView = onRouteError(error, ctx);
-                if (errorView instanceof Node) {
+                if (isNode(errorView)) {
                   addNewView(errorView);
                   return true;
                 }
@@ -614,32 +1239,25 @@ export function createRouter(options = {}) {
             return true;
           };
 
+          // Failed loaders render through the same error path as components
+          if (target.error) {
+            handleError(target.error);
+            return;
+          }
+
           // Call handler and render result (with error handling)
           let result;
           try {
-            result = typeof route.handler === 'function'
-              ? route.handler(ctx)
-              : route.handler;
+            result = typeof target.handler === 'function'
+              ? renderWithContext(() => target.handler(ctx))
+              : target.handler;
           } catch (error) {
             handleError(error);
             return;
           }
 
-          if (result instanceof Node) {
-            // Issue #71: Wrap with layout if route has one
-            let view = result;
-            if (route.layout && typeof route.layout === 'function') {
-              try {
-                const layoutResult = route.layout(() => result, ctx);
-                if (layoutResult instanceof Node) {
-                  view = layoutResult;
-                }
-              } catch (error) {
-                log.error('Layout error:', error);
-              }
-            }
-
-            addNewView(view);
+          if (isNode(result)) {
+            addNewView(applyLayout(route, result, ctx));
             routeError.set(null);
           } else if (result && typeof result.then === 'function') {
             // Async component
@@ -648,21 +1266,11 @@ export function createRouter(options = {}) {
             result
               .then(component => {
                 isLoading.set(false);
-                let view = typeof component === 'function' ? component(ctx) : component;
-                if (view instanceof Node) {
-                  // Issue #71: Wrap with layout
-                  if (route.layout && typeof route.layout === 'function') {
-                    try {
-                      const layoutResult = route.layout(() => view, ctx);
-                      if (layoutResult instanceof Node) {
-                        view = layoutResult;
-                      }
-                    } catch (error) {
-                      log.error('Layout error:', error);
-                    }
-                  }
-
-                  addNewView(view);
+                const view = typeof component === 'function'
+                  ? renderWithContext(() => component(ctx))
+                  : component;
+                if (isNode(view)) {
+                  addNewView(applyLayout(route, view, ctx));
                 }
               })
               .catch(error => {
@@ -764,6 +1372,20 @@ export function createRouter(options = {}) {
     return matches;
   }
 
+  /**
+   * Get a parallel route slot declared by the active route chain
+   * @param {string} name - Slot name (matches the outlet name)
+   * @returns {Object|null} Slot with reactive `path`, `route`, `params` and `navigate(subPath)`
+   * @example
+   * router.slot('inbox').navigate('/messages/42');
+   * router.slot('inbox').path.get(); // '/messages/42'
+   */
+  function slot(name) {
+    const background = backgroundRoute.peek();
+    const baseRoute = background ? background.route : currentRoute.peek();
+    return baseRoute?.slots?.[name] || null;
+  }
+
   /**
    * Set route error handler
    * @param {function} handler - Error handler (error, ctx) => Node
@@ -848,6 +1470,8 @@ export function createRouter(options = {}) {
    * - meta: Route meta data object
    * - loading: Boolean indicating async route loading
    * - error: Current route error or null
+   * - background: Page rendered behind an intercepted modal route, or null
+   * - loaderData: Route loader results keyed by route pattern
    *
    * @example
    * // Read reactive state
@@ -872,6 +1496,8 @@ export function createRouter(options = {}) {
     meta: currentMeta,
     loading: isLoading,
     error: routeError,
+    background: backgroundRoute,
+    loaderData,
 
     // Navigation methods
     navigate,
@@ -908,6 +1534,7 @@ export function createRouter(options = {}) {
     // Route inspection
     isActive,
     getMatchedRoutes,
+    slot,
 
     // Utility functions
     matchRoute,
@@ -918,6 +1545,11 @@ export function createRouter(options = {}) {
   // Set as active router for standalone exports (onBeforeLeave, onAfterEnter)
   _activeRouter = router;
 
+  // Server rendering: resolve the route for the given URL right away
+  if (initialLocation) {
+    commitLocation(initialLocation.path, initialLocation.query);
+  }
+
   return router;
 }
 
@@ -945,6 +1577,41 @@ export function onBeforeLeave(callback) {
   return _activeRouter.onBeforeLeave(callback);
 }
 
+/**
+ * Get the data returned by the current route's loader
+ * Inside a route handler, returns the data of the route being rendered
+ * (or its nearest ancestor with a loader); elsewhere, of the current route.
+ *
+ * @param {string} [pattern] - Full pattern of a specific route in the match (e.g. a parent)
+ * @returns {*} Loader result, or undefined if no loader ran
+ *
+ * @example
+ * const routes = {
+ *   '/users/:id': {
+ *     loader: ({ params, signal }) => fetch(`/api/users/${params.id}`, { signal }).then(r => r.json()),
+ *     handler: () => {
+ *       const user = useLoaderData();
+ *       return el('h1', user.name);
+ *     }
+ *   }
+ * };
+ */
+export function useLoaderData(pattern) {
+  const router = _renderingRoute ? _renderingRoute.router : _activeRouter;
+  if (!router) {
+    log.warn('useLoaderData() called outside of a router context');
+    return undefined;
+  }
+
+  const data = router.loaderData.peek();
+  if (pattern !== undefined) {
+    return data[pattern];
+  }
+
+  const route = _renderingRoute ? _renderingRoute.route : router.route.peek();
+  return findLoaderData(data, route);
+}
+
 /**
  * Register a callback to run after entering the current route
  * Must be called within a route handler context
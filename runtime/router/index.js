@@ -12,6 +12,7 @@ export * from './lazy.js';
 export * from './guards.js';
 export * from './history.js';
 export * from './utils.js';
+export * from './schema.js';
 export * from './psc-integration.js';
 
 // Default export for backward compatibility
@@ -19,10 +20,12 @@ import {
   createRouter,
   simpleRouter,
   onBeforeLeave,
-  onAfterEnter
+  onAfterEnter,
+  useLoaderData
 } from './core.js';
 import { lazy, preload } from './lazy.js';
 import { matchRoute, parseQuery, buildQueryString } from './utils.js';
+import { defineRoute, validateSchema } from './schema.js';
 import {
   fetchPSCPayload,
   navigatePSC,
@@ -42,6 +45,9 @@ export default {
   buildQueryString,
   onBeforeLeave,
   onAfterEnter,
+  useLoaderData,
+  defineRoute,
+  validateSchema,
   // PSC Integration
   fetchPSCPayload,
   navigatePSC,
@@ -0,0 +1,195 @@
+/**
+ * Pulse Router - Params and Query Schemas
+ *
+ * Per-route validation and coercion of URL params and query values,
+ * using the same validation rules as forms (validators from runtime/form.js)
+ *
+ * @module pulse-js-framework/runtime/router/schema
+ */
+
+import { loggers } from '../logger.js';
+import { Errors } from '../errors.js';
+
+const log = loggers.router;
+
+/**
+ * Field schema for a route param or query value
+ * @typedef {Object} RouteFieldSchema
+ * @property {'string'|'number'|'integer'|'boolean'} [type='string'] - Type to coerce the raw value to
+ * @property {boolean} [array=false] - Collect repeated query keys into an array
+ * @property {*} [default] - Value used when the field is missing or empty
+ * @property {Array<{validate: function}>} [rules=[]] - Validation rules (e.g. validators.min(1))
+ */
+
+/**
+ * Normalize a field schema shorthand
+ * Accepts a type name ('number'), an array of rules, or a full field schema
+ * @param {string|Array|RouteFieldSchema} field - Field schema
+ * @returns {RouteFieldSchema} Normalized schema
+ */
+function normalizeField(field) {
+  if (typeof field === 'string') {
+    return { type: field, array: false, rules: [] };
+  }
+  if (Array.isArray(field)) {
+    return { type: 'string', array: false, rules: field };
+  }
+  return {
+    type: field.type || 'string',
+    array: field.array || false,
+    default: field.default,
+    rules: field.rules || []
+  };
+}
+
+/**
+ * Coerce a raw URL value to the schema type
+ * @param {*} value - Raw value (usually a string)
+ * @param {string} type - Target type
+ * @returns {{value: *, error: string|null}}
+ */
+function coerceValue(value, type) {
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const num = typeof value === 'number'
+        ? value
+        : (String(value).trim() === '' ? NaN : Number(value));
+      if (!Number.isFinite(num)) {
+        return { value, error: 'Must be a number' };
+      }
+      if (type === 'integer' && !Number.isInteger(num)) {
+        return { value, error: 'Must be an integer' };
+      }
+      return { value: num, error: null };
+    }
+    case 'boolean':
+      if (value === true || value === 1 || value === 'true' || value === '1') return { value: true, error: null };
+      if (value === false || value === 0 || value === 'false' || value === '0') return { value: false, error: null };
+      return { value, error: 'Must be true or false' };
+    default:
+      return { value: String(value), error: null };
+  }
+}
+
+/**
+ * Validate and coerce values against a schema
+ *
+ * Keys absent from the schema are passed through unchanged. Rules only run
+ * synchronously: async validators are skipped with a warning since they would
+ * block navigation on the network.
+ *
+ * @param {Object<string, string|Array|RouteFieldSchema>} schema - Schema per key
+ * @param {Object} values - Raw params or query values
+ * @returns {{values: Object, errors: Object<string, string>|null}} Coerced values and error messages
+ *
+ * @example
+ * validateSchema(
+ *   { page: { type: 'number', default: 1, rules: [validators.min(1)] } },
+ *   { page: '3' }
+ * );
+ * // { values: { page: 3 }, errors: null }
+ */
+export function validateSchema(schema, values) {
+  const result = { ...values };
+  const errors = {};
+
+  for (const [name, rawField] of Object.entries(schema)) {
+    const field = normalizeField(rawField);
+    let value = values[name];
+    const missing = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (missing) {
+      value = field.default !== undefined ? field.default : undefined;
+    } else if (field.array) {
+      const coerced = [];
+      for (const item of Array.isArray(value) ? value : [value]) {
+        const { value: itemValue, error } = coerceValue(item, field.type);
+        if (error) {
+          errors[name] = error;
+          break;
+        }
+        coerced.push(itemValue);
+      }
+      value = coerced;
+    } else {
+      // A repeated key for a scalar field keeps the last value
+      const raw = Array.isArray(value) ? value[value.length - 1] : value;
+      const { value: coercedValue, error } = coerceValue(raw, field.type);
+      if (error) errors[name] = error;
+      value = coercedValue;
+    }
+
+    if (!errors[name]) {
+      for (const rule of field.rules) {
+        if (rule.async === true) {
+          log.warn(`Route schema field "${name}": async validators are not supported and were skipped`);
+          continue;
+        }
+        const outcome = rule.validate(value, result);
+        if (outcome !== true) {
+          errors[name] = typeof outcome === 'string' ? outcome : 'Invalid value';
+          break;
+        }
+      }
+    }
+
+    if (value === undefined) {
+      delete result[name];
+    } else {
+      result[name] = value;
+    }
+  }
+
+  return {
+    values: result,
+    errors: Object.keys(errors).length > 0 ? errors : null
+  };
+}
+
+/**
+ * Validate the params and query of a navigation target against a compiled route's schemas
+ * @param {Object} route - Compiled route (with inherited `params`/`query` schemas)
+ * @param {{path: string, params: Object, query: Object}} to - Navigation target
+ * @returns {{params: Object, query: Object, error: RouterError|null}}
+ */
+export function validateRouteInput(route, to) {
+  const params = route.params ? validateSchema(route.params, to.params) : { values: to.params, errors: null };
+  const query = route.query ? validateSchema(route.query, to.query) : { values: to.query, errors: null };
+
+  if (!params.errors && !query.errors) {
+    return { params: params.values, query: query.values, error: null };
+  }
+
+  return {
+    params: params.values,
+    query: query.values,
+    error: Errors.invalidRouteInput(to.path, {
+      params: params.errors || {},
+      query: query.errors || {}
+    })
+  };
+}
+
+/**
+ * Define a route with params/query schemas.
+ * Identity at runtime; lets TypeScript infer typed `ctx.params` and `ctx.query`
+ * for the handler and loader from the schemas.
+ *
+ * @param {Object} definition - Route definition
+ * @returns {Object} The same definition
+ *
+ * @example
+ * const routes = {
+ *   '/users/:id': defineRoute({
+ *     params: { id: { type: 'integer', rules: [validators.min(1)] } },
+ *     query: { tab: { default: 'profile', rules: [validators.pattern(/^(profile|posts)$/)] } },
+ *     onInvalid: '/not-found',
+ *     handler: (ctx) => UserPage(ctx.params.id, ctx.query.tab)
+ *   })
+ * };
+ */
+export function defineRoute(definition) {
+  return definition;
+}
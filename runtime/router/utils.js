@@ -60,21 +60,30 @@ export function normalizeRoute(pattern, config) {
       handler: config,
       meta: {},
       beforeEnter: null,
+      loader: null,
       children: null
     };
   }
 
-  // Full format: pattern -> { handler, meta, beforeEnter, children, alias, layout, group }
+  // Full format: pattern -> { handler, meta, beforeEnter, loader, children, alias, layout, group, outlets, slots, modal, params, query, onInvalid, viewTransition }
   return {
     pattern,
     handler: config.handler || config.component,
     meta: config.meta || {},
     beforeEnter: config.beforeEnter || null,
+    loader: config.loader || null,
     children: config.children || null,
     redirect: config.redirect || null,
     alias: config.alias || null,
     layout: config.layout || null,
-    group: config.group || false
+    group: config.group || false,
+    outlets: config.outlets || null,
+    slots: config.slots || null,
+    modal: config.modal || null,
+    params: config.params || null,
+    query: config.query || null,
+    onInvalid: config.onInvalid || null,
+    viewTransition: config.viewTransition ?? null
   };
 }
 
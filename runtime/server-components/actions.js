@@ -192,16 +192,26 @@ export function createActionInvoker(actionId, options = {}) {
         // Handle other errors
         if (!response.ok) {
           let errorMessage = 'Server Action failed';
+          let fieldErrors = null;
 
           try {
             const error = await response.json();
             errorMessage = error.message || error.error || errorMessage;
+            // Validation failures (e.g. 422) carry field errors: { errors: { email: '...' } }
+            if (error.errors && typeof error.errors === 'object') {
+              fieldErrors = error.errors;
+            }
           } catch {
             // Couldn't parse error as JSON, use status text
             errorMessage = response.statusText || errorMessage;
           }
 
-          throw new Error(errorMessage);
+          const actionError = new Error(errorMessage);
+          actionError.status = response.status;
+          if (fieldErrors) {
+            actionError.errors = fieldErrors;
+          }
+          throw actionError;
         }
 
         // Update CSRF token if rotated
@@ -26,6 +26,56 @@ export class SSRAsyncContext {
 
     /** @type {boolean} */
     this.collecting = true;
+
+    /** @type {Map<string, number>} Occurrences of each positional key in the current pass */
+    this.keyCounts = new Map();
+
+    /** @type {string} Prefix of positional keys (the suspense boundary being rendered) */
+    this.keyScope = '';
+  }
+
+  /**
+   * Derive a key for an operation that has no identity of its own (e.g. an
+   * @await block): the nth occurrence of `base` in a render pass (or in a
+   * key scope) gets the same key in every pass.
+   * @param {string} base - Key shared by every occurrence
+   * @returns {string} Key for this occurrence
+   */
+  nextKey(base) {
+    const scoped = this.keyScope ? `${this.keyScope}/${base}` : base;
+    const count = this.keyCounts.get(scoped) || 0;
+    this.keyCounts.set(scoped, count + 1);
+    return `${scoped}#${count}`;
+  }
+
+  /**
+   * Run `fn` with positional keys numbered from zero under `scope`. Content
+   * that is rendered again on its own (a streamed suspense boundary) then gets
+   * the same keys as in the full render, whatever was rendered before it.
+   * @template T
+   * @param {string} scope - Scope key, e.g. from nextKey()
+   * @param {function(): T} fn - Render function
+   * @returns {T} Result of fn
+   */
+  withKeyScope(scope, fn) {
+    const previous = this.keyScope;
+    for (const key of [...this.keyCounts.keys()]) {
+      if (key.startsWith(`${scope}/`)) this.keyCounts.delete(key);
+    }
+    this.keyScope = scope;
+    try {
+      return fn();
+    } finally {
+      this.keyScope = previous;
+    }
+  }
+
+  /**
+   * Start a new render pass (positional keys are numbered from zero again)
+   */
+  beginPass() {
+    this.keyCounts.clear();
+    this.keyScope = '';
   }
 
   /**
@@ -99,8 +149,9 @@ export class SSRAsyncContext {
 
     await Promise.race([allSettled, timeoutPromise]);
 
-    // Stop collecting after wait
+    // Stop collecting after wait; the next render is a new pass
     this.collecting = false;
+    this.beginPass();
   }
 
   /**
@@ -149,6 +200,7 @@ export class SSRAsyncContext {
     this.resolved.clear();
     this.errors.clear();
     this.collecting = true;
+    this.beginPass();
   }
 }
 
@@ -170,10 +222,12 @@ export function getSSRAsyncContext() {
 
 /**
  * Set the SSR async context.
+ * Installing a context starts a render pass.
  * @param {SSRAsyncContext|null} ctx - Context to set, or null to clear
  */
 export function setSSRAsyncContext(ctx) {
   ssrAsyncContext = ctx;
+  if (ctx) ctx.beginPass();
 }
 
 /**
@@ -12,6 +12,7 @@ import { createContext, batch, setSSRMode as setPulseSSRMode } from './pulse.js'
 import { MockDOMAdapter, withAdapter } from './dom-adapter.js';
 import { serializeToHTML, serializeChildren, escapeAttr } from './ssr-serializer.js';
 import { SSRAsyncContext, setSSRAsyncContext } from './ssr-async.js';
+import { setSuspenseStreamHandler } from './suspense.js';
 import { loggers } from './logger.js';
 
 const log = loggers.dom;
@@ -42,6 +43,12 @@ export class SSRStreamContext {
     /** @type {Map<number, {promise: Promise, fallback: string}>} */
     this.boundaries = new Map();
 
+    /**
+     * Suspense boundaries sent as their fallback, waiting to be streamed
+     * @type {Array<{id: number, promises: Promise[], timeout: number, render: Function}>}
+     */
+    this.suspended = [];
+
     /** @type {boolean} */
     this.shellFlushed = false;
 
@@ -73,6 +80,17 @@ export class SSRStreamContext {
     this.boundaries.set(id, { promise, fallback });
   }
 
+  /**
+   * Handler given to suspense() boundaries while rendering.
+   * @returns {{nextId: function(): number, commit: function(Object): void}}
+   */
+  get suspenseHandler() {
+    return {
+      nextId: () => this.createBoundary(),
+      commit: (entry) => this.suspended.push(entry)
+    };
+  }
+
   /**
    * Get the number of pending boundaries.
    * @returns {number}
@@ -148,6 +166,69 @@ export function createReplacementScript(id, html) {
  * @property {boolean} [generatePreloadHints=false] - Generate link preload tags
  */
 
+/**
+ * Stream suspense boundaries: each one is rendered again once the operations
+ * that suspended it settle, and sent as a replacement script. Boundaries
+ * nested in the streamed content are then processed the same way.
+ * @param {SSRStreamContext} streamCtx - Stream context
+ * @param {SSRAsyncContext} asyncCtx - Async context holding resolved data
+ * @param {function(string): void} send - Enqueue an HTML chunk
+ * @returns {Promise<void>} Resolves when every boundary is streamed or has timed out
+ */
+function streamSuspended(streamCtx, asyncCtx, send) {
+  const entries = streamCtx.suspended.splice(0);
+
+  return Promise.all(entries.map(async (entry) => {
+    const settled = Promise.allSettled(entry.promises).then(() => true);
+    let timer;
+    const ready = entry.timeout > 0
+      ? await Promise.race([settled, new Promise(resolve => { timer = setTimeout(resolve, entry.timeout, false); })])
+      : await settled;
+    clearTimeout(timer);
+
+    if (!ready) {
+      // The fallback stays; the client renders the content
+      log.warn(`SSR suspense boundary ${entry.id} timed out after ${entry.timeout}ms`);
+      return;
+    }
+
+    const boundaryAdapter = new MockDOMAdapter();
+    const boundaryCtx = createContext({ name: `ssr-suspense-${entry.id}` });
+    let boundaryHtml = '';
+
+    try {
+      boundaryCtx.run(() => {
+        withAdapter(boundaryAdapter, () => {
+          setSSRAsyncContext(asyncCtx);
+          setSuspenseStreamHandler(streamCtx.suspenseHandler);
+          try {
+            const { nodes, suspended } = entry.render();
+            for (const node of nodes) {
+              boundaryAdapter.appendChild(boundaryAdapter.getBody(), node);
+            }
+            boundaryHtml = serializeChildren(boundaryAdapter.getBody());
+            streamCtx.suspended.push(...suspended);
+          } finally {
+            setSuspenseStreamHandler(null);
+            setSSRAsyncContext(null);
+          }
+        });
+      });
+    } catch (err) {
+      if (streamCtx.onBoundaryError) {
+        streamCtx.onBoundaryError(entry.id, err);
+      }
+      log.warn(`SSR suspense boundary ${entry.id} error:`, err.message);
+      return;
+    } finally {
+      boundaryCtx.reset();
+    }
+
+    send(createReplacementScript(entry.id, boundaryHtml));
+    await streamSuspended(streamCtx, asyncCtx, send);
+  }));
+}
+
 /**
  * Render a component tree to a ReadableStream.
  *
@@ -210,14 +291,19 @@ export function renderToStream(componentFactory, options = {}) {
             ctx.run(() => {
               withAdapter(adapter, () => {
                 setSSRAsyncContext(asyncCtx);
+                setSuspenseStreamHandler(streamCtx.suspenseHandler);
 
-                const result = componentFactory();
-                if (result) {
-                  adapter.appendChild(adapter.getBody(), result);
-                }
+                try {
+                  const result = componentFactory();
+                  if (result) {
+                    adapter.appendChild(adapter.getBody(), result);
+                  }
 
-                shellHtml = serializeChildren(adapter.getBody());
-                setSSRAsyncContext(null);
+                  shellHtml = serializeChildren(adapter.getBody());
+                } finally {
+                  setSuspenseStreamHandler(null);
+                  setSSRAsyncContext(null);
+                }
               });
             });
           } catch (shellError) {
@@ -246,12 +332,14 @@ export function renderToStream(componentFactory, options = {}) {
           streamCtx.shellFlushed = true;
 
           // If there are pending async operations, stream them
-          if (asyncCtx.pendingCount > 0) {
+          if (asyncCtx.pendingCount > 0 || streamCtx.suspended.length > 0) {
             // Inject streaming runtime script
             controller.enqueue(encoder.encode(STREAMING_RUNTIME_SCRIPT));
 
             // Wait for each async operation and stream results
-            const boundaryPromises = [];
+            const boundaryPromises = [
+              streamSuspended(streamCtx, asyncCtx, (chunk) => controller.enqueue(encoder.encode(chunk)))
+            ];
 
             for (const { key, promise } of asyncCtx.pending) {
               const boundaryId = streamCtx.createBoundary();
@@ -293,8 +381,9 @@ export function renderToStream(componentFactory, options = {}) {
             }
 
             // Wait for all boundaries with timeout
+            let timeoutId;
             const timeoutPromise = new Promise(resolve => {
-              setTimeout(() => {
+              timeoutId = setTimeout(() => {
                 log.warn(`SSR streaming timed out after ${timeout}ms`);
                 resolve();
               }, timeout);
@@ -304,6 +393,7 @@ export function renderToStream(componentFactory, options = {}) {
               Promise.allSettled(boundaryPromises),
               timeoutPromise
             ]);
+            clearTimeout(timeoutId);
           }
 
           // Enqueue shell end and close
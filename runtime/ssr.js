@@ -123,6 +123,14 @@ export function setSSRMode(enabled) {
  *   timeout: 10000,
  *   serializeState: true
  * });
+ *
+ * @example
+ * // Route loaders are collected like other async operations:
+ * // the first pass starts them, the second renders with their data
+ * const { html } = await renderToString(() => {
+ *   const router = createRouter({ routes, url: req.url });
+ *   return router.outlet(el('main'));
+ * });
  */
 export async function renderToString(componentFactory, options = {}) {
   const {
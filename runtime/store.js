@@ -694,81 +694,281 @@ export function loggerPlugin(store) {
   return store;
 }
 
+/**
+ * Estimate the memory footprint of a state snapshot (UTF-16 JSON size)
+ * @private
+ * @param {Object} state - State snapshot
+ * @returns {number} Approximate size in bytes
+ */
+function estimateStateSize(state) {
+  try {
+    return JSON.stringify(state).length * 2;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Check whether two state snapshots hold the same values
+ * @private
+ * @param {Object} a - State snapshot
+ * @param {Object} b - State snapshot
+ * @returns {boolean}
+ */
+function sameState(a, b) {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.is(a[key], b[key]));
+}
+
 /**
  * History plugin - enables undo/redo functionality.
  * Tracks state changes and allows reverting to previous states.
+ *
+ * History is a tree: making a change after undoing starts a new branch instead of
+ * discarding the redo states. `$redo()` follows the most recently visited branch,
+ * `$redo(i)` picks one of `$history.branches()`. When the entry count or the memory
+ * budget is exceeded, abandoned branches and the oldest states are dropped first.
+ *
+ * `store.$history` exposes the same stream for devtools time travel
+ * (see `connectHistory` in devtools/time-travel.js).
+ *
  * @param {Store} store - The store to add history to
- * @param {number} [maxHistory=50] - Maximum number of history states to keep
- * @returns {Store & {$undo: function, $redo: function, $canUndo: function, $canRedo: function}} Store with history methods
+ * @param {number|Object} [options=50] - Maximum number of history states, or options
+ * @param {number} [options.maxHistory=50] - Maximum number of history states to keep
+ * @param {number} [options.maxBytes=Infinity] - Approximate memory budget for all states
+ * @returns {Store & {$undo: function, $redo: function, $canUndo: function, $canRedo: function, $transaction: function, $history: Object}} Store with history methods
  * @example
- * const store = createStore({ count: 0 });
- * usePlugin(store, (s) => historyPlugin(s, 100));
+ * const store = createStore({ count: 0, total: 0 });
+ * usePlugin(store, (s) => historyPlugin(s, { maxHistory: 100, maxBytes: 1024 * 1024 }));
  *
  * store.$setState({ count: 1 });
- * store.$setState({ count: 2 });
+ * store.$transaction(() => {
+ *   store.count.set(2);
+ *   store.total.set(10);
+ * }); // One undo step
  *
- * store.$canUndo(); // true
- * store.$undo();    // count = 1
- * store.$redo();    // count = 2
+ * store.$history.canUndo.get(); // true (reactive)
+ * store.$undo();    // count = 1, total = 0
+ * store.$redo();    // count = 2, total = 10
  */
-export function historyPlugin(store, maxHistory = 50) {
-  /** @type {Array<Object>} */
-  const history = [store.$getState()];
-  /** @type {number} */
-  let currentIndex = 0;
+export function historyPlugin(store, options = 50) {
+  const { maxHistory = 50, maxBytes = Infinity } = typeof options === 'number'
+    ? { maxHistory: options }
+    : options;
 
-  const originalSetState = store.$setState;
+  /**
+   * Create a history node
+   * @private
+   */
+  function createNode(state, action, parent) {
+    return {
+      state,
+      action,
+      timestamp: Date.now(),
+      size: estimateStateSize(state),
+      parent,
+      children: [],
+      activeChild: null
+    };
+  }
 
-  store.$setState = (updates) => {
-    // Remove any future states if we're not at the end
-    if (currentIndex < history.length - 1) {
-      history.splice(currentIndex + 1);
+  let root = createNode(store.$getState(), 'init', null);
+  let current = root;
+  /** @type {Array<Object>} All nodes in creation order (for pruning) */
+  let nodes = [root];
+  let totalBytes = root.size;
+  let transactionDepth = 0;
+
+  const canUndo = pulse(false);
+  const canRedo = pulse(false);
+  const listeners = new Set();
+
+  /**
+   * Linear timeline through the current node: its ancestors, then the
+   * most recently visited branch forward
+   * @private
+   */
+  function getTimeline() {
+    const timeline = [];
+    for (let node = current; node; node = node.parent) {
+      timeline.unshift(node);
+    }
+    for (let node = current.activeChild; node; node = node.activeChild) {
+      timeline.push(node);
     }
+    return timeline;
+  }
 
-    originalSetState(updates);
+  /**
+   * Public view of a history node
+   * @private
+   */
+  function toEntry(node, index) {
+    return { index, state: node.state, action: node.action, timestamp: node.timestamp };
+  }
 
-    // Add new state to history
-    history.push(store.$getState());
-    if (history.length > maxHistory) {
-      history.shift();
-    } else {
-      currentIndex++;
+  function sync() {
+    batch(() => {
+      canUndo.set(current.parent !== null);
+      canRedo.set(current.children.length > 0);
+    });
+  }
+
+  function emit(type) {
+    const timeline = getTimeline();
+    const index = timeline.indexOf(current);
+    const event = { type, entry: toEntry(current, index), index };
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        log.error('History listener error:', error);
+      }
+    }
+  }
+
+  /**
+   * Remove a node from the tree bookkeeping
+   * @private
+   */
+  function dropNode(node) {
+    nodes.splice(nodes.indexOf(node), 1);
+    totalBytes -= node.size;
+  }
+
+  /**
+   * Enforce maxHistory/maxBytes: drop the root while it is behind the current state,
+   * otherwise the oldest leaf outside the path to the current state
+   * @private
+   */
+  function prune() {
+    while (nodes.length > 1 && (nodes.length > maxHistory || totalBytes > maxBytes)) {
+      if (root !== current && root.children.length === 1) {
+        const next = root.children[0];
+        dropNode(root);
+        next.parent = null;
+        root = next;
+        continue;
+      }
+
+      const onPath = new Set();
+      for (let node = current; node; node = node.parent) onPath.add(node);
+      const leaf = nodes.find(node => node.children.length === 0 && !onPath.has(node));
+      if (!leaf) break;
+
+      const siblings = leaf.parent.children;
+      siblings.splice(siblings.indexOf(leaf), 1);
+      if (leaf.parent.activeChild === leaf) {
+        leaf.parent.activeChild = siblings[siblings.length - 1] || null;
+      }
+      dropNode(leaf);
+    }
+  }
+
+  /**
+   * Record the current store state as a new history step
+   * @private
+   */
+  function record(action, skipUnchanged = false) {
+    const state = store.$getState();
+    if (skipUnchanged && sameState(state, current.state)) return;
+
+    const node = createNode(state, action, current);
+    current.children.push(node);
+    current.activeChild = node;
+    current = node;
+    nodes.push(node);
+    totalBytes += node.size;
+
+    prune();
+    sync();
+    emit('record');
+  }
+
+  /**
+   * Move to a history node and restore its state
+   * @private
+   */
+  function moveTo(node) {
+    current = node;
+    if (node.parent) node.parent.activeChild = node;
+
+    batch(() => {
+      for (const [key, value] of Object.entries(node.state)) {
+        if (store.$pulses[key]) {
+          store.$pulses[key].set(value);
+        }
+      }
+    });
+
+    sync();
+    emit('travel');
+  }
+
+  const originalSetState = store.$setState;
+
+  store.$setState = (updates) => {
+    originalSetState(updates);
+    // Inside a transaction, the whole transaction is recorded once
+    if (transactionDepth === 0) {
+      record('setState');
     }
   };
 
   /**
-   * Undo the last state change
-   * @returns {void}
+   * Run several updates as a single undo step.
+   * Direct pulse writes and $setState calls are grouped; if the callback throws,
+   * the state is rolled back and the error rethrown. The callback must be synchronous.
+   * @param {function(Store): *} fn - Updates to group
+   * @param {string} [action='transaction'] - Label recorded in the history
+   * @returns {*} The callback's return value
    */
-  store.$undo = () => {
-    if (currentIndex > 0) {
-      currentIndex--;
-      const state = history[currentIndex];
+  store.$transaction = (fn, action = 'transaction') => {
+    const before = store.$getState();
+    let result;
+
+    transactionDepth++;
+    try {
+      result = batch(() => fn(store));
+    } catch (error) {
       batch(() => {
-        for (const [key, value] of Object.entries(state)) {
+        for (const [key, value] of Object.entries(before)) {
           if (store.$pulses[key]) {
             store.$pulses[key].set(value);
           }
         }
       });
+      throw error;
+    } finally {
+      transactionDepth--;
+    }
+
+    if (transactionDepth === 0) {
+      record(action, true);
+    }
+    return result;
+  };
+
+  /**
+   * Undo the last state change
+   * @returns {void}
+   */
+  store.$undo = () => {
+    if (current.parent) {
+      moveTo(current.parent);
     }
   };
 
   /**
    * Redo a previously undone state change
+   * @param {number} [branch] - Index in $history.branches() (default: most recently visited branch)
    * @returns {void}
    */
-  store.$redo = () => {
-    if (currentIndex < history.length - 1) {
-      currentIndex++;
-      const state = history[currentIndex];
-      batch(() => {
-        for (const [key, value] of Object.entries(state)) {
-          if (store.$pulses[key]) {
-            store.$pulses[key].set(value);
-          }
-        }
-      });
+  store.$redo = (branch) => {
+    const target = branch === undefined ? current.activeChild : current.children[branch];
+    if (target) {
+      moveTo(target);
     }
   };
 
@@ -776,13 +976,284 @@ export function historyPlugin(store, maxHistory = 50) {
    * Check if undo is available
    * @returns {boolean} True if there are states to undo
    */
-  store.$canUndo = () => currentIndex > 0;
+  store.$canUndo = () => canUndo.get();
 
   /**
    * Check if redo is available
    * @returns {boolean} True if there are states to redo
    */
-  store.$canRedo = () => currentIndex < history.length - 1;
+  store.$canRedo = () => canRedo.get();
+
+  /**
+   * History stream shared with devtools time travel
+   */
+  store.$history = {
+    /** @type {Pulse<boolean>} */
+    canUndo,
+    /** @type {Pulse<boolean>} */
+    canRedo,
+
+    /**
+     * Entries of the current timeline (oldest first)
+     * @returns {Array<{index: number, state: Object, action: string, timestamp: number}>}
+     */
+    entries: () => getTimeline().map(toEntry),
+
+    /**
+     * Position of the current state in entries()
+     * @returns {number}
+     */
+    getIndex: () => getTimeline().indexOf(current),
+
+    /**
+     * Redo branches available from the current state (most recent last)
+     * @returns {Array<{index: number, state: Object, action: string, timestamp: number}>}
+     */
+    branches: () => current.children.map(toEntry),
+
+    /**
+     * Restore the state at a position of the current timeline
+     * @param {number} index - Position in entries()
+     * @returns {boolean} Success
+     */
+    goTo: (index) => {
+      const node = getTimeline()[index];
+      if (!node) return false;
+      moveTo(node);
+      return true;
+    },
+
+    /**
+     * Approximate memory used by the recorded states
+     * @returns {number} Bytes
+     */
+    getSize: () => totalBytes,
+
+    /**
+     * Drop all history, keeping the current state as the only entry
+     * @returns {void}
+     */
+    clear: () => {
+      root = createNode(store.$getState(), 'init', null);
+      current = root;
+      nodes = [root];
+      totalBytes = root.size;
+      sync();
+      emit('clear');
+    },
+
+    /**
+     * Listen to history changes
+     * @param {function({type: 'record'|'travel'|'clear', entry: Object, index: number}): void} listener
+     * @returns {function(): void} Unsubscribe function
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+
+  return store;
+}
+
+/**
+ * Decide whether a concurrent remote change replaces the local value
+ * @private
+ * @param {string|function} strategy - Conflict resolution strategy
+ * @param {Object} conflict - { key, local, remote, localMeta, remoteMeta }
+ * @returns {{apply: boolean, value: *}}
+ */
+function resolveSyncConflict(strategy, conflict) {
+  const { local, remote, localMeta, remoteMeta } = conflict;
+
+  if (typeof strategy === 'function') {
+    const value = strategy(conflict);
+    return { apply: !Object.is(value, local), value };
+  }
+
+  switch (strategy) {
+    case 'remote-wins':
+      return { apply: true, value: remote };
+    case 'local-wins':
+      return { apply: false, value: local };
+    default: {
+      // last-write-wins: newest timestamp, tab id breaks ties so every tab converges
+      const remoteNewer = remoteMeta.timestamp > localMeta.timestamp ||
+        (remoteMeta.timestamp === localMeta.timestamp && remoteMeta.tabId > localMeta.tabId);
+      return { apply: remoteNewer, value: remote };
+    }
+  }
+}
+
+/**
+ * Sync plugin - mirrors state changes across browser tabs.
+ *
+ * Changed keys are broadcast as patches over BroadcastChannel, falling back to
+ * `storage` events (via localStorage) where BroadcastChannel is unavailable.
+ * Each key carries a version; a remote patch that does not build on the local
+ * version is a conflict, settled by `strategy`:
+ * - `'last-write-wins'` (default): the most recent change wins in every tab
+ * - `'remote-wins'`: incoming changes always apply
+ * - `'local-wins'`: concurrent local changes are kept
+ * - `function({ key, local, remote, localMeta, remoteMeta })`: returns the value to keep
+ *   (should be deterministic so all tabs converge)
+ *
+ * @param {Store} store - The store to synchronize
+ * @param {Object} [options] - Sync options
+ * @param {string} [options.channel='pulse-store'] - Channel name shared by the tabs
+ * @param {string[]} [options.keys] - Top-level keys to sync (default: all)
+ * @param {string|function} [options.strategy='last-write-wins'] - Conflict resolution
+ * @returns {Store & {$sync: {tabId: string, close: function}}} Store with sync enabled
+ * @example
+ * const store = createStore({ cart: [], theme: 'dark', draft: '' }, { persist: true });
+ * usePlugin(store, (s) => syncPlugin(s, { channel: 'shop', keys: ['cart', 'theme'] }));
+ *
+ * // Later, stop syncing
+ * store.$sync.close();
+ */
+export function syncPlugin(store, options = {}) {
+  const {
+    channel: channelName = 'pulse-store',
+    keys = null,
+    strategy = 'last-write-wins'
+  } = options;
+
+  const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  const storageKey = `${channelName}:sync`;
+  /** @type {Map<string, {version: number, timestamp: number, tabId: string}>} */
+  const meta = new Map();
+  const pending = new Map();
+  const disposers = [];
+  let applyingRemote = false;
+  let flushScheduled = false;
+  let closed = false;
+  let transport = null;
+
+  const isSynced = (key) => !keys || keys.includes(key.split('.')[0]);
+  const getMeta = (key) => meta.get(key) || { version: 0, timestamp: 0, tabId: '' };
+
+  function flush() {
+    flushScheduled = false;
+    if (closed || pending.size === 0) return;
+
+    const message = { source: 'pulse-store-sync', tabId, changes: [...pending.values()] };
+    pending.clear();
+    try {
+      transport.send(message);
+    } catch (e) {
+      log.warn('Failed to broadcast state changes:', e);
+    }
+  }
+
+  /**
+   * Apply patches received from another tab
+   * @private
+   */
+  function receive(message) {
+    if (closed || !message || message.source !== 'pulse-store-sync' ||
+        message.tabId === tabId || !Array.isArray(message.changes)) {
+      return;
+    }
+
+    applyingRemote = true;
+    try {
+      batch(() => {
+        for (const change of message.changes) {
+          const { key } = change;
+          if (typeof key !== 'string' || !store.$pulses[key] || !isSynced(key)) continue;
+
+          const remoteMeta = { version: change.version, timestamp: change.timestamp, tabId: message.tabId };
+          const localMeta = getMeta(key);
+          const remote = sanitizeValue(change.value);
+          let value = remote;
+
+          if (remoteMeta.version <= localMeta.version) {
+            const local = store.$pulses[key].peek();
+            const resolution = resolveSyncConflict(strategy, { key, local, remote, localMeta, remoteMeta });
+            if (!resolution.apply) continue;
+            value = resolution.value;
+          }
+
+          meta.set(key, {
+            version: Math.max(localMeta.version, remoteMeta.version),
+            timestamp: remoteMeta.timestamp,
+            tabId: remoteMeta.tabId
+          });
+          store.$pulses[key].set(value);
+        }
+      });
+    } finally {
+      applyingRemote = false;
+    }
+  }
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(channelName);
+    channel.onmessage = (event) => receive(event.data);
+    transport = {
+      send: (message) => channel.postMessage(message),
+      close: () => channel.close()
+    };
+  } else if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+    // Storage events only fire in the other tabs, which is exactly the broadcast we need
+    const onStorage = (event) => {
+      if (event.key !== storageKey || !event.newValue) return;
+      try {
+        receive(JSON.parse(event.newValue));
+      } catch (e) {
+        log.warn('Ignoring malformed sync message:', e);
+      }
+    };
+    window.addEventListener('storage', onStorage);
+    transport = {
+      send: (message) => localStorage.setItem(storageKey, JSON.stringify({ ...message, sentAt: Date.now() })),
+      close: () => window.removeEventListener('storage', onStorage)
+    };
+  } else {
+    log.warn('syncPlugin: neither BroadcastChannel nor storage events are available, state will not sync');
+    store.$sync = { tabId, close: () => {} };
+    return store;
+  }
+
+  for (const [key, p] of Object.entries(store.$pulses)) {
+    if (!isSynced(key)) continue;
+
+    let initialized = false;
+    disposers.push(effect(() => {
+      const value = p.get();
+      if (!initialized) {
+        initialized = true;
+        return;
+      }
+      if (applyingRemote || closed) return;
+
+      const next = { version: getMeta(key).version + 1, timestamp: Date.now(), tabId };
+      meta.set(key, next);
+      pending.set(key, { key, value, version: next.version, timestamp: next.timestamp });
+
+      // Coalesce changes made in the same tick into one message
+      if (!flushScheduled) {
+        flushScheduled = true;
+        queueMicrotask(flush);
+      }
+    }));
+  }
+
+  store.$sync = {
+    tabId,
+
+    /**
+     * Stop broadcasting and receiving changes
+     * @returns {void}
+     */
+    close() {
+      if (closed) return;
+      flush();
+      closed = true;
+      for (const dispose of disposers) dispose();
+      transport.close();
+    }
+  };
 
   return store;
 }
@@ -796,5 +1267,6 @@ export default {
   usePlugin,
   loggerPlugin,
   historyPlugin,
+  syncPlugin,
   clearValidationCache
 };
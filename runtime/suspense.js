@@ -0,0 +1,257 @@
+/**
+ * Pulse Suspense - Loading boundaries for async resources
+ *
+ * A suspense boundary renders its content right away but keeps it off screen,
+ * showing a fallback instead, until every async resource created while the
+ * content was rendering (useAsync, useResource, useInfiniteResource, GraphQL
+ * useQuery) has finished its first load. With renderToStream(), suspended
+ * boundaries are sent as their fallback and streamed in once their data resolves.
+ *
+ * @module pulse-js-framework/runtime/suspense
+ */
+
+import { effect, onCleanup, untrack } from './pulse.js';
+import { getAdapter } from './dom-adapter.js';
+import { getSSRAsyncContext } from './ssr-async.js';
+import { loggers } from './logger.js';
+
+const log = loggers.dom;
+
+// =============================================================================
+// BOUNDARY REGISTRY
+// =============================================================================
+
+/**
+ * Boundary whose content is rendering: resources created now register with it
+ * @type {{track: Function}|{suspended: Array}|null}
+ */
+let currentBoundary = null;
+
+/**
+ * Set by renderToStream() while it renders: assigns ids to suspended boundaries
+ * @type {{nextId: function(): number, commit: function(Object): void}|null}
+ */
+let streamHandler = null;
+
+/**
+ * Register an async resource with the enclosing suspense boundary.
+ * Called by the async hooks; no-op outside a boundary.
+ *
+ * @param {Pulse<boolean>|function(): boolean} pending - Reactive "still loading" source
+ */
+export function trackSuspense(pending) {
+  if (currentBoundary?.track) {
+    currentBoundary.track(typeof pending === 'function' ? pending : () => pending.get());
+  }
+}
+
+/**
+ * Install the streaming handler used by renderToStream() (internal)
+ * @param {{nextId: function(): number, commit: function(Object): void}|null} handler
+ */
+export function setSuspenseStreamHandler(handler) {
+  streamHandler = handler;
+}
+
+function renderWithin(boundary, children) {
+  const parent = currentBoundary;
+  currentBoundary = boundary;
+  try {
+    return typeof children === 'function' ? children() : children;
+  } finally {
+    currentBoundary = parent;
+  }
+}
+
+/**
+ * Flatten a render result into nodes (fragments are expanded so the nodes can
+ * be moved and removed individually; strings become text nodes)
+ * @param {Object} dom - DOM adapter
+ * @param {*} result - Render result
+ * @returns {Node[]}
+ */
+function toNodes(dom, result) {
+  const nodes = [];
+  const items = Array.isArray(result) ? result.flat(Infinity) : [result];
+  for (const item of items) {
+    if (item === null || item === undefined || item === false) continue;
+    if (!dom.isNode(item)) {
+      nodes.push(dom.createTextNode(String(item)));
+    } else if (item.nodeType === 11) {
+      for (let child = dom.getFirstChild(item); child; child = dom.getNextSibling(child)) {
+        nodes.push(child);
+      }
+    } else {
+      nodes.push(item);
+    }
+  }
+  return nodes;
+}
+
+function insertAfter(dom, marker, nodes) {
+  const parent = dom.getParentNode(marker);
+  if (!parent || nodes.length === 0) return;
+  const fragment = dom.createDocumentFragment();
+  for (const node of nodes) dom.appendChild(fragment, node);
+  dom.insertBefore(parent, fragment, dom.getNextSibling(marker));
+}
+
+function renderFallback(fallback) {
+  return typeof fallback === 'function' ? fallback() : fallback;
+}
+
+// =============================================================================
+// SUSPENSE
+// =============================================================================
+
+/**
+ * Suspense boundary - show a fallback while descendant resources load
+ *
+ * `children` must be a function: resources are collected while it runs.
+ * Only the first load suspends; once revealed, later refreshes keep the
+ * content on screen (resources expose their own `loading` state). Nested
+ * boundaries handle their own resources, so an inner boundary shows its
+ * fallback inside the outer content. Errors end the suspension: handle them
+ * in the content or wrap it in errorBoundary().
+ *
+ * @param {*|Function} fallback - Fallback content (or factory) shown while loading
+ * @param {Function} children - Content factory
+ * @param {Object} [options] - Boundary options
+ * @param {number} [options.timeout=0] - Reveal the content after this many ms even if
+ *   resources are still loading (0 waits indefinitely). When streaming, the fallback
+ *   is kept and the boundary is not streamed
+ * @param {Function} [options.onTimeout] - Called when the timeout reveals the content
+ * @param {Function} [options.onResolve] - Called when the content is revealed after loading
+ * @returns {DocumentFragment} Container with the boundary
+ *
+ * @example
+ * suspense(
+ *   () => el('.spinner', 'Loading...'),
+ *   () => [UserProfile({ id }), UserPosts({ id })],
+ *   { timeout: 5000 }
+ * );
+ */
+export function suspense(fallback, children, options = {}) {
+  const dom = getAdapter();
+  const container = dom.createDocumentFragment();
+  const marker = dom.createComment('suspense');
+  dom.appendChild(container, marker);
+
+  if (getSSRAsyncContext()) {
+    for (const node of renderOnServer(dom, fallback, children, options)) {
+      dom.appendChild(container, node);
+    }
+    return container;
+  }
+
+  const { timeout = 0, onTimeout, onResolve } = options;
+  const sources = [];
+  const content = toNodes(dom, renderWithin({ track: (source) => sources.push(source) }, children));
+  const isPending = () => sources.some(source => source());
+
+  if (!untrack(isPending)) {
+    insertAfter(dom, marker, content);
+    return container;
+  }
+
+  const fallbackNodes = toNodes(dom, renderFallback(fallback));
+  insertAfter(dom, marker, fallbackNodes);
+
+  let revealed = false;
+  let timer = null;
+  let stop = null;
+
+  const reveal = () => {
+    if (revealed) return;
+    revealed = true;
+    if (timer) clearTimeout(timer);
+    for (const node of fallbackNodes) dom.removeNode(node);
+    insertAfter(dom, marker, content);
+    // The effect may still be running its first pass
+    if (stop) stop();
+    else dom.queueMicrotask(() => stop?.());
+  };
+
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      log.debug(`Suspense boundary timed out after ${timeout}ms`);
+      reveal();
+      if (onTimeout) onTimeout();
+    }, timeout);
+  }
+
+  stop = effect(() => {
+    if (!isPending()) {
+      reveal();
+      if (onResolve) onResolve();
+    }
+  });
+
+  const dispose = () => {
+    if (timer) clearTimeout(timer);
+    stop();
+  };
+  onCleanup(dispose);
+  marker._pulseUnmount = [dispose];
+
+  return container;
+}
+
+/**
+ * Server rendering of a boundary. Outside renderToStream() the content is
+ * rendered inline (renderToString waits for all data first). When streaming,
+ * a boundary whose content registered async operations is emitted as its
+ * fallback between replacement markers, then streamed once they settle.
+ * Suspended boundaries nested in a suspended boundary are dropped: they are
+ * rendered again with it.
+ * @returns {Node[]}
+ */
+function renderOnServer(dom, fallback, children, options) {
+  // Positional keys (e.g. of @await blocks) inside the boundary are numbered
+  // within it, so rendering it again alone gives them the same keys
+  const keyScope = getSSRAsyncContext().nextKey('suspense');
+
+  if (!streamHandler || typeof children !== 'function') {
+    return getSSRAsyncContext().withKeyScope(keyScope, () =>
+      toNodes(dom, typeof children === 'function' ? children() : children));
+  }
+
+  // Also called by the stream to render the boundary again, with its own adapter
+  const attempt = () => {
+    const ssrCtx = getSSRAsyncContext();
+    const boundary = { suspended: [] };
+    const start = ssrCtx.pending.length;
+    const nodes = ssrCtx.withKeyScope(keyScope, () => toNodes(getAdapter(), renderWithin(boundary, children)));
+    // Claimed operations are awaited by the stream for this boundary only
+    const promises = ssrCtx.pending.splice(start).map(entry => entry.promise);
+    return { nodes, promises, suspended: boundary.suspended };
+  };
+
+  const commit = (entries) => {
+    for (const entry of entries) {
+      if (currentBoundary?.suspended) currentBoundary.suspended.push(entry);
+      else streamHandler.commit(entry);
+    }
+  };
+
+  const result = attempt();
+  if (result.promises.length === 0) {
+    commit(result.suspended);
+    return result.nodes;
+  }
+
+  const id = streamHandler.nextId();
+  commit([{ id, promises: result.promises, timeout: options.timeout || 0, render: attempt }]);
+
+  const start = dom.createElement('template');
+  const end = dom.createElement('template');
+  dom.setAttribute(start, 'data-ssr-boundary', String(id));
+  dom.setAttribute(end, 'data-ssr-boundary', String(id));
+  return [start, ...toNodes(dom, renderFallback(fallback)), end];
+}
+
+export default {
+  suspense,
+  trackSuspense,
+  setSuspenseStreamHandler
+};
@@ -23,6 +23,9 @@
  */
 
 import assert from 'node:assert';
+import { isDeepStrictEqual } from 'node:util';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
 import {
   MockDOMAdapter,
   MockElement,
@@ -757,3 +760,409 @@ fireEvent.focus = (element, init) => fireEvent(element, 'focus', { bubbles: fals
 fireEvent.blur = (element, init) => fireEvent(element, 'blur', { bubbles: false, ...init });
 fireEvent.keydown = (element, init) => fireEvent(element, 'keydown', init);
 fireEvent.keyup = (element, init) => fireEvent(element, 'keyup', init);
+
+// =============================================================================
+// 12. mockHttp
+// =============================================================================
+
+/**
+ * Compile a route matcher.
+ * Strings match the URL path (or the full URL when absolute) and support
+ * `:param` segments and `*` wildcards; the query string is ignored.
+ *
+ * @param {string|RegExp|Function} [matcher] - Route matcher
+ * @returns {function(object): object|null} Returns the route params, or null if no match
+ */
+function compileMatcher(matcher) {
+  if (matcher === undefined || matcher === '*') {
+    return () => ({});
+  }
+  if (typeof matcher === 'function') {
+    return (request) => (matcher(request) ? {} : null);
+  }
+  if (matcher instanceof RegExp) {
+    return (request) => (matcher.test(request.url) ? {} : null);
+  }
+
+  const absolute = /^[a-z]+:\/\//i.test(matcher);
+  const keys = [];
+  const source = matcher.split('?')[0]
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '/([^/]+)';
+    });
+  const regex = new RegExp(`^${source}/?$`);
+
+  return (request) => {
+    const match = regex.exec(absolute ? request.origin + request.path : request.path);
+    if (!match) return null;
+    return Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+  };
+}
+
+/**
+ * Build the record of a request sent to the mock adapter
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options
+ * @returns {MockHttpRequest}
+ */
+function toMockRequest(url, init) {
+  const parsed = new URL(String(url), 'http://localhost');
+  const rawBody = init.body ?? null;
+  let body = rawBody;
+  if (typeof rawBody === 'string') {
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      // Not JSON: keep the raw string
+    }
+  }
+
+  return {
+    method: (init.method || 'GET').toUpperCase(),
+    url: String(url),
+    origin: parsed.origin,
+    path: parsed.pathname,
+    query: Object.fromEntries(parsed.searchParams),
+    headers: Object.fromEntries(new Headers(init.headers)),
+    body,
+    rawBody,
+    params: {},
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Build a Response from a canned response; plain objects and arrays are sent as JSON
+ * @param {{status?: number, statusText?: string, headers?: object, body?: *}} spec
+ * @returns {Response}
+ */
+function toResponse(spec = {}) {
+  const { status = 200, statusText = '', headers = {}, body = null } = spec;
+  const responseHeaders = new Headers(headers);
+  let payload = body;
+
+  const isJson = payload !== null && typeof payload !== 'string' && (
+    typeof payload !== 'object' || Array.isArray(payload) || Object.getPrototypeOf(payload) === Object.prototype
+  );
+  if (isJson) {
+    payload = JSON.stringify(payload);
+    if (!responseHeaders.has('content-type')) {
+      responseHeaders.set('content-type', 'application/json');
+    }
+  }
+  if ([204, 205, 304].includes(status)) {
+    payload = null;
+  }
+
+  return new Response(payload, { status, statusText, headers: responseHeaders });
+}
+
+/**
+ * Wait, rejecting with an AbortError if the signal aborts first
+ * @param {number} ms - Delay (Infinity waits for the abort)
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      const error = new Error('Aborted');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+    if (signal?.aborted) return abort();
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+/**
+ * Create a mock adapter for the HTTP client with route handlers, a request
+ * history with assertion helpers, and a record/replay mode backed by JSON fixtures.
+ *
+ * Pass `mock.adapter` to createHttp({ adapter }), or `install()` it as globalThis.fetch.
+ * Requests matching no route are answered from the fixtures (replay), sent to the
+ * network and saved (record), sent to the network (onUnhandled: 'passthrough'),
+ * or rejected.
+ *
+ * @param {object} [options]
+ * @param {number} [options.delay=0] - Default response delay in ms
+ * @param {'error'|'passthrough'} [options.onUnhandled='error'] - Requests matching no route or fixture
+ * @param {string} [options.fixtures] - Path of the JSON fixtures file
+ * @param {'replay'|'record'|'auto'} [options.mode='auto'] - With fixtures: replay them, record
+ *   new ones, or replay if the file exists and record otherwise
+ * @param {Function} [options.fetch=globalThis.fetch] - Real fetch used to record and pass through
+ * @returns {MockHttp}
+ *
+ * @typedef {object} MockHttpRequest
+ * @property {string} method - Uppercase method
+ * @property {string} url - Requested URL
+ * @property {string} path - URL path
+ * @property {object} query - Query parameters
+ * @property {object} params - Route params (`:id` segments)
+ * @property {object} headers - Headers with lowercase names
+ * @property {*} body - Body (parsed when JSON)
+ *
+ * @typedef {object} MockHttp
+ * @property {Function} adapter - fetch-compatible function for createHttp({ adapter })
+ * @property {Function} on - on(method, matcher) route handler; onGet/onPost/onPut/onPatch/onDelete/onAny shortcuts
+ * @property {MockHttpRequest[]} requests - Requests received, in order
+ * @property {Function} requestsTo - Requests matching a method and matcher
+ * @property {Function} expectRequest - Assert that a matching request was made
+ * @property {Function} expectNoRequest - Assert that no matching request was made
+ * @property {Function} saveFixtures - Write recorded fixtures to the fixtures file
+ * @property {Function} install - Install as globalThis.fetch
+ * @property {Function} uninstall - Restore globalThis.fetch
+ * @property {Function} resetHistory - Clear recorded requests
+ * @property {Function} reset - Clear routes and recorded requests
+ *
+ * @example
+ * const mock = mockHttp();
+ * const api = createHttp({ baseURL: 'https://api.test', adapter: mock.adapter });
+ *
+ * mock.onGet('/users/:id').reply((req) => ({ body: { id: Number(req.params.id) } }));
+ * mock.onPost('/users').delay(50).reply(201, { id: 2 });
+ * mock.onGet('/flaky').networkErrorOnce();
+ *
+ * await api.post('/users', { name: 'Ada' });
+ * mock.expectRequest('POST', '/users', { body: { name: 'Ada' }, times: 1 });
+ *
+ * @example
+ * // Record once against the real API, then run offline
+ * const mock = mockHttp({ fixtures: 'test/fixtures/github.json' });
+ * const api = createHttp({ adapter: mock.adapter });
+ * await api.get('https://api.github.com/repos/owner/repo');
+ * mock.saveFixtures(); // no-op when replaying
+ */
+export function mockHttp(options = {}) {
+  const {
+    delay: defaultDelay = 0,
+    onUnhandled = 'error',
+    fixtures: fixturesPath,
+    fetch: realFetch = globalThis.fetch
+  } = options;
+
+  let routes = [];
+  const requests = [];
+  let savedFetch = null;
+
+  // Fixtures: recorded entries, and replay cursors per request key
+  const mode = !fixturesPath ? null
+    : options.mode && options.mode !== 'auto' ? options.mode
+      : existsSync(fixturesPath) ? 'replay' : 'record';
+  const recorded = [];
+  const replayQueues = new Map();
+  const fixtureKey = (method, url, rawBody) =>
+    `${method} ${url} ${typeof rawBody === 'string' ? rawBody : ''}`;
+
+  if (mode === 'replay') {
+    const { entries = [] } = JSON.parse(readFileSync(fixturesPath, 'utf8'));
+    for (const entry of entries) {
+      const key = fixtureKey(entry.request.method, entry.request.url, entry.request.body);
+      if (!replayQueues.has(key)) replayQueues.set(key, []);
+      replayQueues.get(key).push(entry.response);
+    }
+  }
+
+  function on(method, matcher) {
+    const route = {
+      method: method.toUpperCase(),
+      match: compileMatcher(matcher),
+      once: [],
+      always: null,
+      delay: null
+    };
+    routes.push(route);
+
+    const add = (reply, once) => {
+      if (once) {
+        route.once.push(reply);
+      } else {
+        route.always = reply;
+      }
+      return handle;
+    };
+    const replySpec = (status, body, headers) =>
+      (typeof status === 'function' ? { respond: status } : { spec: { status, body, headers } });
+
+    const handle = {
+      /** reply(status, body, headers) or reply(request => ({ status, body, headers })) */
+      reply: (status, body, headers) => add(replySpec(status, body, headers), false),
+      replyOnce: (status, body, headers) => add(replySpec(status, body, headers), true),
+      networkError: (message = 'Failed to fetch') => add({ error: message }, false),
+      networkErrorOnce: (message = 'Failed to fetch') => add({ error: message }, true),
+      /** Never respond: the client timeout (or an abort) ends the request */
+      timeout: () => add({ hang: true }, false),
+      delay(ms) {
+        route.delay = ms;
+        return handle;
+      }
+    };
+    return handle;
+  }
+
+  function findReply(request) {
+    for (const route of routes) {
+      if (route.method !== '*' && route.method !== request.method) continue;
+      const params = route.match(request);
+      if (!params) continue;
+      const reply = route.once.length > 0 ? route.once.shift() : route.always;
+      if (!reply) continue;
+      request.params = params;
+      return { route, reply };
+    }
+    return null;
+  }
+
+  async function record(url, init, request) {
+    const response = await realFetch(url, init);
+    const text = await response.clone().text();
+    let body = text;
+    if ((response.headers.get('content-type') || '').includes('json')) {
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // Keep the raw text
+      }
+    }
+    recorded.push({
+      request: {
+        method: request.method,
+        url: request.url,
+        body: typeof request.rawBody === 'string' ? request.rawBody : null
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers),
+        body
+      }
+    });
+    return response;
+  }
+
+  async function adapter(url, init = {}) {
+    const request = toMockRequest(url, init);
+    requests.push(request);
+
+    const found = findReply(request);
+    if (found) {
+      const { route, reply } = found;
+      await abortableDelay(route.delay ?? defaultDelay, init.signal);
+      if (reply.hang) {
+        await abortableDelay(Infinity, init.signal);
+      }
+      if (reply.error) {
+        throw new TypeError(reply.error);
+      }
+      return toResponse(reply.respond ? await reply.respond(request) : reply.spec);
+    }
+
+    if (mode === 'replay') {
+      const queue = replayQueues.get(fixtureKey(request.method, request.url, request.rawBody));
+      if (queue) {
+        await abortableDelay(defaultDelay, init.signal);
+        // Replay in recorded order, repeating the last response
+        return toResponse(queue.length > 1 ? queue.shift() : queue[0]);
+      }
+    }
+    if (mode === 'record') {
+      return record(url, init, request);
+    }
+    if (onUnhandled === 'passthrough') {
+      return realFetch(url, init);
+    }
+    throw new Error(`mockHttp: no route for ${request.method} ${request.url}`);
+  }
+
+  function requestsTo(method = '*', matcher) {
+    const match = compileMatcher(matcher);
+    const upper = method.toUpperCase();
+    return requests.filter(request =>
+      (upper === '*' || request.method === upper) && match(request) !== null
+    );
+  }
+
+  function matchesExpected(request, expected) {
+    if ('body' in expected && !isDeepStrictEqual(request.body, expected.body)) return false;
+    for (const [name, value] of Object.entries(expected.headers || {})) {
+      if (request.headers[name.toLowerCase()] !== String(value)) return false;
+    }
+    for (const [name, value] of Object.entries(expected.query || {})) {
+      if (request.query[name] !== String(value)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Assert that matching requests were made
+   * @param {string} method - Method, or '*'
+   * @param {string|RegExp|Function} matcher - Route matcher
+   * @param {{body?: *, headers?: object, query?: object, times?: number}} [expected]
+   * @returns {MockHttpRequest|undefined} The last matching request
+   */
+  function expectRequest(method, matcher, expected = {}) {
+    const matching = requestsTo(method, matcher).filter(request => matchesExpected(request, expected));
+    const { times } = expected;
+    const ok = times === undefined ? matching.length > 0 : matching.length === times;
+
+    if (!ok) {
+      const { times: _, ...criteria } = expected;
+      const seen = requests.map(r => `  ${r.method} ${r.url}`).join('\n') || '  (none)';
+      assert.fail(
+        `Expected ${times === undefined ? 'a' : times} ${method} request(s) to ${matcher}` +
+        `${Object.keys(criteria).length ? ` with ${JSON.stringify(criteria)}` : ''}, ` +
+        `found ${matching.length}. Requests made:\n${seen}`
+      );
+    }
+    return matching[matching.length - 1];
+  }
+
+  function saveFixtures() {
+    if (mode !== 'record') return;
+    mkdirSync(dirname(fixturesPath), { recursive: true });
+    writeFileSync(fixturesPath, JSON.stringify({ version: 1, entries: recorded }, null, 2) + '\n');
+  }
+
+  const methods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+  const shortcuts = Object.fromEntries(methods.map(m => [
+    `on${m[0].toUpperCase()}${m.slice(1)}`,
+    (matcher) => on(m, matcher)
+  ]));
+
+  return {
+    adapter,
+    on,
+    ...shortcuts,
+    onAny: (matcher) => on('*', matcher),
+    requests,
+    requestsTo,
+    expectRequest,
+    expectNoRequest: (method, matcher) => expectRequest(method, matcher, { times: 0 }),
+    saveFixtures,
+    get mode() {
+      return mode;
+    },
+    install() {
+      savedFetch = globalThis.fetch;
+      globalThis.fetch = adapter;
+    },
+    uninstall() {
+      if (savedFetch) {
+        globalThis.fetch = savedFetch;
+        savedFetch = null;
+      }
+    },
+    resetHistory() {
+      requests.length = 0;
+    },
+    reset() {
+      routes = [];
+      requests.length = 0;
+    }
+  };
+}
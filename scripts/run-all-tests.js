@@ -35,6 +35,7 @@ const testGroups = {
     'test:dom-selector',
     'test:dom-adapter',
     'test:dom-advanced',
+    'test:suspense',
     'test:dom-recycle',
     'test:dom-virtual-list',
     'test:dom-event-delegate',
@@ -56,6 +57,7 @@ const testGroups = {
     'test:form-v2',
     'test:form-edge-cases',
     'test:form-coverage',
+    'test:form-schema',
   ],
   async: [
     'test:async',
@@ -103,6 +105,7 @@ const testGroups = {
     'test:cli-mobile',
     'test:cli-release',
     'test:cli-ui',
+    'test:graphql-codegen',
     'test:docs',
     'test:docs-nav',
     'test:docs-navigation',
@@ -150,6 +153,7 @@ const testGroups = {
     'test:sse',
     'test:persistence',
     'test:persistence-coverage-boost',
+    'test:offline',
     'test:i18n',
     'test:portal',
     'test:animation',
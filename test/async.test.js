@@ -1,7 +1,7 @@
 /**
  * Pulse Async Primitives Tests
  *
- * Tests for runtime/async.js - useAsync, useResource, usePolling
+ * Tests for runtime/async.js - useAsync, useResource, useInfiniteResource, useResourceMutation, usePolling
  *
  * @module test/async
  */
@@ -13,6 +13,10 @@ import {
   createVersionedAsync,
   useAsync,
   useResource,
+  useInfiniteResource,
+  invalidateResources,
+  setResourceData,
+  useResourceMutation,
   usePolling,
   clearResourceCache,
   getResourceCacheStats
@@ -558,6 +562,446 @@ describe('useResource Tests', () => {
   });
 });
 
+// =============================================================================
+// useInfiniteResource Tests
+// =============================================================================
+
+describe('useInfiniteResource Tests', () => {
+  const rows = (page, size = 2) => Array.from({ length: size }, (_, i) => `p${page}-${i}`);
+
+  test('loads the first page and merges next pages by page number', async () => {
+    clearResourceCache();
+    const params = [];
+    const feed = useInfiniteResource('inf-pages', async (page) => {
+      params.push(page);
+      return page < 3 ? rows(page) : rows(page, 1);
+    }, { pageSize: 2 });
+
+    await sleep(20);
+    assert.deepStrictEqual(feed.data.get(), ['p1-0', 'p1-1']);
+    assert.strictEqual(feed.hasNextPage.get(), true);
+    assert.strictEqual(feed.hasPreviousPage.get(), false);
+
+    await feed.fetchNextPage();
+    await feed.fetchNextPage();
+
+    assert.deepStrictEqual(params, [1, 2, 3]);
+    assert.strictEqual(feed.data.get().length, 5);
+    assert.deepStrictEqual(feed.pageParams.get(), [1, 2, 3]);
+    assert.strictEqual(feed.hasNextPage.get(), false, 'Short page is the last one');
+
+    await feed.fetchNextPage();
+    assert.deepStrictEqual(params, [1, 2, 3], 'No request past the last page');
+  });
+
+  test('follows cursors in both directions', async () => {
+    clearResourceCache();
+    const pagesById = {
+      b: { items: ['b'], prev: 'a', next: 'c' },
+      a: { items: ['a'], prev: null, next: 'b' },
+      c: { items: ['c'], prev: 'b', next: null }
+    };
+    const feed = useInfiniteResource('inf-cursor', async (cursor) => pagesById[cursor], {
+      initialPageParam: 'b',
+      getNextPageParam: (last) => last.next,
+      getPreviousPageParam: (first) => first.prev
+    });
+
+    await sleep(20);
+    await feed.fetchPreviousPage();
+    await feed.fetchNextPage();
+
+    assert.deepStrictEqual(feed.data.get(), ['a', 'b', 'c']);
+    assert.strictEqual(feed.hasNextPage.get(), false);
+    assert.strictEqual(feed.hasPreviousPage.get(), false);
+  });
+
+  test('concurrent fetchNextPage calls share one request', async () => {
+    clearResourceCache();
+    let calls = 0;
+    const feed = useInfiniteResource('inf-dedupe', async (page) => {
+      calls++;
+      await sleep(10);
+      return rows(page);
+    });
+
+    await sleep(30);
+    const next = feed.fetchNextPage();
+    assert.strictEqual(feed.isFetchingNextPage.get(), true);
+    await Promise.all([next, feed.fetchNextPage()]);
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(feed.isFetchingNextPage.get(), false);
+    assert.strictEqual(feed.pages.get().length, 2);
+  });
+
+  test('maxPages drops pages from the opposite end', async () => {
+    clearResourceCache();
+    const feed = useInfiniteResource('inf-max', async (page) => rows(page, 1), { maxPages: 2 });
+
+    await sleep(20);
+    await feed.fetchNextPage();
+    await feed.fetchNextPage();
+
+    assert.deepStrictEqual(feed.pageParams.get(), [2, 3]);
+    assert.strictEqual(feed.hasPreviousPage.get(), true);
+
+    await feed.fetchPreviousPage();
+    assert.deepStrictEqual(feed.pageParams.get(), [1, 2]);
+  });
+
+  test('shares cached pages and is cleared by clearResourceCache', async () => {
+    clearResourceCache();
+    let calls = 0;
+    const fetchPage = async (page) => {
+      calls++;
+      return rows(page);
+    };
+
+    const first = useInfiniteResource('inf-shared', fetchPage, { staleTime: 10000 });
+    await sleep(20);
+    await first.fetchNextPage();
+
+    const second = useInfiniteResource('inf-shared', fetchPage, { staleTime: 10000 });
+    assert.strictEqual(second.data.get().length, 4, 'Starts from the cached pages');
+    assert.strictEqual(calls, 2);
+    assert.ok(getResourceCacheStats().keys.includes('inf-shared'));
+
+    clearResourceCache();
+    const third = useInfiniteResource('inf-shared', fetchPage);
+    await sleep(20);
+    assert.strictEqual(third.pages.get().length, 1);
+    assert.strictEqual(calls, 3);
+  });
+
+  test('refresh refetches loaded pages while keeping them visible', async () => {
+    clearResourceCache();
+    let version = 1;
+    const feed = useInfiniteResource('inf-refresh', async (page) => {
+      await sleep(5);
+      return [`v${version}-p${page}`];
+    });
+
+    await sleep(20);
+    await feed.fetchNextPage();
+    version = 2;
+
+    const refreshing = feed.refresh();
+    assert.strictEqual(feed.isStale.get(), true);
+    assert.strictEqual(feed.data.get().length, 2);
+    await refreshing;
+
+    assert.deepStrictEqual(feed.data.get(), ['v2-p1', 'v2-p2']);
+    assert.strictEqual(feed.isStale.get(), false);
+  });
+
+  test('a key change resets to the first page', async () => {
+    clearResourceCache();
+    const filter = pulse('all');
+    const feed = useInfiniteResource(
+      () => `inf-key-${filter.get()}`,
+      async (page) => [`${filter.peek()}-${page}`]
+    );
+
+    await sleep(20);
+    await feed.fetchNextPage();
+    assert.deepStrictEqual(feed.data.get(), ['all-1', 'all-2']);
+
+    filter.set('done');
+    await sleep(20);
+    assert.deepStrictEqual(feed.data.get(), ['done-1']);
+  });
+
+  test('dispose stops reloading on key changes, also when the owning effect is disposed', async () => {
+    clearResourceCache();
+    const filter = pulse('all');
+    const fetched = [];
+    const fetchPage = async (page) => {
+      fetched.push(filter.peek());
+      return [`${filter.peek()}-${page}`];
+    };
+
+    const feed = useInfiniteResource(() => `inf-dispose-${filter.get()}`, fetchPage);
+    let owned;
+    const stop = effect(() => {
+      owned = useInfiniteResource(() => `inf-owned-${filter.get()}`, fetchPage);
+    });
+    await sleep(20);
+    assert.deepStrictEqual(fetched, ['all', 'all']);
+
+    feed.dispose();
+    stop();
+    filter.set('done');
+    await sleep(20);
+    assert.deepStrictEqual(fetched, ['all', 'all'], 'Disposed resources do not refetch');
+    assert.deepStrictEqual(owned.data.get(), ['all-1']);
+  });
+
+  test('page errors are reported without dropping loaded pages', async () => {
+    clearResourceCache();
+    const errors = [];
+    const feed = useInfiniteResource('inf-error', async (page) => {
+      if (page === 2) throw new Error('Page failed');
+      return rows(page);
+    }, { onError: (err) => errors.push(err.message) });
+
+    await sleep(20);
+    assert.strictEqual(await feed.fetchNextPage(), null);
+
+    assert.strictEqual(feed.error.get().message, 'Page failed');
+    assert.deepStrictEqual(errors, ['Page failed']);
+    assert.strictEqual(feed.pages.get().length, 1);
+    assert.strictEqual(feed.isFetchingNextPage.get(), false);
+  });
+});
+
+// =============================================================================
+// Resource Cache Invalidation Tests
+// =============================================================================
+
+describe('Resource Cache Invalidation Tests', () => {
+  test('invalidateResources refetches matching keys once per key', async () => {
+    clearResourceCache();
+    const calls = { todos: 0, done: 0, users: 0 };
+    const todos1 = useResource('todos', async () => ++calls.todos);
+    const todos2 = useResource('todos', async () => ++calls.todos, { staleTime: 10000 });
+    const done = useResource('todos:done', async () => ++calls.done);
+    const users = useResource('users', async () => ++calls.users);
+    await sleep(20);
+    const before = { ...calls };
+
+    await invalidateResources('todos');
+
+    assert.strictEqual(calls.todos, before.todos + 1, 'Shared key is fetched once');
+    assert.strictEqual(calls.done, before.done + 1);
+    assert.strictEqual(calls.users, before.users);
+    assert.strictEqual(todos1.data.get(), calls.todos);
+    assert.strictEqual(todos2.data.get(), calls.todos);
+
+    [todos1, todos2, done, users].forEach(r => r.dispose());
+  });
+
+  test('unmounted resources are no longer invalidated', async () => {
+    clearResourceCache();
+    let fetches = 0;
+    const fetcher = async () => ++fetches;
+
+    const stop = effect(() => {
+      useResource('mut-unmounted', fetcher);
+    });
+    await sleep(20);
+    assert.strictEqual(fetches, 1);
+
+    stop();
+    invalidateResources('mut-unmounted');
+    await sleep(20);
+    assert.strictEqual(fetches, 1, 'The unmounted resource does not refetch');
+  });
+
+  test('invalidateResources accepts predicates and drops unused cache entries', async () => {
+    clearResourceCache();
+    const r = useResource('inv-user-42', async () => 'x');
+    await sleep(20);
+    r.dispose();
+
+    await invalidateResources(key => key.endsWith('-42'));
+
+    assert.ok(!getResourceCacheStats().keys.includes('inv-user-42'));
+  });
+
+  test('invalidateResources refetches the loaded pages of infinite resources', async () => {
+    clearResourceCache();
+    let version = 1;
+    const feed = useInfiniteResource('inv-feed', async (page) => [`v${version}-${page}`]);
+    await sleep(20);
+    await feed.fetchNextPage();
+    version = 2;
+
+    await invalidateResources('inv-feed');
+
+    assert.deepStrictEqual(feed.data.get(), ['v2-1', 'v2-2']);
+    feed.dispose();
+  });
+
+  test('setResourceData updates every subscriber and returns the previous data', async () => {
+    clearResourceCache();
+    const a = useResource('set-todos', async () => ['milk']);
+    const b = useResource('set-todos', async () => ['milk'], { staleTime: 10000 });
+    await sleep(20);
+
+    const previous = setResourceData('set-todos', list => [...list, 'eggs']);
+
+    assert.deepStrictEqual(previous, ['milk']);
+    assert.deepStrictEqual(a.data.get(), ['milk', 'eggs']);
+    assert.deepStrictEqual(b.data.get(), ['milk', 'eggs']);
+
+    const c = useResource('set-todos', async () => [], { staleTime: 10000 });
+    assert.deepStrictEqual(c.data.get(), ['milk', 'eggs'], 'New subscribers read the cache');
+    [a, b, c].forEach(r => r.dispose());
+  });
+
+  test('setResourceData wins over a fetch in flight', async () => {
+    clearResourceCache();
+    const r = useResource('set-race', async () => {
+      await sleep(20);
+      return 'server';
+    });
+
+    setResourceData('set-race', 'local');
+    await sleep(40);
+
+    assert.strictEqual(r.data.get(), 'local');
+    assert.strictEqual(r.loading.get(), false);
+    r.dispose();
+  });
+});
+
+// =============================================================================
+// useResourceMutation Tests
+// =============================================================================
+
+describe('useResourceMutation Tests', () => {
+  test('invalidates related resources on success', async () => {
+    clearResourceCache();
+    let server = ['milk'];
+    const list = useResource('mut-todos', async () => [...server]);
+    await sleep(20);
+
+    const addTodo = useResourceMutation(async (title) => {
+      server.push(title);
+      return { title };
+    }, { invalidates: ['mut-todos'] });
+
+    const result = await addTodo.mutate('eggs');
+    await sleep(20);
+
+    assert.deepStrictEqual(result, { title: 'eggs' });
+    assert.deepStrictEqual(addTodo.data.get(), { title: 'eggs' });
+    assert.strictEqual(addTodo.status.get(), 'success');
+    assert.deepStrictEqual(list.data.get(), ['milk', 'eggs']);
+    list.dispose();
+  });
+
+  test('invalidates predicate receives the result and variables', async () => {
+    const seen = [];
+    const m = useResourceMutation(async (id) => ({ id }), {
+      invalidates: (key, result, id) => {
+        seen.push([result.id, id]);
+        return key === `item-${id}`;
+      }
+    });
+    let fetches = 0;
+    const item = useResource('item-7', async () => ++fetches);
+    await sleep(20);
+
+    await m.mutate(7);
+    await sleep(20);
+
+    assert.deepStrictEqual(seen[0], [7, 7]);
+    assert.strictEqual(item.data.get(), 2);
+    item.dispose();
+  });
+
+  test('rolls back optimistic cache writes on error', async () => {
+    clearResourceCache();
+    const list = useResource('mut-rollback', async () => ['milk'], { staleTime: 10000 });
+    await sleep(20);
+    const errors = [];
+
+    const addTodo = useResourceMutation(async () => {
+      await sleep(5);
+      throw new Error('Rejected');
+    }, {
+      optimistic: (title) => {
+        setResourceData('mut-rollback', items => [...items, title]);
+        setResourceData('mut-rollback', items => [...items, `${title}!`]);
+      },
+      onError: (err, title) => errors.push([err.message, title])
+    });
+
+    const pending = addTodo.mutate('eggs');
+    assert.deepStrictEqual(list.data.get(), ['milk', 'eggs', 'eggs!']);
+    assert.strictEqual(addTodo.loading.get(), true);
+
+    await assert.rejects(pending, /Rejected/);
+
+    assert.deepStrictEqual(list.data.get(), ['milk']);
+    assert.strictEqual(addTodo.error.get().message, 'Rejected');
+    assert.strictEqual(addTodo.status.get(), 'error');
+    assert.deepStrictEqual(errors, [['Rejected', 'eggs']]);
+    list.dispose();
+  });
+
+  test('overlapping failed mutations keep each other\'s optimistic writes', async () => {
+    clearResourceCache();
+    const list = useResource('mut-overlap', async () => [], { staleTime: 10000 });
+    await sleep(20);
+
+    const add = useResourceMutation(async ({ delay }) => {
+      await sleep(delay);
+      throw new Error('Rejected');
+    }, {
+      optimistic: ({ title }) => setResourceData('mut-overlap', items => [...items, title])
+    });
+
+    const a = add.mutate({ title: 'A', delay: 10 });
+    const b = add.mutate({ title: 'B', delay: 30 });
+    assert.deepStrictEqual(list.data.get(), ['A', 'B']);
+
+    await assert.rejects(a);
+    assert.deepStrictEqual(list.data.get(), ['B'], 'Only A is undone');
+    await assert.rejects(b);
+    assert.deepStrictEqual(list.data.get(), []);
+    list.dispose();
+  });
+
+  test('a failed mutation keeps the optimistic writes of one that succeeded', async () => {
+    clearResourceCache();
+    const list = useResource('mut-overlap-ok', async () => [], { staleTime: 10000 });
+    await sleep(20);
+
+    const add = useResourceMutation(async ({ title, delay }) => {
+      await sleep(delay);
+      if (title === 'B') throw new Error('Rejected');
+      return title;
+    }, {
+      optimistic: ({ title }) => setResourceData('mut-overlap-ok', items => [...items, title])
+    });
+
+    const a = add.mutate({ title: 'A', delay: 10 });
+    const b = add.mutate({ title: 'B', delay: 30 });
+    const c = add.mutate({ title: 'C', delay: 40 });
+
+    assert.strictEqual(await a, 'A');
+    await assert.rejects(b);
+    assert.deepStrictEqual(list.data.get(), ['A', 'C']);
+    await c;
+    assert.deepStrictEqual(list.data.get(), ['A', 'C']);
+    list.dispose();
+  });
+
+  test('calls the rollback returned by optimistic and onSettled', async () => {
+    const count = pulse(1);
+    const settled = [];
+    const m = useResourceMutation(async () => { throw new Error('No'); }, {
+      optimistic: () => {
+        count.set(0);
+        return () => count.set(1);
+      },
+      onSettled: (result, err) => settled.push([result, err.message])
+    });
+
+    await assert.rejects(m.mutate());
+
+    assert.strictEqual(count.get(), 1);
+    assert.deepStrictEqual(settled, [[null, 'No']]);
+
+    m.reset();
+    assert.strictEqual(m.status.get(), 'idle');
+    assert.strictEqual(m.error.get(), null);
+  });
+});
+
 // =============================================================================
 // usePolling Tests
 // =============================================================================
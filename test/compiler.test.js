@@ -757,6 +757,24 @@ view {
     assert.ok(result.code.includes('router.outlet'), 'Expected router.outlet call');
   });
 
+  test('compiles named @outlet directive', () => {
+    const source = `
+@page App
+
+view {
+  aside {
+    @outlet("#sidebar", "sidebar")
+  }
+}`;
+
+    const result = compile(source);
+    assert.ok(result.success, 'Expected successful compilation');
+    assert.ok(
+      result.code.includes(`router.outlet('#sidebar', { name: "sidebar" })`),
+      'Expected router.outlet call with outlet name'
+    );
+  });
+
 });
 
 // =============================================================================
@@ -1183,6 +1201,43 @@ view {
     assert.ok(listMatch, 'Expected list call');
   });
 
+  test('compiles @each with animate options', () => {
+    const source = `
+@page App
+
+state {
+  items: []
+}
+
+view {
+  @each (item in items) key(item.id) animate(duration=200, move=false) {
+    div "{item.name}"
+  }
+}`;
+    const result = compile(source);
+    assert.ok(result.success, 'Expected successful compilation');
+    assert.ok(result.code.includes('(item) => item.id,'), 'Expected key function in list call');
+    assert.ok(result.code.includes('{ animate: { duration: 200, move: false } }'), 'Expected animate options');
+  });
+
+  test('compiles bare animate without key function', () => {
+    const source = `
+@page App
+
+state {
+  items: []
+}
+
+view {
+  @for (item of items) animate {
+    div "{item.name}"
+  }
+}`;
+    const result = compile(source);
+    assert.ok(result.success, 'Expected successful compilation');
+    assert.ok(/undefined,\s*\{ animate: true \}/.test(result.code), 'Expected default key and animate: true');
+  });
+
 });
 
 // =============================================================================
@@ -1288,6 +1343,203 @@ view {
 
 });
 
+// =============================================================================
+// @await Tests
+// =============================================================================
+
+describe('@await Tests', () => {
+
+  test('parses @await with @then and @catch', () => {
+    const source = `
+@page App
+
+view {
+  @await (loadUser()) {
+    p "Loading..."
+  } @then (user) {
+    h1 "{user.name}"
+  } @catch (err) {
+    p "{err.message}"
+  }
+}`;
+    const ast = parse(source);
+    const awaitDirective = ast.view.children[0];
+    assert.strictEqual(awaitDirective.type, 'AwaitDirective', 'Expected AwaitDirective');
+    assert.strictEqual(awaitDirective.pending.length, 1);
+    assert.strictEqual(awaitDirective.then.param, 'user');
+    assert.strictEqual(awaitDirective.catch.param, 'err');
+  });
+
+  test('compiles @await to awaitBlock()', () => {
+    const source = `
+@page App
+
+state {
+  userId: 1
+}
+
+view {
+  main {
+    h1 "Profile"
+    @await (fetchUser(userId)) {
+      p "Loading..."
+    } @then (user) {
+      h2 "{user.name}"
+      p "{user.email}"
+    } @catch (err) {
+      p "{err.message}"
+    }
+  }
+}`;
+    const result = compile(source);
+    assert.ok(result.success, 'Expected successful compilation');
+    assert.ok(/import \{[^}]*\bawaitBlock\b[^}]*\} from/.test(result.code), 'Expected awaitBlock import');
+    assert.ok(result.code.includes('() => fetchUser(userId.get()),'));
+    assert.ok(/pending: \(\) => el\('p/.test(result.code));
+    assert.ok(/then: \(user\) => \[/.test(result.code), 'Expected an array for several children');
+    assert.ok(/catch: \(err\) => el\('p/.test(result.code));
+  });
+
+  test('@then and @catch are optional', () => {
+    const source = `
+@page App
+
+view {
+  @await (ready) {} @then {
+    p "Ready"
+  }
+}`;
+    const result = compile(source);
+    assert.ok(result.success, 'Expected successful compilation');
+    assert.ok(result.code.includes('then: () => el('));
+    assert.ok(!result.code.includes('pending:'), 'Empty pending block is omitted');
+    assert.ok(!result.code.includes('catch:'));
+  });
+
+});
+
+// =============================================================================
+// @switch Tests
+// =============================================================================
+
+describe('@switch Tests', () => {
+
+  test('parses @switch with @case and @default', () => {
+    const source = `
+@page App
+
+state {
+  status: "loading"
+}
+
+view {
+  @switch (status) {
+    @case ("loading") {
+      div "Loading..."
+    }
+    @case ("error") {
+      div "Error"
+      button "Retry"
+    }
+    @default {
+      div "Done"
+    }
+  }
+}`;
+    const ast = parse(source);
+    const switchDirective = ast.view.children[0];
+    assert.strictEqual(switchDirective.type, 'SwitchDirective', 'Expected SwitchDirective');
+    assert.strictEqual(switchDirective.cases.length, 3);
+    assert.strictEqual(switchDirective.cases[0].test.value, 'loading');
+    assert.strictEqual(switchDirective.cases[1].children.length, 2);
+    assert.strictEqual(switchDirective.cases[2].test, null, 'Expected @default branch');
+  });
+
+  test('compiles @switch to match()', () => {
+    const source = `
+@page App
+
+state {
+  status: "loading"
+}
+
+view {
+  @switch (status) {
+    @case ("loading") {
+      div "Loading"
+    }
+    @case ("error") {
+      div "Error"
+      button "Retry"
+    }
+    @default {
+      div "Done"
+    }
+  }
+}`;
+    const result = compile(source);
+    assert.ok(result.success, 'Expected successful compilation');
+    assert.ok(/import \{[^}]*\bmatch\b[^}]*\} from/.test(result.code), 'Expected match import');
+    assert.ok(result.code.includes('() => status.get(),'));
+    assert.ok(/\["loading"\]: \(\) => el\('div/.test(result.code));
+    assert.ok(/\["error"\]: \(\) => \[/.test(result.code), 'Expected an array for several children');
+    assert.ok(/default: \(\) => el\('div/.test(result.code));
+  });
+
+  test('keeps the first of repeated cases', () => {
+    const source = `
+@page App
+
+state {
+  status: "a"
+}
+
+view {
+  @switch (status) {
+    @default { div "First default" }
+    @case ("a") { div "First" }
+    @case ("a") { div "Second" }
+    @default { div "Second default" }
+  }
+}`;
+    const result = compile(source);
+    assert.ok(result.success, 'Expected successful compilation');
+    assert.ok(result.code.includes('"First"') && !result.code.includes('"Second"'));
+    assert.ok(result.code.includes('"First default"') && !result.code.includes('"Second default"'));
+    assert.ok(result.code.indexOf('["a"]') < result.code.indexOf('default:'), 'Expected @default last');
+  });
+
+  test('rejects other directives inside @switch', () => {
+    const source = `
+@page App
+
+view {
+  @switch (1) {
+    @if (true) { div "No" }
+  }
+}`;
+    assert.throws(() => parse(source), /Expected @case or @default inside @switch, got @if/);
+  });
+
+  test('requires literal @case values', () => {
+    const source = (value) => `
+@page App
+
+view {
+  @switch (code) {
+    @case (${value}) { div "Case" }
+  }
+}`;
+    assert.throws(() => parse(source('current')), /@case value must be a literal/);
+    assert.throws(() => parse(source('code + 1')), /@case value must be a literal/);
+
+    const result = compile(source('-1'));
+    assert.ok(result.success, 'Expected negative numbers to be literals');
+    assert.ok(result.code.includes('[-1]: () =>'));
+  });
+
+});
+
 // =============================================================================
 // Dynamic Attributes Tests
 // =============================================================================
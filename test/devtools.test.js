@@ -15,6 +15,7 @@ import {
   getPulseList,
   getDependencyGraph,
   exportGraphAsDot,
+  connectHistory,
   takeSnapshot,
   getHistory,
   getHistoryIndex,
@@ -43,6 +44,7 @@ import {
 } from '../runtime/devtools.js';
 
 import { pulse, effect, batch } from '../runtime/pulse.js';
+import { createStore, usePlugin, historyPlugin } from '../runtime/store.js';
 
 import {
   enableAutoTimeline,
@@ -304,6 +306,35 @@ describe('Time-Travel Tests', () => {
     assert.strictEqual(travelTo(-1), false);
     assert.strictEqual(travelTo(999), false);
   });
+
+  test('connectHistory reuses the store history stream', () => {
+    resetDevTools();
+    const store = createStore({ count: 0 });
+    usePlugin(store, historyPlugin);
+    const disconnect = connectHistory(store.$history);
+
+    try {
+      store.$setState({ count: 1 });
+      store.$setState({ count: 2 });
+
+      assert.strictEqual(takeSnapshot('ignored'), null, 'Store history records the steps');
+      assert.deepStrictEqual(getHistory().map(s => s.action), ['init', 'setState', 'setState']);
+      assert.strictEqual(getHistoryIndex(), 2);
+
+      assert.strictEqual(back(), true);
+      assert.strictEqual(store.count.get(), 1);
+      assert.strictEqual(store.$canRedo(), true, 'Devtools travel moves the undo position');
+
+      store.$undo();
+      assert.strictEqual(getHistoryIndex(), 0);
+      assert.strictEqual(forward(), true);
+      assert.strictEqual(store.count.get(), 1);
+    } finally {
+      disconnect();
+    }
+
+    assert.strictEqual(getHistory().length, 0, 'Own snapshots are used again after disconnecting');
+  });
 });
 
 // =============================================================================
@@ -1,7 +1,7 @@
 /**
  * Pulse DOM Conditional Tests
  *
- * Tests for runtime/dom-conditional.js - Conditional rendering (when, match, show)
+ * Tests for runtime/dom-conditional.js - Conditional rendering (when, match, show, awaitBlock)
  * Uses minimal mock-dom (zero external dependencies)
  *
  * @module test/dom-conditional
@@ -22,7 +22,7 @@ globalThis.Comment = Comment;
 globalThis.Event = Event;
 
 // Import the module under test
-import { when, match, show } from '../runtime/dom-conditional.js';
+import { when, match, show, awaitBlock } from '../runtime/dom-conditional.js';
 import { pulse } from '../runtime/pulse.js';
 import { el } from '../runtime/dom.js';
 
@@ -233,9 +233,6 @@ describe('when() Conditional Rendering Tests', () => {
 
 // =============================================================================
 // match() Tests
-// Note: match() returns a Comment marker, not a DocumentFragment like when().
-// The initial render happens before the marker has a parent, so nodes are
-// only inserted on subsequent reactive updates.
 // =============================================================================
 
 describe('match() Switch Rendering Tests', () => {
@@ -411,6 +408,125 @@ describe('match() Switch Rendering Tests', () => {
 
     assert.strictEqual(container.querySelectorAll('span').length, 3);
   });
+
+  test('match: renders the initial case', () => {
+    const status = pulse('loading');
+
+    const container = document.createElement('div');
+    container.appendChild(match(
+      () => status.get(),
+      {
+        loading: () => el('div.loading'),
+        default: () => el('div.default')
+      }
+    ));
+
+    assert.strictEqual(container.querySelectorAll('.loading').length, 1);
+  });
+
+  test('match: ignores inherited object keys', () => {
+    const status = pulse('toString');
+
+    const container = document.createElement('div');
+    container.appendChild(match(
+      () => status.get(),
+      { default: () => el('div.default') }
+    ));
+
+    assert.strictEqual(container.querySelectorAll('.default').length, 1);
+  });
+});
+
+// =============================================================================
+// awaitBlock() Tests
+// =============================================================================
+
+describe('awaitBlock() Promise Rendering Tests', () => {
+  const tick = () => new Promise(r => setTimeout(r, 0));
+
+  function deferred() {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+  }
+
+  const templates = {
+    pending: () => el('p.pending', 'Loading'),
+    then: (value) => el('p.value', `Value: ${value}`),
+    catch: (err) => el('p.error', err.message)
+  };
+
+  test('awaitBlock: renders pending, then the resolved value', async () => {
+    const request = deferred();
+    const container = document.createElement('div');
+    container.appendChild(awaitBlock(() => request.promise, templates));
+
+    assert.strictEqual(container.querySelectorAll('.pending').length, 1);
+
+    request.resolve(42);
+    await tick();
+    assert.strictEqual(container.querySelectorAll('.pending').length, 0);
+    assert.strictEqual(container.querySelector('.value').textContent, 'Value: 42');
+  });
+
+  test('awaitBlock: renders the catch branch on rejection', async () => {
+    const container = document.createElement('div');
+    container.appendChild(awaitBlock(() => Promise.reject(new Error('Boom')), templates));
+
+    await tick();
+    assert.strictEqual(container.querySelector('.error').textContent, 'Boom');
+    assert.strictEqual(container.querySelectorAll('.value').length, 0);
+  });
+
+  test('awaitBlock: ignores a stale promise when the source changes', async () => {
+    const id = pulse(1);
+    const requests = [];
+    const signals = [];
+    const container = document.createElement('div');
+    container.appendChild(awaitBlock((signal) => {
+      signals.push(signal);
+      const request = deferred();
+      requests.push({ id: id.get(), ...request });
+      return request.promise;
+    }, templates));
+
+    id.set(2);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(signals[0].aborted, true, 'Previous request is aborted');
+    assert.strictEqual(signals[1].aborted, false);
+
+    requests[1].resolve('second');
+    requests[0].resolve('first');
+    await tick();
+    assert.strictEqual(container.querySelector('.value').textContent, 'Value: second');
+
+    id.set(3);
+    assert.strictEqual(container.querySelectorAll('.pending').length, 1, 'New promise shows pending again');
+    assert.strictEqual(container.querySelectorAll('.value').length, 0);
+  });
+
+  test('awaitBlock: renders plain values and thrown errors', async () => {
+    const container = document.createElement('div');
+    container.appendChild(awaitBlock(() => 'ready', templates));
+    container.appendChild(awaitBlock(() => { throw new Error('Sync failure'); }, templates));
+
+    await tick();
+    assert.strictEqual(container.querySelector('.value').textContent, 'Value: ready');
+    assert.strictEqual(container.querySelector('.error').textContent, 'Sync failure');
+  });
+
+  test('awaitBlock: branches do not re-run the promise source', async () => {
+    const label = pulse('A');
+    let calls = 0;
+    const container = document.createElement('div');
+    container.appendChild(awaitBlock(() => { calls++; return Promise.resolve(1); }, {
+      then: () => el('span', label.get())
+    }));
+
+    await tick();
+    label.set('B');
+    assert.strictEqual(calls, 1);
+  });
 });
 
 // =============================================================================
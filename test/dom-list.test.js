@@ -7,7 +7,7 @@
  * @module test/dom-list
  */
 
-import { test, describe, beforeEach } from 'node:test';
+import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 
 import { createDOM } from './mock-dom.js';
@@ -25,6 +25,7 @@ globalThis.Event = Event;
 import { list, computeLIS } from '../runtime/dom-list.js';
 import { pulse, effect } from '../runtime/pulse.js';
 import { el, mount } from '../runtime/dom.js';
+import { configureAnimations } from '../runtime/animation.js';
 
 // =============================================================================
 // computeLIS Algorithm Tests
@@ -497,3 +498,183 @@ describe('list() Edge Cases', () => {
     assert.strictEqual(container.querySelectorAll('li').length, 0);
   });
 });
+
+// =============================================================================
+// List Animation Tests (FLIP)
+// =============================================================================
+
+describe('List Animation Tests', () => {
+  const ROW = 40;
+  let animations;
+  let originals;
+
+  // Rows are ROW px tall and stacked in document order; leaving rows are
+  // absolutely positioned and keep their place
+  function rowTop(node) {
+    if (node.style.position === 'absolute') return parseFloat(node.style.top);
+    const rows = node.parentNode.childNodes.filter(n => n.nodeType === 1 && n.style.position !== 'absolute');
+    return rows.indexOf(node) * ROW;
+  }
+
+  beforeEach(() => {
+    animations = [];
+    originals = {
+      rect: HTMLElement.prototype.getBoundingClientRect,
+      animate: HTMLElement.prototype.animate,
+      offsetTop: Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetTop'),
+      raf: globalThis.requestAnimationFrame,
+      caf: globalThis.cancelAnimationFrame
+    };
+    HTMLElement.prototype.getBoundingClientRect = function() {
+      const top = rowTop(this);
+      return { top, left: 0, width: 100, height: ROW, right: 100, bottom: top + ROW };
+    };
+    Object.defineProperty(HTMLElement.prototype, 'offsetTop', {
+      configurable: true,
+      get() { return rowTop(this); }
+    });
+    HTMLElement.prototype.offsetLeft = 0;
+    HTMLElement.prototype.animate = function(keyframes, options) {
+      let finish;
+      const animation = {
+        element: this,
+        keyframes,
+        options,
+        playState: 'running',
+        finished: new Promise(r => { finish = r; }),
+        cancel() { this.playState = 'idle'; this.cancelled = true; },
+        finish() { this.playState = 'finished'; finish(); },
+        addEventListener() {}
+      };
+      animations.push(animation);
+      return animation;
+    };
+    globalThis.requestAnimationFrame = () => 0;
+    globalThis.cancelAnimationFrame = () => {};
+    configureAnimations({ disabled: false, respectReducedMotion: true });
+  });
+
+  afterEach(() => {
+    HTMLElement.prototype.getBoundingClientRect = originals.rect;
+    HTMLElement.prototype.animate = originals.animate;
+    if (originals.offsetTop) {
+      Object.defineProperty(HTMLElement.prototype, 'offsetTop', originals.offsetTop);
+    } else {
+      delete HTMLElement.prototype.offsetTop;
+    }
+    delete HTMLElement.prototype.offsetLeft;
+    globalThis.requestAnimationFrame = originals.raf;
+    globalThis.cancelAnimationFrame = originals.caf;
+    delete globalThis.window;
+  });
+
+  function renderList(items, animate = true) {
+    const container = document.createElement('ul');
+    container.appendChild(list(
+      () => items.get(),
+      (item) => el('li', item.name),
+      (item) => item.id,
+      { animate }
+    ));
+    return container;
+  }
+
+  const names = (container) => container.querySelectorAll('li').map(li => li.textContent);
+
+  test('does not animate the first render', () => {
+    const items = pulse([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+    renderList(items);
+
+    assert.strictEqual(animations.length, 0);
+  });
+
+  test('plays a FLIP move from the old position', () => {
+    const items = pulse([{ id: 1, name: 'A' }, { id: 2, name: 'B' }, { id: 3, name: 'C' }]);
+    const container = renderList(items);
+
+    items.set([items.get()[2], items.get()[0], items.get()[1]]);
+
+    assert.deepStrictEqual(names(container), ['C', 'A', 'B']);
+    const moves = animations.map(a => [a.element.textContent, a.keyframes[0].transform]);
+    assert.deepStrictEqual(moves, [
+      ['C', 'translate(0px, 80px)'],
+      ['A', 'translate(0px, -40px)'],
+      ['B', 'translate(0px, -40px)']
+    ]);
+    assert.ok(animations.every(a => a.keyframes[1].transform === 'none'));
+  });
+
+  test('fades inserted items in', () => {
+    const items = pulse([{ id: 1, name: 'A' }]);
+    renderList(items);
+
+    items.set([{ id: 0, name: 'New' }, ...items.get()]);
+
+    const enter = animations.find(a => a.element.textContent === 'New');
+    assert.deepStrictEqual(enter.keyframes, { opacity: [0, 1] });
+    const move = animations.find(a => a.element.textContent === 'A');
+    assert.strictEqual(move.keyframes[0].transform, 'translate(0px, -40px)');
+  });
+
+  test('keeps removed items until their leave animation ends', async () => {
+    const items = pulse([{ id: 1, name: 'A' }, { id: 2, name: 'B' }, { id: 3, name: 'C' }]);
+    const container = renderList(items, { leave: [{ opacity: 1 }, { opacity: 0 }], duration: 100 });
+
+    items.set([items.get()[0], items.get()[2]]);
+
+    const leave = animations.find(a => a.element.textContent === 'B');
+    assert.ok(leave, 'Removed item should animate out');
+    assert.strictEqual(leave.options.duration, 100);
+    assert.strictEqual(leave.element.style.position, 'absolute');
+    assert.strictEqual(leave.element.style.top, '40px');
+    assert.deepStrictEqual(names(container).sort(), ['A', 'B', 'C']);
+
+    // C moves up into the space B frees
+    const move = animations.find(a => a.element.textContent === 'C');
+    assert.strictEqual(move.keyframes[0].transform, 'translate(0px, 40px)');
+
+    leave.finish();
+    await new Promise(r => setTimeout(r, 0));
+    assert.deepStrictEqual(names(container), ['A', 'C']);
+  });
+
+  test('move: false and enter: false skip those animations', () => {
+    const items = pulse([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+    renderList(items, { move: false, enter: false });
+
+    items.set([{ id: 3, name: 'C' }, items.get()[1], items.get()[0]]);
+
+    assert.strictEqual(animations.length, 0);
+  });
+
+  test('a new move replaces the running one', () => {
+    const items = pulse([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+    renderList(items);
+
+    items.set([items.get()[1], items.get()[0]]);
+    const first = animations.find(a => a.element.textContent === 'A');
+    items.set([items.get()[1], items.get()[0]]);
+
+    assert.strictEqual(first.cancelled, true);
+  });
+
+  test('respects prefers-reduced-motion', () => {
+    globalThis.window = { matchMedia: () => ({ matches: true }) };
+    const items = pulse([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+    const container = renderList(items);
+
+    items.set([items.get()[1]]);
+
+    assert.strictEqual(animations.length, 0);
+    assert.deepStrictEqual(names(container), ['B'], 'Removal is immediate');
+  });
+
+  test('does nothing without the animate option', () => {
+    const items = pulse([{ id: 1, name: 'A' }, { id: 2, name: 'B' }]);
+    renderList(items, false);
+
+    items.set([items.get()[1], items.get()[0]]);
+
+    assert.strictEqual(animations.length, 0);
+  });
+});
@@ -1197,3 +1197,285 @@ describe('virtualList() scrollToIndex edge cases', () => {
     assert.strictEqual(container.scrollTop, 0);
   });
 });
+
+// =============================================================================
+// Measured rows, anchoring, grid, horizontal and grouped layouts
+// =============================================================================
+
+/**
+ * Minimal ResizeObserver stand-in: tests report sizes with resize(node, size)
+ */
+class FakeResizeObserver {
+  static instances = [];
+
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = new Set();
+    FakeResizeObserver.instances.push(this);
+  }
+
+  observe(target) { this.targets.add(target); }
+  unobserve(target) { this.targets.delete(target); }
+  disconnect() { this.targets.clear(); }
+
+  static resize(sizesByIndex, axis = 'blockSize') {
+    for (const observer of FakeResizeObserver.instances) {
+      const entries = [...observer.targets]
+        .filter(target => sizesByIndex[rowIndexOf(target)] !== undefined)
+        .map(target => ({ target, borderBoxSize: [{ [axis]: sizesByIndex[rowIndexOf(target)] }] }));
+      if (entries.length > 0) observer.callback(entries);
+    }
+  }
+}
+
+function rowIndexOf(node) {
+  return Number(adapter.getAttribute(node, 'aria-rowindex')) - 1;
+}
+
+function renderedIndexes(container) {
+  const viewport = container.childNodes[container.childNodes.length - 1].childNodes[0];
+  return viewport.childNodes
+    .filter(node => node.tagName === 'LI')
+    .map(rowIndexOf);
+}
+
+
+const li = (item) => {
+  const el = adapter.createElement('li');
+  adapter.setTextContent(el, item.name);
+  return el;
+};
+
+describe('virtualList() measured rows', () => {
+  beforeEach(() => {
+    FakeResizeObserver.instances = [];
+    globalThis.ResizeObserver = FakeResizeObserver;
+  });
+
+  afterEach(() => {
+    delete globalThis.ResizeObserver;
+  });
+
+  test('throws if estimatedItemSize is not positive', () => {
+    assert.throws(() => {
+      virtualList(() => generateItems(5), li, (item) => item.id, { estimatedItemSize: 0 });
+    }, /estimatedItemSize/);
+  });
+
+  test('uses estimates until rows are measured', () => {
+    const items = pulse(generateItems(100));
+    const container = virtualList(() => items.get(), li, (item) => item.id, {
+      estimatedItemSize: 50, containerHeight: 400, overscan: 0
+    });
+    const spacer = container.childNodes[0];
+
+    assert.strictEqual(spacer.style.height, '5000px');
+    assert.deepStrictEqual(renderedIndexes(container), [0, 1, 2, 3, 4, 5, 6, 7]);
+
+    adapter.flushMicrotasks();
+    FakeResizeObserver.resize({ 0: 100, 1: 100 });
+
+    assert.strictEqual(spacer.style.height, '5100px');
+    assert.deepStrictEqual(renderedIndexes(container), [0, 1, 2, 3, 4, 5]);
+  });
+
+  test('accepts a per-item estimate function', () => {
+    const container = virtualList(() => generateItems(10), li, (item) => item.id, {
+      estimatedItemSize: (item, index) => (index % 2 === 0 ? 20 : 40)
+    });
+
+    assert.strictEqual(container.childNodes[0].style.height, '300px');
+  });
+
+  test('only observes rendered rows', () => {
+    const container = virtualList(() => generateItems(100), li, (item) => item.id, {
+      estimatedItemSize: 50, containerHeight: 400, overscan: 0
+    });
+    adapter.flushMicrotasks();
+    assert.strictEqual(FakeResizeObserver.instances[0].targets.size, 8);
+
+    container.scrollToIndex(50);
+    adapter.flushMicrotasks();
+    const observed = [...FakeResizeObserver.instances[0].targets].map(rowIndexOf);
+    assert.deepStrictEqual(observed.sort((a, b) => a - b), [50, 51, 52, 53, 54, 55, 56, 57]);
+
+    container._dispose();
+    assert.strictEqual(FakeResizeObserver.instances[0].targets.size, 0);
+  });
+
+  test('scrollToIndex is corrected as rows above the target are measured', () => {
+    const container = virtualList(() => generateItems(100), li, (item) => item.id, {
+      estimatedItemSize: 50, containerHeight: 400, overscan: 5
+    });
+
+    container.scrollToIndex(20);
+    assert.strictEqual(container.scrollTop, 1000);
+
+    adapter.flushMicrotasks();
+    FakeResizeObserver.resize({ 15: 80, 16: 80 });
+    assert.strictEqual(container.scrollTop, 1060);
+  });
+});
+
+describe('virtualList() scroll anchoring', () => {
+  test('keeps the first visible item in place when items are prepended', () => {
+    const items = pulse(generateItems(50));
+    const container = virtualList(() => items.get(), li, (item) => item.id, {
+      itemHeight: 40, containerHeight: 400
+    });
+
+    container.scrollToIndex(10);
+    assert.strictEqual(container.scrollTop, 400);
+
+    const older = Array.from({ length: 5 }, (_, i) => ({ id: `old-${i}`, name: `Old ${i}` }));
+    items.set([...older, ...items.get()]);
+
+    assert.strictEqual(container.scrollTop, 600);
+  });
+
+  test('keeps the offset within a partially scrolled row', async () => {
+    const items = pulse(generateItems(50));
+    const container = virtualList(() => items.get(), li, (item) => item.id, {
+      itemHeight: 40, containerHeight: 400
+    });
+
+    container.scrollToIndex(10);
+    container.scrollTop = 415;
+    container._eventListeners.get('scroll')[0].handler({ type: 'scroll' });
+    await new Promise(r => setTimeout(r, 0)); // rAF falls back to setTimeout
+
+    items.set([{ id: 'new', name: 'New' }, ...items.get()]);
+    assert.strictEqual(container.scrollTop, 455);
+  });
+
+  test('anchor: false leaves the scroll position alone', () => {
+    const items = pulse(generateItems(50));
+    const container = virtualList(() => items.get(), li, (item) => item.id, {
+      itemHeight: 40, containerHeight: 400, anchor: false
+    });
+
+    container.scrollToIndex(10);
+    items.set([{ id: 'new', name: 'New' }, ...items.get()]);
+
+    assert.strictEqual(container.scrollTop, 400);
+  });
+});
+
+describe('virtualList() scrollToIndex align=auto', () => {
+  test('does not scroll when the item is already visible', () => {
+    const container = virtualList(() => generateItems(100), li, (item) => item.id, {
+      itemHeight: 40, containerHeight: 400
+    });
+
+    container.scrollToIndex(20);
+    container.scrollToIndex(25, { align: 'auto' });
+    assert.strictEqual(container.scrollTop, 800);
+  });
+
+  test('scrolls the least distance to reveal the item', () => {
+    const container = virtualList(() => generateItems(100), li, (item) => item.id, {
+      itemHeight: 40, containerHeight: 400
+    });
+
+    container.scrollToIndex(20);
+    container.scrollToIndex(40, { align: 'auto' });
+    assert.strictEqual(container.scrollTop, 41 * 40 - 400);
+
+    container.scrollToIndex(5, { align: 'auto' });
+    assert.strictEqual(container.scrollTop, 200);
+  });
+});
+
+describe('virtualList() grid layout', () => {
+  test('virtualizes rows of several columns', () => {
+    const container = virtualList(() => generateItems(30), li, (item) => item.id, {
+      itemHeight: 100, containerHeight: 300, columns: 3, overscan: 0
+    });
+    const spacer = container.childNodes[0];
+    const viewport = spacer.childNodes[0];
+
+    assert.strictEqual(spacer.style.height, '1000px');
+    assert.strictEqual(viewport.style.display, 'grid');
+    assert.deepStrictEqual(renderedIndexes(container), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+
+    container.scrollToIndex(7);
+    assert.strictEqual(container.scrollTop, 200);
+    assert.deepStrictEqual(renderedIndexes(container), [6, 7, 8, 9, 10, 11, 12, 13, 14]);
+  });
+});
+
+describe('virtualList() horizontal', () => {
+  test('scrolls and sizes along the x axis', () => {
+    const container = virtualList(() => generateItems(20), li, (item) => item.id, {
+      itemSize: 100, containerWidth: 300, containerHeight: 120, horizontal: true, overscan: 0
+    });
+    const spacer = container.childNodes[0];
+    const viewport = spacer.childNodes[0];
+
+    assert.strictEqual(spacer.style.width, '2000px');
+    assert.strictEqual(container.style.width, '300px');
+
+    container.scrollToIndex(5);
+    assert.strictEqual(container.scrollLeft, 500);
+    assert.strictEqual(viewport.style.left, '500px');
+    assert.deepStrictEqual(renderedIndexes(container), [5, 6, 7]);
+  });
+});
+
+describe('virtualList() group headers', () => {
+  const people = [
+    { id: 1, name: 'Ada', team: 'A' },
+    { id: 2, name: 'Alan', team: 'A' },
+    { id: 3, name: 'Bob', team: 'B' },
+    { id: 4, name: 'Barbara', team: 'B' },
+    { id: 5, name: 'Brian', team: 'B' }
+  ];
+
+  const header = (team) => {
+    const el = adapter.createElement('h3');
+    adapter.setTextContent(el, `Team ${team}`);
+    return el;
+  };
+
+  test('renders a header row before each group', () => {
+    const container = virtualList(() => people, li, (item) => item.id, {
+      itemHeight: 40, headerSize: 30, containerHeight: 400, groupBy: (p) => p.team, groupHeader: header
+    });
+    const spacer = container.childNodes[1];
+    const viewport = spacer.childNodes[0];
+
+    assert.strictEqual(spacer.style.height, `${2 * 30 + 5 * 40}px`);
+    assert.deepStrictEqual(
+      viewport.childNodes.filter(n => n.tagName).map(n => n.textContent),
+      ['Team A', 'Ada', 'Alan', 'Team B', 'Bob', 'Barbara', 'Brian']
+    );
+  });
+
+  test('pins the header of the group in view', () => {
+    const container = virtualList(() => people, li, (item) => item.id, {
+      itemHeight: 40, headerSize: 30, containerHeight: 100, groupBy: (p) => p.team, groupHeader: header
+    });
+    const sticky = container.childNodes[0];
+
+    assert.strictEqual(sticky.style.position, 'sticky');
+    assert.strictEqual(sticky.childNodes[0].textContent, 'Team A');
+
+    // Start alignment leaves room for the pinned header
+    container.scrollToIndex(3);
+    assert.strictEqual(container.scrollTop, 30 + 80 + 30 + 40 - 30);
+    assert.strictEqual(sticky.childNodes.length, 1);
+    assert.strictEqual(sticky.childNodes[0].textContent, 'Team B');
+  });
+
+  test('headers span the full row in a grid', () => {
+    const container = virtualList(() => people, li, (item) => item.id, {
+      itemHeight: 40, columns: 2, groupBy: (p) => p.team, groupHeader: header, stickyHeaders: false
+    });
+    const spacer = container.childNodes[0];
+    const headers = spacer.childNodes[0].childNodes.filter(n => n.tagName === 'H3');
+
+    // A: header + 1 row, B: header + 2 rows
+    assert.strictEqual(spacer.style.height, `${5 * 40}px`);
+    assert.strictEqual(headers[0].style['grid-column'] ?? headers[0].style.gridColumn, '1 / -1');
+  });
+});
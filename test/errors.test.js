@@ -371,6 +371,15 @@ line 5`;
       assert.ok(error.message.includes('5000'), 'Should include timeout');
     });
 
+    test('Errors.invalidRouteInput creates RouterError with field errors', () => {
+      const errors = { params: { id: 'Must be a number' }, query: {} };
+      const error = Errors.invalidRouteInput('/users/abc', errors);
+      assert.ok(error instanceof RouterError, 'Should be RouterError');
+      assert.strictEqual(error.code, 'ROUTE_VALIDATION');
+      assert.strictEqual(error.errors, errors);
+      assert.ok(error.message.includes('params.id'), 'Should list invalid fields');
+    });
+
     test('Errors.persistError creates StoreError', () => {
       const error = Errors.persistError('save', new Error('Quota exceeded'));
       assert.ok(error instanceof StoreError, 'Should be StoreError');
@@ -0,0 +1,272 @@
+/**
+ * Pulse Form Schema Adapter Tests
+ *
+ * Tests for runtime/form-schema.js - validateJsonSchema, JSON Schema and
+ * Standard Schema support in useForm
+ *
+ * @module test/form-schema
+ */
+
+import { useForm, validateJsonSchema } from '../runtime/form.js';
+import { isJsonSchema, isStandardSchema } from '../runtime/form-schema.js';
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Minimal Standard Schema validator (same shape as Zod/Valibot/ArkType expose)
+ */
+function createStandardSchema(check, { async = false } = {}) {
+  return {
+    '~standard': {
+      version: 1,
+      vendor: 'test',
+      validate: (value) => {
+        const issues = check(value);
+        const result = issues.length > 0 ? { issues } : { value };
+        return async ? Promise.resolve(result) : result;
+      }
+    }
+  };
+}
+
+const addressSchema = {
+  type: 'object',
+  required: ['country', 'email'],
+  properties: {
+    country: { type: 'string', enum: ['US', 'FR'] },
+    zip: { type: 'string', pattern: '^\\d{5}$', errorMessage: { pattern: 'ZIP must be 5 digits' } },
+    email: { type: 'string', format: 'email' },
+    age: { type: 'integer', minimum: 18 },
+    address: { $ref: '#/$defs/address' }
+  },
+  $defs: {
+    address: {
+      type: 'object',
+      required: ['city'],
+      properties: { city: { type: 'string', minLength: 2 } }
+    }
+  },
+  if: { properties: { country: { const: 'US' } } },
+  then: { required: ['zip'] }
+};
+
+// =============================================================================
+// validateJsonSchema Tests
+// =============================================================================
+
+describe('validateJsonSchema Tests', () => {
+  test('reports the first error per path', () => {
+    const { valid, errors } = validateJsonSchema(addressSchema, {
+      country: 'US',
+      email: 'nope',
+      age: 12.5,
+      address: {}
+    });
+
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors, {
+      email: 'Invalid email address',
+      age: 'Must be an integer',
+      'address.city': 'This field is required',
+      zip: 'This field is required'
+    });
+  });
+
+  test('applies if/then/else conditionals', () => {
+    const base = { email: 'a@b.co', address: { city: 'Paris' } };
+
+    assert.strictEqual(validateJsonSchema(addressSchema, { ...base, country: 'FR' }).valid, true);
+    assert.deepStrictEqual(
+      validateJsonSchema(addressSchema, { ...base, country: 'US', zip: '123' }).errors,
+      { zip: 'ZIP must be 5 digits' }
+    );
+  });
+
+  test('validates array items with indexed paths', () => {
+    const schema = {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', required: ['sku'], properties: { qty: { type: 'number', maximum: 10 } } }
+    };
+
+    assert.deepStrictEqual(validateJsonSchema(schema, [{ sku: 'a', qty: 3 }, { qty: 20 }]).errors, {
+      '[1].sku': 'This field is required',
+      '[1].qty': 'Must be at most 10'
+    });
+    assert.deepStrictEqual(validateJsonSchema(schema, []).errors, { '': 'Must have at least 1 items' });
+  });
+
+  test('supports combinators and additionalProperties', () => {
+    const schema = {
+      type: 'object',
+      properties: { contact: { anyOf: [{ type: 'string', format: 'email' }, { type: 'string', pattern: '^\\+' }] } },
+      additionalProperties: false
+    };
+
+    assert.deepStrictEqual(validateJsonSchema(schema, { contact: 'x', extra: 1 }).errors, {
+      contact: 'Does not match any allowed schema',
+      extra: 'Unknown field'
+    });
+    assert.strictEqual(validateJsonSchema(schema, { contact: '+33100' }).valid, true);
+  });
+
+  test('coerce and emptyAsMissing options handle form input strings', () => {
+    const schema = { type: 'object', required: ['name'], properties: { age: { type: 'number', minimum: 1 } } };
+
+    assert.deepStrictEqual(validateJsonSchema(schema, { name: '', age: '3' }).errors, { age: 'Must be a number' });
+    assert.deepStrictEqual(
+      validateJsonSchema(schema, { name: '', age: '3' }, { emptyAsMissing: true, coerce: true }).errors,
+      { name: 'This field is required' }
+    );
+  });
+
+  test('throws on remote $ref', () => {
+    assert.throws(
+      () => validateJsonSchema({ $ref: 'https://example.com/schema.json' }, {}),
+      /only local references/
+    );
+  });
+});
+
+// =============================================================================
+// Schema Detection Tests
+// =============================================================================
+
+describe('Schema Detection Tests', () => {
+  test('distinguishes JSON Schema from a validators map', () => {
+    assert.strictEqual(isJsonSchema(addressSchema), true);
+    assert.strictEqual(isJsonSchema({ properties: [{ validate: () => true }] }), false);
+    assert.strictEqual(isJsonSchema({ email: [{ validate: () => true }] }), false);
+    assert.strictEqual(isJsonSchema({}), false);
+  });
+
+  test('detects Standard Schema validators', () => {
+    assert.strictEqual(isStandardSchema(createStandardSchema(() => [])), true);
+    assert.strictEqual(isStandardSchema({ validate: () => true }), false);
+  });
+});
+
+// =============================================================================
+// useForm with Schemas Tests
+// =============================================================================
+
+describe('useForm with Schemas Tests', () => {
+  test('JSON Schema errors are mapped onto fields', async () => {
+    const form = useForm(
+      { country: 'US', zip: '', email: '', address: { city: 'P' } },
+      addressSchema
+    );
+
+    const valid = await form.validateAll();
+
+    assert.strictEqual(valid, false);
+    assert.strictEqual(form.fields.zip.error.get(), 'This field is required');
+    assert.strictEqual(form.fields.email.error.get(), 'This field is required');
+    assert.strictEqual(form.fields.address.error.get(), 'Must be at least 2 characters');
+  });
+
+  test('JSON Schema validates coerced input values', () => {
+    const form = useForm({ age: '' }, { type: 'object', properties: { age: { type: 'integer', minimum: 18 } } });
+
+    form.fields.age.onChange('12');
+    assert.strictEqual(form.fields.age.validateSync(), false);
+    assert.strictEqual(form.fields.age.error.get(), 'Must be at least 18');
+
+    form.fields.age.onChange('21');
+    assert.strictEqual(form.fields.age.validateSync(), true);
+    assert.strictEqual(form.fields.age.error.get(), null);
+  });
+
+  test('onChange clears the sync error like other validators', () => {
+    const form = useForm({ age: '12' }, { type: 'object', properties: { age: { type: 'integer', minimum: 18 } } });
+
+    form.fields.age.validateSync();
+    assert.strictEqual(form.fields.age.error.get(), 'Must be at least 18');
+
+    form.fields.age.onChange('13');
+    assert.strictEqual(form.fields.age.error.get(), null);
+  });
+
+  test('schema errors outside any field become formError', async () => {
+    const form = useForm({ password: 'a', confirm: 'b' }, {
+      type: 'object',
+      not: { required: ['password', 'confirm'], properties: { password: { const: 'a' } } },
+      errorMessage: { not: 'Choose another password' }
+    });
+
+    assert.strictEqual(await form.validateAll(), false);
+    assert.strictEqual(form.formError.get(), 'Choose another password');
+  });
+
+  test('custom validate option is merged with schema form errors', async () => {
+    const form = useForm(
+      { start: 5, end: 1 },
+      { type: 'object', properties: { start: { type: 'number' }, end: { type: 'number' } } },
+      { validate: (values) => (values.end < values.start ? { end: 'End must be after start' } : {}) }
+    );
+
+    assert.strictEqual(await form.validateAll(), false);
+    assert.strictEqual(form.fields.end.error.get(), 'End must be after start');
+  });
+
+  test('Standard Schema issues are mapped by path', async () => {
+    const schema = createStandardSchema((value) => {
+      const issues = [];
+      if (value.name.length < 2) issues.push({ message: 'Too short', path: ['name'] });
+      value.tags.forEach((tag, i) => {
+        if (!tag) issues.push({ message: 'Empty tag', path: [{ key: 'tags' }, { key: i }] });
+      });
+      return issues;
+    });
+    const form = useForm({ name: 'a', tags: ['x', ''] }, schema);
+
+    assert.strictEqual(await form.validateAll(), false);
+    assert.strictEqual(form.fields.name.error.get(), 'Too short');
+    assert.strictEqual(form.fields.tags.error.get(), 'Empty tag');
+
+    form.setValues({ name: 'abc', tags: ['x'] });
+    assert.strictEqual(await form.validateAll(), true);
+  });
+
+  test('Standard Schema runs once per set of values during validateAll', async () => {
+    let calls = 0;
+    const schema = createStandardSchema(() => {
+      calls++;
+      return [];
+    });
+    const form = useForm({ a: 'x', b: 'y', c: 'z' }, schema);
+    form.setValues({ a: 'w' });
+    calls = 0;
+
+    await form.validateAll();
+
+    assert.strictEqual(calls, 1);
+  });
+
+  test('async Standard Schema validators use async field validation', async () => {
+    const schema = createStandardSchema(
+      (value) => (value.username ? [] : [{ message: 'Required', path: ['username'] }]),
+      { async: true }
+    );
+    const form = useForm({ username: 'taken' }, schema);
+
+    form.fields.username.onChange('');
+    assert.strictEqual(form.fields.username.validating.get(), true);
+
+    await sleep(350);
+    assert.strictEqual(form.fields.username.error.get(), 'Required');
+    assert.strictEqual(form.fields.username.validating.get(), false);
+  });
+
+  test('validators map still works unchanged', async () => {
+    const form = useForm({ properties: '' }, {
+      properties: [{ validate: (v) => (v ? true : 'Needed') }]
+    });
+
+    assert.strictEqual(await form.validateAll(), false);
+    assert.strictEqual(form.fields.properties.error.get(), 'Needed');
+  });
+});
@@ -7,6 +7,7 @@
  *   #32 - Cross-field and form-level validation (formError, validate option)
  *   #34 - File upload support (useFileField)
  *   #36 - Form draft persistence (persist option)
+ *   Server error mapping (setErrors paths, submitWith)
  *
  * @module test/form-v2
  */
@@ -14,11 +15,17 @@
 import {
   useForm,
   useField,
+  useFieldArray,
   useFileField,
   validators
 } from '../runtime/form.js';
+import {
+  registerAction,
+  clearActionRegistry
+} from '../runtime/server-components/actions.js';
 
 import { effect } from '../runtime/pulse.js';
+import { createHttp } from '../runtime/http.js';
 
 import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
@@ -1202,6 +1209,120 @@ describe('File Upload Field (#34)', () => {
       field.dispose();
     });
   });
+
+  describe('upload', () => {
+    const originalFetch = globalThis.fetch;
+    let requests;
+
+    /**
+     * fetch mock honoring abort signals; handler(count) returns a Response or a promise
+     */
+    function mockUploadFetch(handler = () => new Response('{"ok":true}')) {
+      requests = [];
+      globalThis.fetch = (url, options) => new Promise((resolve, reject) => {
+        requests.push({ url, range: options.headers.get('Content-Range') });
+        options.signal.addEventListener('abort', () => {
+          const error = new Error('Aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+        Promise.resolve(handler(requests.length)).then(resolve, reject);
+      });
+    }
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    function selectFiles(field, files) {
+      field.onChange({ target: { files: createMockFileList(files) } });
+    }
+
+    test('uploads each file and tracks overall progress', async () => {
+      mockUploadFetch();
+      const field = useFileField({ multiple: true });
+      selectFiles(field, [new File(['abcd'], 'a.txt'), new File(['efghijkl'], 'b.txt')]);
+      const progress = [];
+      effect(() => progress.push(field.uploadProgress.get()));
+
+      const responses = await field.upload((file) => `https://api.test.com/files/${file.name}`, {
+        client: createHttp()
+      });
+
+      assert.strictEqual(responses.length, 2);
+      assert.deepStrictEqual(requests.map(r => r.url), [
+        'https://api.test.com/files/a.txt',
+        'https://api.test.com/files/b.txt'
+      ]);
+      assert.strictEqual(field.uploadStatus.get(), 'done');
+      assert.deepStrictEqual(progress, [0, 4 / 12, 1]);
+      field.dispose();
+    });
+
+    test('uploads with the shared http client when no client is given', async () => {
+      mockUploadFetch();
+      const field = useFileField();
+      selectFiles(field, [new File(['abc'], 'a.txt')]);
+
+      const responses = await field.upload('https://api.test.com/upload');
+
+      assert.strictEqual(responses.length, 1);
+      assert.deepStrictEqual(requests.map(r => r.url), ['https://api.test.com/upload']);
+      assert.strictEqual(field.uploadStatus.get(), 'done');
+      field.dispose();
+    });
+
+    test('pauseUpload() and resumeUpload() continue chunked uploads', async () => {
+      mockUploadFetch((count) => count === 2 ? new Promise(() => {}) : new Response('{}'));
+      const field = useFileField();
+      selectFiles(field, [new File(['0123456789'], 'big.bin')]);
+
+      const first = field.upload('https://api.test.com/upload', { client: createHttp(), chunkSize: 5 });
+      await sleep(10);
+      field.pauseUpload();
+
+      assert.strictEqual(await first, null);
+      assert.strictEqual(field.uploadStatus.get(), 'paused');
+      assert.strictEqual(field.uploadProgress.get(), 0.5);
+
+      const responses = await field.resumeUpload();
+
+      assert.strictEqual(responses.length, 1);
+      assert.strictEqual(field.uploadStatus.get(), 'done');
+      assert.deepStrictEqual(requests.map(r => r.range), ['bytes 0-4/10', 'bytes 5-9/10', 'bytes 5-9/10']);
+      field.dispose();
+    });
+
+    test('failed uploads set uploadError and can be resumed', async () => {
+      mockUploadFetch((count) => new Response('{}', { status: count === 1 ? 503 : 200 }));
+      const field = useFileField();
+      selectFiles(field, [new File(['abc'], 'a.txt')]);
+
+      await assert.rejects(field.upload('https://api.test.com/upload', { client: createHttp() }), { status: 503 });
+      assert.strictEqual(field.uploadStatus.get(), 'error');
+      assert.strictEqual(field.uploadError.get().status, 503);
+
+      await field.resumeUpload();
+      assert.strictEqual(field.uploadStatus.get(), 'done');
+      assert.strictEqual(field.uploadError.get(), null);
+      field.dispose();
+    });
+
+    test('cancelUpload() aborts the request', async () => {
+      mockUploadFetch(() => new Promise(() => {}));
+      const field = useFileField();
+      selectFiles(field, [new File(['abc'], 'a.txt')]);
+
+      const pending = field.upload('https://api.test.com/upload', { client: createHttp() });
+      await sleep(10);
+      field.cancelUpload();
+
+      assert.strictEqual(await pending, null);
+      assert.strictEqual(field.uploadStatus.get(), 'cancelled');
+      assert.strictEqual(await field.resumeUpload(), null);
+      field.dispose();
+    });
+  });
 });
 
 // =============================================================================
@@ -1522,3 +1643,168 @@ describe('Form Draft Persistence (#36)', () => {
     form2.dispose();
   });
 });
+
+// =============================================================================
+// Server Error Mapping (setErrors paths, submitWith)
+// =============================================================================
+
+describe('Server Error Mapping', () => {
+
+  test('setErrors maps dotted paths onto the top-level field', () => {
+    const form = useForm({ address: { city: '' }, email: '' });
+
+    const unmatched = form.setErrors({ 'address.city': 'Unknown city', email: 'Taken' });
+
+    assert.deepStrictEqual(unmatched, {});
+    assert.strictEqual(form.fields.address.error.get(), 'Unknown city');
+    assert.strictEqual(form.fields.email.error.get(), 'Taken');
+  });
+
+  test('setErrors targets useFieldArray rows by index', () => {
+    const items = useFieldArray(['a', 'b', 'c']);
+    const form = useForm({ items: [] }, {}, { fieldArrays: { items } });
+
+    form.setErrors({ 'items[1]': 'Out of stock', 'items.2.qty': 'Too many' });
+
+    const rows = items.fields.get();
+    assert.strictEqual(rows[0].error.get(), null);
+    assert.strictEqual(rows[1].error.get(), 'Out of stock');
+    assert.strictEqual(rows[2].error.get(), 'Too many');
+  });
+
+  test('setErrors returns unmatched paths and keeps the first message per field', () => {
+    const form = useForm({ address: { city: '', zip: '' } });
+
+    const unmatched = form.setErrors({
+      'address.city': 'Bad city',
+      'address.zip': 'Bad zip',
+      'billing.vat': 'Invalid VAT'
+    });
+
+    assert.strictEqual(form.fields.address.error.get(), 'Bad city');
+    assert.deepStrictEqual(unmatched, { 'billing.vat': 'Invalid VAT' });
+  });
+
+  test('clearErrors clears field array row errors', () => {
+    const items = useFieldArray(['a']);
+    const form = useForm({ items: [] }, {}, { fieldArrays: { items } });
+
+    form.setErrors({ 'items[0]': 'Bad' });
+    form.clearErrors();
+
+    assert.strictEqual(items.fields.get()[0].error.get(), null);
+  });
+
+  test('submitWith maps a thrown { errors } onto fields and formError', async () => {
+    let received = null;
+    const form = useForm(
+      { email: 'a@b.c', name: 'x' },
+      {},
+      { onError: (errors) => { received = errors; } }
+    );
+
+    const submit = form.submitWith(async () => {
+      const error = new Error('Validation failed');
+      error.errors = { email: ['Already registered', 'Too short'], _form: 'Please fix the errors' };
+      throw error;
+    });
+
+    const ok = await submit();
+
+    assert.strictEqual(ok, false);
+    assert.strictEqual(form.fields.email.error.get(), 'Already registered');
+    assert.strictEqual(form.formError.get(), 'Please fix the errors');
+    assert.strictEqual(form.submitError.get(), null);
+    assert.strictEqual(received.email, 'Already registered');
+    assert.strictEqual(form.isSubmitting.get(), false);
+  });
+
+  test('submitWith does not treat AggregateError#errors as field errors', async () => {
+    const form = useForm({ email: 'a@b.c' });
+
+    const submit = form.submitWith(async () => {
+      throw new AggregateError([new Error('First'), new Error('Second')], 'Several requests failed');
+    });
+
+    assert.strictEqual(await submit(), false);
+    assert.strictEqual(form.submitError.get(), 'Several requests failed');
+    assert.strictEqual(form.fields.email.error.get(), null);
+    assert.strictEqual(form.formError.get(), null);
+  });
+
+  test('submitWith treats an { errors } result as a validation failure', async () => {
+    let succeeded = false;
+    const form = useForm({ email: '' });
+
+    const submit = form.submitWith(
+      async () => ({ errors: { unknownField: 'Server says no' } }),
+      { onSuccess: () => { succeeded = true; } }
+    );
+
+    assert.strictEqual(await submit(), false);
+    assert.strictEqual(succeeded, false);
+    // Errors that match no field fall back to the form-level error
+    assert.strictEqual(form.formError.get(), 'Server says no');
+  });
+
+  test('submitWith sanitizes server messages', async () => {
+    const form = useForm({ name: '' });
+
+    await form.submitWith(async () => ({ errors: { name: '<img src=x onerror=alert(1)>' } }))();
+
+    assert.ok(!form.fields.name.error.get().includes('<img'));
+  });
+
+  test('submitWith passes transformed values and calls onSuccess', async () => {
+    let sent = null;
+    let success = null;
+    const form = useForm({ email: 'a@b.c' });
+
+    const submit = form.submitWith(
+      async (input) => { sent = input; return { id: 1 }; },
+      {
+        transform: (values) => ({ user: values }),
+        onSuccess: (result, values) => { success = { result, values }; }
+      }
+    );
+
+    assert.strictEqual(await submit(), true);
+    assert.deepStrictEqual(sent, { user: { email: 'a@b.c' } });
+    assert.deepStrictEqual(success, { result: { id: 1 }, values: { email: 'a@b.c' } });
+  });
+
+  test('submitWith keeps submitError for non-validation failures', async () => {
+    const form = useForm({ email: '' });
+
+    await form.submitWith(async () => { throw new Error('Network down'); })();
+
+    assert.strictEqual(form.submitError.get(), 'Network down');
+    assert.strictEqual(form.fields.email.error.get(), null);
+  });
+
+  test('submitWith invokes a registered server action by ID', async () => {
+    const originalFetch = globalThis.fetch;
+    clearActionRegistry();
+    registerAction('SignupForm$register');
+    globalThis.fetch = async () => ({
+      ok: false,
+      status: 422,
+      statusText: 'Unprocessable Entity',
+      headers: new Map(),
+      json: async () => ({ message: 'Validation failed', errors: { email: 'Already registered' } })
+    });
+
+    try {
+      const items = useFieldArray(['x']);
+      const form = useForm({ email: 'a@b.c', items: [] }, {}, { fieldArrays: { items } });
+
+      const ok = await form.submitWith('SignupForm$register')();
+
+      assert.strictEqual(ok, false);
+      assert.strictEqual(form.fields.email.error.get(), 'Already registered');
+    } finally {
+      globalThis.fetch = originalFetch;
+      clearActionRegistry();
+    }
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * Pulse Form Management Tests
  *
- * Tests for runtime/form.js - useForm, useField, useFieldArray, validators
+ * Tests for runtime/form.js - useForm, useField, useFieldArray, useFormWizard, validators
  *
  * @module test/form
  */
@@ -10,10 +10,12 @@ import {
   useForm,
   useField,
   useFieldArray,
+  useFormWizard,
   validators
 } from '../runtime/form.js';
 
 import { effect } from '../runtime/pulse.js';
+import { createMemoryAdapter } from '../runtime/persistence.js';
 
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
@@ -877,3 +879,185 @@ describe('Async useForm Tests', () => {
     assert.strictEqual(fields.email.error.get(), 'This field is required');
   });
 });
+
+// =============================================================================
+// Form Wizard Tests
+// =============================================================================
+
+describe('Form Wizard Tests', () => {
+  const onboardingSteps = [
+    { id: 'account', fields: ['name', 'email'] },
+    { id: 'plan', fields: ['plan'] },
+    { id: 'billing', fields: ['card'] }
+  ];
+  const onboardingValues = { name: '', email: '', plan: 'free', card: '' };
+  const onboardingRules = {
+    name: [validators.required()],
+    email: [validators.email()],
+    card: [validators.required()]
+  };
+
+  test('next() validates only the current step', async () => {
+    const wizard = useFormWizard(onboardingValues, onboardingSteps, { validationSchema: onboardingRules });
+
+    assert.strictEqual(await wizard.next(), false);
+    assert.strictEqual(wizard.currentStep.get(), 0);
+    assert.deepStrictEqual(wizard.errors.get(), { name: 'This field is required' });
+
+    wizard.fields.name.onChange('Ada');
+    assert.strictEqual(await wizard.next(), true);
+    assert.strictEqual(wizard.currentStep.get(), 1);
+    assert.strictEqual(wizard.step.get().id, 'plan');
+    assert.strictEqual(wizard.fields.card.error.get(), null);
+    assert.deepStrictEqual(wizard.completedSteps.get(), ['account']);
+  });
+
+  test('back() never validates and progress is reactive', async () => {
+    const wizard = useFormWizard({ ...onboardingValues, name: 'Ada' }, onboardingSteps);
+    const seen = [];
+    effect(() => { seen.push(wizard.progress.get()); });
+
+    assert.strictEqual(wizard.back(), false);
+    await wizard.next();
+    await wizard.next();
+
+    assert.strictEqual(wizard.isLast.get(), true);
+    assert.strictEqual(wizard.back(), true);
+    assert.strictEqual(wizard.isFirst.get(), false);
+    assert.deepStrictEqual(seen, [1 / 3, 2 / 3, 1, 2 / 3]);
+  });
+
+  test('goTo() forward stops at the first invalid step', async () => {
+    const wizard = useFormWizard(onboardingValues, onboardingSteps, { validationSchema: onboardingRules });
+
+    assert.strictEqual(await wizard.goTo('billing'), false);
+    assert.strictEqual(wizard.currentStep.get(), 0);
+
+    wizard.fields.name.onChange('Ada');
+    assert.strictEqual(await wizard.goTo('billing'), true);
+    assert.strictEqual(wizard.currentStep.get(), 2);
+
+    assert.strictEqual(await wizard.goTo(0), true);
+    assert.strictEqual(await wizard.goTo('missing'), false);
+  });
+
+  test('step-level validate sets cross-field errors', async () => {
+    const wizard = useFormWizard(
+      { password: 'secret1', confirm: 'secret2' },
+      [{
+        fields: ['password', 'confirm'],
+        validate: (values) => (values.password !== values.confirm ? { confirm: 'Passwords must match' } : null)
+      }]
+    );
+
+    assert.strictEqual(await wizard.next(), false);
+    assert.strictEqual(wizard.fields.confirm.error.get(), 'Passwords must match');
+  });
+
+  test('submit() validates every step and shows the first invalid one', async () => {
+    let submitted = null;
+    const wizard = useFormWizard(onboardingValues, onboardingSteps, {
+      validationSchema: onboardingRules,
+      onSubmit: (values) => { submitted = values; }
+    });
+
+    wizard.fields.name.onChange('Ada');
+    await wizard.goTo('billing');
+    wizard.fields.name.onChange('');
+
+    assert.strictEqual(await wizard.submit(), false);
+    assert.strictEqual(wizard.currentStep.get(), 0);
+    assert.strictEqual(submitted, null);
+
+    wizard.fields.name.onChange('Ada');
+    wizard.fields.card.onChange('4242');
+    assert.strictEqual(await wizard.submit(), true);
+    assert.strictEqual(submitted.card, '4242');
+  });
+
+  test('onStepChange is called with the step and index', async () => {
+    const changes = [];
+    const wizard = useFormWizard({ ...onboardingValues, name: 'Ada' }, onboardingSteps, {
+      onStepChange: (step, index) => changes.push(`${step.id}:${index}`)
+    });
+
+    await wizard.next();
+    wizard.back();
+
+    assert.deepStrictEqual(changes, ['plan:1', 'account:0']);
+  });
+
+  test('unknown step fields throw FORM_WIZARD_STEP', () => {
+    assert.throws(
+      () => useFormWizard({ name: '' }, [{ id: 'profile', fields: ['nickname'] }]),
+      (err) => err.code === 'FORM_WIZARD_STEP' && err.message.includes('nickname')
+    );
+  });
+
+  test('persist saves values and step and resumes the flow', async () => {
+    const adapter = createMemoryAdapter();
+    const persist = { adapter, key: 'onboarding', debounce: 0, exclude: ['card'] };
+
+    const first = useFormWizard(onboardingValues, onboardingSteps, { persist });
+    assert.strictEqual(await first.restored, false);
+
+    first.fields.name.onChange('Ada');
+    first.fields.card.onChange('4242');
+    await first.next();
+    await sleep(20);
+
+    assert.deepStrictEqual(await adapter.getItem('onboarding'), {
+      values: { name: 'Ada', email: '', plan: 'free' },
+      step: 1
+    });
+    assert.strictEqual(first.hasDraft.get(), true);
+    first.dispose();
+
+    const resumed = useFormWizard(onboardingValues, onboardingSteps, { persist });
+    assert.strictEqual(await resumed.restored, true);
+    assert.strictEqual(resumed.currentStep.get(), 1);
+    assert.strictEqual(resumed.fields.name.value.get(), 'Ada');
+    assert.strictEqual(resumed.fields.card.value.get(), '');
+    resumed.dispose();
+  });
+
+  test('restored draft keeps known fields, clamps the step and is cleared after submit', async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.setItem('pulse-form-wizard', { values: { name: 'Ada', extra: 1 }, step: 99 });
+
+    const wizard = useFormWizard({ name: '' }, [{ fields: ['name'] }], { persist: { adapter, debounce: 0 } });
+    assert.strictEqual(await wizard.restored, true);
+    assert.strictEqual(wizard.currentStep.get(), 0);
+    assert.deepStrictEqual(wizard.form.getValues(), { name: 'Ada' });
+
+    assert.strictEqual(await wizard.submit(), true);
+    assert.strictEqual(await adapter.getItem('pulse-form-wizard'), null);
+    assert.strictEqual(wizard.hasDraft.get(), false);
+    wizard.dispose();
+  });
+
+  test('persist accepts an adapter type', async () => {
+    const wizard = useFormWizard({ name: '' }, [{ fields: ['name'] }], {
+      persist: { adapter: 'memory', debounce: 0 }
+    });
+    assert.strictEqual(await wizard.restored, false);
+
+    wizard.fields.name.onChange('Ada');
+    await sleep(20);
+    assert.strictEqual(wizard.hasDraft.get(), true);
+    wizard.dispose();
+  });
+
+  test('an unknown adapter type disables drafts instead of throwing', async () => {
+    const wizard = useFormWizard({ name: '' }, [{ fields: ['name'] }], {
+      persist: { adapter: 'cookies', debounce: 0 }
+    });
+    assert.strictEqual(await wizard.restored, false);
+
+    wizard.fields.name.onChange('Ada');
+    await sleep(20);
+    assert.strictEqual(wizard.hasDraft.get(), false);
+    await wizard.clearDraft();
+    wizard.dispose();
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * GraphQL Codegen Tests
+ *
+ * Tests for cli/graphql.js - schema loading (SDL and introspection),
+ * document parsing, type generation and the codegen command
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+
+import {
+  parseSchema,
+  parseDocument,
+  extractPulseDocuments,
+  generateCode,
+  runCodegen
+} from '../cli/graphql.js';
+
+// ============================================================================
+// Test Helpers
+// ============================================================================
+
+// Project-local temp directory (see test/ssg.test.js)
+const __test_dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_TMP_BASE = join(__test_dirname, '.tmp-graphql-codegen');
+
+const SCHEMA = `
+"""The root query"""
+type Query {
+  user(id: ID!): User
+  search(term: String!, first: Int = 10): [SearchResult!]!
+  node(id: ID!): Node
+}
+
+type Mutation {
+  addTodo(input: TodoInput!): Todo!
+}
+
+type Subscription {
+  todoAdded: Todo!
+}
+
+interface Node {
+  id: ID!
+}
+
+type User implements Node {
+  id: ID!
+  name: String!
+  email: String
+  role: Role!
+  todos: [Todo!]!
+}
+
+type Todo implements Node {
+  id: ID!
+  title: String!
+  done: Boolean!
+  due: DateTime
+}
+
+union SearchResult = User | Todo
+
+enum Role { ADMIN MEMBER }
+
+scalar DateTime
+
+input TodoInput {
+  title: String!
+  tags: [String!]
+  meta: TodoMeta
+}
+
+input TodoMeta {
+  priority: Priority
+}
+
+enum Priority { LOW HIGH }
+
+directive @cached(ttl: Int) on FIELD_DEFINITION | OBJECT
+`;
+
+function generate(document, options) {
+  return generateCode(parseSchema(SCHEMA), parseDocument(document, 'test.graphql'), options);
+}
+
+// ============================================================================
+// Schema Tests
+// ============================================================================
+
+describe('parseSchema', () => {
+  test('parses SDL types, root types and interface implementations', () => {
+    const schema = parseSchema(SCHEMA);
+
+    assert.strictEqual(schema.queryType, 'Query');
+    assert.strictEqual(schema.mutationType, 'Mutation');
+    assert.strictEqual(schema.types.get('User').kind, 'OBJECT');
+    assert.deepStrictEqual(schema.types.get('Node').possibleTypes, ['User', 'Todo']);
+    assert.deepStrictEqual(schema.types.get('SearchResult').possibleTypes, ['User', 'Todo']);
+    assert.deepStrictEqual(schema.types.get('Role').values, ['ADMIN', 'MEMBER']);
+    assert.strictEqual(schema.types.get('TodoInput').fields.get('title').type.kind, 'NON_NULL');
+  });
+
+  test('reads introspection JSON', () => {
+    const named = (name, kind = 'SCALAR') => ({ kind, name, ofType: null });
+    const schema = parseSchema(JSON.stringify({
+      data: {
+        __schema: {
+          queryType: { name: 'Root' },
+          mutationType: null,
+          subscriptionType: null,
+          types: [
+            {
+              kind: 'OBJECT',
+              name: 'Root',
+              fields: [{ name: 'count', type: { kind: 'NON_NULL', name: null, ofType: named('Int') } }],
+              interfaces: []
+            },
+            { kind: 'OBJECT', name: '__Type', fields: [], interfaces: [] }
+          ]
+        }
+      }
+    }), 'schema.json');
+
+    assert.strictEqual(schema.queryType, 'Root');
+    assert.strictEqual(schema.types.has('__Type'), false);
+    assert.deepStrictEqual(schema.types.get('Root').fields.get('count').type, {
+      kind: 'NON_NULL',
+      ofType: { kind: 'NAMED', name: 'Int' }
+    });
+  });
+
+  test('reports syntax errors with a position', () => {
+    assert.throws(() => parseSchema('type Query {\n  user: \n}', 'schema.graphql'), /schema\.graphql:3:1/);
+  });
+});
+
+// ============================================================================
+// Document Tests
+// ============================================================================
+
+describe('parseDocument', () => {
+  test('parses operations, variables and fragments with their source', () => {
+    const { operations, fragments } = parseDocument(`
+      # Leading comment
+      query GetUser($id: ID!, $withEmail: Boolean = false) {
+        user(id: $id) { ...UserFields email @include(if: $withEmail) }
+      }
+      fragment UserFields on User { id name }
+    `);
+
+    assert.strictEqual(operations.length, 1);
+    assert.strictEqual(operations[0].name, 'GetUser');
+    assert.deepStrictEqual(operations[0].variables.map(v => [v.name, v.hasDefault]), [['id', false], ['withEmail', true]]);
+    assert.match(operations[0].source, /^query GetUser[\s\S]*\}$/);
+    assert.strictEqual(fragments[0].source, 'fragment UserFields on User { id name }');
+  });
+
+  test('rejects anonymous operations', () => {
+    assert.throws(() => parseDocument('{ user(id: 1) { id } }'), /Anonymous operations/);
+    assert.throws(() => parseDocument('query { user(id: 1) { id } }'), /Anonymous operations/);
+  });
+
+  test('extracts static GraphQL template literals from .pulse files', () => {
+    const source = [
+      '@page Todos',
+      'state { title: "Hello `world`" }',
+      'const q = `query Todos { search(term: "x") { __typename } }`',
+      'const dynamic = `query Dyn { user(id: ${id}) { id } }`',
+      'const text = `not graphql`'
+    ].join('\n');
+
+    assert.deepStrictEqual(extractPulseDocuments(source), [
+      'query Todos { search(term: "x") { __typename } }'
+    ]);
+  });
+});
+
+// ============================================================================
+// Type Generation Tests
+// ============================================================================
+
+describe('generateCode', () => {
+  test('types query results, variables and the wrapper hook', () => {
+    const { js, dts } = generate(`
+      query GetUser($id: ID!) {
+        user(id: $id) {
+          id
+          displayName: name
+          email
+          role
+          todos { title done due }
+        }
+      }
+    `, { scalars: { DateTime: 'string' } });
+
+    assert.ok(js.includes("import { useQuery } from 'pulse-js-framework/runtime/graphql';"));
+    assert.ok(js.includes('export const GetUserDocument = `query GetUser($id: ID!)'));
+    assert.ok(js.includes('export function useGetUserQuery(variables, options) {\n  return useQuery(GetUserDocument, variables, options);\n}'));
+
+    assert.ok(dts.includes("export type Role = 'ADMIN' | 'MEMBER';"));
+    assert.ok(dts.includes([
+      'export type GetUserQuery = {',
+      '  user: {',
+      '    id: string;',
+      '    displayName: string;',
+      '    email: string | null;',
+      '    role: Role;',
+      '    todos: Array<{',
+      '      title: string;',
+      '      done: boolean;',
+      '      due: string | null;',
+      '    }>;',
+      '  } | null;',
+      '};'
+    ].join('\n')));
+    assert.ok(dts.includes('export type GetUserQueryVariables = {\n  id: string;\n};'));
+    assert.ok(dts.includes('variables: GetUserQueryVariables | (() => GetUserQueryVariables),'));
+    assert.ok(dts.includes('options?: UseQueryOptions<GetUserQuery, TSelect>'));
+  });
+
+  test('abstract types become unions keyed by __typename', () => {
+    const { dts } = generate(`
+      query Search($term: String!) {
+        search(term: $term) {
+          __typename
+          ... on User { name }
+          ...TodoFields
+        }
+      }
+      fragment TodoFields on Todo { title }
+    `);
+
+    assert.ok(dts.includes([
+      'export type SearchQuery = {',
+      '  search: Array<{',
+      "    __typename: 'User';",
+      '    name: string;',
+      '  } | {',
+      "    __typename: 'Todo';",
+      '    title: string;',
+      '  }>;',
+      '};'
+    ].join('\n')));
+    assert.ok(dts.includes('export type TodoFieldsFragment = {\n  title: string;\n};'));
+  });
+
+  test('appends used fragments to the document', () => {
+    const { js } = generate(`
+      query Me { user(id: "me") { ...UserFields } }
+      fragment UserFields on User { id ...Named }
+      fragment Named on User { name }
+      fragment Unused on Todo { id }
+    `);
+
+    const document = js.slice(js.indexOf('MeDocument'), js.indexOf('export function'));
+    assert.ok(document.includes('fragment UserFields on User'));
+    assert.ok(document.includes('fragment Named on User'));
+    assert.ok(!document.includes('fragment Unused'));
+  });
+
+  test('mutations use useMutation and emit the input types they reference', () => {
+    const { js, dts } = generate(`
+      mutation AddTodo($input: TodoInput!) { addTodo(input: $input) { id } }
+    `);
+
+    assert.ok(js.includes('export function useAddTodoMutation(options) {\n  return useMutation(AddTodoDocument, options);\n}'));
+    assert.ok(dts.includes('export interface TodoInput {\n  title: string;\n  tags?: Array<string> | null;\n  meta?: TodoMeta | null;\n}'));
+    assert.ok(dts.includes('export interface TodoMeta {\n  priority?: Priority | null;\n}'));
+    assert.ok(dts.includes("export type Priority = 'LOW' | 'HIGH';"));
+    assert.ok(dts.includes('): UseMutationReturn<AddTodoMutation, AddTodoMutationVariables>;'));
+    assert.ok(!dts.includes('export type Role'), 'Unused enums are not emitted');
+  });
+
+  test('subscriptions, optional variables and conditional fields', () => {
+    const { js, dts } = generate(`
+      subscription OnTodoAdded { todoAdded { id title @skip(if: true) } }
+      query Find($term: String = "x", $first: Int) { search(term: $term, first: $first) { __typename } }
+    `);
+
+    assert.ok(js.includes('return useSubscription(OnTodoAddedDocument, variables, options);'));
+    assert.ok(dts.includes('title?: string;'));
+    assert.ok(dts.includes('export type OnTodoAddedSubscriptionVariables = Record<string, never>;'));
+    assert.ok(dts.includes('variables?: FindQueryVariables | (() => FindQueryVariables),'));
+    assert.ok(dts.includes('  term?: string | null;\n  first?: number | null;'));
+  });
+
+  test('does not repeat the operation suffix', () => {
+    const { dts } = generate('query UserQuery { user(id: 1) { id } }');
+    assert.ok(dts.includes('export type UserQuery = {'));
+    assert.ok(dts.includes('export declare function useUserQuery<'));
+  });
+
+  test('reports every invalid selection at once', () => {
+    assert.throws(
+      () => generate(`
+        query Bad { user(id: 1) { id nickname role { id } todos } }
+        query Bad { user(id: 1) { id } }
+      `),
+      (err) => {
+        assert.match(err.message, /query Bad: Unknown field "nickname" on type "User"/);
+        assert.match(err.message, /Field "User\.role" of type "Role" cannot have a selection set/);
+        assert.match(err.message, /Field "User\.todos" of type "Todo" must have a selection set/);
+        assert.match(err.message, /Duplicate operation name/);
+        return true;
+      }
+    );
+  });
+});
+
+// ============================================================================
+// runCodegen Tests
+// ============================================================================
+
+describe('runCodegen', () => {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(() => {
+    testDir = join(TEST_TMP_BASE, `test-${randomBytes(8).toString('hex')}`);
+    mkdirSync(join(testDir, 'src', 'pages'), { recursive: true });
+    originalCwd = process.cwd();
+    process.chdir(testDir);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('writes the module and declarations from .graphql and .pulse documents', () => {
+    writeFileSync('schema.graphql', SCHEMA);
+    writeFileSync('src/user.graphql', 'query GetUser($id: ID!) { user(id: $id) { ...UserFields } }');
+    writeFileSync('src/fragments.gql', 'fragment UserFields on User { id name }');
+    writeFileSync('src/pages/Todos.pulse', '@page Todos\nconst Q = `subscription TodoAdded { todoAdded { id } }`');
+
+    const result = runCodegen();
+
+    assert.strictEqual(result.operations, 2);
+    assert.strictEqual(result.fragments, 1);
+    assert.deepStrictEqual(result.files, [
+      join(testDir, 'src/graphql/generated.js'),
+      join(testDir, 'src/graphql/generated.d.ts')
+    ]);
+
+    const js = readFileSync('src/graphql/generated.js', 'utf-8');
+    assert.ok(js.startsWith('// Generated by `pulse graphql codegen`'));
+    assert.ok(js.includes('import { useQuery, useSubscription }'));
+    assert.ok(readFileSync('src/graphql/generated.d.ts', 'utf-8').includes('export type UserFieldsFragment'));
+  });
+
+  test('honours schema and output options and fails on a missing schema', () => {
+    writeFileSync('api.graphql', SCHEMA);
+    writeFileSync('src/q.graphql', 'query Ping { user(id: 1) { id } }');
+
+    runCodegen({ schema: 'api.graphql', documents: ['src'], output: 'out/api.js' });
+    assert.ok(existsSync('out/api.js'));
+    assert.ok(existsSync('out/api.d.ts'));
+
+    assert.throws(() => runCodegen({ schema: 'missing.graphql' }), /Schema not found: missing\.graphql/);
+  });
+});
@@ -17,7 +17,8 @@ import {
   setDefaultClient,
   getDefaultClient,
   generateCacheKey,
-  extractOperationName
+  extractOperationName,
+  getOperationType
 } from '../runtime/graphql.js';
 
 import { pulse, effect, computed, batch } from '../runtime/pulse.js';
@@ -189,6 +190,22 @@ describe('Cache Key Utility Coverage Tests', () => {
     const result = extractOperationName('{ user { id } }');
     assert.strictEqual(result, null, 'Should return null for shorthand query');
   });
+
+  test('extractOperationName skips comments, strings and fragments', () => {
+    const query = `# query Commented { a }
+      fragment UserFields on User { id }
+      query GetUser($note: String = "mutation Fake") { user { ...UserFields } }`;
+    assert.strictEqual(extractOperationName(query), 'GetUser');
+  });
+
+  test('getOperationType finds the operation named by operationName', () => {
+    const query = 'query ListUsers { users { id } } mutation DeleteUser { deleteUser(id: 1) }';
+    assert.strictEqual(getOperationType(query, 'ListUsers'), 'query');
+    assert.strictEqual(getOperationType(query, 'DeleteUser'), 'mutation');
+    assert.strictEqual(getOperationType(query, 'Missing'), null);
+    assert.strictEqual(getOperationType(query), null, 'Ambiguous without operationName');
+    assert.strictEqual(getOperationType('{ users { id } }'), 'query');
+  });
 });
 
 // =============================================================================
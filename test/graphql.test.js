@@ -18,13 +18,16 @@ import {
   setDefaultClient,
   getDefaultClient,
   generateCacheKey,
-  extractOperationName
+  extractOperationName,
+  addTypename,
+  NormalizedCache
 } from '../runtime/graphql.js';
 
 import { pulse, effect, computed, batch } from '../runtime/pulse.js';
 
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import { createHash } from 'node:crypto';
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
@@ -537,6 +540,32 @@ describe('GraphQL Mutation Tests', () => {
       mock.restore();
     }
   });
+
+
+  test('queries are retried but mutations are not', async () => {
+    const mock = mockFetch({
+      '/graphql': () => createMockResponse({ status: 503, data: { error: 'Unavailable' } })
+    });
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', retries: 2, retryDelay: 1, cache: false });
+
+      await assert.rejects(client.query('query { users { id } }'));
+      assert.strictEqual(mock.getCallCount(), 3, 'Query should be retried');
+
+      await assert.rejects(client.mutate('mutation { deleteUser(id: 1) }'));
+      assert.strictEqual(mock.getCallCount(), 4, 'Mutation should not be retried');
+
+      await assert.rejects(client.mutate('# Remove a user\nmutation { deleteUser(id: 1) }'));
+      assert.strictEqual(mock.getCallCount(), 5, 'Commented mutation should not be retried');
+      await assert.rejects(client.mutate(
+        'fragment UserFields on User { id }\nmutation { deleteUser(id: 1) { ...UserFields } }'
+      ));
+      assert.strictEqual(mock.getCallCount(), 6, 'Mutation after a fragment should not be retried');
+    } finally {
+      mock.restore();
+    }
+  });
 });
 
 // =============================================================================
@@ -1503,3 +1532,396 @@ describe('useSubscription Tests', () => {
     }
   });
 });
+
+// =============================================================================
+// Normalized Cache Tests
+// =============================================================================
+
+describe('Normalized Cache Tests', () => {
+  const GET_USER = 'query GetUser($id: ID!) { user(id: $id) { id name } }';
+  const GET_TEAM = 'query GetTeam { team { id members { id name } } }';
+  const RENAME = 'mutation Rename($id: ID!, $name: String!) { renameUser(id: $id, name: $name) { id name } }';
+
+  // Answers by operation name
+  function mockGraphQL(handlers) {
+    return mockFetch({
+      '/graphql': (url, options) => {
+        const body = JSON.parse(options.body);
+        return createMockResponse({ data: { data: handlers[body.operationName](body.variables, body.query) } });
+      }
+    });
+  }
+
+  const user = (name) => ({ __typename: 'User', id: '42', name });
+
+  test('addTypename adds __typename below operation roots only', () => {
+    assert.strictEqual(
+      addTypename('query Q($f: F = {a: 1}) { user(where: {id: "{"}) { id posts { id } } }'),
+      'query Q($f: F = {a: 1}) { user(where: {id: "{"}) { __typename id posts { __typename id } } }'
+    );
+    assert.strictEqual(addTypename('fragment U on User { name }'), 'fragment U on User { __typename name }');
+  });
+
+  test('sends __typename and identifies entities by type and id', async () => {
+    const queries = [];
+    const mock = mockGraphQL({
+      GetUser: (vars, query) => {
+        queries.push(query);
+        return { user: user('Ada') };
+      }
+    });
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', normalize: true });
+      await client.query(GET_USER, { id: '42' });
+
+      assert.ok(queries[0].includes('user(id: $id) { __typename id name }'));
+      assert.strictEqual(client.identify(user('Ada')), 'User:42');
+      assert.strictEqual(client.readFragment('User:42').name, 'Ada');
+      assert.strictEqual(client.getCacheStats().entities, 1);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('a mutation result updates every cached query selecting the entity', async () => {
+    const mock = mockGraphQL({
+      GetUser: () => ({ user: user('Ada') }),
+      GetTeam: () => ({ team: { __typename: 'Team', id: 't1', members: [user('Ada'), { __typename: 'User', id: '7', name: 'Bo' }] } }),
+      Rename: (vars) => ({ renameUser: user(vars.name) })
+    });
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', normalize: true });
+      await client.query(GET_USER, { id: '42' });
+      await client.query(GET_TEAM);
+
+      await client.mutate(RENAME, { id: '42', name: 'Grace' });
+
+      assert.strictEqual(client.readQuery(GET_USER, { id: '42' }).user.name, 'Grace');
+      assert.deepStrictEqual(client.readQuery(GET_TEAM).team.members.map(m => m.name), ['Grace', 'Bo']);
+      assert.strictEqual((await client.query(GET_USER, { id: '42' })).user.name, 'Grace', 'Served from cache');
+      assert.strictEqual(mock.getCallCount(), 3);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('useQuery updates when a referenced entity changes', async () => {
+    const mock = mockGraphQL({
+      GetTeam: () => ({ team: { __typename: 'Team', id: 't1', members: [user('Ada')] } }),
+      Rename: (vars) => ({ renameUser: user(vars.name) })
+    });
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', normalize: true });
+      const names = useQuery(GET_TEAM, null, {
+        client,
+        select: (result) => result.team.members.map(m => m.name)
+      });
+      await sleep(20);
+      assert.deepStrictEqual(names.data.get(), ['Ada']);
+
+      const rename = useMutation(RENAME, { client });
+      await rename.mutate({ id: '42', name: 'Grace' });
+      assert.deepStrictEqual(names.data.get(), ['Grace']);
+
+      client.writeFragment({ __typename: 'User', id: '42' }, { name: 'Lin' });
+      assert.deepStrictEqual(names.data.get(), ['Lin']);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('evicting an entity makes watching queries refetch', async () => {
+    let fetches = 0;
+    const mock = mockGraphQL({
+      GetUser: () => ({ user: user(`Ada ${++fetches}`) })
+    });
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', normalize: true });
+      const { data, isStale } = useQuery(GET_USER, { id: '42' }, { client });
+      await sleep(20);
+
+      assert.strictEqual(client.evict('User:42'), true);
+      assert.strictEqual(isStale.get(), true);
+      await sleep(20);
+
+      assert.strictEqual(fetches, 2);
+      assert.strictEqual(data.get().user.name, 'Ada 2');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('keyFields configure entity ids per type', async () => {
+    const mock = mockGraphQL({
+      Products: () => ({
+        products: [{ __typename: 'Product', sku: 'A1', price: 5 }, { __typename: 'Price', amount: 5 }],
+        settings: { __typename: 'Settings', id: 1, theme: 'dark' }
+      })
+    });
+
+    try {
+      const client = createGraphQLClient({
+        url: '/graphql',
+        normalize: { keyFields: { Product: ['sku'], Settings: false } }
+      });
+      await client.query('query Products { products { sku price } settings { id theme } }');
+
+      assert.strictEqual(client.readFragment('Product:A1').price, 5);
+      assert.strictEqual(client.readFragment({ __typename: 'Settings', id: 1 }), null);
+      assert.strictEqual(client.getCacheStats().entities, 1);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('fields are stored by name and arguments, not by alias', async () => {
+    const POSTS = `query Posts($first: Int = 5) {
+      user(id: "42") { id recent: posts(first: $first) { id } all: posts(first: 20) { id } }
+    }`;
+    const post = (id) => ({ __typename: 'Post', id });
+    const mock = mockGraphQL({
+      Posts: (vars) => ({
+        user: {
+          ...user('Ada'),
+          recent: [1, 2, 3, 4, 5].slice(0, vars?.first ?? 5).map(post),
+          all: [1, 2, 3, 4, 5, 6].map(post)
+        }
+      })
+    });
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', normalize: true });
+      await client.query(POSTS);
+      await client.query(POSTS, { first: 2 });
+
+      const entity = client.readFragment('User:42');
+      assert.strictEqual(entity['posts({"first":5})'].length, 5);
+      assert.strictEqual(entity['posts({"first":2})'].length, 2);
+      assert.strictEqual(entity['posts({"first":20})'].length, 6);
+      assert.ok(!('recent' in entity) && !('all' in entity), 'Aliases are not storage keys');
+
+      const result = client.readQuery(POSTS);
+      assert.strictEqual(result.user.recent.length, 5);
+      assert.strictEqual(result.user.all.length, 6);
+      assert.strictEqual(client.readQuery(POSTS, { first: 2 }).user.recent.length, 2);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('fragments on other types are optional when reading', () => {
+    const cache = new NormalizedCache();
+    const SEARCH = `query Search { search { ...UserName ... on Post { id title } } }
+      fragment UserName on User { id name }`;
+
+    cache.write('search', {
+      search: [{ __typename: 'User', id: '1', name: 'Ada' }, { __typename: 'Post', id: '9', title: 'Hi' }]
+    }, SEARCH);
+
+    assert.deepStrictEqual(cache.read('search').data, {
+      search: [{ id: '1', name: 'Ada' }, { id: '9', title: 'Hi' }]
+    });
+  });
+
+  test('entities no cached query references are removed above maxEntities', () => {
+    const cache = new NormalizedCache({ maxSize: 2, maxEntities: 2 });
+    const item = (id) => ({ item: { __typename: 'Item', id } });
+
+    cache.write('a', item('a'), 'query A { item { id } }');
+    cache.write('b', item('b'), 'query B { item { id } }');
+    assert.strictEqual(cache.entityCount, 2);
+
+    cache.write('c', item('c'), 'query C { item { id } }');
+    assert.deepStrictEqual(cache.keys().sort(), ['b', 'c']);
+    assert.strictEqual(cache.entityCount, 2, 'Item:a is no longer referenced');
+    assert.strictEqual(cache.readEntity('Item:a'), null);
+    assert.strictEqual(cache.read('b').data.item.id, 'b');
+
+    cache.deleteQuery('b');
+    assert.strictEqual(cache.gc(), 1);
+    assert.strictEqual(cache.entityCount, 1);
+  });
+
+  test('writeQuery and readQuery work without normalization', () => {
+    const client = createGraphQLClient({ url: '/graphql' });
+
+    client.writeQuery(GET_USER, { id: '1' }, { user: { id: '1', name: 'Ada' } });
+
+    assert.deepStrictEqual(client.readQuery(GET_USER, { id: '1' }), { user: { id: '1', name: 'Ada' } });
+    assert.strictEqual(client.readFragment('User:1'), null);
+    assert.throws(() => client.writeFragment('User:1', {}), /normalized cache/);
+  });
+});
+
+// =============================================================================
+// Persisted Queries and Batching Tests
+// =============================================================================
+
+describe('Persisted Queries Tests', () => {
+  const QUERY = 'query GetUser { user { id name } }';
+  const hash = createHash('sha256').update(QUERY).digest('hex');
+
+  // Server that knows the hashes it was sent with a full query
+  function mockApqServer(known = new Set()) {
+    const bodies = [];
+    const mock = mockFetch({
+      '/graphql': (url, options) => {
+        const body = JSON.parse(options.body);
+        bodies.push(body);
+        const sha = body.extensions?.persistedQuery?.sha256Hash;
+        if (!body.query && !known.has(sha)) {
+          return createMockResponse({ data: { errors: [{ message: 'PersistedQueryNotFound' }] } });
+        }
+        if (body.query && sha) known.add(sha);
+        return createMockResponse({ data: { data: { user: { id: 1, name: 'Ada' } } } });
+      }
+    });
+    return { mock, bodies };
+  }
+
+  test('sends the hash first and registers the query when unknown', async () => {
+    const { mock, bodies } = mockApqServer();
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', persistedQueries: true, cache: false });
+
+      assert.deepStrictEqual(await client.query(QUERY), { user: { id: 1, name: 'Ada' } });
+      await client.query(QUERY);
+
+      assert.strictEqual(bodies.length, 3);
+      assert.strictEqual(bodies[0].query, undefined);
+      assert.deepStrictEqual(bodies[0].extensions, { persistedQuery: { version: 1, sha256Hash: hash } });
+      assert.strictEqual(bodies[1].query, QUERY, 'Full query after PersistedQueryNotFound');
+      assert.strictEqual(bodies[2].query, undefined, 'Hash only once registered');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('handles unknown hashes reported with HTTP 400', async () => {
+    let calls = 0;
+    const mock = mockFetch({
+      '/graphql': () => (++calls === 1
+        ? createMockResponse({ status: 400, data: { errors: [{ extensions: { code: 'PERSISTED_QUERY_NOT_FOUND' } }] } })
+        : createMockResponse({ data: { data: { ok: true } } }))
+    });
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', persistedQueries: true });
+      assert.deepStrictEqual(await client.query('query Ok { ok }'), { ok: true });
+      assert.strictEqual(calls, 2);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('stops hashing when the server does not support persisted queries', async () => {
+    const bodies = [];
+    const mock = mockFetch({
+      '/graphql': (url, options) => {
+        const body = JSON.parse(options.body);
+        bodies.push(body);
+        return createMockResponse({
+          data: body.query ? { data: { ok: true } } : { errors: [{ message: 'PersistedQueryNotSupported' }] }
+        });
+      }
+    });
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', persistedQueries: true, cache: false });
+      await client.query('query Ok { ok }');
+      await client.query('query Ok { ok }');
+
+      assert.strictEqual(bodies.length, 3);
+      assert.strictEqual(bodies[1].extensions, undefined);
+      assert.strictEqual(bodies[2].query, 'query Ok { ok }');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('uses a custom sha256 function', async () => {
+    const { mock, bodies } = mockApqServer(new Set(['custom-hash']));
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', persistedQueries: { sha256: () => 'custom-hash' } });
+      await client.query(QUERY);
+
+      assert.strictEqual(bodies.length, 1);
+      assert.strictEqual(bodies[0].extensions.persistedQuery.sha256Hash, 'custom-hash');
+    } finally {
+      mock.restore();
+    }
+  });
+});
+
+describe('Query Batching Tests', () => {
+  function mockBatchServer() {
+    const bodies = [];
+    const mock = mockFetch({
+      '/graphql': (url, options) => {
+        const body = JSON.parse(options.body);
+        bodies.push(body);
+        const answer = (op) => (op.operationName === 'Fail'
+          ? { errors: [{ message: 'Nope' }] }
+          : { data: { name: op.operationName } });
+        return createMockResponse({ data: Array.isArray(body) ? body.map(answer) : answer(body) });
+      }
+    });
+    return { mock, bodies };
+  }
+
+  test('sends operations started in the same tick as one request', async () => {
+    const { mock, bodies } = mockBatchServer();
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', batch: true });
+      const [a, b, c] = await Promise.allSettled([
+        client.query('query A { name }'),
+        client.query('query Fail { name }'),
+        client.mutate('mutation B { name }')
+      ]);
+
+      assert.strictEqual(bodies.length, 1);
+      assert.deepStrictEqual(bodies[0].map(op => op.operationName), ['A', 'Fail', 'B']);
+      assert.deepStrictEqual(a.value, { name: 'A' });
+      assert.strictEqual(b.reason.getFirstError(), 'Nope', 'Errors stay with their operation');
+      assert.deepStrictEqual(c.value, { name: 'B' });
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('splits batches at maxSize and sends a lone operation unwrapped', async () => {
+    const { mock, bodies } = mockBatchServer();
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', batch: { maxSize: 2 } });
+      await Promise.all(['A', 'B', 'C'].map(name => client.query(`query ${name} { name }`)));
+
+      assert.strictEqual(bodies.length, 2);
+      assert.strictEqual(bodies[0].length, 2);
+      assert.strictEqual(bodies[1].operationName, 'C');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('batches hashed persisted queries', async () => {
+    const { mock, bodies } = mockBatchServer();
+
+    try {
+      const client = createGraphQLClient({ url: '/graphql', batch: true, persistedQueries: { sha256: (q) => q.length.toString() } });
+      await Promise.all([client.query('query A { name }'), client.query('query Bb { name }')]);
+
+      assert.strictEqual(bodies.length, 1);
+      assert.ok(bodies[0].every(op => op.query === undefined && op.extensions.persistedQuery));
+    } finally {
+      mock.restore();
+    }
+  });
+});
@@ -17,6 +17,7 @@ import {
 } from '../runtime/http.js';
 
 import { pulse, effect, computed } from '../runtime/pulse.js';
+import { clearResourceCache } from '../runtime/async.js';
 
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
@@ -609,6 +610,569 @@ describe('Retry Tests', () => {
   });
 });
 
+// =============================================================================
+// Retry Policy Tests
+// =============================================================================
+
+describe('Retry Policy Tests', () => {
+  const failing = (status, headers = {}) => () => createMockResponse({
+    status,
+    data: { error: 'fail' },
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+
+  test('retryDelay function receives the retry number', async () => {
+    const seen = [];
+    const mock = mockFetch({ '/flaky': failing(503) });
+    try {
+      const client = createHttp({
+        baseURL: 'https://api.test.com',
+        retries: 3,
+        retryDelay: (attempt, error) => {
+          seen.push([attempt, error.status]);
+          return 1;
+        }
+      });
+
+      await assert.rejects(client.get('/flaky'));
+      assert.deepStrictEqual(seen, [[1, 503], [2, 503], [3, 503]]);
+      assert.strictEqual(mock.getCallCount(), 4);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('exponential backoff doubles the delay up to maxRetryDelay', async () => {
+    const mock = mockFetch({ '/slow': failing(500) });
+    try {
+      const client = createHttp({
+        baseURL: 'https://api.test.com',
+        retries: 3,
+        retryDelay: 20,
+        maxRetryDelay: 40,
+        backoff: 'exponential'
+      });
+
+      const start = Date.now();
+      await assert.rejects(client.get('/slow'));
+
+      // 20 + 40 + 40 (capped)
+      assert.ok(Date.now() - start >= 95, 'Should wait for the backoff delays');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('defaults to a fixed delay and retries every method', async () => {
+    const mock = mockFetch({ '/orders': failing(500) });
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', retries: 2, retryDelay: 20 });
+
+      const start = Date.now();
+      await assert.rejects(client.post('/orders', {}));
+      const elapsed = Date.now() - start;
+
+      assert.strictEqual(mock.getCallCount(), 3, 'POST should be retried');
+      assert.ok(elapsed >= 38 && elapsed < 60, `Expected two fixed 20ms delays, waited ${elapsed}ms`);
+
+      await assert.rejects(client.patch('/orders', {}));
+      assert.strictEqual(mock.getCallCount(), 6, 'PATCH should be retried');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('with retryMethods, POST is not retried unless marked idempotent', async () => {
+    const mock = mockFetch({ '/orders': failing(500) });
+    try {
+      const client = createHttp({
+        baseURL: 'https://api.test.com',
+        retries: 2,
+        retryDelay: 1,
+        retryMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+      });
+
+      await assert.rejects(client.post('/orders', {}));
+      assert.strictEqual(mock.getCallCount(), 1);
+
+      await assert.rejects(client.post('/orders', {}, { idempotent: true }));
+      assert.strictEqual(mock.getCallCount(), 4);
+
+      await assert.rejects(client.post('/orders', {}, { headers: { 'Idempotency-Key': 'abc' } }));
+      assert.strictEqual(mock.getCallCount(), 7);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('idempotent: false disables retries of a GET', async () => {
+    const mock = mockFetch({ '/report': failing(500) });
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', retries: 2, retryDelay: 1 });
+
+      await assert.rejects(client.get('/report', { idempotent: false }));
+      assert.strictEqual(mock.getCallCount(), 1);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('Retry-After header sets the delay', async () => {
+    const mock = mockFetch({
+      '/limited': (url, options, callCount) => callCount === 1
+        ? failing(429, { 'retry-after': '0.05' })()
+        : createMockResponse({ data: { ok: true } })
+    });
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', retries: 1, retryDelay: 1, respectRetryAfter: true });
+
+      const start = Date.now();
+      const response = await client.get('/limited');
+
+      assert.deepStrictEqual(response.data, { ok: true });
+      assert.ok(Date.now() - start >= 45, 'Should wait for Retry-After');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('Retry-After longer than maxRetryDelay stops retrying', async () => {
+    const retryDate = new Date(Date.now() + 120000).toUTCString();
+    const mock = mockFetch({ '/down': failing(503, { 'retry-after': retryDate }) });
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', retries: 3, retryDelay: 1, respectRetryAfter: true });
+
+      const error = await client.get('/down').catch(e => e);
+
+      assert.strictEqual(error.status, 503);
+      assert.strictEqual(mock.getCallCount(), 1);
+    } finally {
+      mock.restore();
+    }
+  });
+});
+
+// =============================================================================
+// Circuit Breaker Tests
+// =============================================================================
+
+describe('Circuit Breaker Tests', () => {
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  test('is disabled by default', () => {
+    assert.strictEqual(createHttp().circuitBreaker, null);
+  });
+
+  test('opens after failureThreshold failures and fails fast', async () => {
+    const mock = mockFetch({ '/api': () => createMockResponse({ status: 500 }) });
+    try {
+      const client = createHttp({
+        baseURL: 'https://api.test.com',
+        circuitBreaker: { failureThreshold: 2, resetTimeout: 1000 }
+      });
+
+      await assert.rejects(client.get('/api'));
+      await assert.rejects(client.get('/api'));
+      const error = await client.get('/api').catch(e => e);
+
+      assert.strictEqual(error.code, 'CIRCUIT_OPEN');
+      assert.strictEqual(error.isCircuitOpen(), true);
+      assert.ok(error.retryAfter > 0 && error.retryAfter <= 1000);
+      assert.strictEqual(mock.getCallCount(), 2, 'Open circuit should not call fetch');
+      assert.strictEqual(client.circuitBreaker.getState('api.test.com'), 'open');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('stops retries once the circuit opens', async () => {
+    const mock = mockFetch({ '/api': new Error('Network down') });
+    try {
+      const client = createHttp({
+        baseURL: 'https://api.test.com',
+        retries: 5,
+        retryDelay: 1,
+        circuitBreaker: { failureThreshold: 2 }
+      });
+
+      const error = await client.get('/api').catch(e => e);
+
+      assert.strictEqual(error.code, 'CIRCUIT_OPEN');
+      assert.strictEqual(mock.getCallCount(), 2);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('is tracked per host', async () => {
+    const mock = mockFetch({
+      'down.test.com': () => createMockResponse({ status: 502 }),
+      'up.test.com': { data: { ok: true } }
+    });
+    try {
+      const client = createHttp({ circuitBreaker: { failureThreshold: 1 } });
+
+      await assert.rejects(client.get('https://down.test.com/a'));
+      const response = await client.get('https://up.test.com/a');
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(client.circuitBreaker.getState('down.test.com'), 'open');
+      assert.strictEqual(client.circuitBreaker.getState('up.test.com'), 'closed');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('client errors do not count as host failures', async () => {
+    const mock = mockFetch({ '/api': () => createMockResponse({ status: 404 }) });
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', circuitBreaker: { failureThreshold: 1 } });
+
+      await assert.rejects(client.get('/api'));
+      await assert.rejects(client.get('/api'));
+
+      assert.strictEqual(mock.getCallCount(), 2);
+      assert.strictEqual(client.circuitBreaker.getState('api.test.com'), 'closed');
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('half-open trial closes the circuit on success and reopens it on failure', async () => {
+    let healthy = false;
+    const mock = mockFetch({
+      '/api': () => createMockResponse(healthy ? { data: { ok: true } } : { status: 500 })
+    });
+    try {
+      const client = createHttp({
+        baseURL: 'https://api.test.com',
+        circuitBreaker: { failureThreshold: 1, resetTimeout: 30 }
+      });
+
+      await assert.rejects(client.get('/api'));
+      await sleep(40);
+      assert.strictEqual(client.circuitBreaker.getState('api.test.com'), 'half-open');
+
+      // Failed trial reopens immediately
+      await assert.rejects(client.get('/api'), { status: 500 });
+      await assert.rejects(client.get('/api'), { code: 'CIRCUIT_OPEN' });
+
+      await sleep(40);
+      healthy = true;
+      const response = await client.get('/api');
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(client.circuitBreaker.getState('api.test.com'), 'closed');
+      assert.strictEqual(mock.getCallCount(), 3);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('an aborted half-open trial does not close the circuit', async () => {
+    const originalFetch = globalThis.fetch;
+    let calls = 0;
+    globalThis.fetch = (url, options = {}) => {
+      calls++;
+      if (calls === 1) return Promise.resolve(createMockResponse({ status: 500 }));
+      // Trial request: hangs until aborted
+      return new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+        if (options.signal?.aborted) abort();
+        options.signal?.addEventListener('abort', abort);
+      });
+    };
+    try {
+      const client = createHttp({
+        baseURL: 'https://api.test.com',
+        circuitBreaker: { failureThreshold: 1, resetTimeout: 30 }
+      });
+
+      await assert.rejects(client.get('/api'));
+      await sleep(40);
+
+      const controller = new AbortController();
+      const trial = client.get('/api', { signal: controller.signal });
+      controller.abort();
+      await assert.rejects(trial, (error) => error.isAborted());
+
+      assert.strictEqual(client.circuitBreaker.getState('api.test.com'), 'half-open');
+      // The next request is let through as a new trial
+      const next = client.get('/api', { timeout: 20 }).catch(e => e);
+      assert.strictEqual((await next).code === 'CIRCUIT_OPEN', false);
+      assert.strictEqual(calls, 3);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test('reset() closes the circuit', async () => {
+    const mock = mockFetch({ '/api': () => createMockResponse({ status: 500 }) });
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', circuitBreaker: { failureThreshold: 1 } });
+
+      await assert.rejects(client.get('/api'));
+      client.circuitBreaker.reset('api.test.com');
+      await assert.rejects(client.get('/api'), { status: 500 });
+
+      assert.strictEqual(mock.getCallCount(), 2);
+    } finally {
+      mock.restore();
+    }
+  });
+});
+
+// =============================================================================
+// Progress Tests
+// =============================================================================
+
+describe('Progress Tests', () => {
+  /**
+   * fetch mock that honors abort signals and records request headers
+   */
+  function uploadFetch(handler = () => new Response('{}', { headers: { 'content-type': 'application/json' } })) {
+    const requests = [];
+    globalThis.fetch = (url, options = {}) => new Promise((resolve, reject) => {
+      const entry = { url, headers: options.headers, body: options.body };
+      requests.push(entry);
+      const abort = () => {
+        const error = new Error('Aborted');
+        error.name = 'AbortError';
+        reject(error);
+      };
+      if (options.signal?.aborted) return abort();
+      options.signal?.addEventListener('abort', abort);
+      Promise.resolve(handler(entry, requests.length)).then(resolve, reject);
+    });
+    return { requests, restore: () => { globalThis.fetch = originalFetch; } };
+  }
+
+  test('onDownloadProgress reports bytes while the body streams', async () => {
+    globalThis.fetch = async () => new Response('x'.repeat(1000), {
+      headers: { 'content-type': 'text/plain', 'content-length': '1000' }
+    });
+    try {
+      const events = [];
+      const client = createHttp({ responseType: 'text' });
+
+      const response = await client.get('https://api.test.com/file', {
+        onDownloadProgress: (event) => events.push(event)
+      });
+
+      assert.strictEqual(response.data.length, 1000);
+      assert.deepStrictEqual(events[0], { loaded: 0, total: 1000, progress: 0 });
+      assert.deepStrictEqual(events[events.length - 1], { loaded: 1000, total: 1000, progress: 1 });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test("responseType 'stream' returns the unbuffered body", async () => {
+    globalThis.fetch = async () => new Response('streamed');
+    try {
+      const response = await createHttp().get('https://api.test.com/big', { responseType: 'stream' });
+
+      assert.ok(response.data instanceof ReadableStream);
+      assert.strictEqual(await new Response(response.data).text(), 'streamed');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test('onUploadProgress reports completion when XMLHttpRequest is unavailable', async () => {
+    const mock = uploadFetch();
+    try {
+      const events = [];
+      await createHttp().post('https://api.test.com/upload', 'hello', {
+        onUploadProgress: (event) => events.push(event)
+      });
+
+      assert.deepStrictEqual(events, [{ loaded: 5, total: 5, progress: 1 }]);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('onUploadProgress uses XMLHttpRequest when available', async () => {
+    const sent = [];
+    globalThis.XMLHttpRequest = class {
+      upload = {};
+      open(method, url) { sent.push({ method, url }); }
+      setRequestHeader(name, value) { sent.push({ [name]: value }); }
+      getAllResponseHeaders() { return 'content-type: application/json\r\nx-id: 7\r\n'; }
+      send(body) {
+        this.upload.onprogress({ loaded: 2, total: 4, lengthComputable: true });
+        this.upload.onprogress({ loaded: 4, total: 4, lengthComputable: true });
+        this.status = 201;
+        this.statusText = 'Created';
+        this.response = new Blob([JSON.stringify({ body })]);
+        this.onload();
+      }
+    };
+    try {
+      const events = [];
+      const response = await createHttp().post('https://api.test.com/upload', 'data', {
+        onUploadProgress: (event) => events.push(event.progress)
+      });
+
+      assert.deepStrictEqual(events, [0.5, 1]);
+      assert.strictEqual(response.status, 201);
+      assert.deepStrictEqual(response.data, { body: 'data' });
+      assert.strictEqual(response.headers.get('x-id'), '7');
+      assert.deepStrictEqual(sent[0], { method: 'POST', url: 'https://api.test.com/upload' });
+    } finally {
+      delete globalThis.XMLHttpRequest;
+    }
+  });
+
+  test('useHttp exposes uploadProgress and downloadProgress pulses', async () => {
+    globalThis.fetch = async () => new Response('{"ok":true}', {
+      headers: { 'content-type': 'application/json', 'content-length': '11' }
+    });
+    try {
+      const client = createHttp();
+      const { uploadProgress, downloadProgress, execute } = useHttp(
+        (request, body) => client.post('https://api.test.com/upload', body, request),
+        { immediate: false, progress: true }
+      );
+
+      assert.strictEqual(uploadProgress.get(), null);
+      await execute('abc');
+
+      assert.strictEqual(uploadProgress.get(), 1);
+      assert.strictEqual(downloadProgress.get(), 1);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test('useHttp keeps fetch and its arguments unless progress is requested', async () => {
+    let fetched = 0;
+    globalThis.fetch = async () => {
+      fetched++;
+      return new Response('{"ok":true}', { headers: { 'content-type': 'application/json' } });
+    };
+    globalThis.XMLHttpRequest = class {
+      constructor() { throw new Error('XMLHttpRequest should not be used'); }
+    };
+    try {
+      const client = createHttp();
+      const received = [];
+      const { uploadProgress, execute } = useHttp(
+        (...args) => {
+          received.push(args);
+          return client.post('https://api.test.com/items', args[0]);
+        },
+        { immediate: false }
+      );
+
+      await execute('abc');
+
+      assert.deepStrictEqual(received, [['abc']]);
+      assert.strictEqual(fetched, 1);
+      assert.strictEqual(uploadProgress.get(), null);
+    } finally {
+      globalThis.fetch = originalFetch;
+      delete globalThis.XMLHttpRequest;
+    }
+  });
+
+  test('upload() sends chunks with Content-Range headers', async () => {
+    const mock = uploadFetch();
+    try {
+      const progress = [];
+      const task = createHttp().upload('https://api.test.com/files/1', new Blob(['0123456789']), {
+        chunkSize: 4,
+        onProgress: (event) => progress.push(event.loaded)
+      });
+
+      const response = await task.promise;
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(
+        mock.requests.map(r => r.headers.get('Content-Range')),
+        ['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']
+      );
+      assert.strictEqual(task.status.get(), 'done');
+      assert.strictEqual(task.progress.get(), 1);
+      assert.strictEqual(task.offset, 10);
+      assert.strictEqual(progress[progress.length - 1], 10);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('chunked upload() rejects a FormData body', async () => {
+    const mock = uploadFetch();
+    try {
+      const body = new FormData();
+      body.append('file', new Blob(['0123456789']));
+      const task = createHttp().upload('https://api.test.com/files/1', body, { chunkSize: 4 });
+
+      await assert.rejects(task.promise, { name: 'TypeError', message: /Chunked uploads need a Blob or File body/ });
+      assert.strictEqual(task.status.get(), 'error');
+      assert.strictEqual(mock.requests.length, 0);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('pause() and resume() continue after the last acknowledged chunk', async () => {
+    let release;
+    const mock = uploadFetch((entry, count) => count === 2
+      ? new Promise(resolve => { release = resolve; })
+      : new Response('{}'));
+    try {
+      const task = createHttp().upload('https://api.test.com/files/1', new Blob(['0123456789']), {
+        chunkSize: 4
+      });
+      await new Promise(r => setTimeout(r, 10));
+
+      task.pause();
+      assert.strictEqual(await task.promise, null);
+      assert.strictEqual(task.status.get(), 'paused');
+      assert.strictEqual(task.offset, 4);
+      assert.strictEqual(task.progress.get(), 0.4);
+
+      await task.resume();
+
+      assert.strictEqual(task.status.get(), 'done');
+      assert.deepStrictEqual(
+        mock.requests.map(r => r.headers.get('Content-Range')),
+        ['bytes 0-3/10', 'bytes 4-7/10', 'bytes 4-7/10', 'bytes 8-9/10']
+      );
+      release?.(new Response('{}'));
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('failed upload can be resumed and cancel() rejects with ABORT', async () => {
+    const mock = uploadFetch((entry, count) => count === 2
+      ? new Response('{}', { status: 500 })
+      : count === 4 ? new Promise(() => {}) : new Response('{}'));
+    try {
+      const task = createHttp().upload('https://api.test.com/files/1', new Blob(['0123456789']), {
+        chunkSize: 4
+      });
+
+      await assert.rejects(task.promise, { status: 500 });
+      assert.strictEqual(task.status.get(), 'error');
+      assert.strictEqual(task.error.get().status, 500);
+
+      const resumed = task.resume();
+      await new Promise(r => setTimeout(r, 10));
+      task.cancel();
+
+      await assert.rejects(resumed, { code: 'ABORT' });
+      assert.strictEqual(task.status.get(), 'cancelled');
+      assert.strictEqual(mock.requests[2].headers.get('Content-Range'), 'bytes 4-7/10');
+    } finally {
+      mock.restore();
+    }
+  });
+});
+
 // =============================================================================
 // Child Instance Tests
 // =============================================================================
@@ -702,3 +1266,294 @@ describe('useHttp Tests', () => {
     }
   });
 });
+
+// =============================================================================
+// Response Cache Tests
+// =============================================================================
+
+describe('Response Cache Tests', () => {
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  function countingFetch() {
+    let version = 0;
+    return mockFetch({
+      '/users': () => {
+        version++;
+        return createMockResponse({ data: { version } });
+      },
+      '/posts': () => createMockResponse({ status: 201, data: { ok: true } })
+    });
+  }
+
+  test('requests are not cached unless enabled', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com' });
+      await client.get('/users');
+      await client.get('/users');
+      assert.strictEqual(mock.getCallCount(), 2);
+      assert.strictEqual(client.cache.size, 0);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('identical in-flight GETs share one fetch', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: true });
+      const [a, b] = await Promise.all([client.get('/users'), client.get('/users')]);
+
+      assert.strictEqual(mock.getCallCount(), 1);
+      assert.strictEqual(a, b);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('cache key includes method, URL and params in any order', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      await client.get('/users', { params: { page: 1, sort: 'name' } });
+      const second = await client.get('/users', { params: { sort: 'name', page: 1 } });
+      await client.get('/users', { params: { page: 2 } });
+
+      assert.strictEqual(mock.getCallCount(), 2);
+      assert.strictEqual(second.cached, true);
+      assert.deepStrictEqual(client.cache.keys(), [
+        'GET https://api.test.com/users?page=1&sort=name',
+        'GET https://api.test.com/users?page=2'
+      ]);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('fresh responses are served from cache within staleTime', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      await client.get('/users');
+      const response = await client.get('/users');
+
+      assert.strictEqual(mock.getCallCount(), 1);
+      assert.deepStrictEqual(response.data, { version: 1 });
+      assert.strictEqual(response.stale, false);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('stale responses are returned while revalidating in the background', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 0 } });
+      await client.get('/users');
+
+      const stale = await client.get('/users');
+      assert.deepStrictEqual(stale.data, { version: 1 });
+      assert.strictEqual(stale.stale, true);
+
+      await sleep(10);
+      assert.strictEqual(mock.getCallCount(), 2);
+      assert.deepStrictEqual(client.cache.get('GET https://api.test.com/users').response.data, { version: 2 });
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('staleWhileRevalidate: false waits for fresh data', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({
+        baseURL: 'https://api.test.com',
+        cache: { staleTime: 0, staleWhileRevalidate: false }
+      });
+      await client.get('/users');
+      const response = await client.get('/users');
+
+      assert.deepStrictEqual(response.data, { version: 2 });
+      assert.strictEqual(response.cached, undefined);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('per-request cache option enables, configures and disables caching', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com' });
+      await client.get('/users', { cache: { staleTime: 10000 } });
+      const cached = await client.get('/users', { cache: { staleTime: 10000 } });
+      assert.strictEqual(cached.cached, true);
+
+      const cachedClient = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      await cachedClient.get('/users', { cache: false });
+      await cachedClient.get('/users', { cache: false });
+      assert.strictEqual(mock.getCallCount(), 3);
+      assert.strictEqual(cachedClient.cache.size, 0);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('skipCache fetches again and updates the cache', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      await client.get('/users');
+      const response = await client.get('/users', { skipCache: true });
+
+      assert.deepStrictEqual(response.data, { version: 2 });
+      assert.deepStrictEqual((await client.get('/users')).data, { version: 2 });
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('mutations invalidate cached responses by tag', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      await client.get('/users', { cache: { tags: ['users'] } });
+      await client.get('/users', { params: { page: 2 }, cache: { tags: ['users'] } });
+      await client.get('/users', { params: { other: 1 }, cache: { tags: ['other'] } });
+
+      await client.post('/posts', { name: 'Ada' }, { invalidates: ['users'] });
+
+      assert.strictEqual(client.cache.size, 1);
+      const response = await client.get('/users', { cache: { tags: ['users'] } });
+      assert.strictEqual(response.cached, undefined);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('invalidates can be computed from the response', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      await client.get('/users', { cache: { tags: ['user:1'] } });
+
+      await client.patch('/posts', {}, { invalidates: (response) => (response.data.ok ? ['user:1'] : []) });
+
+      assert.strictEqual(client.cache.size, 0);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('invalidation during a request keeps its response out of the cache', async () => {
+    let respond;
+    const mock = mockFetch({
+      '/users': () => new Promise((resolve) => {
+        respond = () => resolve(createMockResponse({ data: { version: 1 } }));
+      })
+    });
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      const pending = client.get('/users', { cache: { tags: ['users'] } });
+      await sleep(5);
+      client.cache.invalidate('users');
+      respond();
+      await pending;
+
+      assert.strictEqual(client.cache.size, 0);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('cache.invalidate accepts a predicate and clear() empties the cache', async () => {
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      await client.get('/users', { params: { page: 1 } });
+      await client.get('/users', { params: { page: 2 } });
+
+      assert.strictEqual(client.cache.invalidate((key) => key.endsWith('page=1')), 1);
+      assert.strictEqual(client.cache.size, 1);
+
+      client.cache.clear();
+      assert.strictEqual(client.cache.size, 0);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('failed requests are not cached', async () => {
+    const mock = mockFetch({ '/fail': { status: 500, data: {} } });
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 10000 } });
+      await assert.rejects(() => client.get('/fail'));
+      await assert.rejects(() => client.get('/fail'));
+
+      assert.strictEqual(mock.getCallCount(), 2);
+      assert.strictEqual(client.cache.size, 0);
+    } finally {
+      mock.restore();
+    }
+  });
+
+  test('useHttpResource instances with the same key share one fetch', async () => {
+    clearResourceCache();
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com' });
+      const first = useHttpResource('shared-users', () => client.get('/users'));
+      const second = useHttpResource('shared-users', () => client.get('/users'));
+      await sleep(10);
+
+      assert.strictEqual(mock.getCallCount(), 1);
+      assert.deepStrictEqual(first.data.get(), { version: 1 });
+      assert.deepStrictEqual(second.data.get(), { version: 1 });
+    } finally {
+      mock.restore();
+      clearResourceCache();
+    }
+  });
+
+  test('useHttpResource refresh() bypasses the client cache', async () => {
+    clearResourceCache();
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 60000 } });
+      const users = useHttpResource('refresh-users', (request) => client.get('/users', request));
+      await sleep(10);
+
+      await users.refresh();
+
+      assert.strictEqual(mock.getCallCount(), 2);
+      assert.deepStrictEqual(users.data.get(), { version: 2 });
+      assert.deepStrictEqual((await client.get('/users')).data, { version: 2 });
+    } finally {
+      mock.restore();
+      clearResourceCache();
+    }
+  });
+
+  test('useHttpResource refresh() bypasses the cache after an await in requestFn', async () => {
+    clearResourceCache();
+    const mock = countingFetch();
+    try {
+      const client = createHttp({ baseURL: 'https://api.test.com', cache: { staleTime: 60000 } });
+      const users = useHttpResource('async-refresh-users', async (request) => {
+        await sleep(1);
+        return client.get('/users', request);
+      });
+      await sleep(10);
+
+      const refreshing = users.refresh();
+      // A request started meanwhile is not affected by the refresh
+      await client.get('/users');
+      await refreshing;
+
+      assert.strictEqual(mock.getCallCount(), 2);
+      assert.deepStrictEqual(users.data.get(), { version: 2 });
+    } finally {
+      mock.restore();
+      clearResourceCache();
+    }
+  });
+});
@@ -2089,6 +2089,133 @@ view {
   }
 });
 
+// =============================================================================
+// Switch Case Tests
+// =============================================================================
+
+printSection('Switch Case Tests');
+
+test('lint accepts distinct @switch cases', () => {
+  const diagnostics = lint(`
+@page Status
+
+state {
+  status: "idle"
+}
+
+view {
+  @switch (status) {
+    @case ('idle') { p "Idle" }
+    @case ('busy') { p "Busy" }
+    @default { p "Unknown" }
+  }
+}
+`);
+
+  assert(!hasDiagnostic(diagnostics, 'duplicate-case'), 'Should not report duplicates');
+  assert(!hasDiagnostic(diagnostics, 'unreachable-case'), 'Should not report unreachable cases');
+  assert(!hasDiagnostic(diagnostics, 'undefined-reference'), 'Discriminant is a known state');
+  assert(!hasDiagnostic(diagnostics, 'unused-state'), 'Discriminant marks the state as used');
+});
+
+test('lint reports duplicate @case values', () => {
+  const diagnostics = lint(`
+@page Status
+
+state {
+  status: "idle"
+}
+
+view {
+  @switch (status) {
+    @case ('idle') { p "Idle" }
+    @case ('busy') { p "Busy" }
+    @case ('idle') { p "Again" }
+    @case ('busy') { p "Busy again" }
+  }
+}
+`);
+
+  const duplicates = getDiagnostics(diagnostics, 'duplicate-case');
+  assertEqual(duplicates.length, 2);
+  assert(duplicates[0].message.includes('line 10'), 'Should point at the first case');
+  assertEqual(duplicates[0].line, 12);
+});
+
+test('lint reports cases that can never be selected', () => {
+  const diagnostics = lint(`
+@page Status
+
+state {
+  code: 1
+}
+
+view {
+  @switch (code) {
+    @case (1) { p "One" }
+    @case ('1') { p "Also one" }
+    @case ('default') { p "Named default" }
+    @default { p "Other" }
+    @default { p "Never" }
+  }
+}
+`);
+
+  const unreachable = getDiagnostics(diagnostics, 'unreachable-case');
+  assertEqual(unreachable.length, 3);
+  assertDeepEqual(unreachable.map(d => d.line), [11, 12, 14]);
+  assert(!hasDiagnostic(diagnostics, 'duplicate-case'), '1 and \'1\' are not the same value');
+});
+
+test('lint checks references inside @switch branches', () => {
+  const diagnostics = lint(`
+@page Status
+
+view {
+  @switch (missing) {
+    @case ('a') { Missing }
+  }
+}
+`);
+
+  const errors = getDiagnostics(diagnostics, 'undefined-reference');
+  assert(errors.some(d => d.message.includes("'missing'")), 'Should check the discriminant');
+  assert(errors.some(d => d.message.includes("Component 'Missing'")), 'Should check branch content');
+});
+
+// =============================================================================
+// Await Block Tests
+// =============================================================================
+
+printSection('Await Block Tests');
+
+test('lint checks the @await expression and every branch', () => {
+  const diagnostics = lint(`
+@page Profile
+
+state {
+  userId: 1
+}
+
+view {
+  @await (loadUser(userId)) {
+    Spinner
+  } @then (user) {
+    Card
+  } @catch (err) {
+    ErrorBox
+  }
+}
+`);
+
+  const messages = getDiagnostics(diagnostics, 'undefined-reference').map(d => d.message);
+  assert(messages.some(m => m.includes("'loadUser'")), 'Should check the promise expression');
+  assert(messages.some(m => m.includes("Component 'Spinner'")), 'Should check the pending branch');
+  assert(messages.some(m => m.includes("Component 'Card'")), 'Should check the @then branch');
+  assert(messages.some(m => m.includes("Component 'ErrorBox'")), 'Should check the @catch branch');
+  assert(!hasDiagnostic(diagnostics, 'unused-state'), 'Expression marks the state as used');
+});
+
 // =============================================================================
 // Results
 // =============================================================================
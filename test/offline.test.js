@@ -0,0 +1,274 @@
+/**
+ * Offline Mutation Queue Tests
+ * Tests for runtime/offline.js — capture, persistence, ordered replay, optimistic updates
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+import { pulse, resetContext } from '../runtime/pulse.js';
+import { createHttp } from '../runtime/http.js';
+import { createMemoryAdapter } from '../runtime/persistence.js';
+import { registerAction, clearActionRegistry } from '../runtime/server-components/actions.js';
+import { createOfflineQueue } from '../runtime/offline.js';
+import { mockHttp } from '../runtime/testing.js';
+
+// ============================================================================
+// Setup / Teardown
+// ============================================================================
+
+let mock;
+let adapter;
+
+function setup(options = {}) {
+  const queue = createOfflineQueue({ adapter, autoReplay: false, ...options });
+  const api = queue.attach(createHttp({ baseURL: 'https://api.test', adapter: mock.adapter }));
+  return { queue, api };
+}
+
+beforeEach(() => {
+  resetContext();
+  mock = mockHttp();
+  adapter = createMemoryAdapter();
+});
+
+afterEach(() => {
+  mock.uninstall();
+  clearActionRegistry();
+  resetContext();
+});
+
+// ============================================================================
+// Capture Tests
+// ============================================================================
+
+describe('Capture', () => {
+  test('queues mutations that fail for connectivity and persists them', async () => {
+    const { queue, api } = setup();
+    mock.onPost('/todos').networkError();
+
+    const result = await api.post('/todos', { title: 'Milk' }, { headers: { 'X-Request': 'a' } });
+
+    assert.strictEqual(result.queued, true);
+    assert.strictEqual(queue.pending.get(), 1);
+
+    const [stored] = await adapter.getItem('pulse-offline-queue');
+    assert.strictEqual(stored.id, result.id);
+    assert.strictEqual(stored.method, 'POST');
+    assert.strictEqual(stored.url, '/todos');
+    assert.deepStrictEqual(stored.data, { title: 'Milk' });
+    assert.strictEqual(stored.headers['X-Request'], 'a');
+  });
+
+  test('does not queue reads, server errors or unserializable bodies', async () => {
+    const { queue, api } = setup();
+    mock.onGet('/todos').networkError();
+    mock.onPut('/todos/1').reply(500);
+    mock.onPost('/upload').networkError();
+
+    await assert.rejects(api.get('/todos'), { code: 'NETWORK' });
+    await assert.rejects(api.put('/todos/1', { done: true }), { status: 500 });
+    await assert.rejects(api.post('/upload', new Blob(['x'])), { code: 'NETWORK' });
+
+    assert.strictEqual(queue.pending.get(), 0);
+  });
+
+  test('never persists credentials', async () => {
+    const { api } = setup();
+    api.interceptors.request.use((config) => ({
+      ...config,
+      headers: { ...config.headers, Authorization: 'Bearer secret' }
+    }));
+    mock.onDelete('/todos/1').networkError();
+
+    await api.delete('/todos/1');
+
+    const [stored] = await adapter.getItem('pulse-offline-queue');
+    assert.strictEqual(stored.headers.Authorization, undefined);
+  });
+});
+
+// ============================================================================
+// Replay Tests
+// ============================================================================
+
+describe('Replay', () => {
+  test('replays queued mutations in order', async () => {
+    const replayed = [];
+    const { queue, api } = setup({ onReplay: (entry) => replayed.push(entry.url) });
+    mock.onPost('/a').networkErrorOnce().reply(201, { id: 'a' });
+    mock.onPatch('/b').networkErrorOnce().reply(200, { id: 'b' });
+
+    await api.post('/a', { n: 1 });
+    await api.patch('/b', { n: 2 });
+    mock.resetHistory();
+
+    assert.strictEqual(await queue.replay(), 2);
+    assert.deepStrictEqual(replayed, ['/a', '/b']);
+    assert.deepStrictEqual(mock.requests.map(r => r.method), ['POST', 'PATCH']);
+    mock.expectRequest('PATCH', '/b', { body: { n: 2 } });
+    assert.strictEqual(queue.pending.get(), 0);
+    assert.deepStrictEqual(await adapter.getItem('pulse-offline-queue'), []);
+  });
+
+  test('stops at the first connectivity failure and keeps the rest', async () => {
+    const { queue, api } = setup();
+    mock.onPost('/a').networkError();
+    mock.onPost('/b').networkError();
+
+    await api.post('/a', {});
+    await api.post('/b', {});
+    mock.resetHistory();
+
+    assert.strictEqual(await queue.replay(), 0);
+    assert.strictEqual(mock.requests.length, 1, 'Should not try /b while /a is still failing');
+    assert.strictEqual(queue.pending.get(), 2);
+    assert.strictEqual(queue.lastError.get().code, 'NETWORK');
+  });
+
+  test('drops mutations rejected by the server and reports them', async () => {
+    const rejected = [];
+    const { queue, api } = setup({ onReplayError: (entry, error) => rejected.push([entry.url, error.status]) });
+    mock.onPost('/a').networkErrorOnce().reply(409, { error: 'Conflict' });
+    mock.onPost('/b').networkErrorOnce().reply(201);
+
+    await api.post('/a', {});
+    await api.post('/b', {});
+
+    assert.strictEqual(await queue.replay(), 1);
+    assert.deepStrictEqual(rejected, [['/a', 409]]);
+    assert.strictEqual(queue.pending.get(), 0);
+  });
+
+  test('restores the queue after a reload and replays on attach', async () => {
+    const first = setup();
+    mock.onPut('/profile').networkErrorOnce().reply(200, { saved: true });
+    await first.api.put('/profile', { name: 'Ada' });
+    first.queue.dispose();
+
+    const replayed = [];
+    const queue = createOfflineQueue({ adapter, onReplay: (entry, response) => replayed.push(response.data) });
+    queue.attach(createHttp({ baseURL: 'https://api.test', adapter: mock.adapter }));
+    await queue.ready;
+    await queue.replay();
+
+    assert.deepStrictEqual(replayed, [{ saved: true }]);
+    assert.strictEqual(queue.pending.get(), 0);
+    queue.dispose();
+  });
+
+  test('concurrent replay() calls share one run', async () => {
+    const { queue, api } = setup();
+    mock.onPost('/a').networkErrorOnce().delay(10).reply(201);
+    await api.post('/a', {});
+
+    const [first, second] = await Promise.all([queue.replay(), queue.replay()]);
+
+    assert.strictEqual(first, 1);
+    assert.strictEqual(second, 1);
+    mock.expectRequest('POST', '/a', { times: 2 });
+  });
+});
+
+// ============================================================================
+// Server Action Tests
+// ============================================================================
+
+describe('Server Actions', () => {
+  test('wrapAction() queues failed invocations and replays them', async () => {
+    registerAction('Notes$save', { endpoint: 'https://app.test/_actions' });
+    mock.onPost('https://app.test/_actions').networkErrorOnce().reply(200, { ok: true });
+    mock.install();
+
+    const queue = createOfflineQueue({ adapter, autoReplay: false });
+    const saveNote = queue.wrapAction('Notes$save', { autoRetry: false });
+
+    const result = await saveNote({ text: 'hi' });
+    assert.strictEqual(result.queued, true);
+
+    const [stored] = await adapter.getItem('pulse-offline-queue');
+    assert.deepStrictEqual(stored, { ...stored, type: 'action', actionId: 'Notes$save', args: [{ text: 'hi' }] });
+
+    assert.strictEqual(await queue.replay(), 1);
+    mock.expectRequest('POST', 'https://app.test/_actions', {
+      body: { args: [{ text: 'hi' }] },
+      headers: { 'X-Pulse-Action': 'Notes$save' },
+      times: 2
+    });
+  });
+
+  test('TypeErrors that are not fetch failures are not queued', async () => {
+    registerAction('Notes$save', { endpoint: 'https://app.test/_actions' });
+    mock.onPost('https://app.test/_actions').networkErrorOnce("Cannot read properties of undefined (reading 'id')");
+    mock.install();
+
+    const queue = createOfflineQueue({ adapter, autoReplay: false });
+    const saveNote = queue.wrapAction('Notes$save', { autoRetry: false });
+
+    await assert.rejects(saveNote({ text: 'hi' }), TypeError);
+    assert.strictEqual(queue.pending.get(), 0);
+  });
+
+  test('a replay failing with a programming error is dropped and the queue moves on', async () => {
+    const rejected = [];
+    registerAction('Notes$save', { endpoint: 'https://app.test/_actions' });
+    mock.onPost('https://app.test/_actions')
+      .networkErrorOnce()
+      .networkErrorOnce()
+      .networkErrorOnce('x.map is not a function')
+      .reply(200, { ok: true });
+    mock.install();
+
+    const queue = createOfflineQueue({
+      adapter,
+      autoReplay: false,
+      onReplayError: (entry, error) => rejected.push([entry.args[0].text, error.message])
+    });
+    const saveNote = queue.wrapAction('Notes$save', { autoRetry: false });
+
+    await saveNote({ text: 'first' });
+    await saveNote({ text: 'second' });
+
+    assert.strictEqual(await queue.replay(), 1);
+    assert.deepStrictEqual(rejected, [['first', 'x.map is not a function']]);
+    assert.strictEqual(queue.pending.get(), 0);
+  });
+});
+
+// ============================================================================
+// Optimistic Update Tests
+// ============================================================================
+
+describe('Optimistic updates', () => {
+  test('keeps the update while queued and rolls back when the replay is rejected', async () => {
+    const { queue, api } = setup();
+    const todos = pulse([]);
+    mock.onPost('/todos').networkErrorOnce().reply(422, { error: 'Invalid' });
+
+    const result = await queue.mutate(() => api.post('/todos', { title: 'x' }), {
+      optimistic: () => {
+        todos.update(list => [...list, 'x']);
+        return () => todos.update(list => list.filter(t => t !== 'x'));
+      }
+    });
+
+    assert.strictEqual(result.queued, true);
+    assert.deepStrictEqual(todos.get(), ['x']);
+
+    await queue.replay();
+    assert.deepStrictEqual(todos.get(), []);
+  });
+
+  test('rolls back right away when the mutation is rejected online', async () => {
+    const { queue, api } = setup();
+    const count = pulse(1);
+    mock.onDelete('/todos/1').reply(403);
+
+    await assert.rejects(queue.mutate(() => api.delete('/todos/1'), {
+      optimistic: () => count.set(0),
+      rollback: () => count.set(1)
+    }), { status: 403 });
+
+    assert.strictEqual(count.get(), 1);
+  });
+});
@@ -1219,6 +1219,13 @@ view {
       assert.strictEqual(directive.container, '#app');
     });
 
+    test('parses @outlet with container and name', () => {
+      const ast = parseSource('view { @outlet("#modal", "modal") }');
+      const directive = ast.view.children[0];
+      assert.strictEqual(directive.container, '#modal');
+      assert.strictEqual(directive.name, 'modal');
+    });
+
     test('parses @navigate directive', () => {
       const ast = parseSource('view { @navigate("/settings") }');
       const directive = ast.view.children[0];
@@ -416,6 +416,30 @@ describe('withPersistence', () => {
     assert.ok(errorReceived);
     persistence.dispose();
   });
+
+  test('sync option mirrors persisted keys across tabs', async () => {
+    const tabA = createStore({ count: 0, secret: '' });
+    const tabB = createStore({ count: 0, secret: '' });
+    const options = { key: 'persist-sync-test', exclude: ['secret'], sync: true, debounce: 0 };
+    const persistenceA = withPersistence(tabA, createMemoryAdapter(), options);
+    const persistenceB = withPersistence(tabB, createMemoryAdapter(), options);
+
+    try {
+      tabA.$setState({ count: 3, secret: 'token' });
+      const start = Date.now();
+      while (tabB.count.get() !== 3 && Date.now() - start < 2000) {
+        await sleep(5);
+      }
+
+      assert.strictEqual(tabB.count.get(), 3);
+      assert.strictEqual(tabB.secret.get(), '', 'Excluded keys are not synced');
+    } finally {
+      persistenceA.dispose();
+      persistenceB.dispose();
+    }
+
+    assert.ok(tabA.$sync, 'Sync handle attached to the store');
+  });
 });
 
 // ============================================================================
@@ -751,3 +775,158 @@ describe('withPersistence — edge cases', () => {
     persistence.dispose();
   });
 });
+
+// ============================================================================
+// Versioning and Migrations Tests
+// ============================================================================
+
+describe('withPersistence — versioning and migrations', () => {
+  test('saves state in a versioned envelope', async () => {
+    const adapter = createMemoryAdapter();
+    const store = createStore({ count: 0 });
+    const persistence = withPersistence(store, adapter, { version: 3, debounce: 0 });
+
+    store.count.set(7);
+    await persistence.flush();
+
+    assert.deepStrictEqual(await adapter.getItem('pulse-store'), { __version: 3, state: { count: 7 } });
+    persistence.dispose();
+  });
+
+  test('migrates unversioned data step by step', async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.setItem('pulse-store', { name: 'Ada Lovelace' });
+    const steps = [];
+
+    const store = createStore({ firstName: '', lastName: '', theme: 'light' });
+    const persistence = withPersistence(store, adapter, {
+      version: 2,
+      migrations: {
+        1: ({ name, ...rest }) => {
+          steps.push(1);
+          const [firstName, lastName] = name.split(' ');
+          return { ...rest, firstName, lastName };
+        },
+        2: async (state) => {
+          steps.push(2);
+          return { ...state, theme: 'dark' };
+        }
+      }
+    });
+
+    const result = await persistence.restore();
+
+    assert.strictEqual(result, true);
+    assert.deepStrictEqual(steps, [1, 2]);
+    assert.strictEqual(store.firstName.get(), 'Ada');
+    assert.strictEqual(store.lastName.get(), 'Lovelace');
+    assert.strictEqual(store.theme.get(), 'dark');
+    persistence.dispose();
+  });
+
+  test('only runs migrations newer than the stored version', async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.setItem('pulse-store', { __version: 2, state: { count: 5 } });
+    const steps = [];
+
+    const store = createStore({ count: 0 });
+    const persistence = withPersistence(store, adapter, {
+      version: 3,
+      migrations: {
+        2: (state) => { steps.push(2); return state; },
+        3: (state) => { steps.push(3); return { count: state.count * 10 }; }
+      }
+    });
+    await persistence.restore();
+
+    assert.deepStrictEqual(steps, [3]);
+    assert.strictEqual(store.count.get(), 50);
+    persistence.dispose();
+  });
+
+  test('failed migration keeps the initial state and reports the error', async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.setItem('pulse-store', { __version: 1, state: { count: 5 } });
+    let reported = null;
+
+    const store = createStore({ count: 0 });
+    const persistence = withPersistence(store, adapter, {
+      version: 2,
+      migrations: { 2: () => { throw new Error('bad shape'); } },
+      onMigrationError: (error, context) => { reported = { error, context }; }
+    });
+    const result = await persistence.restore();
+
+    assert.strictEqual(result, false);
+    assert.strictEqual(store.count.get(), 0);
+    assert.ok(reported.error instanceof PersistenceError);
+    assert.strictEqual(reported.error.code, 'PERSISTENCE_MIGRATION');
+    assert.deepStrictEqual(reported.context, { fromVersion: 1, toVersion: 2, state: { count: 5 } });
+    persistence.dispose();
+  });
+
+  test('onMigrationError can return a state to restore', async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.setItem('pulse-store', { __version: 5, state: { count: 9 } });
+
+    const store = createStore({ count: 0 });
+    const persistence = withPersistence(store, adapter, {
+      version: 2,
+      onMigrationError: (error, { state }) => ({ count: state.count })
+    });
+    const result = await persistence.restore();
+
+    assert.strictEqual(result, true, 'Newer data recovered through the hook');
+    assert.strictEqual(store.count.get(), 9);
+    persistence.dispose();
+  });
+
+  test('migration returning a non-object falls back to onError', async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.setItem('pulse-store', { count: 1 });
+    let errorReceived = null;
+
+    const store = createStore({ count: 0 });
+    const persistence = withPersistence(store, adapter, {
+      version: 1,
+      migrations: { 1: () => null },
+      onError: (err) => { errorReceived = err; }
+    });
+
+    assert.strictEqual(await persistence.restore(), false);
+    assert.ok(errorReceived.message.includes('did not return a state object'));
+    persistence.dispose();
+  });
+
+  test('migrates data stored through web storage adapters', async () => {
+    const backing = new Map();
+    globalThis.localStorage = {
+      getItem: (key) => backing.has(key) ? backing.get(key) : null,
+      setItem: (key, value) => backing.set(key, String(value)),
+      removeItem: (key) => backing.delete(key),
+      clear: () => backing.clear(),
+      key: (i) => Array.from(backing.keys())[i] || null,
+      get length() { return backing.size; },
+    };
+
+    try {
+      backing.set('settings', JSON.stringify({ dark: true }));
+      const store = createStore({ theme: 'light' });
+      const persistence = withPersistence(store, createLocalStorageAdapter(), {
+        key: 'settings',
+        version: 1,
+        debounce: 0,
+        migrations: { 1: ({ dark }) => ({ theme: dark ? 'dark' : 'light' }) }
+      });
+
+      await persistence.restore();
+      await persistence.flush();
+
+      assert.strictEqual(store.theme.get(), 'dark');
+      assert.deepStrictEqual(JSON.parse(backing.get('settings')), { __version: 1, state: { theme: 'dark' } });
+      persistence.dispose();
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+});
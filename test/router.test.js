@@ -24,7 +24,8 @@ global.document = mockDocument;
 global.Node = Node;
 
 // Import router after mocks are set up
-import { createRouter, simpleRouter, lazy, preload, onBeforeLeave, onAfterEnter, buildQueryString, parseQuery } from '../runtime/router.js';
+import { createRouter, simpleRouter, lazy, preload, onBeforeLeave, onAfterEnter, useLoaderData, defineRoute, validateSchema, buildQueryString, parseQuery } from '../runtime/router.js';
+import { validators } from '../runtime/form.js';
 import { el } from '../runtime/dom.js';
 
 // Mock requestAnimationFrame for CSS transition tests
@@ -2525,6 +2526,173 @@ describe('CSS Transition Config Tests (#66)', () => {
   });
 });
 
+// =============================================================================
+// View Transitions API
+// =============================================================================
+
+describe('View Transitions Tests', () => {
+  beforeEach(resetHistory);
+
+  /**
+   * Install a minimal document.startViewTransition that runs the update
+   * callback asynchronously, like browsers do after capturing the old state
+   */
+  function mockViewTransitions() {
+    const calls = [];
+    document.startViewTransition = (update) => {
+      const entry = { attribute: null };
+      calls.push(entry);
+      const updateCallbackDone = Promise.resolve().then(() => {
+        entry.attribute = document.documentElement.getAttribute('data-view-transition');
+        return update();
+      });
+      return { updateCallbackDone, finished: updateCallbackDone, ready: updateCallbackDone };
+    };
+    return {
+      calls,
+      restore: () => { delete document.startViewTransition; }
+    };
+  }
+
+  test('wraps navigation view swaps in startViewTransition', async () => {
+    const vt = mockViewTransitions();
+    try {
+      const router = createRouter({
+        routes: {
+          '/': () => el('div.home', 'Home'),
+          '/posts/1': () => el('div.post', 'Post')
+        },
+        transition: { viewTransition: true }
+      });
+      const stop = router.start();
+      const container = document.createElement('div');
+      router.outlet(container);
+
+      await router.navigate('/posts/1');
+
+      assert.strictEqual(vt.calls.length, 1);
+      assert.strictEqual(router.path.get(), '/posts/1');
+      assert.strictEqual(container.textContent, 'Post', 'View swapped once the update callback ran');
+      assert.ok(!container.firstChild.classList.contains('route-enter'), 'Class transition skipped');
+      stop();
+    } finally {
+      vt.restore();
+    }
+  });
+
+  test('sets the route transition name on <html> during the transition', async () => {
+    const vt = mockViewTransitions();
+    try {
+      const router = createRouter({
+        routes: {
+          '/': () => el('div', 'List'),
+          '/items/:id': { viewTransition: 'detail', handler: () => el('div', 'Detail') }
+        },
+        transition: { viewTransition: true }
+      });
+      const stop = router.start();
+
+      await router.navigate('/items/3');
+      await sleep(0);
+
+      assert.strictEqual(vt.calls[0].attribute, 'detail');
+      assert.strictEqual(document.documentElement.getAttribute('data-view-transition'), null, 'Name cleared when finished');
+      stop();
+    } finally {
+      vt.restore();
+    }
+  });
+
+  test('routes with viewTransition: false skip the view transition', async () => {
+    const vt = mockViewTransitions();
+    try {
+      const router = createRouter({
+        routes: {
+          '/': () => el('div', 'Home'),
+          '/plain': { viewTransition: false, handler: () => el('div', 'Plain') }
+        },
+        transition: { viewTransition: true }
+      });
+      const stop = router.start();
+
+      await router.navigate('/plain');
+
+      assert.strictEqual(vt.calls.length, 0);
+      assert.strictEqual(router.path.get(), '/plain');
+      stop();
+    } finally {
+      vt.restore();
+    }
+  });
+
+  test('back navigation runs inside a view transition', async () => {
+    const vt = mockViewTransitions();
+    try {
+      const router = createRouter({
+        routes: {
+          '/': () => el('div', 'Home'),
+          '/about': () => el('div', 'About')
+        },
+        transition: { viewTransition: true }
+      });
+      const stop = router.start();
+
+      await router.navigate('/about');
+      vt.calls.length = 0;
+      window.history.back();
+      await sleep(10);
+
+      assert.strictEqual(router.path.get(), '/');
+      assert.strictEqual(vt.calls.length, 1);
+      stop();
+    } finally {
+      vt.restore();
+    }
+  });
+
+  test('falls back to class-based transitions when unsupported', async () => {
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/page': () => el('div', 'Page')
+      },
+      transition: { viewTransition: true, duration: 300 }
+    });
+    const stop = router.start();
+    const container = document.createElement('div');
+    router.outlet(container);
+
+    await router.navigate('/page');
+    // Leave transition finishes at 300ms, enter classes stay until ~600ms
+    await sleep(400);
+
+    assert.strictEqual(container.textContent, 'Page');
+    assert.ok(container.firstChild.classList.contains('route-enter'), 'Enter class applied');
+    stop();
+  });
+
+  test('view transitions are not used without the opt-in', async () => {
+    const vt = mockViewTransitions();
+    try {
+      const router = createRouter({
+        routes: {
+          '/': () => el('div', 'Home'),
+          '/page': () => el('div', 'Page')
+        },
+        transition: { duration: 20 }
+      });
+      const stop = router.start();
+
+      await router.navigate('/page');
+
+      assert.strictEqual(vt.calls.length, 0);
+      stop();
+    } finally {
+      vt.restore();
+    }
+  });
+});
+
 // =============================================================================
 // Coverage: Lazy Loading Cached Component Resolution (lines 73-79)
 // =============================================================================
@@ -3681,3 +3849,1017 @@ describe('buildQueryString Edge Cases', () => {
     assert.ok(result.includes('active=true'), 'Should stringify booleans');
   });
 });
+
+// =============================================================================
+// Named Outlets, Parallel Slots and Modal Routes
+// =============================================================================
+
+describe('Named Outlets Tests', () => {
+  beforeEach(resetHistory);
+
+  test('named outlet renders the route outlet handler', async () => {
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/docs': {
+          handler: () => el('div.main', 'Docs'),
+          outlets: { sidebar: () => el('nav.sidebar', 'Docs Nav') }
+        }
+      }
+    });
+    router.start();
+
+    const main = document.createElement('div');
+    const sidebar = document.createElement('div');
+    router.outlet(main);
+    router.outlet(sidebar, { name: 'sidebar' });
+
+    assert.strictEqual(sidebar.childNodes.length, 0, 'Sidebar empty on home');
+
+    await router.navigate('/docs');
+    await sleep(10);
+
+    assert.strictEqual(main.textContent, 'Docs');
+    assert.strictEqual(sidebar.textContent, 'Docs Nav');
+  });
+
+  test('children inherit named outlets and keep them mounted', async () => {
+    let sidebarRenders = 0;
+    const Sidebar = () => {
+      sidebarRenders++;
+      return el('nav', 'Settings Nav');
+    };
+
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/settings': {
+          handler: () => el('div', 'Settings'),
+          outlets: { sidebar: Sidebar },
+          children: {
+            '/profile': () => el('div', 'Profile'),
+            '/billing': () => el('div', 'Billing')
+          }
+        }
+      }
+    });
+    router.start();
+
+    const main = document.createElement('div');
+    const sidebar = document.createElement('div');
+    router.outlet(main);
+    router.outlet(sidebar, { name: 'sidebar' });
+
+    await router.navigate('/settings/profile');
+    await sleep(10);
+    const firstView = sidebar.firstChild;
+
+    await router.navigate('/settings/billing');
+    await sleep(10);
+
+    assert.strictEqual(main.textContent, 'Billing');
+    assert.strictEqual(sidebarRenders, 1, 'Sidebar should not re-render for sibling routes');
+    assert.strictEqual(sidebar.firstChild, firstView, 'Sidebar view should be kept');
+
+    await router.navigate('/');
+    await sleep(10);
+    assert.strictEqual(sidebar.childNodes.length, 0, 'Sidebar cleared when leaving section');
+  });
+
+  test('group outlets apply to all group members', async () => {
+    const router = createRouter({
+      routes: {
+        _app: {
+          group: true,
+          outlets: { header: () => el('header', 'App Header') },
+          children: {
+            '/a': () => el('div', 'A'),
+            '/b': () => el('div', 'B')
+          }
+        }
+      }
+    });
+    router.start();
+
+    const header = document.createElement('div');
+    router.outlet(header, { name: 'header' });
+
+    await router.navigate('/b');
+    await sleep(10);
+    assert.strictEqual(header.textContent, 'App Header');
+  });
+
+  test('named outlets do not apply route layout', async () => {
+    const router = createRouter({
+      routes: {
+        '/page': {
+          handler: () => el('div', 'Page'),
+          layout: (content) => el('div.layout', content()),
+          outlets: { aside: () => el('aside', 'Aside') }
+        }
+      }
+    });
+    router.start();
+
+    const main = document.createElement('div');
+    const aside = document.createElement('div');
+    router.outlet(main);
+    router.outlet(aside, { name: 'aside' });
+
+    await router.navigate('/page');
+    await sleep(10);
+
+    assert.strictEqual(main.firstChild.className, 'layout');
+    assert.strictEqual(aside.firstChild.tagName.toLowerCase(), 'aside');
+  });
+});
+
+describe('Parallel Route Slots Tests', () => {
+  beforeEach(resetHistory);
+
+  function createDashboardRouter() {
+    return createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/dashboard': {
+          handler: () => el('div', 'Dashboard'),
+          slots: {
+            inbox: {
+              '/': () => el('div', 'Inbox'),
+              '/messages/:id': (ctx) => el('div', `Message ${ctx.params.id}`)
+            },
+            stats: {
+              '/': () => el('div', 'Stats'),
+              '/weekly': () => el('div', 'Weekly Stats')
+            }
+          },
+          children: {
+            '/team': () => el('div', 'Team')
+          }
+        }
+      }
+    });
+  }
+
+  test('slot renders its index route by default', async () => {
+    const router = createDashboardRouter();
+    router.start();
+
+    const inbox = document.createElement('div');
+    router.outlet(inbox, { name: 'inbox' });
+
+    await router.navigate('/dashboard');
+    await sleep(10);
+
+    assert.strictEqual(inbox.textContent, 'Inbox');
+    assert.strictEqual(router.slot('inbox').path.get(), '/');
+  });
+
+  test('slots navigate independently of each other and the URL', async () => {
+    const router = createDashboardRouter();
+    router.start();
+
+    const inbox = document.createElement('div');
+    const stats = document.createElement('div');
+    router.outlet(inbox, { name: 'inbox' });
+    router.outlet(stats, { name: 'stats' });
+
+    await router.navigate('/dashboard');
+    await sleep(10);
+
+    assert.strictEqual(router.slot('inbox').navigate('/messages/7'), true);
+    await sleep(10);
+
+    assert.strictEqual(inbox.textContent, 'Message 7');
+    assert.strictEqual(stats.textContent, 'Stats', 'Other slot untouched');
+    assert.strictEqual(router.path.get(), '/dashboard', 'URL path unchanged');
+    assert.deepStrictEqual(router.slot('inbox').params.get(), { id: '7' });
+  });
+
+  test('slot keeps its sub-navigation state across main navigation', async () => {
+    const router = createDashboardRouter();
+    router.start();
+
+    const inbox = document.createElement('div');
+    router.outlet(inbox, { name: 'inbox' });
+
+    await router.navigate('/dashboard');
+    router.slot('inbox').navigate('/messages/3');
+    await router.navigate('/dashboard/team');
+    await sleep(10);
+
+    assert.strictEqual(inbox.textContent, 'Message 3', 'Child route keeps slot state');
+
+    await router.navigate('/');
+    await sleep(10);
+    assert.strictEqual(inbox.childNodes.length, 0, 'Slot hidden outside its route');
+
+    await router.navigate('/dashboard');
+    await sleep(10);
+    assert.strictEqual(inbox.textContent, 'Message 3', 'Slot state restored on return');
+  });
+
+  test('slot handlers receive a slot-scoped navigate', async () => {
+    let slotNavigate = null;
+    const router = createRouter({
+      routes: {
+        '/': {
+          handler: () => el('div', 'Home'),
+          slots: {
+            panel: {
+              '/': (ctx) => {
+                slotNavigate = ctx.navigate;
+                return el('div', 'Panel');
+              },
+              '/details': () => el('div', 'Details')
+            }
+          }
+        }
+      }
+    });
+    router.start();
+
+    const panel = document.createElement('div');
+    router.outlet(panel, { name: 'panel' });
+    await sleep(10);
+
+    slotNavigate('/details');
+    await sleep(10);
+
+    assert.strictEqual(panel.textContent, 'Details');
+    assert.strictEqual(router.path.get(), '/', 'Main route unchanged');
+  });
+
+  test('slot navigate to unknown path returns false', async () => {
+    const router = createDashboardRouter();
+    router.start();
+    await router.navigate('/dashboard');
+
+    assert.strictEqual(router.slot('inbox').navigate('/missing'), false);
+    assert.strictEqual(router.slot('inbox').path.get(), '/');
+  });
+
+  test('slot() returns null when the active route has no such slot', () => {
+    const router = createDashboardRouter();
+    router.start();
+    assert.strictEqual(router.slot('inbox'), null);
+  });
+});
+
+describe('Modal Route Interception Tests', () => {
+  beforeEach(resetHistory);
+
+  function createGalleryRouter(extra = {}) {
+    return createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/photos': () => el('div', 'Photo List'),
+        '/photo/:id': {
+          handler: (ctx) => el('div', `Photo Page ${ctx.params.id}`),
+          modal: true,
+          ...extra
+        }
+      }
+    });
+  }
+
+  test('in-app navigation renders modal over the current page', async () => {
+    const router = createGalleryRouter();
+    router.start();
+
+    const main = document.createElement('div');
+    const modal = document.createElement('div');
+    router.outlet(main);
+    router.outlet(modal, { name: 'modal' });
+
+    await router.navigate('/photos');
+    await sleep(10);
+    const listView = main.firstChild;
+
+    await router.navigate('/photo/5');
+    await sleep(10);
+
+    assert.strictEqual(router.path.get(), '/photo/5');
+    assert.strictEqual(main.firstChild, listView, 'Background page stays mounted');
+    assert.strictEqual(modal.textContent, 'Photo Page 5');
+    assert.strictEqual(router.background.get().path, '/photos');
+  });
+
+  test('direct load renders the modal route as a full page', async () => {
+    window.history.replaceState(null, '', '/photo/9');
+    const router = createGalleryRouter();
+    router.start();
+
+    const main = document.createElement('div');
+    const modal = document.createElement('div');
+    router.outlet(main);
+    router.outlet(modal, { name: 'modal' });
+    await sleep(10);
+
+    assert.strictEqual(main.textContent, 'Photo Page 9');
+    assert.strictEqual(modal.childNodes.length, 0);
+    assert.strictEqual(router.background.get(), null);
+  });
+
+  test('modal option can use a dedicated component and outlet', async () => {
+    const router = createGalleryRouter({
+      modal: { outlet: 'overlay', handler: (ctx) => el('div', `Photo Modal ${ctx.params.id}`) }
+    });
+    router.start();
+
+    const overlay = document.createElement('div');
+    router.outlet(overlay, { name: 'overlay' });
+
+    await router.navigate('/photos');
+    await router.navigate('/photo/2');
+    await sleep(10);
+
+    assert.strictEqual(overlay.textContent, 'Photo Modal 2');
+  });
+
+  test('modal to modal navigation keeps the original background', async () => {
+    const router = createGalleryRouter();
+    router.start();
+
+    const main = document.createElement('div');
+    const modal = document.createElement('div');
+    router.outlet(main);
+    router.outlet(modal, { name: 'modal' });
+
+    await router.navigate('/photos');
+    await router.navigate('/photo/1');
+    await router.navigate('/photo/2');
+    await sleep(10);
+
+    assert.strictEqual(main.textContent, 'Photo List');
+    assert.strictEqual(modal.textContent, 'Photo Page 2');
+  });
+
+  test('closing the modal back to the background keeps the page mounted', async () => {
+    const router = createGalleryRouter();
+    router.start();
+
+    const main = document.createElement('div');
+    const modal = document.createElement('div');
+    router.outlet(main);
+    router.outlet(modal, { name: 'modal' });
+
+    await router.navigate('/photos');
+    await sleep(10);
+    const listView = main.firstChild;
+
+    await router.navigate('/photo/3');
+    window.history.back();
+    await sleep(10);
+
+    assert.strictEqual(router.path.get(), '/photos');
+    assert.strictEqual(router.background.get(), null);
+    assert.strictEqual(main.firstChild, listView, 'List view was not re-rendered');
+    assert.strictEqual(modal.childNodes.length, 0, 'Modal outlet cleared');
+  });
+
+  test('forward navigation restores the modal from history state', async () => {
+    const router = createGalleryRouter();
+    router.start();
+
+    const main = document.createElement('div');
+    const modal = document.createElement('div');
+    router.outlet(main);
+    router.outlet(modal, { name: 'modal' });
+
+    await router.navigate('/photos');
+    await router.navigate('/photo/4');
+    window.history.back();
+    await sleep(10);
+    window.history.forward();
+    await sleep(10);
+
+    assert.strictEqual(router.background.get().path, '/photos');
+    assert.strictEqual(main.textContent, 'Photo List');
+    assert.strictEqual(modal.textContent, 'Photo Page 4');
+  });
+
+  test('navigate with modal: false renders the full page', async () => {
+    const router = createGalleryRouter();
+    router.start();
+
+    const main = document.createElement('div');
+    router.outlet(main);
+
+    await router.navigate('/photos');
+    await router.navigate('/photo/8', { modal: false });
+    await sleep(10);
+
+    assert.strictEqual(router.background.get(), null);
+    assert.strictEqual(main.textContent, 'Photo Page 8');
+  });
+});
+
+// =============================================================================
+// Route Loaders
+// =============================================================================
+
+describe('Route Loaders Tests', () => {
+  beforeEach(resetHistory);
+
+  test('loader runs before the navigation commits', async () => {
+    let pathDuringLoad = null;
+    let router;
+    router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/users/:id': {
+          loader: async ({ params }) => {
+            pathDuringLoad = router.path.peek();
+            return { id: params.id };
+          },
+          handler: () => el('div', 'User')
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/users/5');
+
+    assert.strictEqual(pathDuringLoad, '/', 'Route not committed while loading');
+    assert.strictEqual(router.path.get(), '/users/5');
+    assert.deepStrictEqual(router.loaderData.get(), { '/users/:id': { id: '5' } });
+  });
+
+  test('loader receives params, query, meta and an abort signal', async () => {
+    let received = null;
+    const router = createRouter({
+      routes: {
+        '/search/:scope': {
+          meta: { title: 'Search' },
+          loader: (ctx) => { received = ctx; return null; },
+          handler: () => el('div', 'Search')
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/search/docs', { query: { q: 'pulse' } });
+
+    assert.deepStrictEqual(received.params, { scope: 'docs' });
+    assert.strictEqual(received.query.q, 'pulse');
+    assert.strictEqual(received.meta.title, 'Search');
+    assert.strictEqual(received.path, '/search/docs');
+    assert.ok(received.signal, 'Should receive an AbortSignal');
+    assert.strictEqual(received.router, router);
+  });
+
+  test('nested loaders run in parallel', async () => {
+    const events = [];
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/org/:org': {
+          loader: async ({ params }) => {
+            events.push('org:start');
+            await sleep(20);
+            events.push('org:end');
+            return { org: params.org };
+          },
+          handler: () => el('div', 'Org'),
+          children: {
+            '/repo/:repo': {
+              loader: async ({ params }) => {
+                events.push('repo:start');
+                await sleep(20);
+                events.push('repo:end');
+                return { repo: params.repo };
+              },
+              handler: () => el('div', 'Repo')
+            }
+          }
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/org/acme/repo/pulse');
+
+    assert.deepStrictEqual(events.slice(0, 2), ['org:start', 'repo:start'], 'Both loaders start before either finishes');
+    assert.deepStrictEqual(router.loaderData.get(), {
+      '/org/:org': { org: 'acme' },
+      '/org/:org/repo/:repo': { repo: 'pulse' }
+    });
+  });
+
+  test('useLoaderData returns data for the rendering route', async () => {
+    let ownData = null;
+    let parentData = null;
+    let ctxData = null;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/team/:id': {
+          loader: ({ params }) => ({ team: params.id }),
+          handler: () => el('div', 'Team'),
+          children: {
+            '/members': {
+              loader: () => ['ada', 'linus'],
+              handler: (ctx) => {
+                ownData = useLoaderData();
+                parentData = useLoaderData('/team/:id');
+                ctxData = ctx.data;
+                return el('ul', ownData.map(name => el('li', name)));
+              }
+            }
+          }
+        }
+      }
+    });
+    router.start();
+
+    const container = document.createElement('div');
+    router.outlet(container);
+
+    await router.navigate('/team/core/members');
+    await sleep(10);
+
+    assert.deepStrictEqual(ownData, ['ada', 'linus']);
+    assert.deepStrictEqual(parentData, { team: 'core' });
+    assert.deepStrictEqual(ctxData, ['ada', 'linus']);
+    assert.strictEqual(container.textContent, 'adalinus');
+  });
+
+  test('useLoaderData falls back to the nearest ancestor loader', async () => {
+    let data = null;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/project/:id': {
+          loader: ({ params }) => ({ project: params.id }),
+          handler: () => el('div', 'Project'),
+          children: {
+            '/settings': () => {
+              data = useLoaderData();
+              return el('div', 'Settings');
+            }
+          }
+        }
+      }
+    });
+    router.start();
+    router.outlet(document.createElement('div'));
+
+    await router.navigate('/project/9/settings');
+    await sleep(10);
+
+    assert.deepStrictEqual(data, { project: '9' });
+  });
+
+  test('isLoading is true while loaders run', async () => {
+    const states = [];
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/slow': {
+          loader: async () => {
+            states.push(router.loading.peek());
+            await sleep(10);
+            return 'done';
+          },
+          handler: () => el('div', 'Slow')
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/slow');
+    states.push(router.loading.peek());
+
+    assert.deepStrictEqual(states, [true, false]);
+  });
+
+  test('loader error commits navigation and renders via onRouteError', async () => {
+    let handledError = null;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/broken': {
+          loader: async () => { throw new Error('Load failed'); },
+          handler: () => el('div', 'Should not render')
+        }
+      },
+      onRouteError: (error) => {
+        handledError = error;
+        return el('div.custom-error', `Oops: ${error.message}`);
+      }
+    });
+    router.start();
+
+    const container = document.createElement('div');
+    router.outlet(container);
+
+    const result = await router.navigate('/broken');
+    await sleep(10);
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(router.path.get(), '/broken');
+    assert.strictEqual(handledError.message, 'Load failed');
+    assert.strictEqual(router.error.get().message, 'Load failed');
+    assert.strictEqual(container.textContent, 'Oops: Load failed');
+  });
+
+  test('superseded navigation aborts its loaders and does not commit', async () => {
+    let firstSignal = null;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/a': {
+          loader: async ({ signal }) => {
+            firstSignal = signal;
+            await sleep(30);
+            return 'a';
+          },
+          handler: () => el('div', 'A')
+        },
+        '/b': {
+          loader: async () => 'b',
+          handler: () => el('div', 'B')
+        }
+      }
+    });
+    router.start();
+
+    const first = router.navigate('/a');
+    await sleep(5);
+    const second = router.navigate('/b');
+
+    assert.strictEqual(await second, true);
+    assert.strictEqual(await first, false, 'Stale navigation reports failure');
+    assert.strictEqual(firstSignal.aborted, true);
+    assert.strictEqual(router.path.get(), '/b');
+    assert.deepStrictEqual(router.loaderData.get(), { '/b': 'b' });
+  });
+
+  test('navigation to a route without loaders supersedes a pending loader', async () => {
+    let firstSignal = null;
+    const states = [];
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/a': {
+          loader: async ({ signal }) => {
+            firstSignal = signal;
+            await sleep(30);
+            return 'a';
+          },
+          handler: () => el('div', 'A')
+        },
+        '/b': () => el('div', 'B')
+      }
+    });
+    router.start();
+
+    const first = router.navigate('/a');
+    await sleep(5);
+    assert.strictEqual(await router.navigate('/b'), true);
+    states.push(router.loading.peek());
+
+    assert.strictEqual(await first, false, 'Stale navigation reports failure');
+    states.push(router.loading.peek());
+
+    assert.strictEqual(firstSignal.aborted, true);
+    assert.strictEqual(router.path.get(), '/b');
+    assert.strictEqual(window.location.pathname, '/b');
+    assert.deepStrictEqual(states, [false, false]);
+  });
+
+  test('start() runs loaders for the initial route', async () => {
+    window.history.replaceState(null, '', '/item/3');
+    const router = createRouter({
+      routes: {
+        '/item/:id': {
+          loader: ({ params }) => ({ id: Number(params.id) }),
+          handler: () => el('div', 'Item')
+        }
+      }
+    });
+    router.start();
+    await sleep(10);
+
+    assert.strictEqual(router.path.get(), '/item/3');
+    assert.deepStrictEqual(router.loaderData.get(), { '/item/:id': { id: 3 } });
+  });
+
+  test('back navigation reruns loaders', async () => {
+    let calls = 0;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/feed': {
+          loader: () => ++calls,
+          handler: () => el('div', 'Feed')
+        },
+        '/other': () => el('div', 'Other')
+      }
+    });
+    router.start();
+
+    await router.navigate('/feed');
+    await router.navigate('/other');
+    window.history.back();
+    await sleep(10);
+
+    assert.strictEqual(router.path.get(), '/feed');
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(router.loaderData.get()['/feed'], 2);
+  });
+
+  test('url option resolves the initial route without start()', () => {
+    const router = createRouter({
+      routes: {
+        '/docs/:page': () => el('div', 'Docs')
+      },
+      url: '/docs/intro?lang=fr'
+    });
+
+    assert.strictEqual(router.path.get(), '/docs/intro');
+    assert.deepStrictEqual(router.params.get(), { page: 'intro' });
+    assert.strictEqual(router.query.get().lang, 'fr');
+  });
+
+  test('useLoaderData outside a rendering route reads the current route', async () => {
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/stats': {
+          loader: () => ({ visits: 42 }),
+          handler: () => el('div', 'Stats')
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/stats');
+    assert.deepStrictEqual(useLoaderData(), { visits: 42 });
+  });
+});
+
+// =============================================================================
+// Route Params and Query Schema Tests
+// =============================================================================
+
+describe('Route Params and Query Schema Tests', () => {
+  beforeEach(resetHistory);
+
+  test('validateSchema coerces types and applies defaults', () => {
+    const { values, errors } = validateSchema(
+      {
+        id: 'integer',
+        page: { type: 'number', default: 1 },
+        draft: 'boolean',
+        tags: { array: true }
+      },
+      { id: '42', draft: 'true', tags: 'a', extra: 'kept' }
+    );
+
+    assert.strictEqual(errors, null);
+    assert.deepStrictEqual(values, { id: 42, page: 1, draft: true, tags: ['a'], extra: 'kept' });
+  });
+
+  test('validateSchema reports coercion and rule errors', () => {
+    const { errors } = validateSchema(
+      {
+        id: 'integer',
+        page: { type: 'number', rules: [validators.min(1)] },
+        q: [validators.required()]
+      },
+      { id: 'abc', page: '0' }
+    );
+
+    assert.strictEqual(errors.id, 'Must be a number');
+    assert.ok(errors.page.includes('1'));
+    assert.ok(errors.q);
+  });
+
+  test('validateSchema skips async rules', () => {
+    const asyncRule = validators.asyncCustom(async () => false);
+    const { errors } = validateSchema({ name: [asyncRule] }, { name: 'x' });
+    assert.strictEqual(errors, null);
+  });
+
+  test('navigation passes coerced params and query to state and handlers', async () => {
+    let ctxSeen = null;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/posts/:id': {
+          params: { id: { type: 'integer', rules: [validators.min(1)] } },
+          query: { page: { type: 'number', default: 1 }, preview: 'boolean' },
+          handler: (ctx) => { ctxSeen = ctx; return el('div', 'Post'); }
+        }
+      }
+    });
+    router.start();
+    const container = document.createElement('div');
+    router.outlet(container);
+
+    await router.navigate('/posts/7', { query: { preview: 'true' } });
+
+    assert.deepStrictEqual(router.params.get(), { id: 7 });
+    assert.deepStrictEqual(router.query.get(), { page: 1, preview: true });
+    assert.strictEqual(ctxSeen.params.id, 7);
+    assert.strictEqual(ctxSeen.query.page, 1);
+  });
+
+  test('guards and loaders receive coerced values', async () => {
+    let guardId = null;
+    let loaderId = null;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/items/:id': {
+          params: { id: 'integer' },
+          beforeEnter: (to) => { guardId = to.params.id; },
+          loader: ({ params }) => { loaderId = params.id; return null; },
+          handler: () => el('div', 'Item')
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/items/12');
+
+    assert.strictEqual(guardId, 12);
+    assert.strictEqual(loaderId, 12);
+  });
+
+  test('invalid input renders the error view with a RouterError and resolves false', async () => {
+    let handlerCalled = false;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/users/:id': {
+          params: { id: 'integer' },
+          query: { tab: [validators.pattern(/^(profile|posts)$/)] },
+          handler: () => { handlerCalled = true; return el('div', 'User'); }
+        }
+      },
+      onRouteError: (error) => el('div.error', `Invalid: ${error.code}`)
+    });
+    router.start();
+    const container = document.createElement('div');
+    router.outlet(container);
+
+    const result = await router.navigate('/users/abc', { query: { tab: 'admin' } });
+
+    assert.strictEqual(result, false);
+    assert.strictEqual(handlerCalled, false);
+    assert.strictEqual(container.textContent, 'Invalid: ROUTE_VALIDATION');
+
+    const err = router.error.get();
+    assert.strictEqual(err.name, 'RouterError');
+    assert.strictEqual(err.code, 'ROUTE_VALIDATION');
+    assert.strictEqual(err.errors.params.id, 'Must be a number');
+    assert.ok(err.errors.query.tab);
+  });
+
+  test('onInvalid path redirects invalid navigations', async () => {
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/not-found': () => el('div', 'Not found'),
+        '/users/:id': {
+          params: { id: 'integer' },
+          onInvalid: '/not-found',
+          handler: () => el('div', 'User')
+        }
+      }
+    });
+    router.start();
+
+    const result = await router.navigate('/users/abc');
+
+    assert.strictEqual(result, true);
+    assert.strictEqual(router.path.get(), '/not-found');
+  });
+
+  test('onInvalid function receives the error and may redirect', async () => {
+    let received = null;
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/search': {
+          query: { page: { type: 'integer', default: 1, rules: [validators.min(1)] } },
+          onInvalid: (error, to) => {
+            received = { error, to };
+            return '/search';
+          },
+          handler: () => el('div', 'Search')
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/search', { query: { page: '-3' } });
+
+    assert.ok(received.error.errors.query.page);
+    assert.strictEqual(received.to.path, '/search');
+    assert.strictEqual(router.path.get(), '/search');
+    assert.deepStrictEqual(router.query.get(), { page: 1 });
+  });
+
+  test('child routes inherit parent schemas', async () => {
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/orgs/:org': {
+          params: { org: [validators.minLength(2)] },
+          handler: () => el('div', 'Org'),
+          children: {
+            '/projects/:pid': {
+              params: { pid: 'integer' },
+              handler: () => el('div', 'Project')
+            }
+          }
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/orgs/acme/projects/3');
+    assert.deepStrictEqual(router.params.get(), { org: 'acme', pid: 3 });
+
+    assert.strictEqual(await router.navigate('/orgs/a/projects/3'), false);
+    assert.strictEqual(router.error.get().code, 'ROUTE_VALIDATION');
+  });
+
+  test('group schemas and onInvalid apply to the group routes', async () => {
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/login': () => el('div', 'Login'),
+        '_account': {
+          group: true,
+          query: { ref: { type: 'string', default: 'nav' } },
+          onInvalid: '/login',
+          children: {
+            '/profile/:id': {
+              params: { id: 'integer' },
+              handler: () => el('div', 'Profile')
+            }
+          }
+        }
+      }
+    });
+    router.start();
+
+    await router.navigate('/profile/4');
+    assert.deepStrictEqual(router.params.get(), { id: 4 });
+    assert.deepStrictEqual(router.query.get(), { ref: 'nav' });
+
+    assert.strictEqual(await router.navigate('/profile/me'), true);
+    assert.strictEqual(router.path.get(), '/login');
+  });
+
+  test('invalid initial location renders the route error view', async () => {
+    window.history.replaceState(null, '', '/users/abc');
+    let loaderCalled = false;
+    const router = createRouter({
+      routes: {
+        '/users/:id': {
+          params: { id: 'integer' },
+          loader: () => { loaderCalled = true; },
+          handler: () => el('div', 'User')
+        }
+      },
+      onRouteError: (error) => el('div.error', `Invalid: ${Object.keys(error.errors.params).join(',')}`)
+    });
+    const container = document.createElement('div');
+    router.outlet(container);
+    router.start();
+    await sleep(10);
+
+    assert.strictEqual(router.path.get(), '/users/abc');
+    assert.strictEqual(loaderCalled, false);
+    assert.strictEqual(container.textContent, 'Invalid: id');
+  });
+
+  test('invalid initial location follows onInvalid redirect', async () => {
+    window.history.replaceState(null, '', '/users/abc');
+    const router = createRouter({
+      routes: {
+        '/': () => el('div', 'Home'),
+        '/users/:id': {
+          params: { id: 'integer' },
+          onInvalid: '/',
+          handler: () => el('div', 'User')
+        }
+      }
+    });
+    router.start();
+    await sleep(10);
+
+    assert.strictEqual(router.path.get(), '/');
+  });
+
+  test('defineRoute returns the definition unchanged', () => {
+    const definition = { params: { id: 'integer' }, handler: () => el('div') };
+    assert.strictEqual(defineRoute(definition), definition);
+  });
+});
@@ -298,6 +298,23 @@ describe('createActionInvoker - Error Handling', () => {
     );
   });
 
+  test('attaches status and field errors from a 422 response', async () => {
+    global.fetch = mock.fn(async () => ({
+      ok: false,
+      status: 422,
+      headers: new Map(),
+      json: async () => ({ message: 'Validation failed', errors: { email: 'Taken' } })
+    }));
+
+    registerAction('testAction');
+    const invoker = createActionInvoker('testAction');
+
+    await assert.rejects(
+      async () => await invoker({ test: 'data' }),
+      { message: 'Validation failed', status: 422, errors: { email: 'Taken' } }
+    );
+  });
+
   test('throws on HTTP error with error field', async () => {
     global.fetch = mock.fn(async () => ({
       ok: false,
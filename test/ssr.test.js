@@ -458,6 +458,60 @@ describe('renderToString', () => {
 // SSR with Reactive State Tests
 // ============================================================================
 
+describe('renderToString - awaitBlock', () => {
+  beforeEach(() => {
+    setAdapter(new MockDOMAdapter());
+    resetContext();
+  });
+
+  afterEach(() => {
+    resetAdapter();
+  });
+
+  const templates = (el) => ({
+    pending: () => el('p', 'Loading'),
+    then: (value) => el('p', `Got ${value}`),
+    catch: (err) => el('p', `Failed: ${err.message}`)
+  });
+
+  test('renders the resolved value of each block', async () => {
+    const { el } = await import('../runtime/dom-element.js');
+    const { awaitBlock } = await import('../runtime/dom-conditional.js');
+    const load = (value) => new Promise(r => setTimeout(() => r(value), 5));
+
+    const { html } = await renderToString(() => el('ul',
+      ['a', 'b'].map(value => el('li', awaitBlock(() => load(value), templates(el))))
+    ));
+
+    assert.ok(html.includes('<p>Got a</p>'));
+    assert.ok(html.includes('<p>Got b</p>'));
+    assert.ok(!html.includes('Loading'));
+  });
+
+  test('renders the catch branch for rejected promises', async () => {
+    const { el } = await import('../runtime/dom-element.js');
+    const { awaitBlock } = await import('../runtime/dom-conditional.js');
+
+    const { html } = await renderToString(() =>
+      awaitBlock(() => Promise.reject(new Error('nope')), templates(el))
+    );
+
+    assert.ok(html.includes('<p>Failed: nope</p>'));
+  });
+
+  test('renders the pending branch without waiting', async () => {
+    const { el } = await import('../runtime/dom-element.js');
+    const { awaitBlock } = await import('../runtime/dom-conditional.js');
+
+    const { html } = await renderToString(() =>
+      awaitBlock(() => Promise.resolve('x'), templates(el)),
+      { waitForAsync: false }
+    );
+
+    assert.ok(html.includes('<p>Loading</p>'));
+  });
+});
+
 describe('SSR with Reactive State', () => {
   beforeEach(() => {
     setAdapter(new MockDOMAdapter());
@@ -991,6 +1045,47 @@ describe('SSR Async Context - Collecting Flag', () => {
   });
 });
 
+describe('SSR Async Context - Positional Keys', () => {
+  test('nextKey numbers occurrences within a render pass', () => {
+    const ctx = new SSRAsyncContext();
+
+    assert.strictEqual(ctx.nextKey('a'), 'a#0');
+    assert.strictEqual(ctx.nextKey('a'), 'a#1');
+    assert.strictEqual(ctx.nextKey('b'), 'b#0');
+
+    ctx.beginPass();
+    assert.strictEqual(ctx.nextKey('a'), 'a#0');
+  });
+
+  test('withKeyScope numbers keys within the scope from zero', () => {
+    const ctx = new SSRAsyncContext();
+    ctx.nextKey('a');
+
+    const scope = ctx.nextKey('suspense');
+    assert.deepStrictEqual(ctx.withKeyScope(scope, () => [ctx.nextKey('a'), ctx.nextKey('a')]),
+      ['suspense#0/a#0', 'suspense#0/a#1']);
+    assert.strictEqual(ctx.nextKey('a'), 'a#1', 'Outer numbering continues');
+
+    // Rendering the scope again alone gives the same keys
+    ctx.beginPass();
+    assert.strictEqual(ctx.withKeyScope(scope, () => ctx.nextKey('a')), 'suspense#0/a#0');
+  });
+
+  test('installing the context and waitAll start a new pass', async () => {
+    const ctx = new SSRAsyncContext();
+    ctx.nextKey('a');
+
+    setSSRAsyncContext(ctx);
+    assert.strictEqual(ctx.nextKey('a'), 'a#0');
+    setSSRAsyncContext(null);
+
+    ctx.nextKey('a');
+    ctx.register('a#0', Promise.resolve('value'));
+    await ctx.waitAll();
+    assert.strictEqual(ctx.nextKey('a'), 'a#0');
+  });
+});
+
 describe('SSR Async Context - Multiple Operations', () => {
   test('handles multiple concurrent operations', async () => {
     const ctx = new SSRAsyncContext();
@@ -1340,6 +1435,54 @@ describe('renderToString - Advanced', () => {
 
     assert.strictEqual(html, '');
   });
+
+  test('awaits route loaders and renders with their data', async () => {
+    const { el } = await import('../runtime/dom-element.js');
+    const { createRouter, useLoaderData } = await import('../runtime/router.js');
+
+    let loaderCalls = 0;
+    const routes = {
+      '/users/:id': {
+        loader: async ({ params }) => {
+          loaderCalls++;
+          return { name: `User ${params.id}` };
+        },
+        handler: () => {
+          const user = useLoaderData();
+          return el('h1', user ? user.name : 'Loading');
+        }
+      }
+    };
+
+    const { html, state } = await renderToString(() => {
+      const router = createRouter({ routes, url: '/users/7' });
+      return router.outlet(el('main'));
+    });
+
+    assert.strictEqual(html, '<main><h1>User 7</h1></main>');
+    assert.strictEqual(loaderCalls, 1, 'Loader runs once across both render passes');
+    assert.deepStrictEqual(Object.values(state), [{ '/users/:id': { name: 'User 7' } }]);
+  });
+
+  test('renders route loader errors through the route error view', async () => {
+    const { el } = await import('../runtime/dom-element.js');
+    const { createRouter } = await import('../runtime/router.js');
+
+    const routes = {
+      '/broken': {
+        loader: async () => { throw new Error('Backend down'); },
+        handler: () => el('div', 'Never rendered')
+      }
+    };
+
+    const { html } = await renderToString(() => {
+      const router = createRouter({ routes, url: '/broken' });
+      return router.outlet(el('main'));
+    });
+
+    assert.ok(html.includes('Backend down'));
+    assert.ok(!html.includes('Never rendered'));
+  });
 });
 
 // ============================================================================
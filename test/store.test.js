@@ -23,7 +23,8 @@ import {
   createModuleStore,
   usePlugin,
   loggerPlugin,
-  historyPlugin
+  historyPlugin,
+  syncPlugin
 } from '../runtime/store.js';
 
 import { effect } from '../runtime/pulse.js';
@@ -810,6 +811,313 @@ describe('Error Path Tests', () => {
   });
 });
 
+// =============================================================================
+// History Transactions and Branches Tests
+// =============================================================================
+
+describe('History Transactions and Branches Tests', () => {
+  beforeEach(clearStorage);
+  afterEach(clearStorage);
+
+  test('$transaction records a single undo step', () => {
+    const store = createStore({ count: 0, total: 0 });
+    usePlugin(store, historyPlugin);
+
+    store.$transaction(() => {
+      store.count.set(1);
+      store.$setState({ total: 10 });
+      store.count.set(2);
+    });
+
+    assert.strictEqual(store.$history.entries().length, 2);
+    store.$undo();
+    assert.strictEqual(store.count.get(), 0);
+    assert.strictEqual(store.total.get(), 0);
+    store.$redo();
+    assert.strictEqual(store.count.get(), 2);
+    assert.strictEqual(store.total.get(), 10);
+  });
+
+  test('$transaction rolls back and records nothing when it throws', () => {
+    const store = createStore({ count: 0 });
+    usePlugin(store, historyPlugin);
+
+    assert.throws(() => store.$transaction(() => {
+      store.count.set(5);
+      throw new Error('abort');
+    }), /abort/);
+
+    assert.strictEqual(store.count.get(), 0);
+    assert.strictEqual(store.$canUndo(), false);
+  });
+
+  test('nested transactions are recorded once with the outer label', () => {
+    const store = createStore({ a: 0, b: 0 });
+    usePlugin(store, historyPlugin);
+
+    const result = store.$transaction(() => {
+      store.a.set(1);
+      store.$transaction(() => store.b.set(1), 'inner');
+      return 'done';
+    }, 'outer');
+
+    assert.strictEqual(result, 'done');
+    const entries = store.$history.entries();
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries[1].action, 'outer');
+  });
+
+  test('transactions without changes are not recorded', () => {
+    const store = createStore({ count: 0 });
+    usePlugin(store, historyPlugin);
+
+    store.$transaction(() => {});
+
+    assert.strictEqual(store.$canUndo(), false);
+  });
+
+  test('redo is branch-aware', () => {
+    const store = createStore({ count: 0 });
+    usePlugin(store, historyPlugin);
+
+    store.$setState({ count: 1 });
+    store.$setState({ count: 2 });
+    store.$undo();
+    store.$setState({ count: 10 }); // New branch from 1
+
+    store.$undo();
+    const branches = store.$history.branches();
+    assert.deepStrictEqual(branches.map(b => b.state.count), [2, 10]);
+
+    store.$redo();
+    assert.strictEqual(store.count.get(), 10, 'Follows the latest branch');
+
+    store.$undo();
+    store.$redo(0);
+    assert.strictEqual(store.count.get(), 2, 'Picks the abandoned branch');
+
+    store.$undo();
+    store.$redo();
+    assert.strictEqual(store.count.get(), 2, 'Remembers the last visited branch');
+  });
+
+  test('canUndo and canRedo are reactive pulses', () => {
+    const store = createStore({ count: 0 });
+    usePlugin(store, historyPlugin);
+    const seen = [];
+    effect(() => {
+      seen.push([store.$history.canUndo.get(), store.$history.canRedo.get()]);
+    });
+
+    store.$setState({ count: 1 });
+    store.$undo();
+
+    assert.deepStrictEqual(seen, [[false, false], [true, false], [false, true]]);
+  });
+
+  test('maxBytes budget drops the oldest states', () => {
+    const store = createStore({ text: '' });
+    usePlugin(store, (s) => historyPlugin(s, { maxHistory: 100, maxBytes: 500 }));
+
+    for (let i = 1; i <= 10; i++) {
+      store.$setState({ text: 'x'.repeat(50) + i });
+    }
+
+    assert.ok(store.$history.getSize() <= 500, 'Stays within the budget');
+    const entries = store.$history.entries();
+    assert.ok(entries.length < 11, 'Dropped old entries');
+    assert.strictEqual(entries[entries.length - 1].state.text, 'x'.repeat(50) + 10);
+  });
+
+  test('pruning drops abandoned branches before the current path', () => {
+    const store = createStore({ count: 0 });
+    usePlugin(store, (s) => historyPlugin(s, 3));
+
+    store.$setState({ count: 1 });
+    store.$undo();
+    store.$setState({ count: 2 });
+    store.$setState({ count: 3 }); // 4 states: the abandoned branch goes first
+
+    assert.deepStrictEqual(store.$history.entries().map(e => e.state.count), [0, 2, 3]);
+  });
+
+  test('subscribe reports recorded and restored entries', () => {
+    const store = createStore({ count: 0 });
+    usePlugin(store, historyPlugin);
+    const events = [];
+    const unsubscribe = store.$history.subscribe(e => events.push([e.type, e.index]));
+
+    store.$setState({ count: 1 });
+    store.$undo();
+    unsubscribe();
+    store.$redo();
+
+    assert.deepStrictEqual(events, [['record', 1], ['travel', 0]]);
+  });
+
+  test('goTo restores a timeline position and clear resets history', () => {
+    const store = createStore({ count: 0 });
+    usePlugin(store, historyPlugin);
+    store.$setState({ count: 1 });
+    store.$setState({ count: 2 });
+
+    assert.strictEqual(store.$history.goTo(0), true);
+    assert.strictEqual(store.count.get(), 0);
+    assert.strictEqual(store.$history.getIndex(), 0);
+    assert.strictEqual(store.$history.goTo(5), false);
+
+    store.$history.clear();
+    assert.strictEqual(store.$history.entries().length, 1);
+    assert.strictEqual(store.$canRedo(), false);
+  });
+});
+
+// =============================================================================
+// Cross-Tab Sync Tests
+// =============================================================================
+
+describe('Cross-Tab Sync Tests', () => {
+  beforeEach(clearStorage);
+  afterEach(clearStorage);
+
+  const tick = () => new Promise(r => setTimeout(r, 100));
+
+  /** Wait until a condition holds (channel delivery is asynchronous) */
+  async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition() && Date.now() - start < timeout) {
+      await new Promise(r => setTimeout(r, 5));
+    }
+  }
+
+  /** Two stores standing in for two tabs on the same channel */
+  function createTabs(initialState, options) {
+    const a = usePlugin(createStore(initialState), (s) => syncPlugin(s, options));
+    const b = usePlugin(createStore(initialState), (s) => syncPlugin(s, options));
+    return { a, b, close: () => { a.$sync.close(); b.$sync.close(); } };
+  }
+
+  test('broadcasts changes to other tabs', async () => {
+    const { a, b, close } = createTabs({ count: 0, user: { name: 'Ann' } }, { channel: 'sync-basic' });
+    try {
+      a.count.set(5);
+      a.$setState({ user: { name: 'Bob' } });
+      await waitFor(() => b.user.name.get() === 'Bob');
+
+      assert.strictEqual(b.count.get(), 5);
+      assert.deepStrictEqual(b.$pulses.user.get(), { name: 'Bob' });
+      assert.strictEqual(b.user.name.get(), 'Bob');
+      assert.strictEqual(a.count.get(), 5, 'Applied changes are not echoed back');
+    } finally {
+      close();
+    }
+  });
+
+  test('only syncs allow-listed keys', async () => {
+    const { a, b, close } = createTabs({ theme: 'dark', draft: '' }, { channel: 'sync-keys', keys: ['theme'] });
+    try {
+      a.$setState({ theme: 'light', draft: 'secret' });
+      await waitFor(() => b.theme.get() === 'light');
+
+      assert.strictEqual(b.theme.get(), 'light');
+      assert.strictEqual(b.draft.get(), '');
+    } finally {
+      close();
+    }
+  });
+
+  test('last-write-wins converges on concurrent changes', async () => {
+    const { a, b, close } = createTabs({ value: 0, fromA: false, fromB: false }, { channel: 'sync-lww' });
+    try {
+      // Markers travel in the same message as the concurrent change
+      a.$setState({ value: 1, fromA: true });
+      b.$setState({ value: 2, fromB: true });
+      await waitFor(() => a.fromB.get() && b.fromA.get());
+
+      assert.strictEqual(a.value.get(), b.value.get(), 'Both tabs keep the same winner');
+    } finally {
+      close();
+    }
+  });
+
+  test('local-wins keeps concurrent local changes', async () => {
+    const { a, b, close } = createTabs({ value: 0, fromA: false, fromB: false }, { channel: 'sync-local', strategy: 'local-wins' });
+    try {
+      a.$setState({ value: 1, fromA: true });
+      b.$setState({ value: 2, fromB: true });
+      await waitFor(() => a.fromB.get() && b.fromA.get());
+
+      assert.strictEqual(a.value.get(), 1);
+      assert.strictEqual(b.value.get(), 2);
+
+      a.value.set(3); // Not concurrent: builds on the latest version
+      await waitFor(() => b.value.get() === 3);
+      assert.strictEqual(b.value.get(), 3);
+    } finally {
+      close();
+    }
+  });
+
+  test('custom strategy resolves conflicts', async () => {
+    const seen = [];
+    const { a, b, close } = createTabs({ tags: [], fromA: false, fromB: false }, {
+      channel: 'sync-custom',
+      strategy: ({ key, local, remote }) => {
+        seen.push(key);
+        return [...new Set([...local, ...remote])].sort();
+      }
+    });
+    try {
+      a.$setState({ tags: ['x'], fromA: true });
+      b.$setState({ tags: ['y'], fromB: true });
+      await waitFor(() => a.fromB.get() && b.fromA.get());
+
+      assert.deepStrictEqual(a.tags.get(), ['x', 'y']);
+      assert.deepStrictEqual(b.tags.get(), ['x', 'y']);
+      assert.ok(seen.includes('tags'));
+    } finally {
+      close();
+    }
+  });
+
+  test('close stops syncing', async () => {
+    const { a, b, close } = createTabs({ count: 0 }, { channel: 'sync-close' });
+    close();
+    a.count.set(9);
+    await tick();
+    assert.strictEqual(b.count.get(), 0);
+  });
+
+  test('falls back to storage events without BroadcastChannel', async () => {
+    const OriginalBroadcastChannel = globalThis.BroadcastChannel;
+    const originalWindow = globalThis.window;
+    const listeners = new Set();
+    globalThis.BroadcastChannel = undefined;
+    globalThis.window = {
+      addEventListener: (type, fn) => type === 'storage' && listeners.add(fn),
+      removeEventListener: (type, fn) => listeners.delete(fn)
+    };
+
+    try {
+      const { a, b, close } = createTabs({ count: 0 }, { channel: 'sync-storage' });
+      a.count.set(4);
+      await tick();
+
+      // Deliver the written message like the browser does in other tabs
+      const newValue = localStorage.getItem('sync-storage:sync');
+      for (const listener of listeners) listener({ key: 'sync-storage:sync', newValue });
+
+      assert.strictEqual(b.count.get(), 4);
+      close();
+      assert.strictEqual(listeners.size, 0, 'Listeners removed on close');
+    } finally {
+      globalThis.BroadcastChannel = OriginalBroadcastChannel;
+      if (originalWindow === undefined) delete globalThis.window;
+      else globalThis.window = originalWindow;
+    }
+  });
+});
+
 // =============================================================================
 // Validation Cache Tests
 // =============================================================================
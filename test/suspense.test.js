@@ -0,0 +1,338 @@
+/**
+ * Suspense Tests
+ *
+ * Tests for runtime/suspense.js - fallback while descendant resources load,
+ * nested boundaries, timeouts, and streamed boundaries with renderToStream -
+ * and for the @suspense compiler directive
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+import { MockDOMAdapter, setAdapter, resetAdapter } from '../runtime/dom-adapter.js';
+import { resetContext } from '../runtime/pulse.js';
+import { el } from '../runtime/dom.js';
+import { useAsync, useResource } from '../runtime/async.js';
+import { suspense } from '../runtime/suspense.js';
+import { awaitBlock } from '../runtime/dom-conditional.js';
+import { renderToStream } from '../runtime/ssr-stream.js';
+import { compile } from '../compiler/index.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+let adapter;
+let root;
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function mountBoundary(boundary) {
+  adapter.appendChild(root, boundary);
+  return root;
+}
+
+// Mock elements do not compute textContent from their children
+function textOf(node) {
+  if (node.nodeType === 3) return node.textContent;
+  return (node.childNodes || []).map(textOf).join('');
+}
+
+async function readStream(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let html = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return html;
+    html += decoder.decode(value);
+  }
+}
+
+// ============================================================================
+// Client Tests
+// ============================================================================
+
+describe('suspense', () => {
+  beforeEach(() => {
+    adapter = new MockDOMAdapter();
+    setAdapter(adapter);
+    resetContext();
+    root = adapter.createElement('div');
+  });
+
+  afterEach(() => {
+    resetAdapter();
+  });
+
+  test('shows the fallback until descendant resources load', async () => {
+    const user = deferred();
+    const posts = deferred();
+
+    mountBoundary(suspense(
+      () => el('p.spinner', 'Loading...'),
+      () => {
+        const a = useAsync(() => user.promise);
+        const b = useAsync(() => posts.promise);
+        return [el('h1', () => a.data.get()), el('ul', () => `${b.data.get()} posts`)];
+      }
+    ));
+
+    assert.strictEqual(textOf(root), 'Loading...');
+
+    user.resolve('Ada');
+    await tick();
+    assert.strictEqual(textOf(root), 'Loading...', 'Waits for every resource');
+
+    posts.resolve(3);
+    await tick();
+    assert.strictEqual(textOf(root), 'Ada3 posts');
+  });
+
+  test('renders the content directly when nothing is pending', () => {
+    mountBoundary(suspense('Loading...', () => el('p', 'Ready')));
+
+    assert.strictEqual(textOf(root), 'Ready');
+  });
+
+  test('nested boundaries resolve independently', async () => {
+    const outer = deferred();
+    const inner = deferred();
+
+    mountBoundary(suspense('Outer loading', () => {
+      const page = useResource('suspense-page', () => outer.promise);
+      return el('main', [
+        el('h1', () => page.data.get()),
+        suspense('Inner loading', () => {
+          const comments = useAsync(() => inner.promise);
+          return el('section', () => comments.data.get());
+        })
+      ]);
+    }));
+
+    assert.strictEqual(textOf(root), 'Outer loading');
+
+    outer.resolve('Title');
+    await tick();
+    assert.strictEqual(textOf(root), 'TitleInner loading');
+
+    inner.resolve('Comments');
+    await tick();
+    assert.strictEqual(textOf(root), 'TitleComments');
+  });
+
+  test('only the first load suspends', async () => {
+    let calls = 0;
+    let async;
+
+    mountBoundary(suspense('Loading...', () => {
+      async = useAsync(() => Promise.resolve(++calls));
+      return el('span', () => `Load ${async.data.get()}`);
+    }));
+    await tick();
+    assert.strictEqual(textOf(root), 'Load 1');
+
+    const refresh = async.execute();
+    assert.strictEqual(textOf(root), 'Load 1');
+    await refresh;
+    assert.strictEqual(textOf(root), 'Load 2');
+  });
+
+  test('timeout reveals the content while resources still load', async () => {
+    let timedOut = false;
+
+    mountBoundary(suspense('Loading...', () => {
+      const slow = useAsync(() => new Promise(() => {}));
+      return el('span', () => (slow.loading.get() ? 'Still loading' : 'Done'));
+    }, { timeout: 20, onTimeout: () => { timedOut = true; } }));
+
+    assert.strictEqual(textOf(root), 'Loading...');
+    await sleep(40);
+    assert.strictEqual(textOf(root), 'Still loading');
+    assert.strictEqual(timedOut, true);
+  });
+
+  test('a failed resource ends the suspension', async () => {
+    mountBoundary(suspense('Loading...', () => {
+      const failing = useAsync(() => Promise.reject(new Error('Boom')));
+      return el('span', () => failing.error.get()?.message ?? '');
+    }));
+
+    await tick();
+    assert.strictEqual(textOf(root), 'Boom');
+  });
+});
+
+// ============================================================================
+// Streaming Tests
+// ============================================================================
+
+describe('suspense with renderToStream', () => {
+  beforeEach(() => {
+    resetContext();
+  });
+
+  afterEach(() => {
+    resetAdapter();
+  });
+
+  const fetchUser = () => new Promise(r => setTimeout(() => r('Ada'), 5));
+  const fetchPosts = () => new Promise(r => setTimeout(() => r('5 posts'), 10));
+  const fetchNever = () => new Promise(() => {});
+
+  test('streams the fallback, then the resolved content', async () => {
+    const html = await readStream(renderToStream(() => el('main', [
+      el('header', 'Shell'),
+      suspense(() => el('p.spinner', 'Loading user'), () => {
+        const { data } = useAsync(fetchUser);
+        return el('h1', data.get() ?? 'none');
+      })
+    ])));
+
+    const [shell, rest] = html.split('<script>function $P');
+    assert.ok(shell.includes('<header>Shell</header>'));
+    assert.ok(shell.includes(
+      '<template data-ssr-boundary="0"></template>' +
+      '<p class="spinner">Loading user</p>' +
+      '<template data-ssr-boundary="0"></template>'
+    ));
+    assert.ok(!shell.includes('<h1>'));
+    assert.ok(rest.includes('$P(0,"<h1>Ada</h1>")'));
+  });
+
+  test('boundaries without pending operations render inline', async () => {
+    const html = await readStream(renderToStream(() => suspense('Loading', () => el('p', 'Static'))));
+
+    assert.ok(html.includes('<p>Static</p>'));
+    assert.ok(!html.includes('data-ssr-boundary'));
+  });
+
+  test('nested boundaries are streamed after their parent', async () => {
+    const html = await readStream(renderToStream(() => suspense('Loading page', () => {
+      const user = useAsync(fetchUser);
+      return el('article', [
+        el('h1', user.data.get() ?? ''),
+        suspense('Loading posts', () => {
+          const posts = useAsync(fetchPosts);
+          return el('p', posts.data.get() ?? '');
+        })
+      ]);
+    })));
+
+    // Ids are opaque: the nested boundary gets a new one when its parent is streamed
+    const scripts = [...html.matchAll(/<script>\$P\((\d+),(.*?)\)<\/script>/g)];
+    assert.strictEqual(scripts.length, 2);
+    const [outer, inner] = scripts;
+    assert.ok(outer[2].includes('<h1>Ada</h1>'));
+    assert.ok(outer[2].includes(`<template data-ssr-boundary=\\"${inner[1]}\\"></template>Loading posts`));
+    assert.strictEqual(inner[2], '"<p>5 posts</p>"');
+  });
+
+  test('await blocks suspend the boundary and stream their result', async () => {
+    const html = await readStream(renderToStream(() => suspense('Loading', () =>
+      awaitBlock(fetchUser, { pending: 'Pending', then: (name) => el('h1', name) })
+    )));
+
+    const [shell, rest] = html.split('<script>function $P');
+    assert.ok(shell.includes('Loading'));
+    assert.ok(!shell.includes('Pending'));
+    assert.ok(/\$P\(0,".*<h1>Ada<\/h1>"\)/.test(rest));
+  });
+
+  test('await blocks in a boundary keep their data when the boundary is streamed alone', async () => {
+    const load = (value, ms) => new Promise(r => setTimeout(() => r(value), ms));
+    // Same source text for both blocks
+    const block = (value, ms) => awaitBlock(() => load(value, ms), { then: (result) => el('p', result) });
+
+    const html = await readStream(renderToStream(() => el('main', [
+      block('outer', 1),
+      suspense('Loading', () => block('inner', 10))
+    ])));
+
+    const [, rest] = html.split('<script>function $P');
+    assert.ok(/\$P\(0,"[^"]*<p>inner<\/p>"\)/.test(rest), 'Boundary streams its own block');
+    assert.ok(!/\$P\(0,"[^"]*outer/.test(rest));
+  });
+
+  test('a boundary that times out keeps its fallback', async () => {
+    const html = await readStream(renderToStream(() => suspense('Loading', () => {
+      useAsync(fetchNever);
+      return el('p', 'Never');
+    }, { timeout: 20 }), { timeout: 1000 }));
+
+    assert.ok(html.includes('Loading'));
+    assert.ok(!html.includes('$P(0,'));
+  });
+});
+
+// ============================================================================
+// Compiler Tests
+// ============================================================================
+
+describe('Compiler - @suspense directive', () => {
+  test('compiles the content and @fallback blocks to suspense()', () => {
+    const result = compile(`
+@page Profile
+
+view {
+  @suspense(timeout=3000) {
+    h1 "Profile"
+    p "Details"
+  } @fallback {
+    p.spinner "Loading..."
+  }
+}`);
+
+    assert.strictEqual(result.success, true);
+    assert.ok(/import \{[^}]*\bsuspense\b[^}]*\} from 'pulse-js-framework\/runtime'/.test(result.code));
+    assert.ok(/\(\) => el\('p\.[\w.]*spinner'/.test(result.code));
+    assert.ok(result.code.includes("() => [\n"));
+    assert.ok(result.code.includes('{ timeout: 3000 }'));
+  });
+
+  test('passes a null fallback when @fallback is omitted', () => {
+    const result = compile(`
+@page Profile
+
+view {
+  div {
+    @if (true) {
+      @suspense { span "Ready" }
+    }
+  }
+}`);
+
+    assert.strictEqual(result.success, true);
+    assert.ok(/suspense\(\s*null,\s*\(\) => el\('span/.test(result.code));
+    assert.ok(/import \{[^}]*\bsuspense\b/.test(result.code), 'Nested boundaries are found by the import scan');
+  });
+
+  test('parses a boundary that follows an element without children', () => {
+    const result = compile(`
+@page Profile
+
+view {
+  main {
+    h1 "Profile"
+    @suspense { p "Details" }
+  }
+}`);
+
+    assert.strictEqual(result.success, true);
+    assert.ok(/el\('h1[^']*',\s*"Profile"\),\s*suspense\(/.test(result.code));
+  });
+
+  test('does not import suspense when unused', () => {
+    const result = compile('@page Plain\n\nview {\n  p "Hi"\n}');
+
+    assert.strictEqual(result.success, true);
+    assert.ok(!/\bsuspense\b/.test(result.code));
+  });
+});
@@ -17,10 +17,15 @@ import {
   mockStorage,
   createTestContext,
   flushEffects,
-  fireEvent
+  fireEvent,
+  mockHttp
 } from '../runtime/testing.js';
 import { pulse, effect, computed, batch, resetContext, ReactiveContext } from '../runtime/pulse.js';
 import { MockDOMAdapter, setAdapter, resetAdapter } from '../runtime/dom-adapter.js';
+import { createHttp } from '../runtime/http.js';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 // =============================================================================
 // setupTestDOM
@@ -779,6 +784,150 @@ describe('fireEvent', () => {
   });
 });
 
+// =============================================================================
+// mockHttp
+// =============================================================================
+
+describe('mockHttp', () => {
+  function setup(options) {
+    const mock = mockHttp(options);
+    const api = createHttp({ baseURL: 'https://api.test', adapter: mock.adapter });
+    return { mock, api };
+  }
+
+  test('reply() serves canned JSON responses', async () => {
+    const { mock, api } = setup();
+    mock.onGet('/users').reply(200, [{ id: 1 }], { 'x-total': '1' });
+
+    const response = await api.get('/users');
+
+    assert.deepStrictEqual(response.data, [{ id: 1 }]);
+    assert.strictEqual(response.headers.get('x-total'), '1');
+  });
+
+  test('route params and reply functions', async () => {
+    const { mock, api } = setup();
+    mock.onGet('/users/:id').reply((req) => ({ body: { id: Number(req.params.id), q: req.query.q } }));
+
+    const response = await api.get('/users/42', { params: { q: 'x' } });
+
+    assert.deepStrictEqual(response.data, { id: 42, q: 'x' });
+  });
+
+  test('replyOnce() takes precedence and is consumed', async () => {
+    const { mock, api } = setup();
+    mock.onGet('/status').replyOnce(503, { error: 'down' }).reply(200, { ok: true });
+
+    await assert.rejects(api.get('/status'), { status: 503 });
+    assert.deepStrictEqual((await api.get('/status')).data, { ok: true });
+  });
+
+  test('error statuses reject with HttpError', async () => {
+    const { mock, api } = setup();
+    mock.onDelete('/users/1').reply(404, { error: 'Not found' });
+
+    const error = await api.delete('/users/1').catch(e => e);
+
+    assert.strictEqual(error.status, 404);
+    assert.deepStrictEqual(error.response.data, { error: 'Not found' });
+  });
+
+  test('networkError() and timeout() simulate failures', async () => {
+    const { mock, api } = setup();
+    mock.onGet('/offline').networkError();
+    mock.onGet('/slow').timeout();
+
+    await assert.rejects(api.get('/offline'), { code: 'NETWORK' });
+    await assert.rejects(api.get('/slow', { timeout: 20 }), { code: 'TIMEOUT' });
+  });
+
+  test('delay() postpones the response and honors abort', async () => {
+    const { mock, api } = setup();
+    mock.onGet('/slow').delay(30).reply(200, 'done');
+
+    const start = Date.now();
+    await api.get('/slow');
+    assert.ok(Date.now() - start >= 25);
+
+    const controller = new AbortController();
+    const pending = api.get('/slow', { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, { code: 'ABORT' });
+  });
+
+  test('unmatched requests reject unless passthrough', async () => {
+    const { api } = setup();
+    await assert.rejects(api.get('/unknown'), /no route for GET https:\/\/api.test\/unknown/);
+
+    const passthrough = mockHttp({ onUnhandled: 'passthrough', fetch: async () => new Response('real') });
+    const client = createHttp({ adapter: passthrough.adapter, responseType: 'text' });
+    assert.strictEqual((await client.get('https://x.test/')).data, 'real');
+  });
+
+  test('expectRequest() asserts on method, body, headers and count', async () => {
+    const { mock, api } = setup();
+    mock.onPost('/users').reply(201, { id: 2 });
+
+    await api.post('/users', { name: 'Ada' }, { headers: { 'X-Trace': 'abc' } });
+
+    const request = mock.expectRequest('POST', '/users', {
+      body: { name: 'Ada' },
+      headers: { 'X-Trace': 'abc' },
+      times: 1
+    });
+    assert.strictEqual(request.path, '/users');
+    mock.expectNoRequest('GET', '/users');
+    assert.throws(
+      () => mock.expectRequest('POST', '/users', { body: { name: 'Bob' } }),
+      /Expected a POST request\(s\) to \/users with \{"body":\{"name":"Bob"\}\}, found 0[\s\S]*POST https:\/\/api.test\/users/
+    );
+  });
+
+  test('install() replaces globalThis.fetch', async (t) => {
+    const mock = mockHttp();
+    mock.onAny('*').reply(200, { global: true });
+    mock.install();
+    t.after(() => mock.uninstall());
+
+    const response = await fetch('https://anywhere.test/path');
+
+    assert.deepStrictEqual(await response.json(), { global: true });
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  test('records fixtures and replays them offline', async (t) => {
+    const dir = mkdtempSync(join(tmpdir(), 'pulse-mock-http-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    const fixtures = join(dir, 'api.json');
+
+    let calls = 0;
+    const realFetch = async () => {
+      calls++;
+      return new Response(JSON.stringify({ version: calls }), { headers: { 'content-type': 'application/json' } });
+    };
+
+    const recorder = mockHttp({ fixtures, fetch: realFetch });
+    assert.strictEqual(recorder.mode, 'record');
+    const recording = createHttp({ adapter: recorder.adapter });
+    await recording.get('https://api.test/repo');
+    await recording.post('https://api.test/items', { a: 1 });
+    recorder.saveFixtures();
+
+    const saved = JSON.parse(readFileSync(fixtures, 'utf8'));
+    assert.strictEqual(saved.entries.length, 2);
+    assert.deepStrictEqual(saved.entries[0].response.body, { version: 1 });
+
+    const replayer = mockHttp({ fixtures, fetch: realFetch });
+    assert.strictEqual(replayer.mode, 'replay');
+    const offline = createHttp({ adapter: replayer.adapter });
+
+    assert.deepStrictEqual((await offline.get('https://api.test/repo')).data, { version: 1 });
+    assert.deepStrictEqual((await offline.post('https://api.test/items', { a: 1 })).data, { version: 2 });
+    await assert.rejects(offline.post('https://api.test/items', { a: 2 }), /no route/);
+    assert.strictEqual(calls, 2, 'Replay should not hit the network');
+  });
+});
+
 // =============================================================================
 // Integration: Multiple utilities together
 // =============================================================================
@@ -39,6 +39,12 @@ export interface AnimationConfig {
  */
 export declare function configureAnimations(options?: AnimationConfig): void;
 
+/**
+ * Whether animations currently run: false during SSR, when disabled with
+ * configureAnimations(), or when the user prefers reduced motion.
+ */
+export declare function animationsEnabled(): boolean;
+
 // ============================================================================
 // animate()
 // ============================================================================
@@ -295,6 +301,7 @@ declare const _default: {
   useSpring: typeof useSpring;
   stagger: typeof stagger;
   configureAnimations: typeof configureAnimations;
+  animationsEnabled: typeof animationsEnabled;
 };
 
 export default _default;
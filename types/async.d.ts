@@ -217,6 +217,217 @@ export declare function useResource<T>(
   options?: ResourceOptions<T>
 ): UseResourceReturn<T>;
 
+// ============================================================================
+// useInfiniteResource - Paginated Resource Fetching
+// ============================================================================
+
+/** Options for useInfiniteResource */
+export interface InfiniteResourceOptions<TPage, TItem, TParam> {
+  /** Param of the first page (default: 1) */
+  initialPageParam?: TParam;
+
+  /**
+   * Param of the page after the last one, or undefined/null when there is none.
+   * Default: next page number while pages have items.
+   */
+  getNextPageParam?: (lastPage: TPage, pages: TPage[], lastPageParam: TParam) => TParam | null | undefined;
+
+  /**
+   * Param of the page before the first one, or undefined/null when there is none.
+   * Default: previous page number down to initialPageParam.
+   */
+  getPreviousPageParam?: (firstPage: TPage, pages: TPage[], firstPageParam: TParam) => TParam | null | undefined;
+
+  /** Default page-number mode: a page with fewer items is the last one */
+  pageSize?: number;
+
+  /** Items of a page (default: the page if it is an array, else page.items or page.data) */
+  getItems?: (page: TPage) => TItem[];
+
+  /** Build `data` from the loaded pages (default: concatenated items) */
+  merge?: (pages: TPage[]) => TItem[];
+
+  /** Keep at most this many pages, dropping from the opposite end */
+  maxPages?: number;
+
+  /** Callback invoked on error */
+  onError?: (error: Error) => void;
+
+  /** Time in ms before cached pages are considered stale (default: 0) */
+  staleTime?: number;
+
+  /** Time in ms to keep pages in cache (default: 300000 = 5 min) */
+  cacheTime?: number;
+}
+
+/** Return type of useInfiniteResource */
+export interface UseInfiniteResourceReturn<TPage, TItem, TParam> {
+  /** Items of all loaded pages, merged */
+  data: Pulse<TItem[]>;
+
+  /** Loaded pages, in order */
+  pages: Pulse<TPage[]>;
+
+  /** Params of the loaded pages */
+  pageParams: Pulse<TParam[]>;
+
+  /** Reactive error state */
+  error: Pulse<Error | null>;
+
+  /** Reactive loading state (first page) */
+  loading: Pulse<boolean>;
+
+  /** True while cached pages are refetched in the background */
+  isStale: Pulse<boolean>;
+
+  /** True while the next page is loading */
+  isFetchingNextPage: Pulse<boolean>;
+
+  /** True while the previous page is loading */
+  isFetchingPreviousPage: Pulse<boolean>;
+
+  /** Whether getNextPageParam returns a param */
+  hasNextPage: Pulse<boolean>;
+
+  /** Whether getPreviousPageParam returns a param */
+  hasPreviousPage: Pulse<boolean>;
+
+  /** Load pages (uses cache if available and fresh) */
+  fetch(): Promise<TItem[] | null>;
+
+  /** Load the next page (concurrent calls share one request) */
+  fetchNextPage(): Promise<TItem[] | null>;
+
+  /** Load the previous page */
+  fetchPreviousPage(): Promise<TItem[] | null>;
+
+  /** Refetch the loaded pages, keeping them visible meanwhile */
+  refresh(): Promise<TItem[] | null>;
+
+  /** Drop the loaded pages and fetch the first page again */
+  reset(): Promise<TItem[] | null>;
+
+  /** Clear cache for this resource */
+  invalidate(): void;
+
+  /** Ignore pending page responses */
+  dispose(): void;
+}
+
+/**
+ * Create a reactive paginated resource. Pages share the useResource cache
+ * (cleared by clearResourceCache()).
+ *
+ * @example
+ * const feed = useInfiniteResource(
+ *   'feed',
+ *   (cursor: string | null) => api.get('/feed', { params: { cursor } }).then(r => r.data),
+ *   { initialPageParam: null, getNextPageParam: (last) => last.nextCursor }
+ * );
+ * feed.fetchNextPage();
+ */
+export declare function useInfiniteResource<TPage, TItem = unknown, TParam = number>(
+  key: string | (() => string),
+  fetchPage: (pageParam: TParam, context: { direction: 'initial' | 'next' | 'previous' }) => Promise<TPage>,
+  options?: InfiniteResourceOptions<TPage, TItem, TParam>
+): UseInfiniteResourceReturn<TPage, TItem, TParam>;
+
+// ============================================================================
+// Resource Cache Invalidation and Mutations
+// ============================================================================
+
+/** Key prefix, predicate on the key, or an array of them */
+export type ResourceKeyMatcher =
+  | string
+  | ((key: string) => boolean)
+  | Array<string | ((key: string) => boolean)>;
+
+/**
+ * Drop matching cache entries and refetch the live resources using them
+ * (once per key).
+ *
+ * @example
+ * invalidateResources('todos');
+ * invalidateResources(key => key.endsWith(':42'));
+ */
+export declare function invalidateResources(target: ResourceKeyMatcher): Promise<void>;
+
+/**
+ * Set the cached data of a resource and push it to every live resource using
+ * the key. Returns the previous data.
+ *
+ * @example
+ * setResourceData<Todo[]>('todos', list => [...(list ?? []), todo]);
+ */
+export declare function setResourceData<T = unknown>(
+  key: string,
+  updater: T | ((current: T | undefined) => T)
+): T | undefined;
+
+/** Options for useResourceMutation */
+export interface ResourceMutationOptions<TData, TVariables> {
+  /** Resources to invalidate on success: key prefix(es), or a predicate */
+  invalidates?: string | string[] | ((key: string, result: TData, variables: TVariables) => boolean);
+
+  /**
+   * Apply an optimistic update. setResourceData() writes made here are
+   * undone if the mutation fails, keeping the writes of other pending
+   * mutations (their updaters are replayed); may also return a rollback function.
+   */
+  optimistic?: (variables: TVariables) => ((error: Error) => void) | void;
+
+  /** Undo the optimistic update (instead of optimistic()'s return) */
+  rollback?: (error: Error, variables: TVariables) => void;
+
+  /** Called on success */
+  onSuccess?: (result: TData, variables: TVariables) => void;
+
+  /** Called on error, after the rollback */
+  onError?: (error: Error, variables: TVariables) => void;
+
+  /** Called after success or error */
+  onSettled?: (result: TData | null, error: Error | null, variables: TVariables) => void;
+}
+
+/** Return type of useResourceMutation */
+export interface UseResourceMutationReturn<TData, TVariables> {
+  /** Result of the last successful mutation */
+  data: Pulse<TData | null>;
+
+  /** Error of the last failed mutation */
+  error: Pulse<Error | null>;
+
+  /** True while a mutation runs */
+  loading: Pulse<boolean>;
+
+  /** Mutation status */
+  status: Pulse<'idle' | 'loading' | 'success' | 'error'>;
+
+  /** Run the mutation (rejects with the mutation error) */
+  mutate(variables?: TVariables): Promise<TData>;
+
+  /** Reset state to idle */
+  reset(): void;
+}
+
+/**
+ * Run mutations against the resource cache, with optimistic updates rolled
+ * back on error and related resources invalidated on success.
+ *
+ * @example
+ * const addTodo = useResourceMutation(
+ *   (todo: Todo) => api.post<Todo>('/todos', todo).then(r => r.data),
+ *   {
+ *     optimistic: (todo) => { setResourceData<Todo[]>('todos', list => [...(list ?? []), todo]); },
+ *     invalidates: 'todos'
+ *   }
+ * );
+ */
+export declare function useResourceMutation<TData = unknown, TVariables = void>(
+  mutationFn: (variables: TVariables) => Promise<TData>,
+  options?: ResourceMutationOptions<TData, TVariables>
+): UseResourceMutationReturn<TData, TVariables>;
+
 // ============================================================================
 // usePolling - Repeated Async Operations
 // ============================================================================
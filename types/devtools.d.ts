@@ -4,6 +4,7 @@
  */
 
 import { Pulse } from './pulse';
+import { StoreHistory } from './store';
 
 // =============================================================================
 // CONFIGURATION
@@ -171,6 +172,14 @@ export interface Snapshot {
   state: Record<string, unknown>;
 }
 
+/**
+ * Use a store's undo/redo history (store.$history from historyPlugin) as the
+ * time-travel stream; takeSnapshot() records nothing while connected
+ *
+ * @returns Disconnect function
+ */
+export declare function connectHistory(history: StoreHistory): () => void;
+
 /**
  * Take a snapshot of the current state of all tracked pulses
  *
@@ -383,6 +392,7 @@ export interface PulseDevTools {
   mark: typeof mark;
 
   // Time-travel
+  connectHistory: typeof connectHistory;
   takeSnapshot: typeof takeSnapshot;
   getHistory: typeof getHistory;
   getHistoryIndex: typeof getHistoryIndex;
@@ -116,13 +116,36 @@ export type KeyFn<T> = (item: T, index: number) => unknown;
 /** Template function for list items */
 export type ListTemplate<T> = (item: T, index: number) => Node | Node[];
 
+/** Reorder, enter and leave animations for list() */
+export interface ListAnimationOptions {
+  /** Duration in ms (default: configureAnimations default) */
+  duration?: number;
+  /** Easing function */
+  easing?: string;
+  /** Keyframes for inserted items, or false (default: fade in) */
+  enter?: Keyframe[] | PropertyIndexedKeyframes | false;
+  /** Keyframes for removed items, or false (default: fade out) */
+  leave?: Keyframe[] | PropertyIndexedKeyframes | false;
+  /** Animate items moving to a new position (default: true) */
+  move?: boolean;
+}
+
+/** Options for list() */
+export interface ListOptions {
+  /** Enable element recycling via pool (default: false) */
+  recycle?: boolean;
+  /** Animate reorders (FLIP), insertions and removals (default: false) */
+  animate?: boolean | ListAnimationOptions;
+}
+
 /**
  * Render reactive list with efficient keyed diffing
  */
 export declare function list<T>(
   getItems: Reactive<T[]>,
   template: ListTemplate<T>,
-  keyFn?: KeyFn<T>
+  keyFn?: KeyFn<T>,
+  options?: ListOptions
 ): DocumentFragment;
 
 /** Template function for conditional rendering */
@@ -149,7 +172,26 @@ export interface MatchCases<T extends string | number | symbol = string> {
 export declare function match<T extends string | number>(
   getValue: Reactive<T>,
   cases: MatchCases
-): Comment;
+): DocumentFragment;
+
+/** Branch templates for awaitBlock */
+export interface AwaitTemplates<T, E = unknown> {
+  /** Rendered while the promise is pending */
+  pending?: ConditionTemplate;
+  /** Rendered with the resolved value */
+  then?: (value: T) => Node | Node[] | null;
+  /** Rendered with the rejection reason */
+  catch?: (error: E) => Node | Node[] | null;
+}
+
+/**
+ * Promise rendering. A new promise from the source replaces the previous one,
+ * whose AbortSignal is aborted and whose result is ignored.
+ */
+export declare function awaitBlock<T, E = unknown>(
+  getPromise: ((signal?: AbortSignal) => T | Promise<T>) | Pulse<T | Promise<T>>,
+  templates: AwaitTemplates<T, E>
+): DocumentFragment;
 
 /**
  * Two-way binding for form inputs
@@ -248,6 +290,8 @@ export declare function errorBoundary(
   fallback?: ErrorFallback
 ): DocumentFragment;
 
+export { SuspenseContent, SuspenseOptions, suspense } from './suspense';
+
 /** Transition options */
 export interface TransitionOptions {
   enter?: string;
@@ -394,12 +438,32 @@ export declare function delegatedList<T>(
 
 /** Options for virtualList */
 export interface VirtualListOptions<T> {
-  /** Fixed row height in pixels (required) */
-  itemHeight: number;
-  /** Extra items above/below viewport (default: 5) */
+  /** Fixed row size in pixels (required unless estimatedItemSize is set) */
+  itemHeight?: number;
+  /** Alias of itemHeight (reads better for horizontal lists) */
+  itemSize?: number;
+  /** Estimated row size for rows measured after rendering (ResizeObserver) */
+  estimatedItemSize?: number | ((item: T, index: number) => number);
+  /** Extra rows before/after the viewport (default: 5) */
   overscan?: number;
   /** Viewport height in px or 'auto' (default: 400) */
   containerHeight?: number | 'auto';
+  /** Viewport width in px or 'auto' (default: 'auto'), used by horizontal lists */
+  containerWidth?: number | 'auto';
+  /** Scroll horizontally; sizes and overscan then refer to widths (default: false) */
+  horizontal?: boolean;
+  /** Items per row, or per column when horizontal (default: 1) */
+  columns?: number;
+  /** Group key of an item; a header row starts each group */
+  groupBy?: (item: T) => unknown;
+  /** Render the header of a group */
+  groupHeader?: (groupKey: any, firstItem: T) => Node | Node[];
+  /** Header row size (default: item size or estimate) */
+  headerSize?: number;
+  /** Keep the current group header pinned (default: true) */
+  stickyHeaders?: boolean;
+  /** Keep the first visible item in place when items are inserted before it (default: true) */
+  anchor?: boolean;
   /** Enable element recycling (default: false) */
   recycle?: boolean;
   /** Delegated event handlers */
@@ -408,8 +472,8 @@ export interface VirtualListOptions<T> {
 
 /** Scroll alignment options */
 export interface ScrollToIndexOptions {
-  /** Alignment in viewport (default: 'start') */
-  align?: 'start' | 'center' | 'end';
+  /** Alignment in viewport; 'auto' scrolls only if the item is not fully visible (default: 'start') */
+  align?: 'start' | 'center' | 'end' | 'auto';
 }
 
 /** Virtual list container element with extra methods */
@@ -562,6 +562,19 @@ export declare const Errors: {
    */
   lazyTimeout(timeout: number): RouterError;
 
+  /**
+   * Route params or query failed schema validation.
+   * Returns a RouterError with code 'ROUTE_VALIDATION' and an `errors`
+   * property holding the messages per field.
+   *
+   * @param path - The path being navigated to
+   * @param errors - Error messages keyed by source ('params' | 'query') and field
+   */
+  invalidRouteInput(
+    path: string,
+    errors: { params: Record<string, string>; query: Record<string, string> }
+  ): RouterError & { errors: { params: Record<string, string>; query: Record<string, string> } };
+
   /**
    * Store persistence operation failed.
    * Returns a StoreError with code 'PERSIST_ERROR'.
@@ -579,6 +592,16 @@ export declare const Errors: {
    */
   invalidStoreValue(type: string): StoreError;
 
+  /**
+   * Form wizard step references a field that is not in the form.
+   * Returns a RuntimeError with code 'FORM_WIZARD_STEP'.
+   *
+   * @param stepId - Step id (or index)
+   * @param field - The unknown field name
+   * @param fieldNames - Fields available in the form
+   */
+  invalidWizardStep(stepId: string | number, field: string, fieldNames: string[]): RuntimeError;
+
   /**
    * Native API not available in current environment.
    * Returns a RuntimeError with code 'NATIVE_ERROR'.
@@ -4,6 +4,7 @@
  */
 
 import { Pulse } from './pulse';
+import { PersistenceAdapter, PersistenceAdapterType } from './persistence';
 
 // ============================================================================
 // Validation Rules
@@ -189,6 +190,24 @@ export interface FormOptions<T> {
 
   /** Validation mode: when to start validating (default: 'onChange') */
   mode?: 'onChange' | 'onBlur' | 'onSubmit';
+
+  /** useFieldArray instances by name, so setErrors() can target rows ('items[2]', 'items.2.name') */
+  fieldArrays?: Record<string, UseFieldArrayReturn<any>>;
+}
+
+/** Error messages by field name, dotted/indexed path ('items[0].name') or '_form' */
+export type FormErrorMap = Record<string, string>;
+
+/** Options for submitWith() */
+export interface SubmitWithOptions<T, R = unknown> {
+  /** Build the action argument from the form values */
+  transform?: (values: T) => unknown;
+
+  /** Called after a successful submit */
+  onSuccess?: (result: R, values: T) => void | Promise<void>;
+
+  /** Options passed to createActionInvoker when the action is an ID */
+  invokerOptions?: { maxRetries?: number; autoRetry?: boolean };
 }
 
 /** Form fields - maps field names to Field objects */
@@ -227,6 +246,12 @@ export interface UseFormReturn<T extends Record<string, unknown>> {
   /** Reactive errors object */
   errors: Pulse<FormErrors<T>>;
 
+  /** Error from the last failed submit (not a validation error) */
+  submitError: Pulse<string | null>;
+
+  /** Form-level error (from `_form` or server errors that match no field) */
+  formError: Pulse<string | null>;
+
   /** Get current form values */
   getValues(): T;
 
@@ -248,11 +273,23 @@ export interface UseFormReturn<T extends Record<string, unknown>> {
   /** Handle form submission */
   handleSubmit(event?: Event): Promise<boolean>;
 
-  /** Set field errors manually */
-  setErrors(errors: FormErrors<T>): void;
+  /**
+   * Create a submit handler that sends the values to a server action and maps
+   * returned validation errors ({ errors } result or 422 response) onto the fields
+   */
+  submitWith<R = unknown>(
+    action: string | ((input: any) => Promise<R>),
+    options?: SubmitWithOptions<T, R>
+  ): (event?: Event) => Promise<boolean>;
+
+  /** Set field errors manually; returns the entries that matched no field */
+  setErrors(errors: FormErrors<T> | FormErrorMap): FormErrorMap;
 
   /** Clear all errors */
   clearErrors(): void;
+
+  /** Clear the form-level error */
+  clearFormError(): void;
 }
 
 /**
@@ -272,10 +309,98 @@ export interface UseFormReturn<T extends Record<string, unknown>> {
  */
 export declare function useForm<T extends Record<string, unknown>>(
   initialValues: T,
-  validationSchema?: ValidationSchema<T>,
+  validationSchema?: ValidationSchema<T> | JsonSchema | StandardSchemaV1<unknown, unknown>,
   options?: FormOptions<T>
 ): UseFormReturn<T>;
 
+// ============================================================================
+// Schema Adapters
+// ============================================================================
+
+/** JSON Schema document (the subset validated by validateJsonSchema) */
+export interface JsonSchema {
+  $schema?: string;
+  $ref?: string;
+  $defs?: Record<string, JsonSchema | boolean>;
+  definitions?: Record<string, JsonSchema | boolean>;
+  type?: 'string' | 'number' | 'integer' | 'boolean' | 'null' | 'array' | 'object' |
+    Array<'string' | 'number' | 'integer' | 'boolean' | 'null' | 'array' | 'object'>;
+  enum?: unknown[];
+  const?: unknown;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  format?: 'email' | 'uri' | 'url' | 'date' | 'date-time' | 'time' | 'uuid' | string;
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  multipleOf?: number;
+  items?: JsonSchema | boolean | Array<JsonSchema | boolean>;
+  prefixItems?: Array<JsonSchema | boolean>;
+  additionalItems?: JsonSchema | boolean;
+  minItems?: number;
+  maxItems?: number;
+  uniqueItems?: boolean;
+  contains?: JsonSchema | boolean;
+  properties?: Record<string, JsonSchema | boolean>;
+  patternProperties?: Record<string, JsonSchema | boolean>;
+  additionalProperties?: JsonSchema | boolean;
+  required?: string[];
+  dependentRequired?: Record<string, string[]>;
+  allOf?: Array<JsonSchema | boolean>;
+  anyOf?: Array<JsonSchema | boolean>;
+  oneOf?: Array<JsonSchema | boolean>;
+  not?: JsonSchema | boolean;
+  if?: JsonSchema | boolean;
+  then?: JsonSchema | boolean;
+  else?: JsonSchema | boolean;
+  /** Custom message for every error of this schema, or per keyword */
+  errorMessage?: string | Record<string, string>;
+  [keyword: string]: unknown;
+}
+
+/** Standard Schema issue */
+export interface StandardSchemaIssue {
+  message: string;
+  path?: ReadonlyArray<PropertyKey | { key: PropertyKey }>;
+}
+
+/** Standard Schema validation result */
+export type StandardSchemaResult<Output> =
+  | { value: Output; issues?: undefined }
+  | { issues: ReadonlyArray<StandardSchemaIssue> };
+
+/** Standard Schema (v1) validator, as implemented by Zod, Valibot, ArkType, ... */
+export interface StandardSchemaV1<Input = unknown, Output = Input> {
+  readonly '~standard': {
+    readonly version: 1;
+    readonly vendor: string;
+    readonly validate: (value: unknown) =>
+      StandardSchemaResult<Output> | Promise<StandardSchemaResult<Output>>;
+    readonly types?: { readonly input: Input; readonly output: Output };
+  };
+}
+
+/** Options for validateJsonSchema */
+export interface JsonSchemaValidateOptions {
+  /** Treat '' and null properties as missing (default: false) */
+  emptyAsMissing?: boolean;
+
+  /** Accept numeric/boolean strings for number/integer/boolean types (default: false) */
+  coerce?: boolean;
+}
+
+/**
+ * Validate a value against a JSON Schema document.
+ * Errors are keyed by path ('email', 'address.city', 'items[0].name').
+ */
+export declare function validateJsonSchema(
+  schema: JsonSchema | boolean,
+  value: unknown,
+  options?: JsonSchemaValidateOptions
+): { valid: boolean; errors: Record<string, string> };
+
 // ============================================================================
 // useField
 // ============================================================================
@@ -376,3 +501,126 @@ export declare function useFieldArray<T>(
   initialValues?: T[],
   itemRules?: AnyValidationRule[]
 ): UseFieldArrayReturn<T>;
+
+// ============================================================================
+// useFormWizard
+// ============================================================================
+
+/** Wizard step definition */
+export interface WizardStep<T> {
+  /** Step identifier (defaults to the step index) */
+  id?: string;
+
+  /** Fields edited and validated in this step */
+  fields: Array<keyof T & string>;
+
+  /** Step-level cross-field validation (error map, like the form `validate` option) */
+  validate?: (values: T) => FormErrorMap | null | void | Promise<FormErrorMap | null | void>;
+
+  /** Extra step metadata (title, icon, ...) */
+  [key: string]: unknown;
+}
+
+/** Draft persistence options for useFormWizard */
+export interface WizardPersistOptions<T> {
+  /** Persistence adapter or adapter type (default: localStorage) */
+  adapter?: PersistenceAdapter | PersistenceAdapterType;
+
+  /** Storage key for the draft (default: 'pulse-form-wizard') */
+  key?: string;
+
+  /** Debounce delay for saving drafts in ms (default: 300) */
+  debounce?: number;
+
+  /** Fields never written to the draft */
+  exclude?: Array<keyof T & string>;
+}
+
+/** Options for useFormWizard */
+export interface FormWizardOptions<T> extends Omit<FormOptions<T>, 'validateOnSubmit'> {
+  /** Validation rules, JSON Schema or Standard Schema */
+  validationSchema?: ValidationSchema<T> | JsonSchema | StandardSchemaV1<unknown, unknown>;
+
+  /** Save values and the current step so the flow can be resumed (default: false) */
+  persist?: boolean | WizardPersistOptions<T>;
+
+  /** Called when the current step changes */
+  onStepChange?: (step: WizardStep<T> & { id: string }, index: number) => void;
+}
+
+/** Return type of useFormWizard */
+export interface UseFormWizardReturn<T extends Record<string, unknown>> {
+  /** Underlying form */
+  form: UseFormReturn<T>;
+  fields: FormFields<T>;
+  errors: Pulse<FormErrors<T>>;
+  isSubmitting: Pulse<boolean>;
+
+  /** Normalized step definitions */
+  steps: Array<WizardStep<T> & { id: string }>;
+
+  /** Current step index */
+  currentStep: Pulse<number>;
+
+  /** Current step definition */
+  step: Pulse<WizardStep<T> & { id: string }>;
+
+  isFirst: Pulse<boolean>;
+  isLast: Pulse<boolean>;
+
+  /** Position in the flow, from 1 / steps.length to 1 */
+  progress: Pulse<number>;
+
+  /** Ids of steps that passed validation */
+  completedSteps: Pulse<string[]>;
+
+  /** Validate the current step and move forward */
+  next(): Promise<boolean>;
+
+  /** Move to the previous step (no validation) */
+  back(): boolean;
+
+  /** Jump to a step by index or id; going forward validates the steps in between */
+  goTo(target: number | string): Promise<boolean>;
+
+  /** Validate one step */
+  validateStep(index: number): Promise<boolean>;
+
+  /** Validate all steps and submit (shows the first invalid step on failure) */
+  submit(event?: Event): Promise<boolean>;
+
+  /** Reset values and go back to the first step (discards the draft) */
+  reset(newValues?: Partial<T>): void;
+
+  /** Whether a draft is saved */
+  hasDraft: Pulse<boolean>;
+
+  /** Resolves once the draft was restored (true) or none was found (false) */
+  restored: Promise<boolean>;
+
+  /** Remove the saved draft */
+  clearDraft(): Promise<void>;
+
+  dispose(): void;
+}
+
+/**
+ * Create a multi-step form with per-step validation and optional draft persistence.
+ *
+ * @example
+ * const wizard = useFormWizard(
+ *   { name: '', email: '', plan: 'free' },
+ *   [
+ *     { id: 'account', fields: ['name', 'email'] },
+ *     { id: 'plan', fields: ['plan'] }
+ *   ],
+ *   { persist: { key: 'onboarding' }, onSubmit: (values) => save(values) }
+ * );
+ *
+ * await wizard.next();
+ */
+export declare function useFormWizard<T extends Record<string, unknown>>(
+  initialValues: T,
+  steps: WizardStep<T>[],
+  options?: FormWizardOptions<T>
+): UseFormWizardReturn<T>;
@@ -129,6 +129,52 @@ export interface GraphQLClientOptions {
   throwOnError?: boolean;
   /** Global error handler */
   onError?: (error: GraphQLError) => void;
+  /** Normalized entity cache: true, or key configuration (default: false) */
+  normalize?: boolean | NormalizedCacheOptions;
+  /** Add `__typename` to queries when normalizing (default: true) */
+  addTypename?: boolean;
+  /**
+   * Automatic Persisted Queries: send the query's SHA-256 hash, and the full
+   * query only when the server does not know it yet (default: false)
+   */
+  persistedQueries?: boolean | PersistedQueriesOptions;
+  /** Batch operations started together into one request (default: false) */
+  batch?: boolean | GraphQLBatchOptions;
+}
+
+/**
+ * Automatic Persisted Queries options
+ */
+export interface PersistedQueriesOptions {
+  /** Hex SHA-256 of the query (default: Web Crypto) */
+  sha256?: (query: string) => string | Promise<string>;
+}
+
+/**
+ * Query batching options
+ */
+export interface GraphQLBatchOptions {
+  /** Time in ms to collect operations (default: 0, the current tick) */
+  interval?: number;
+  /** Maximum operations per request (default: 10) */
+  maxSize?: number;
+}
+
+/**
+ * Normalized cache options
+ */
+export interface NormalizedCacheOptions {
+  /**
+   * Key fields per __typename (default: `id`, then `_id`), a function returning
+   * the key, or false to never normalize the type
+   */
+  keyFields?: Record<string, string[] | ((object: Record<string, unknown>) => unknown) | false>;
+  /** Custom entity id; undefined falls back to keyFields */
+  dataIdFromObject?: (object: Record<string, unknown>) => string | null | undefined;
+  /** Maximum cached query results (default: 500) */
+  maxSize?: number;
+  /** Entity count above which entities no cached query references are removed (default: 5000) */
+  maxEntities?: number;
 }
 
 /**
@@ -157,8 +203,22 @@ export interface GraphQLClient {
   invalidate(cacheKey: string): void;
   /** Invalidate all cache entries */
   invalidateAll(): void;
-  /** Get cache statistics */
-  getCacheStats(): { size: number; keys: string[] };
+  /** Get cache statistics (`entities` with the normalized cache) */
+  getCacheStats(): { size: number; keys: string[]; entities?: number };
+  /** Read a cached query result */
+  readQuery<T = unknown>(query: string, variables?: Record<string, unknown> | null): T | null;
+  /** Write a query result to the cache */
+  writeQuery<T = unknown>(query: string, variables: Record<string, unknown> | null, data: T): void;
+  /** Normalized cache id of an object, e.g. "User:42" (null when normalize is off) */
+  identify(object: Record<string, unknown>): string | null;
+  /** Read an entity from the normalized cache (nested entities as `{ __ref: id }`) */
+  readFragment<T = Record<string, unknown>>(idOrObject: string | Record<string, unknown>): T | null;
+  /** Merge fields into an entity; queries selecting it update */
+  writeFragment(idOrObject: string | Record<string, unknown>, fields: Record<string, unknown>): void;
+  /** Remove an entity; queries selecting it refetch */
+  evict(idOrObject: string | Record<string, unknown>): boolean;
+  /** Watch a cached query for entity changes (normalized cache only) */
+  watchQuery<T = unknown>(cacheKey: string, callback: (data: T | null) => void): () => void;
   /** Get active subscriptions count */
   getActiveSubscriptions(): number;
   /** Close all subscriptions */
@@ -470,6 +530,57 @@ export declare function generateCacheKey(query: string, variables?: Record<strin
  */
 export declare function extractOperationName(query: string): string | null;
 
+/**
+ * Type of the operation a document executes, or null if it cannot be determined
+ * (no operation named `operationName`, or several operations and no name).
+ */
+export declare function getOperationType(
+  query: string,
+  operationName?: string | null
+): 'query' | 'mutation' | 'subscription' | null;
+
+/**
+ * Add `__typename` to every selection set below the operation root.
+ */
+export declare function addTypename(query: string): string;
+
+/**
+ * Normalized entity cache used by GraphQLClient with the `normalize` option.
+ */
+export declare class NormalizedCache {
+  constructor(options?: NormalizedCacheOptions);
+  /** Entity id of a result object, or null if it is not an entity */
+  identify(object: Record<string, unknown>): string | null;
+  /** Read a cached query result built from current entities */
+  read<T = unknown>(key: string): { data: T; timestamp: number } | null;
+  /**
+   * Cache a query result and normalize its entities. With the query document,
+   * fields are stored by name and arguments (e.g. `posts({"first":5})`);
+   * without it, by response key.
+   */
+  write(key: string, data: unknown, query?: string | null, variables?: Record<string, unknown> | null): void;
+  /** Normalize the entities of a result without caching it as a query */
+  writeResult(data: unknown, query?: string | null, variables?: Record<string, unknown> | null): void;
+  /** Read a stored entity (fields by storage key) */
+  readEntity(id: string): Record<string, unknown> | null;
+  /** Merge fields into an entity */
+  writeEntity(id: string, fields: Record<string, unknown>): void;
+  /** Remove an entity */
+  evict(id: string): boolean;
+  /** Remove the entities no cached query references; returns how many were removed */
+  gc(): number;
+  /** Remove a cached query result */
+  deleteQuery(key: string): void;
+  /** Watch a cached query */
+  watch<T = unknown>(key: string, callback: (data: T | null) => void): () => void;
+  /** Drop all entities and query results */
+  clear(): void;
+  /** Cached query keys */
+  keys(): string[];
+  readonly size: number;
+  readonly entityCount: number;
+}
+
 // ============================================================================
 // Default Export
 // ============================================================================
@@ -485,6 +596,9 @@ declare const _default: {
   getDefaultClient: typeof getDefaultClient;
   generateCacheKey: typeof generateCacheKey;
   extractOperationName: typeof extractOperationName;
+  getOperationType: typeof getOperationType;
+  addTypename: typeof addTypename;
+  NormalizedCache: typeof NormalizedCache;
 };
 
 export default _default;
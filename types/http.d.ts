@@ -18,7 +18,8 @@ export type HttpErrorCode =
   | 'NETWORK'
   | 'ABORT'
   | 'HTTP_ERROR'
-  | 'PARSE_ERROR';
+  | 'PARSE_ERROR'
+  | 'CIRCUIT_OPEN';
 
 /**
  * HTTP Error with request/response context
@@ -31,6 +32,8 @@ export declare class HttpError extends Error {
   readonly response: HttpResponse<unknown> | null;
   readonly status: number | null;
   readonly isHttpError: true;
+  /** For CIRCUIT_OPEN errors: ms until the circuit lets a trial request through */
+  retryAfter?: number;
 
   constructor(message: string, options?: {
     code?: HttpErrorCode;
@@ -50,6 +53,11 @@ export declare class HttpError extends Error {
    * Check if this is an abort/cancellation error
    */
   isAborted(): boolean;
+
+  /**
+   * Check if the request was rejected by an open circuit breaker
+   */
+  isCircuitOpen(): boolean;
 }
 
 // ============================================================================
@@ -59,7 +67,19 @@ export declare class HttpError extends Error {
 /**
  * HTTP response type
  */
-export type HttpResponseType = 'json' | 'text' | 'blob' | 'arrayBuffer' | 'formData';
+export type HttpResponseType = 'json' | 'text' | 'blob' | 'arrayBuffer' | 'formData' | 'stream';
+
+/**
+ * Upload/download progress
+ */
+export interface HttpProgressEvent {
+  /** Bytes transferred */
+  loaded: number;
+  /** Total bytes, null if unknown */
+  total: number | null;
+  /** Fraction from 0 to 1, null if the total is unknown */
+  progress: number | null;
+}
 
 /**
  * HTTP request method
@@ -78,16 +98,32 @@ export interface HttpConfig {
   headers?: Record<string, string>;
   /** Include credentials/cookies (default: false) */
   withCredentials?: boolean;
+  /** fetch-compatible function sending the requests instead of globalThis.fetch */
+  adapter?: (url: string, init: RequestInit) => Promise<Response>;
   /** Response parsing type (default: 'json') */
   responseType?: HttpResponseType;
   /** Function to validate response status (default: status >= 200 && status < 300) */
   validateStatus?: (status: number) => boolean;
   /** Number of retry attempts on failure (default: 0) */
   retries?: number;
-  /** Delay between retries in ms (default: 1000) */
-  retryDelay?: number;
+  /** Base delay between retries in ms, or a function of the retry number (default: 1000) */
+  retryDelay?: number | ((attempt: number, error: HttpError) => number);
   /** Custom retry condition function */
   retryCondition?: ((error: HttpError) => boolean) | null;
+  /** Growth of retryDelay between attempts (default: 'fixed') */
+  backoff?: 'exponential' | 'linear' | 'fixed';
+  /** Randomize half of each backoff delay (default: false) */
+  jitter?: boolean;
+  /** Upper bound for growing or jittered delays; a longer Retry-After stops retrying (default: 30000) */
+  maxRetryDelay?: number;
+  /** Wait for the Retry-After header of 429/503 responses (default: false) */
+  respectRetryAfter?: boolean;
+  /** Methods that may be retried, e.g. ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'] (default: null, all) */
+  retryMethods?: string[] | null;
+  /** Mark a request as safe (or unsafe) to retry, regardless of its method */
+  idempotent?: boolean;
+  /** Per-host circuit breaker, client-level (default: false) */
+  circuitBreaker?: boolean | CircuitBreakerOptions;
   /** URL query parameters */
   params?: Record<string, string | number | boolean | null | undefined>;
   /** Request body data */
@@ -98,6 +134,132 @@ export interface HttpConfig {
   method?: HttpMethod | string;
   /** AbortController signal for request cancellation */
   signal?: AbortSignal;
+  /**
+   * Cache GET/HEAD responses. On the client: `true` or cache settings.
+   * On a request: overrides the client settings (and adds tags); `false` disables caching.
+   */
+  cache?: boolean | HttpCacheOptions;
+  /** Upload progress callback (uses XMLHttpRequest when available, since fetch cannot report it) */
+  onUploadProgress?: (event: HttpProgressEvent) => void;
+  /** Download progress callback, counted while the body streams */
+  onDownloadProgress?: (event: HttpProgressEvent) => void;
+  /** Ignore cached responses and fetch again (the new response is still cached) */
+  skipCache?: boolean;
+  /** Cache tags to invalidate after a successful request */
+  invalidates?: string[] | ((response: HttpResponse) => string[]);
+}
+
+/**
+ * Options of client.upload()
+ */
+export interface UploadOptions extends Omit<HttpConfig, 'url' | 'data' | 'signal' | 'onUploadProgress'> {
+  /** Send a Blob/File in chunks of this many bytes, each with a Content-Range header */
+  chunkSize?: number;
+  /** Bytes already stored by the server, to resume a chunked upload (default: 0) */
+  offset?: number;
+  /** Progress callback */
+  onProgress?: (event: HttpProgressEvent) => void;
+}
+
+/**
+ * Upload status
+ */
+export type UploadStatus = 'idle' | 'uploading' | 'paused' | 'done' | 'error' | 'cancelled';
+
+/**
+ * Upload created by client.upload()
+ */
+export interface UploadTask<T = unknown> {
+  /** Body size in bytes (null if unknown, e.g. FormData) */
+  readonly total: number | null;
+  /** Bytes acknowledged by the server (chunked uploads) */
+  readonly offset: number;
+  /** Bytes sent */
+  loaded: Pulse<number>;
+  /** Fraction from 0 to 1 */
+  progress: Pulse<number>;
+  status: Pulse<UploadStatus>;
+  error: Pulse<HttpError | null>;
+  /** Promise of the current run: the last response, or null if paused */
+  promise: Promise<HttpResponse<T> | null>;
+  /** Start or resume the upload */
+  start(): Promise<HttpResponse<T> | null>;
+  /** Resume a paused or failed upload (chunked uploads continue after the last chunk) */
+  resume(): Promise<HttpResponse<T> | null>;
+  /** Pause the upload */
+  pause(): void;
+  /** Cancel the upload; the pending promise rejects with an ABORT error */
+  cancel(): void;
+}
+
+/**
+ * Circuit breaker settings
+ */
+export interface CircuitBreakerOptions {
+  /** Consecutive failures (network, timeout, 5xx) before the circuit opens (default: 5) */
+  failureThreshold?: number;
+  /** Time in ms before a trial request is let through (default: 30000) */
+  resetTimeout?: number;
+}
+
+/**
+ * Circuit state of a host
+ */
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+/**
+ * Per-host circuit breaker of a client
+ */
+export interface CircuitBreaker {
+  /** Get the circuit state of a host (e.g. 'api.example.com') */
+  getState(host: string): CircuitState;
+  /** Close the circuit of one host, or of all hosts */
+  reset(host?: string): void;
+}
+
+/**
+ * Response cache settings
+ */
+export interface HttpCacheOptions {
+  /** Time in ms a cached response is served without refetching (default: 0) */
+  staleTime?: number;
+  /** Time in ms a response is kept; stale responses are served while revalidating (default: 300000) */
+  cacheTime?: number;
+  /** Maximum number of cached responses, client-level only (default: 100) */
+  maxSize?: number;
+  /** Serve stale responses while refetching in the background (default: true) */
+  staleWhileRevalidate?: boolean;
+  /** Share identical in-flight requests (default: true; never for requests with a signal) */
+  dedupe?: boolean;
+  /** Tags used to invalidate this response (request-level) */
+  tags?: string[];
+}
+
+/**
+ * Cached response entry
+ */
+export interface HttpCacheEntry {
+  response: HttpResponse;
+  tags: string[];
+  timestamp: number;
+}
+
+/**
+ * Response cache of a client (`client.cache`)
+ */
+export interface HttpCache {
+  /** Remove cached responses by tag(s) or predicate; returns the number removed */
+  invalidate(target: string | string[] | ((key: string, entry: HttpCacheEntry) => boolean)): number;
+  /** Get a cached entry by key ('GET https://api.example.com/users?page=1') */
+  get(key: string): HttpCacheEntry | undefined;
+  /** Remove one cached response */
+  delete(key: string): boolean;
+  /** Remove all cached responses */
+  clear(): void;
+  /** Cached keys, least recently used first */
+  keys(): string[];
+  /** Number of cached responses */
+  readonly size: number;
 }
 
 // ============================================================================
@@ -118,6 +280,10 @@ export interface HttpResponse<T = unknown> {
   headers: Headers;
   /** Request configuration used */
   config: HttpConfig;
+  /** Served from the response cache */
+  cached?: boolean;
+  /** Served from cache past its staleTime (a background refetch was started) */
+  stale?: boolean;
 }
 
 // ============================================================================
@@ -207,6 +373,12 @@ export declare class HttpClient {
     response: InterceptorManager<HttpResponse>;
   };
 
+  /** Response cache (used by requests with the `cache` option) */
+  readonly cache: HttpCache;
+
+  /** Circuit breaker (null unless the `circuitBreaker` option is set) */
+  readonly circuitBreaker: CircuitBreaker | null;
+
   constructor(config?: HttpConfig);
 
   /**
@@ -268,6 +440,12 @@ export declare class HttpClient {
    */
   patch<T = unknown>(url: string, data?: unknown, options?: Omit<HttpConfig, 'url' | 'method' | 'data'>): Promise<HttpResponse<T>>;
 
+  /**
+   * Upload a body with reactive progress, pause/resume and cancellation.
+   * Starts immediately; await `task.promise` for the response.
+   */
+  upload<T = unknown>(url: string, data: Blob | FormData | unknown, options?: UploadOptions): UploadTask<T>;
+
   /**
    * Create a new HttpClient instance with merged configuration
    * @param config Configuration to merge with current defaults
@@ -310,8 +488,16 @@ export interface UseHttpOptions<T> {
   onSuccess?: (response: HttpResponse<T>) => void;
   /** Callback invoked on error */
   onError?: (error: HttpError) => void;
+  /**
+   * Track progress: requestFn receives the progress request options first
+   * (requests with a body given them use XMLHttpRequest in browsers) (default: false)
+   */
+  progress?: boolean;
 }
 
+/** Request options passed to a useHttp request function when `progress` is enabled */
+export type UseHttpProgressOptions = Pick<HttpConfig, 'onUploadProgress' | 'onDownloadProgress'>;
+
 /**
  * useHttp hook return type
  */
@@ -326,6 +512,10 @@ export interface UseHttpReturn<T> {
   error: Pulse<HttpError | Error | null>;
   /** Reactive status */
   status: Pulse<AsyncStatus>;
+  /** Upload progress (0 to 1) of the requests given the progress options, null if unknown */
+  uploadProgress: Pulse<number | null>;
+  /** Download progress (0 to 1) of the requests given the progress options, null if unknown */
+  downloadProgress: Pulse<number | null>;
   /** Execute the request */
   execute(...args: unknown[]): Promise<HttpResponse<T> | null>;
   /** Reset state to initial values */
@@ -372,15 +562,27 @@ export declare function createHttp(config?: HttpConfig): HttpClient;
  * effect(() => {
  *   if (data.get()) console.log('Users:', data.get());
  * });
+ *
+ * @example
+ * const upload = useHttp(
+ *   (request, file) => api.post('/files', file, request),
+ *   { immediate: false, progress: true }
+ * );
  */
 export declare function useHttp<T = unknown>(
-  requestFn: (...args: unknown[]) => Promise<HttpResponse<T>>,
+  requestFn: (request: UseHttpProgressOptions, ...args: any[]) => Promise<HttpResponse<T>>,
+  options: UseHttpOptions<T> & { progress: true }
+): UseHttpReturn<T>;
+export declare function useHttp<T = unknown>(
+  requestFn: (...args: any[]) => Promise<HttpResponse<T>>,
   options?: UseHttpOptions<T>
 ): UseHttpReturn<T>;
 
 /**
  * HTTP resource with caching (SWR pattern).
- * Integrates with useResource from async.js.
+ * Integrates with useResource from async.js: resources with the same key share
+ * one in-flight request. requestFn receives request options to pass to the
+ * client; refresh()/invalidate() set `skipCache` to bypass the response cache.
  *
  * @param key Cache key or function returning key
  * @param requestFn Function that returns an HTTP response promise
@@ -390,13 +592,13 @@ export declare function useHttp<T = unknown>(
  * @example
  * const users = useHttpResource(
  *   'users',
- *   () => api.get('/users'),
+ *   (request) => api.get('/users', request),
  *   { refreshInterval: 30000, refreshOnFocus: true }
  * );
  */
 export declare function useHttpResource<T = unknown>(
   key: string | (() => string),
-  requestFn: () => Promise<HttpResponse<T>>,
+  requestFn: (request: Pick<HttpConfig, 'skipCache'>) => Promise<HttpResponse<T>>,
   options?: ResourceOptions<T>
 ): UseResourceReturn<T>;
 
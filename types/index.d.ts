@@ -39,8 +39,11 @@ export {
   EventOptions,
   KeyFn,
   ListTemplate,
+  ListAnimationOptions,
+  ListOptions,
   ConditionTemplate,
   MatchCases,
+  AwaitTemplates,
   ComponentContext,
   ComponentSetup,
   ComponentFactory,
@@ -59,6 +62,7 @@ export {
   list,
   when,
   match,
+  awaitBlock,
   model,
   mount,
   component,
@@ -67,6 +71,9 @@ export {
   show,
   portal,
   errorBoundary,
+  SuspenseContent,
+  SuspenseOptions,
+  suspense,
   transition,
   whenTransition,
   delegate,
@@ -100,6 +107,7 @@ export {
   RouteDefinition,
   Routes,
   RouterOptions,
+  RouteTransitionOptions,
   NavigateOptions,
   LinkOptions,
   MatchedRoute,
@@ -109,6 +117,25 @@ export {
   LazyOptions,
   LazyRouteHandler,
   RouteContext,
+  SlotRoutes,
+  ModalRouteOptions,
+  OutletOptions,
+  BackgroundRoute,
+  RouteSlot,
+  LoaderContext,
+  RouteLoader,
+  RouteFieldType,
+  RouteFieldSchema,
+  RouteField,
+  RouteSchema,
+  InferRouteField,
+  InferRouteInput,
+  RouteValidationErrors,
+  RouteInvalidHandler,
+  TypedRouteDefinition,
+  useLoaderData,
+  defineRoute,
+  validateSchema,
   createRouter,
   simpleRouter,
   lazy,
@@ -134,6 +161,10 @@ export {
   RootModuleStore,
   StorePlugin,
   HistoryStore,
+  HistoryOptions,
+  HistoryEntry,
+  HistoryEvent,
+  StoreHistory,
   createStore,
   createActions,
   createGetters,
@@ -141,7 +172,13 @@ export {
   createModuleStore,
   usePlugin,
   loggerPlugin,
-  historyPlugin
+  historyPlugin,
+  SyncMeta,
+  SyncConflict,
+  SyncStrategy,
+  SyncOptions,
+  SyncStore,
+  syncPlugin
 } from './store';
 
 // Logger
@@ -205,12 +242,21 @@ export {
   UseAsyncReturn,
   ResourceOptions,
   UseResourceReturn,
+  InfiniteResourceOptions,
+  UseInfiniteResourceReturn,
+  ResourceKeyMatcher,
+  ResourceMutationOptions,
+  UseResourceMutationReturn,
   PollingOptions,
   UsePollingReturn,
   ResourceCacheStats,
   createVersionedAsync,
   useAsync,
   useResource,
+  useInfiniteResource,
+  invalidateResources,
+  setResourceData,
+  useResourceMutation,
   usePolling,
   clearResourceCache,
   getResourceCacheStats
@@ -231,12 +277,25 @@ export {
   FormOptions,
   FormFields,
   FormErrors,
+  FormErrorMap,
+  SubmitWithOptions,
   UseFormReturn,
   UseFieldOptions,
   UseFieldArrayReturn,
+  JsonSchema,
+  JsonSchemaValidateOptions,
+  StandardSchemaV1,
+  StandardSchemaIssue,
+  StandardSchemaResult,
   useForm,
   useField,
-  useFieldArray
+  useFieldArray,
+  validateJsonSchema,
+  WizardStep,
+  WizardPersistOptions,
+  FormWizardOptions,
+  UseFormWizardReturn,
+  useFormWizard
 } from './form';
 
 // Context API
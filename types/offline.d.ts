@@ -0,0 +1,121 @@
+/**
+ * Pulse Offline Mutation Queue Type Definitions
+ * @module pulse-js-framework/runtime/offline
+ */
+
+import { Pulse } from './pulse';
+import { PersistenceAdapter } from './persistence';
+import { HttpClient } from './http';
+
+// ============================================================================
+// Queue Entries
+// ============================================================================
+
+/**
+ * HTTP request captured by an attached client
+ */
+export interface OfflineHttpEntry {
+  id: string;
+  type: 'http';
+  createdAt: number;
+  /** Name the client was attached under */
+  client: string;
+  method: 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+  url: string;
+  params?: Record<string, unknown>;
+  data?: unknown;
+  /** Request headers, without credentials (re-added by interceptors on replay) */
+  headers: Record<string, string>;
+}
+
+/**
+ * Server Action invocation captured by a wrapped invoker
+ */
+export interface OfflineActionEntry {
+  id: string;
+  type: 'action';
+  createdAt: number;
+  actionId: string;
+  args: unknown[];
+}
+
+export type OfflineEntry = OfflineHttpEntry | OfflineActionEntry;
+
+/**
+ * Result of a mutation that was queued instead of sent
+ */
+export interface QueuedMutation {
+  queued: true;
+  id: string;
+}
+
+// ============================================================================
+// createOfflineQueue
+// ============================================================================
+
+export interface OfflineQueueOptions {
+  /** Storage for queued mutations (default: IndexedDB database "pulse-offline") */
+  adapter?: PersistenceAdapter;
+  /** Storage key (default: 'pulse-offline-queue') */
+  key?: string;
+  /** Replay on startup and on the window `online` event (default: true) */
+  autoReplay?: boolean;
+  /** Which failures to queue (default: network errors and open circuits) */
+  shouldQueue?: (error: Error) => boolean;
+  /** Called after each successful replay */
+  onReplay?: (entry: OfflineEntry, result: unknown) => void;
+  /** Called when the server rejects a replayed mutation (the entry is dropped) */
+  onReplayError?: (entry: OfflineEntry, error: Error) => void;
+}
+
+export interface MutateOptions {
+  /** Apply the update right away; may return the rollback function */
+  optimistic?: () => ((error: Error) => void) | void;
+  /** Undo the update when the mutation is rejected, now or on replay */
+  rollback?: (error: Error) => void;
+}
+
+export interface OfflineQueue {
+  /** Queued mutations, oldest first */
+  entries: Pulse<OfflineEntry[]>;
+  /** Number of queued mutations */
+  pending: Pulse<number>;
+  /** True while replaying */
+  replaying: Pulse<boolean>;
+  /** Last replay error */
+  lastError: Pulse<Error | null>;
+  /** Resolves once mutations queued before a reload are restored */
+  ready: Promise<void>;
+
+  /** Queue failed mutations of an HTTP client (attach under the same name after a reload) */
+  attach<C extends HttpClient>(client: C, options?: { name?: string }): C;
+  /** Create a Server Action invoker whose connectivity failures are queued */
+  wrapAction<T = unknown>(
+    actionId: string,
+    invokerOptions?: { maxRetries?: number; autoRetry?: boolean }
+  ): (...args: unknown[]) => Promise<T | QueuedMutation>;
+  /** Run a mutation with an optimistic update */
+  mutate<T>(mutationFn: () => Promise<T>, options?: MutateOptions): Promise<T>;
+  /** Replay queued mutations in order; resolves with the number replayed */
+  replay(): Promise<number>;
+  /** Drop all queued mutations */
+  clear(): Promise<void>;
+  /** Remove listeners and detach clients */
+  dispose(): void;
+}
+
+/**
+ * Create an offline mutation queue
+ *
+ * @example
+ * const queue = createOfflineQueue();
+ * const api = queue.attach(createHttp({ baseURL: '/api' }));
+ * await api.post('/todos', todo); // resolves with { queued: true, id } when offline
+ */
+export declare function createOfflineQueue(options?: OfflineQueueOptions): OfflineQueue;
+
+declare const _default: {
+  createOfflineQueue: typeof createOfflineQueue;
+};
+
+export default _default;
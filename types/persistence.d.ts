@@ -3,6 +3,8 @@
  * @module pulse-js-framework/runtime/persistence
  */
 
+import { SyncOptions } from './store';
+
 // ============================================================================
 // Persistence Error
 // ============================================================================
@@ -190,6 +192,42 @@ export interface PersistenceOptions {
 
   /** Error callback invoked on persistence failures */
   onError?: ((error: Error) => void) | null;
+
+  /**
+   * Sync changes across tabs (default: false). Synced keys follow include/exclude;
+   * the channel defaults to `key`.
+   */
+  sync?: boolean | Omit<SyncOptions, 'keys'>;
+
+  /**
+   * Schema version saved with the state. Enables migrations; data saved without
+   * a version counts as version 0.
+   */
+  version?: number | null;
+
+  /** Upgrade functions keyed by the version they migrate to, run in order on restore */
+  migrations?: Record<number, PersistenceMigration>;
+
+  /**
+   * Called when migrating fails (including data from a newer version).
+   * Return a state to restore it anyway, or nothing to keep the initial state.
+   */
+  onMigrationError?: ((error: PersistenceError, context: MigrationErrorContext) => Record<string, unknown> | void) | null;
+}
+
+/** Migration from the previous schema version */
+export type PersistenceMigration = (
+  state: Record<string, unknown>
+) => Record<string, unknown> | Promise<Record<string, unknown>>;
+
+/** Context passed to onMigrationError */
+export interface MigrationErrorContext {
+  /** Version the state was saved with */
+  fromVersion: number;
+  /** Current store version */
+  toVersion: number;
+  /** State as stored, before migrating */
+  state: Record<string, unknown>;
 }
 
 /** Return type of withPersistence */
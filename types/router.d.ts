@@ -4,6 +4,7 @@
  */
 
 import { Pulse } from './pulse';
+import { ValidationRule } from './form';
 
 /** Route parameters object */
 export type RouteParams = Record<string, string>;
@@ -56,17 +57,138 @@ export type RouteHandler =
   | (() => Promise<{ default: () => Node }>)
   | { render: () => Node };
 
+/** Routes of a parallel slot (paths are relative to the slot) */
+export interface SlotRoutes {
+  [path: string]: RouteHandler | RouteDefinition;
+}
+
+/** Modal route interception options */
+export interface ModalRouteOptions {
+  /** Outlet the intercepted view renders into (default: 'modal') */
+  outlet?: string;
+  /** Component used when rendered as a modal (default: the route handler) */
+  handler?: RouteHandler;
+}
+
+/** Context passed to route loaders */
+export interface LoaderContext {
+  params: RouteParams;
+  query: QueryParams;
+  path: string;
+  meta: RouteMeta;
+  /** Aborted when a newer navigation supersedes this one */
+  signal?: AbortSignal;
+  router: Router;
+}
+
+/** Route data loader, run before the navigation commits */
+export type RouteLoader<T = unknown> = (ctx: LoaderContext) => T | Promise<T>;
+
+// =============================================================================
+// Params and Query Schema Types
+// =============================================================================
+
+/** Type a route param or query value is coerced to */
+export type RouteFieldType = 'string' | 'number' | 'integer' | 'boolean';
+
+/** Full field schema for a route param or query value */
+export interface RouteFieldSchema<T extends RouteFieldType = RouteFieldType> {
+  /** Type to coerce the raw value to (default: 'string') */
+  type?: T;
+  /** Collect repeated query keys into an array */
+  array?: boolean;
+  /** Value used when the field is missing or empty */
+  default?: unknown;
+  /** Synchronous validation rules (validators from runtime/form) */
+  rules?: ValidationRule[];
+}
+
+/** Field schema: a type name, a list of rules (string type), or a full schema */
+export type RouteField = RouteFieldType | ValidationRule[] | RouteFieldSchema;
+
+/** Params or query schema keyed by name */
+export type RouteSchema = Record<string, RouteField>;
+
+/** Map a field type name to its TypeScript type */
+type RouteFieldValue<T> =
+  T extends 'number' | 'integer' ? number :
+  T extends 'boolean' ? boolean :
+  string;
+
+/** Infer the coerced value of a field schema */
+export type InferRouteField<F> =
+  F extends RouteFieldType ? RouteFieldValue<F> :
+  F extends ValidationRule[] ? string :
+  F extends { array: true; type?: infer T } ? RouteFieldValue<T>[] :
+  F extends { type?: infer T } ? RouteFieldValue<T> :
+  string;
+
+/** Infer the coerced values of a params or query schema */
+export type InferRouteInput<S extends RouteSchema> = {
+  [K in keyof S]: InferRouteField<S[K]>;
+};
+
+/** Errors raised for invalid params/query, keyed by field name */
+export interface RouteValidationErrors {
+  params: Record<string, string>;
+  query: Record<string, string>;
+}
+
+/**
+ * Fallback for invalid params/query: a path to redirect to, or a function
+ * returning a redirect path (or nothing to raise the RouterError)
+ */
+export type RouteInvalidHandler =
+  | string
+  | ((error: Error & { errors: RouteValidationErrors }, to: NavigationTarget) => string | void);
+
+/** Route definition with typed params and query, produced by defineRoute() */
+export interface TypedRouteDefinition<
+  P extends RouteSchema = RouteSchema,
+  Q extends RouteSchema = RouteSchema
+> extends Omit<RouteDefinition, 'params' | 'query' | 'handler' | 'loader'> {
+  params?: P;
+  query?: Q;
+  handler?: (ctx: RouteContext & { params: InferRouteInput<P>; query: InferRouteInput<Q> }) => Node;
+  loader?: (ctx: LoaderContext & { params: InferRouteInput<P>; query: InferRouteInput<Q> }) => unknown;
+}
+
 /** Route definition */
 export interface RouteDefinition {
   handler?: RouteHandler;
   meta?: RouteMeta;
   beforeEnter?: NavigationGuard;
+  /** Data loader; nested matches load in parallel */
+  loader?: RouteLoader;
   children?: Routes;
+  /** Components for named outlets, inherited by child routes */
+  outlets?: Record<string, RouteHandler>;
+  /** Parallel route slots with their own sub-navigation, inherited by child routes */
+  slots?: Record<string, SlotRoutes>;
+  /**
+   * Render over the current page on in-app navigation; direct loads render
+   * the full page in the default outlet
+   */
+  modal?: boolean | ModalRouteOptions;
+  /** Params schema: validates and coerces path params (inherited by child and group routes) */
+  params?: RouteSchema;
+  /** Query schema: validates and coerces query values (inherited by child and group routes) */
+  query?: RouteSchema;
+  /**
+   * Redirect or handler used when params/query fail validation. Without one,
+   * navigate() renders the route error view and resolves `false`
+   */
+  onInvalid?: RouteInvalidHandler;
+  /**
+   * View transition name, set as `data-view-transition` on <html> while navigating
+   * to this route; `false` disables view transitions for the route
+   */
+  viewTransition?: string | false;
 }
 
 /** Routes configuration object */
 export interface Routes {
-  [path: string]: RouteHandler | RouteDefinition;
+  [path: string]: RouteHandler | RouteDefinition | TypedRouteDefinition<any, any>;
 }
 
 // =============================================================================
@@ -112,14 +234,33 @@ export interface LazyOptions {
 /** Lazy route handler */
 export type LazyRouteHandler = (ctx: RouteContext) => Node;
 
+/** Route transition options */
+export interface RouteTransitionOptions {
+  enterClass?: string;
+  enterActiveClass?: string;
+  leaveClass?: string;
+  leaveActiveClass?: string;
+  /** Class transition duration in ms (default: 300, max: 10000) */
+  duration?: number;
+  /**
+   * Swap views inside document.startViewTransition when supported,
+   * falling back to the class-based transition otherwise
+   */
+  viewTransition?: boolean;
+}
+
 /** Router options */
 export interface RouterOptions {
   routes?: Routes;
   mode?: 'history' | 'hash';
   base?: string;
   scrollBehavior?: ScrollBehaviorFn;
+  /** CSS class or View Transitions API route transitions */
+  transition?: RouteTransitionOptions;
   /** Middleware functions */
   middleware?: MiddlewareFn[];
+  /** Initial URL used instead of window.location (server rendering) */
+  url?: string;
 }
 
 /** Navigation options */
@@ -127,6 +268,38 @@ export interface NavigateOptions {
   replace?: boolean;
   query?: Record<string, string | number>;
   state?: unknown;
+  /** Set to false to render a modal route as a full page */
+  modal?: boolean;
+}
+
+/** Outlet options */
+export interface OutletOptions {
+  /** Outlet name (default: 'default', the main page) */
+  name?: string;
+}
+
+/** Page rendered behind an intercepted modal route */
+export interface BackgroundRoute {
+  path: string;
+  route: RouteDefinition;
+  params: RouteParams;
+  query: QueryParams;
+}
+
+/** Parallel route slot */
+export interface RouteSlot {
+  name: string;
+  /** Current slot path (reactive) */
+  path: Pulse<string>;
+  /** Current slot route (reactive) */
+  route: Pulse<RouteDefinition | null>;
+  /** Current slot params (reactive) */
+  params: Pulse<RouteParams>;
+  /**
+   * Navigate inside the slot without changing the URL
+   * @returns false if no slot route matches
+   */
+  navigate(path: string): boolean;
 }
 
 /** Route context passed to route handlers */
@@ -134,8 +307,12 @@ export interface RouteContext {
   params: RouteParams;
   query: QueryParams;
   path: string;
+  /** Loader data of the rendered route (or its nearest ancestor with a loader) */
+  data?: unknown;
   navigate: Router['navigate'];
   router: Router;
+  /** Name of the outlet rendering the handler */
+  outlet?: string;
 }
 
 /** Link options */
@@ -170,6 +347,12 @@ export interface Router {
   /** Loading state for async components (reactive) */
   loading: Pulse<boolean>;
 
+  /** Route loader results keyed by route pattern (reactive) */
+  loaderData: Pulse<Record<string, unknown>>;
+
+  /** Page rendered behind an intercepted modal route (reactive) */
+  background: Pulse<BackgroundRoute | null>;
+
   /**
    * Navigate to path
    * @returns Promise resolving to navigation success
@@ -182,9 +365,9 @@ export interface Router {
   link(path: string, content: Node | string, options?: LinkOptions): HTMLAnchorElement;
 
   /**
-   * Render current route component
+   * Render current route component, or a named outlet / parallel slot
    */
-  outlet(container: string | HTMLElement): HTMLElement;
+  outlet(container: string | HTMLElement, options?: OutletOptions): HTMLElement;
 
   /** Navigate back in history */
   back(): void;
@@ -229,6 +412,11 @@ export interface Router {
    */
   getMatchedRoutes(path: string): MatchedRoute[];
 
+  /**
+   * Get a parallel slot declared by the active route
+   */
+  slot(name: string): RouteSlot | null;
+
   /**
    * Start listening to navigation events
    * @returns Stop function
@@ -251,6 +439,27 @@ export interface Router {
  */
 export declare function createRouter(options?: RouterOptions): Router;
 
+/**
+ * Get the loader data of the rendering route, or of a specific route pattern
+ */
+export declare function useLoaderData<T = unknown>(pattern?: string): T | undefined;
+
+/**
+ * Define a route with params/query schemas; infers typed ctx.params and ctx.query
+ */
+export declare function defineRoute<
+  P extends RouteSchema = {},
+  Q extends RouteSchema = {}
+>(definition: TypedRouteDefinition<P, Q>): TypedRouteDefinition<P, Q>;
+
+/**
+ * Validate and coerce values against a params or query schema
+ */
+export declare function validateSchema<S extends RouteSchema>(
+  schema: S,
+  values: Record<string, unknown>
+): { values: InferRouteInput<S> & Record<string, unknown>; errors: Record<string, string> | null };
+
 /**
  * Quick router setup (creates, starts, and mounts)
  */
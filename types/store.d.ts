@@ -146,12 +146,64 @@ export declare function usePlugin<T extends Record<string, unknown>>(
   plugin: StorePlugin<T>
 ): Store<T>;
 
+/** History plugin options */
+export interface HistoryOptions {
+  /** Maximum number of history states to keep (default: 50) */
+  maxHistory?: number;
+  /** Approximate memory budget for all states in bytes (default: Infinity) */
+  maxBytes?: number;
+}
+
+/** Recorded history state */
+export interface HistoryEntry {
+  /** Position in the current timeline */
+  index: number;
+  /** Store state snapshot */
+  state: Record<string, unknown>;
+  /** What recorded the entry ('init', 'setState', 'transaction' or a custom label) */
+  action: string;
+  timestamp: number;
+}
+
+/** History change event */
+export interface HistoryEvent {
+  type: 'record' | 'travel' | 'clear';
+  entry: HistoryEntry;
+  index: number;
+}
+
+/** History stream of a store, shared with devtools time travel */
+export interface StoreHistory {
+  /** Whether undo is available (reactive) */
+  canUndo: Pulse<boolean>;
+  /** Whether redo is available (reactive) */
+  canRedo: Pulse<boolean>;
+  /** Entries of the current timeline, oldest first */
+  entries(): HistoryEntry[];
+  /** Position of the current state in entries() */
+  getIndex(): number;
+  /** Redo branches available from the current state (most recent last) */
+  branches(): HistoryEntry[];
+  /** Restore the state at a timeline position */
+  goTo(index: number): boolean;
+  /** Approximate memory used by recorded states in bytes */
+  getSize(): number;
+  /** Drop all history, keeping the current state */
+  clear(): void;
+  /** Listen to history changes */
+  subscribe(listener: (event: HistoryEvent) => void): () => void;
+}
+
 /** Store with history plugin */
 export interface HistoryStore<T extends Record<string, unknown>> extends Store<T> {
   $undo(): void;
-  $redo(): void;
+  /** Redo the most recently visited branch, or a branch index from $history.branches() */
+  $redo(branch?: number): void;
   $canUndo(): boolean;
   $canRedo(): boolean;
+  /** Group updates into a single undo step; rolls back if fn throws */
+  $transaction<R>(fn: (store: this) => R, action?: string): R;
+  $history: StoreHistory;
 }
 
 /**
@@ -166,5 +218,57 @@ export declare function loggerPlugin<T extends Record<string, unknown>>(
  */
 export declare function historyPlugin<T extends Record<string, unknown>>(
   store: Store<T>,
-  maxHistory?: number
+  options?: number | HistoryOptions
 ): HistoryStore<T>;
+
+/** Per-key version information used to detect concurrent changes */
+export interface SyncMeta {
+  version: number;
+  timestamp: number;
+  tabId: string;
+}
+
+/** Concurrent change passed to a custom conflict resolver */
+export interface SyncConflict<V = unknown> {
+  key: string;
+  local: V;
+  remote: V;
+  localMeta: SyncMeta;
+  remoteMeta: SyncMeta;
+}
+
+/** Conflict resolution strategy for cross-tab sync */
+export type SyncStrategy =
+  | 'last-write-wins'
+  | 'remote-wins'
+  | 'local-wins'
+  | ((conflict: SyncConflict) => unknown);
+
+/** Sync plugin options */
+export interface SyncOptions {
+  /** Channel name shared by the tabs (default: 'pulse-store') */
+  channel?: string;
+  /** Top-level keys to sync (default: all) */
+  keys?: string[];
+  /** Conflict resolution (default: 'last-write-wins') */
+  strategy?: SyncStrategy;
+}
+
+/** Store with sync plugin */
+export type SyncStore<T extends Record<string, unknown>> = Store<T> & {
+  $sync: {
+    /** Identifier of this tab */
+    tabId: string;
+    /** Stop broadcasting and receiving changes */
+    close(): void;
+  };
+};
+
+/**
+ * Sync plugin - mirrors state changes across tabs via BroadcastChannel
+ * (storage events as fallback)
+ */
+export declare function syncPlugin<T extends Record<string, unknown>>(
+  store: Store<T>,
+  options?: SyncOptions
+): SyncStore<T>;
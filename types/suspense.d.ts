@@ -0,0 +1,49 @@
+/**
+ * Pulse Suspense Type Definitions
+ * @module pulse-js-framework/runtime/suspense
+ */
+
+import { Pulse } from './pulse';
+
+/** Boundary content: nodes, text, or nested arrays of them */
+export type SuspenseContent = Node | string | null | undefined | false | SuspenseContent[];
+
+/**
+ * Suspense boundary options
+ */
+export interface SuspenseOptions {
+  /**
+   * Reveal the content after this many ms even if resources are still loading
+   * (0 waits indefinitely). When streaming, the fallback is kept instead.
+   * @default 0
+   */
+  timeout?: number;
+  /** Called when the timeout reveals the content */
+  onTimeout?: () => void;
+  /** Called when the content is revealed after loading */
+  onResolve?: () => void;
+}
+
+/**
+ * Show a fallback until the async resources created by `children`
+ * (useAsync, useResource, useInfiniteResource, GraphQL useQuery) finish their
+ * first load. With renderToStream(), suspended boundaries are streamed in.
+ */
+export declare function suspense(
+  fallback: SuspenseContent | (() => SuspenseContent),
+  children: () => SuspenseContent,
+  options?: SuspenseOptions
+): DocumentFragment;
+
+/**
+ * Register an async resource with the enclosing suspense boundary
+ * (no-op outside a boundary). For custom async hooks.
+ */
+export declare function trackSuspense(pending: Pulse<boolean> | (() => boolean)): void;
+
+declare const _default: {
+  suspense: typeof suspense;
+  trackSuspense: typeof trackSuspense;
+};
+
+export default _default;